@@ -0,0 +1,11 @@
+// Minimal command line flag parsing shared by the scripts in this folder
+
+// Value following --name, e.g. option(['--steps', '2'], 'steps') === '2'
+function option(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+module.exports = {
+  option
+};
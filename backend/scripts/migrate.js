@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// Schema migrations for the configured DB_DRIVER
+//
+//   npm run migrate                 apply every pending migration
+//   npm run migrate -- up --to 3    apply pending migrations up to version 3
+//   npm run migrate -- down         roll back the last migration
+//   npm run migrate -- down --steps 2
+//   npm run migrate -- status       list migrations and whether they are applied
+require('dotenv').config();
+const db = require('../src/models/database');
+const { option } = require('./args');
+
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  await db.store.connect();
+
+  switch (command) {
+    case 'up': {
+      const to = option(args, 'to');
+      const applied = await db.store.migrate(to ? parseInt(to) : undefined);
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+      break;
+    }
+    case 'down': {
+      const steps = parseInt(option(args, 'steps') || '1');
+      const rolledBack = await db.store.rollback(steps);
+      console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+      break;
+    }
+    case 'status': {
+      const migrations = await db.store.migrationStatus();
+      if (migrations.length === 0) {
+        console.log(`The ${process.env.DB_DRIVER || 'memory'} driver has no schema to migrate`);
+      }
+      migrations.forEach(m => {
+        const state = m.applied ? `applied ${m.appliedAt.toISOString()}` : 'pending';
+        console.log(`${String(m.version).padStart(4, '0')}_${m.name}  ${state}`);
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command} (use up, down or status)`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
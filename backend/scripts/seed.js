@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// Create the first admin account, and optionally demo vouchers, on a fresh installation
+//
+//   npm run seed -- --email admin@example.com --password 'a-strong-password'
+//   npm run seed -- --email admin@example.com --password '...' --demo-plans
+//   npm run seed -- --email admin@example.com --password '...' --demo-vouchers   (plans included)
+//
+// ADMIN_EMAIL and ADMIN_PASSWORD are used when the flags are left out.
+require('dotenv').config();
+const db = require('../src/models/database');
+const { option } = require('./args');
+const { seedAdmin, seedDemoPlans, seedDemoVouchers } = require('../src/models/seed');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const email = option(args, 'email') || process.env.ADMIN_EMAIL;
+  const password = option(args, 'password') || process.env.ADMIN_PASSWORD;
+
+  if ((process.env.DB_DRIVER || 'memory') === 'memory') {
+    throw new Error('The memory driver does not persist data, set ADMIN_EMAIL and ADMIN_PASSWORD for the server instead');
+  }
+
+  await db.init();
+
+  const { created, user } = await seedAdmin(db, { email, password });
+  console.log(created ? `👤 Created admin user ${user.email}` : `👤 Admin user ${user.email} already exists`);
+
+  if (args.includes('--demo-plans') && !args.includes('--demo-vouchers')) {
+    const plans = await seedDemoPlans(db);
+    console.log(`📋 Plan catalog has ${plans.length} plans`);
+  }
+
+  if (args.includes('--demo-vouchers')) {
+    const vouchers = await seedDemoVouchers(db);
+    console.log(`🎫 Created ${vouchers.length} demo vouchers`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Seeding failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// Back up or move an installation
+//
+//   npm run snapshot -- export --out backup.json
+//   npm run snapshot -- export --out backup.ndjson.gz     gzipped NDJSON, picked by the extension
+//   npm run snapshot -- restore --in backup.ndjson.gz --dry-run
+//   npm run snapshot -- restore --in backup.json          only into an empty store
+require('dotenv').config();
+const fs = require('fs');
+const db = require('../src/models/database');
+const { option } = require('./args');
+const { exportSnapshot, serializeSnapshot, parseSnapshot, restoreSnapshot } = require('../src/models/snapshot');
+
+function describe(counts) {
+  return Object.entries(counts).map(([name, count]) => `${count} ${name}`).join(', ');
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if ((process.env.DB_DRIVER || 'memory') === 'memory') {
+    throw new Error('The memory driver does not persist data, use the admin snapshot endpoints on the running server instead');
+  }
+
+  await db.init();
+
+  switch (command) {
+    case 'export': {
+      const out = option(args, 'out');
+      if (!out) throw new Error('--out <file> is required');
+
+      const format = option(args, 'format') || (/\.ndjson(\.gz)?$/.test(out) ? 'ndjson' : 'json');
+      const snapshot = await exportSnapshot(db);
+      fs.writeFileSync(out, serializeSnapshot(snapshot, format));
+      console.log(`📦 Exported ${describe(snapshot.counts)} to ${out}`);
+      break;
+    }
+    case 'restore': {
+      const file = option(args, 'in');
+      if (!file) throw new Error('--in <file> is required');
+
+      const dryRun = args.includes('--dry-run');
+      const result = await restoreSnapshot(db, parseSnapshot(fs.readFileSync(file)), { dryRun });
+
+      if (result.errors) {
+        result.errors.forEach(error => console.error(`  - ${error}`));
+        throw new Error(`${file} cannot be restored`);
+      }
+
+      console.log(dryRun
+        ? `✅ Dry run: ${describe(result.counts)} would be restored`
+        : `✅ Restored ${describe(result.counts)}`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command} (use export or restore)`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Snapshot failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
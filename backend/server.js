@@ -3,21 +3,38 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 require('dotenv').config();
+const db = require('./src/models/database');
+const { seedFromEnv } = require('./src/models/seed');
+const sweeperService = require('./src/services/sweeperService');
+const subscriptionService = require('./src/services/subscriptionService');
+const radiusService = require('./src/services/radiusService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy, client addresses (used to throttle voucher code guesses) come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors());
 app.use(morgan('combined'));
+// Snapshot uploads are read as raw bytes (JSON or gzipped NDJSON) and can be far larger than API requests
+app.use('/api/admin/snapshot/restore', express.raw({ type: () => true, limit: process.env.SNAPSHOT_MAX_SIZE || '100mb' }));
+// Voucher imports are sent as CSV text
+app.use('/api/admin/vouchers/import', express.text({ type: () => true, limit: process.env.VOUCHER_IMPORT_MAX_SIZE || '5mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
+app.use('/api/plans', require('./src/routes/plans'));
 app.use('/api/vouchers', require('./src/routes/vouchers'));
+app.use('/api/sessions', require('./src/routes/sessions'));
 app.use('/api/auth', require('./src/routes/auth'));
 app.use('/api/payments', require('./src/routes/payments'));
+app.use('/api/subscriptions', require('./src/routes/subscriptions'));
 app.use('/api/admin', require('./src/routes/admin'));
 
 // Health check endpoint
@@ -47,10 +64,29 @@ app.use('*', (req, res) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 MoWave Backend Server running on port ${PORT}`);
-  console.log(`🌐 API Base URL: http://localhost:${PORT}/api`);
-  console.log(`📊 Health Check: http://localhost:${PORT}/api/health`);
-});
+db.init()
+  .then(() => seedFromEnv(db))
+  .then(async () => {
+    const stats = await db.getStats();
+    console.log(`📊 Database initialized (${process.env.DB_DRIVER || 'memory'}) with:`);
+    console.log(`- ${stats.activeUsers} users`);
+    console.log(`- ${stats.totalVouchers} vouchers`);
+
+    app.listen(PORT, () => {
+      console.log(`🚀 MoWave Backend Server running on port ${PORT}`);
+      console.log(`🌐 API Base URL: http://localhost:${PORT}/api`);
+      console.log(`📊 Health Check: http://localhost:${PORT}/api/health`);
+    });
+
+    sweeperService.start();
+    subscriptionService.start();
+    radiusService.start().catch(error => {
+      console.error('❌ RADIUS server failed to start:', error.message);
+    });
+  })
+  .catch(error => {
+    console.error('❌ Failed to initialize database:', error.message);
+    process.exit(1);
+  });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,27 @@
+const codeAttemptService = require('../services/codeAttemptService');
+
+// Turn away clients that have guessed too many voucher codes, before the code is looked at.
+// The client IDs are left on req.codeClients for recording the outcome.
+async function throttleCodeAttempts(req, res, next) {
+  try {
+    req.codeClients = codeAttemptService.clientIds(req);
+    const blockedUntil = await codeAttemptService.blockedUntil(req.codeClients);
+
+    if (blockedUntil) {
+      const retryAfter = Math.ceil((blockedUntil - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many invalid voucher codes, please wait ${retryAfter < 120 ? `${retryAfter} seconds` : `${Math.ceil(retryAfter / 60)} minutes`} and try again`,
+        retryAfter
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  throttleCodeAttempts
+};
@@ -1,72 +1,84 @@
 const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./stores');
+const { parseDataLimit, isValidDataLimit, addDataLimits, quotaStatus } = require('../utils/quota');
+const { generateCode, codeKey } = require('../utils/voucherCode');
+const { isWithinAccessHours, accessWindowEnd } = require('../utils/accessSchedule');
+const { isUniqueViolation } = require('./stores/records');
 
-// In-memory database for quick prototyping
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// The devices on a voucher by their sessions, to tell whether any joined or left
+const deviceSessionIds = voucher => (voucher.devices || []).map(entry => entry.sessionId).join();
+
+// Whether two optional dates are the same moment, unset counting as the same as unset
+const sameTime = (a, b) => Number(a || 0) === Number(b || 0);
+
+// Data access layer - the storage driver is picked by DB_DRIVER (memory, postgres or sqlite)
 class Database {
-  constructor() {
-    this.users = new Map();
-    this.vouchers = new Map();
-    this.payments = new Map();
-    this.sessions = new Map();
-    this.init();
-  }
-
-  init() {
-    // Create default admin user
-    const adminId = uuidv4();
-    this.users.set(adminId, {
-      id: adminId,
-      email: 'admin@mowave.com',
-      password: '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', // password
-      role: 'admin',
-      createdAt: new Date(),
-      isActive: true
+  constructor(store = createStore()) {
+    this.store = store;
+    // How long unsold stock stays on sale, and how long a buyer has to redeem a voucher
+    this.shelfLifeMs = (parseInt(process.env.VOUCHER_SHELF_LIFE_DAYS) || 90) * DAY_MS;
+    this.redeemWindowMs = (parseInt(process.env.VOUCHER_REDEEM_DAYS) || 30) * DAY_MS;
+    // How long a paused voucher keeps its remaining time before it expires
+    this.pauseLimitMs = (parseInt(process.env.VOUCHER_PAUSE_MAX_DAYS) || 7) * DAY_MS;
+  }
+
+  async init() {
+    await this.store.connect();
+    await this.store.migrate();
+    return this;
+  }
+
+  async close() {
+    await this.store.close();
+  }
+
+  /**
+   * Run a filtered, sorted and paginated query against a collection
+   * @param {string} collection - Collection name
+   * @param {Object} where - Store query conditions
+   * @param {Object} options - { page, limit, sort }, newest first by default
+   * @returns {Promise<Object>} { data, pagination: { page, limit, total, pages } }
+   */
+  async paginate(collection, where, { page = 1, limit = 10, sort = { createdAt: 'desc' } } = {}) {
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.max(parseInt(limit) || 10, 1);
+
+    const { rows, total } = await this.store.query(collection, {
+      where,
+      sort,
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
     });
 
-    // Create sample vouchers
-    this.createSampleVouchers();
-  }
-
-  createSampleVouchers() {
-    const sampleVouchers = [
-      { duration: 1, price: 1000, dataLimit: '500MB' },
-      { duration: 6, price: 5000, dataLimit: '2GB' },
-      { duration: 24, price: 10000, dataLimit: '5GB' },
-      { duration: 168, price: 50000, dataLimit: '20GB' }
-    ];
-
-    sampleVouchers.forEach(voucher => {
-      for (let i = 0; i < 10; i++) {
-        const voucherId = uuidv4();
-        const code = this.generateVoucherCode();
-        
-        this.vouchers.set(voucherId, {
-          id: voucherId,
-          code: code,
-          duration: voucher.duration,
-          price: voucher.price,
-          dataLimit: voucher.dataLimit,
-          status: 'active',
-          isUsed: false,
-          createdAt: new Date(),
-          expiresAt: new Date(Date.now() + (voucher.duration * 60 * 60 * 1000)),
-          usedAt: null,
-          userId: null
-        });
+    return {
+      data: rows,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
       }
-    });
+    };
   }
 
-  generateVoucherCode() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let code = 'MW-';
-    for (let i = 0; i < 8; i++) {
-      code += chars.charAt(Math.floor(Math.random() * chars.length));
+  /**
+   * Generate a voucher code nobody holds yet
+   * @param {Object} codeFormat - Overrides for the default code format, see utils/voucherCode
+   * @returns {Promise<string>} Unused code
+   */
+  async generateVoucherCode(codeFormat = {}) {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const code = generateCode(codeFormat);
+      if (!(await this.getVoucherByCode(code))) return code;
     }
-    return code;
+    throw new Error('Could not find an unused voucher code, the code format is too small for the vouchers issued');
   }
 
   // User operations
-  createUser(userData) {
+  async createUser(userData) {
     const id = uuidv4();
     const user = {
       id,
@@ -74,70 +86,1167 @@ class Database {
       createdAt: new Date(),
       isActive: true
     };
-    this.users.set(id, user);
-    return user;
+    return this.store.insert('users', user);
   }
 
-  getUserById(id) {
-    return this.users.get(id);
+  async getUserById(id) {
+    return this.store.findById('users', id);
   }
 
-  getUserByEmail(email) {
-    for (const user of this.users.values()) {
-      if (user.email === email) return user;
-    }
-    return null;
+  async getUserByEmail(email) {
+    return this.store.findOne('users', { email });
+  }
+
+  async getAllUsers() {
+    return this.store.findAll('users');
+  }
+
+  /**
+   * List users page by page
+   * @param {Object} filters - { role, isActive, search } where search matches email or id
+   * @param {Object} options - Pagination options, see paginate()
+   */
+  async listUsers({ role, isActive, search } = {}, options) {
+    const where = {};
+    if (role) where.role = role;
+    if (isActive !== undefined) where.isActive = isActive;
+    if (search) where.$or = [{ email: { $contains: search } }, { id: { $contains: search } }];
+    return this.paginate('users', where, options);
+  }
+
+  async updateUser(id, updates) {
+    return this.store.update('users', id, updates);
+  }
+
+  async deleteUser(id) {
+    return this.store.remove('users', id);
+  }
+
+  // Plan operations
+  async createPlan(planData) {
+    const id = uuidv4();
+    const plan = {
+      id,
+      bandwidth: null,
+      visibility: 'public',
+      isFeatured: false,
+      sortOrder: 0,
+      maxDevices: 1,
+      // Can be subscribed to, renewing automatically every duration hours
+      renewable: false,
+      // Hours of the week vouchers can be used in, null for any time (see utils/accessSchedule)
+      accessSchedule: null,
+      ...planData,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    return this.store.insert('plans', plan);
+  }
+
+  async getPlanById(id) {
+    return this.store.findById('plans', id);
+  }
+
+  // Catalog order: sortOrder first, then cheapest first
+  async getAllPlans(where = {}) {
+    const { rows } = await this.store.query('plans', { where, sort: { sortOrder: 'asc', price: 'asc' } });
+    return rows;
+  }
+
+  // Plans customers can see and buy
+  async getPublicPlans() {
+    return this.getAllPlans({ visibility: 'public' });
+  }
+
+  async updatePlan(id, updates) {
+    return this.store.update('plans', id, { ...updates, updatedAt: new Date() });
+  }
+
+  async deletePlan(id) {
+    return this.store.remove('plans', id);
+  }
+
+  // Voucher terms copied from a plan, so editing the plan later leaves issued vouchers alone
+  planTerms(plan) {
+    return {
+      planId: plan.id,
+      duration: plan.duration,
+      price: plan.price,
+      dataLimit: plan.dataLimit,
+      bandwidth: plan.bandwidth,
+      maxDevices: plan.maxDevices || 1,
+      accessSchedule: plan.accessSchedule || null
+    };
+  }
+
+  // Vouchers and payments that point at a plan - a plan in use is hidden rather than deleted
+  async countPlanReferences(id) {
+    return {
+      vouchers: await this.store.count('vouchers', { planId: id }),
+      payments: await this.store.count('payments', { planId: id })
+    };
   }
 
   // Voucher operations
-  createVoucher(voucherData) {
+  //
+  // A voucher has three clocks:
+  //   saleExpiresAt - end of the shelf life, unsold stock cannot be sold after it
+  //   redeemBy      - redemption deadline, set when the voucher is sold
+  //   expiresAt     - end of access, set at first login to usedAt + duration
+  //
+  // Pausing stops the access clock: the time used so far is kept in timeUsedMs, the time
+  // left in timeLeftMs, and expiresAt becomes the last moment the voucher can be resumed.
+  // Resuming sets expiresAt to resumedAt + timeLeftMs again.
+  //
+  // A code given in voucherData (imports) is kept, otherwise one is generated in the format
+  // from options.codeFormat, else from the voucher's plan, else the defaults
+  async createVoucher(voucherData, { codeFormat } = {}) {
+    if (!codeFormat && voucherData.planId && !voucherData.code) {
+      const plan = await this.getPlanById(voucherData.planId);
+      codeFormat = plan && plan.codeFormat;
+    }
+
     const id = uuidv4();
+    const now = new Date();
+    const sold = Boolean(voucherData.soldAt);
+    const code = voucherData.code || await this.generateVoucherCode(codeFormat || {});
     const voucher = {
       id,
-      code: this.generateVoucherCode(),
+      code,
+      origin: 'stock',
+      userId: null,
+      maxDevices: 1,
       ...voucherData,
+      codeKey: codeKey(code),
       status: 'active',
       isUsed: false,
-      createdAt: new Date(),
-      expiresAt: new Date(Date.now() + (voucherData.duration * 60 * 60 * 1000)),
-      usedAt: null,
-      userId: null
+      createdAt: now,
+      saleExpiresAt: voucherData.saleExpiresAt || (sold ? null : new Date(now.getTime() + this.shelfLifeMs)),
+      redeemBy: voucherData.redeemBy || (sold ? new Date(now.getTime() + this.redeemWindowMs) : null),
+      expiresAt: null,
+      usedAt: null
     };
-    this.vouchers.set(id, voucher);
+
+    try {
+      return await this.store.insert('vouchers', voucher);
+    } catch (error) {
+      // Another voucher took the same code between the check and the insert
+      if (isUniqueViolation(error) && !voucherData.code) {
+        return this.createVoucher(voucherData, { codeFormat });
+      }
+      throw error;
+    }
+  }
+
+  async getVoucherById(id) {
+    return this.store.findById('vouchers', id);
+  }
+
+  // The code as stored, else the same characters with the dashes left out or misplaced
+  async getVoucherByCode(code) {
+    return await this.store.findOne('vouchers', { code }) ||
+      this.store.findOne('vouchers', { codeKey: codeKey(code) });
+  }
+
+  async getAllVouchers() {
+    return this.store.findAll('vouchers');
+  }
+
+  // Vouchers of one batch, in the order they were made
+  async getBatchVouchers(batchId) {
+    const { rows } = await this.store.query('vouchers', { where: { batchId }, sort: { createdAt: 'asc' } });
+    return rows;
+  }
+
+  async getVouchersByIds(ids) {
+    return this.store.findAll('vouchers', { id: { $in: ids } });
+  }
+
+  // Unsold stock vouchers (printed or sold offline)
+  async getAvailableVouchers() {
+    const now = new Date();
+    const vouchers = await this.store.findAll('vouchers', { isUsed: false, status: 'active', soldAt: null });
+    return vouchers.filter(v => this.isOnSale(v, now));
+  }
+
+  isOnSale(voucher, now = new Date()) {
+    return !voucher.saleExpiresAt || new Date(voucher.saleExpiresAt) > now;
+  }
+
+  // A redeemed voucher whose access time has run out
+  isAccessOver(voucher, now = new Date()) {
+    return Boolean(voucher.expiresAt) && now >= new Date(voucher.expiresAt);
+  }
+
+  /**
+   * Last moment a voucher can be redeemed: the deadline set when it was sold, or for
+   * stock sold offline (we never see that sale) the end of its shelf life
+   * @param {Object} voucher - Voucher record
+   * @returns {Date|null} Deadline, null when there is none
+   */
+  redemptionDeadline(voucher) {
+    const deadline = voucher.redeemBy || voucher.saleExpiresAt;
+    return deadline ? new Date(deadline) : null;
+  }
+
+  /**
+   * Why a voucher cannot be redeemed right now
+   * @param {Object} voucher - Voucher record
+   * @param {Date} now - Reference time
+   * @returns {string|null} USED, TIME_USED, INACTIVE, EXPIRED, OUTSIDE_HOURS or null when redeemable
+   */
+  getRedemptionError(voucher, now = new Date()) {
+    // EXPIRED is kept for the redemption deadline, a redeemed voucher whose access ran out is TIME_USED
+    if (voucher.isUsed) return this.isAccessOver(voucher, now) ? 'TIME_USED' : 'USED';
+    if (voucher.status !== 'active') return 'INACTIVE';
+    const deadline = this.redemptionDeadline(voucher);
+    if (deadline && now > deadline) return 'EXPIRED';
+    if (!isWithinAccessHours(voucher.accessSchedule, now)) return 'OUTSIDE_HOURS';
+    return null;
+  }
+
+  // Who a paid voucher belongs to: the recipient of a gift, else the phone that paid
+  paymentOwner(payment) {
+    return payment.recipientPhoneNumber || payment.phoneNumber || null;
+  }
+
+  /**
+   * Mark a stock voucher as sold to a successful payment
+   * @returns {Promise<Object|null>} Sold voucher, or null if it was sold, used or is past its shelf life
+   */
+  async sellVoucher(id, payment) {
+    const now = new Date();
+    return this.store.updateIf('vouchers', id, voucher =>
+      !voucher.isUsed && !voucher.soldAt && this.isOnSale(voucher, now),
+    {
+      soldAt: now,
+      redeemBy: new Date(now.getTime() + this.redeemWindowMs),
+      paymentId: payment.id,
+      userId: payment.userId || null,
+      ownerPhoneNumber: this.paymentOwner(payment)
+    });
+  }
+
+  // Undo a sale when an admin reverses a payment, unless the code was already redeemed.
+  // Stock vouchers go back on the shelf, a voucher minted for the purchase is revoked.
+  async unsellVoucher(id, paymentId) {
+    const voucher = await this.getVoucherById(id);
+    const updates = voucher && voucher.origin === 'purchase'
+      ? { status: 'revoked' }
+      : { soldAt: null, paymentId: null, userId: null, ownerPhoneNumber: null, redeemBy: null };
+
+    return this.store.updateIf('vouchers', id, current =>
+      !current.isUsed && current.paymentId === paymentId,
+    updates);
+  }
+
+  /**
+   * Issue the voucher a successful payment paid for, minted on the plan terms it was paid at.
+   * Top-ups are added to the voucher they were bought for.
+   * Safe to call more than once: the voucher already issued is returned.
+   * @param {Object} payment - Successful payment
+   * @returns {Promise<Object|null>} Voucher, or null if an old payment's stock voucher went to someone else
+   */
+  async fulfilPayment(payment) {
+    if (payment.topUpVoucherId) {
+      return this.topUpVoucher(payment);
+    }
+
+    // Payments made before vouchers were minted point at the stock voucher they were buying
+    if (payment.voucherId) {
+      const issued = await this.getVoucherById(payment.voucherId);
+      if (issued && issued.soldAt && issued.paymentId === payment.id) {
+        // Reversed earlier and now confirmed again
+        return issued.status === 'revoked' ? this.updateVoucher(issued.id, { status: 'active' }) : issued;
+      }
+      return this.sellVoucher(payment.voucherId, payment);
+    }
+
+    const { metadata = {} } = payment;
+    const voucher = await this.createVoucher({
+      origin: 'purchase',
+      planId: payment.planId,
+      duration: metadata.duration,
+      price: payment.amount,
+      dataLimit: metadata.dataLimit,
+      bandwidth: metadata.bandwidth || null,
+      accessSchedule: metadata.accessSchedule || null,
+      soldAt: new Date(),
+      paymentId: payment.id,
+      userId: payment.userId || null,
+      ownerPhoneNumber: this.paymentOwner(payment)
+    });
+
+    // Only one voucher per payment, even if two confirmations race
+    const claimed = await this.store.updateIf('payments', payment.id, current => !current.voucherId, {
+      voucherId: voucher.id
+    });
+    if (!claimed) {
+      await this.deleteVoucher(voucher.id);
+      return this.fulfilPayment(await this.getPaymentById(payment.id));
+    }
+
     return voucher;
   }
 
-  getVoucherById(id) {
-    return this.vouchers.get(id);
+  /**
+   * Why a voucher cannot be topped up, if it cannot. Vouchers whose access time ran
+   * out can, that is what a top-up is for; unused ones past their redemption deadline cannot.
+   * @param {Object} voucher - Voucher record
+   * @returns {string|null} INACTIVE, EXPIRED or null
+   */
+  getTopUpError(voucher) {
+    if (voucher.status === 'expired') return voucher.isUsed ? null : 'EXPIRED';
+    return voucher.status === 'active' ? null : 'INACTIVE';
+  }
+
+  /**
+   * The voucher a phone number would top up: the latest one it owns that can still take a top-up
+   * @param {string} phoneNumber - Owner's phone number, 256XXXXXXXXX
+   * @returns {Promise<Object|null>} Voucher, or null if it has none
+   */
+  async findTopUpVoucher(phoneNumber) {
+    const { rows } = await this.store.query('vouchers', {
+      where: { ownerPhoneNumber: phoneNumber },
+      sort: { soldAt: 'desc' }
+    });
+    return rows.find(voucher => !this.getTopUpError(voucher)) || null;
   }
 
-  getVoucherByCode(code) {
-    for (const voucher of this.vouchers.values()) {
-      if (voucher.code === code) return voucher;
+  /**
+   * Add the hours and data a top-up payment bought to its voucher. A running voucher gets
+   * the time on top of what is left, a paused one keeps it for when it resumes, and one
+   * whose time ran out starts again from now. Active sessions take the new end time and
+   * allowance. Safe to call more than once: a payment is only added once.
+   * @param {Object} payment - Successful top-up payment
+   * @returns {Promise<Object|null>} Topped-up voucher, or null if it can no longer be topped up
+   */
+  async topUpVoucher(payment) {
+    const voucher = await this.getVoucherById(payment.topUpVoucherId);
+    if (!voucher) return null;
+    const topUps = voucher.topUps || [];
+    if (topUps.some(topUp => topUp.paymentId === payment.id)) return voucher;
+    if (this.getTopUpError(voucher)) return null;
+
+    const now = new Date();
+    const { duration: hours, dataLimit } = payment.metadata;
+    const updates = {
+      status: 'active',
+      duration: voucher.duration + hours,
+      dataLimit: addDataLimits(voucher.dataLimit, dataLimit),
+      topUps: [...topUps, { paymentId: payment.id, hours, dataLimit, appliedAt: now }]
+    };
+
+    if (voucher.pausedAt) {
+      updates.timeLeftMs = voucher.timeLeftMs + hours * HOUR_MS;
+    } else if (voucher.isUsed && voucher.expiresAt > now) {
+      updates.expiresAt = new Date(voucher.expiresAt.getTime() + hours * HOUR_MS);
+    } else if (voucher.isUsed) {
+      // The clock stopped when the time ran out and starts again now
+      Object.assign(updates, {
+        expiresAt: new Date(now.getTime() + hours * HOUR_MS),
+        resumedAt: now,
+        timeUsedMs: this.voucherTime(voucher, now).usedMs
+      });
+    }
+
+    // Applied on top of exactly the voucher read above, anything changed in between reads it again
+    const toppedUp = await this.store.updateIf('vouchers', voucher.id, current =>
+      !this.getTopUpError(current) &&
+      (current.topUps || []).length === topUps.length &&
+      current.status === voucher.status &&
+      current.duration === voucher.duration &&
+      current.dataLimit === voucher.dataLimit &&
+      sameTime(current.expiresAt, voucher.expiresAt) &&
+      sameTime(current.pausedAt, voucher.pausedAt),
+    updates);
+    if (!toppedUp) return this.topUpVoucher(payment);
+
+    for (const session of await this.store.findAll('sessions', { voucherId: voucher.id, isActive: true })) {
+      await this.updateSession(session.id, { ...this.sessionEnd(toppedUp, now), dataLimitBytes: this.dataLimitBytes(toppedUp) });
     }
+    return toppedUp;
+  }
+
+  /**
+   * Why a voucher cannot be handed to another phone number, if it cannot
+   * @param {Object} voucher - Voucher record
+   * @param {string} phoneNumber - The number asking to hand it over
+   * @param {Date} now - Current time
+   * @returns {string|null} NOT_OWNER, USED, INACTIVE, EXPIRED or null
+   */
+  getTransferError(voucher, phoneNumber, now = new Date()) {
+    if (!voucher.ownerPhoneNumber || voucher.ownerPhoneNumber !== phoneNumber) return 'NOT_OWNER';
+    if (voucher.isUsed) return 'USED';
+    if (voucher.status !== 'active') return 'INACTIVE';
+    const deadline = this.redemptionDeadline(voucher);
+    if (deadline && now > deadline) return 'EXPIRED';
     return null;
   }
 
-  getAllVouchers() {
-    return Array.from(this.vouchers.values());
+  /**
+   * Hold a transfer for the owner to confirm. A new request replaces one still waiting.
+   * @param {string} id - Voucher ID
+   * @param {Object} transfer - { fromPhoneNumber, toPhoneNumber, otpHash, expiresAt }
+   * @returns {Promise<Object>} { voucher } with the transfer pending, { error } otherwise
+   */
+  async startVoucherTransfer(id, { fromPhoneNumber, toPhoneNumber, otpHash, expiresAt }) {
+    const now = new Date();
+    let error = null;
+    const voucher = await this.store.updateIf('vouchers', id, current => {
+      error = this.getTransferError(current, fromPhoneNumber, now);
+      return !error;
+    }, {
+      transferTo: toPhoneNumber,
+      transferOtpHash: otpHash,
+      transferExpiresAt: expiresAt,
+      transferAttempts: 0
+    });
+    return voucher ? { voucher } : { error: error || 'NOT_FOUND' };
+  }
+
+  /**
+   * Count a wrong confirmation code against a pending transfer, dropping it at the limit
+   * @param {Object} voucher - Voucher with the transfer pending
+   * @param {number} maxAttempts - Wrong codes allowed
+   * @returns {Promise<Object|null>} Updated voucher, null if the transfer changed meanwhile
+   */
+  async failVoucherTransfer(voucher, maxAttempts) {
+    const attempts = (voucher.transferAttempts || 0) + 1;
+    const updates = attempts >= maxAttempts
+      ? { transferTo: null, transferOtpHash: null, transferExpiresAt: null, transferAttempts: 0 }
+      : { transferAttempts: attempts };
+    return this.store.updateIf('vouchers', voucher.id, current =>
+      current.transferOtpHash === voucher.transferOtpHash &&
+      (current.transferAttempts || 0) === (voucher.transferAttempts || 0),
+    updates);
+  }
+
+  /**
+   * Drop a pending transfer, e.g. when its confirmation code could not be sent
+   * @param {string} id - Voucher ID
+   * @param {string} otpHash - Hash of the transfer's code, a newer transfer is left alone
+   * @returns {Promise<Object|null>} Updated voucher, null if the transfer changed meanwhile
+   */
+  async cancelVoucherTransfer(id, otpHash) {
+    return this.store.updateIf('vouchers', id, current => current.transferOtpHash === otpHash, {
+      transferTo: null,
+      transferOtpHash: null,
+      transferExpiresAt: null,
+      transferAttempts: 0
+    });
+  }
+
+  /**
+   * Hand a voucher to the number its pending transfer names. It gets a new code, so
+   * the code the previous owner knows stops working.
+   * @param {Object} voucher - Voucher with the confirmed transfer pending
+   * @returns {Promise<Object>} { voucher } with the new owner and code, { error } otherwise
+   */
+  async completeVoucherTransfer(voucher) {
+    let codeFormat = null;
+    if (voucher.planId) {
+      const plan = await this.getPlanById(voucher.planId);
+      codeFormat = plan && plan.codeFormat;
+    }
+
+    const now = new Date();
+    const code = await this.generateVoucherCode(codeFormat || {});
+    let error = null;
+    try {
+      const transferred = await this.store.updateIf('vouchers', voucher.id, current => {
+        error = this.getTransferError(current, voucher.ownerPhoneNumber, now) ||
+          (current.transferOtpHash === voucher.transferOtpHash ? null : 'NOT_PENDING');
+        return !error;
+      }, {
+        code,
+        codeKey: codeKey(code),
+        ownerPhoneNumber: voucher.transferTo,
+        transferTo: null,
+        transferOtpHash: null,
+        transferExpiresAt: null,
+        transferAttempts: 0,
+        transferredAt: now
+      });
+      return transferred ? { voucher: transferred } : { error };
+    } catch (updateError) {
+      // Another voucher took the new code between the check and the update
+      if (isUniqueViolation(updateError)) return this.completeVoucherTransfer(voucher);
+      throw updateError;
+    }
+  }
+
+  /**
+   * Redeem a voucher code as a single atomic transition
+   * @param {string} code - Voucher code
+   * @param {Object} userInfo - Optional details about who redeemed it
+   * @param {Object} device - { macAddress, ipAddress } of the device redeeming it
+   * @returns {Promise<Object>} { voucher, sessionId } on success, { error } otherwise
+   */
+  async redeemVoucher(code, userInfo = null, device = {}) {
+    const voucher = await this.getVoucherByCode(code);
+    if (!voucher) return { error: 'NOT_FOUND' };
+
+    const now = new Date();
+    const sessionId = uuidv4();
+    let error = null;
+    const redeemed = await this.store.updateIf('vouchers', voucher.id, current => {
+      error = this.getRedemptionError(current, now);
+      return !error;
+    }, {
+      isUsed: true,
+      usedAt: now,
+      // Access starts counting at first login
+      expiresAt: new Date(now.getTime() + voucher.duration * HOUR_MS),
+      userId: userInfo?.userId || voucher.userId || null,
+      userInfo: userInfo || null,
+      devices: [this.deviceEntry(device, sessionId, now)]
+    });
+
+    return redeemed ? { voucher: redeemed, sessionId } : { error: error || 'NOT_FOUND' };
+  }
+
+  /**
+   * Put a device online with a voucher code, however far along the voucher is: the first
+   * login redeems it, later ones add the device (up to its maxDevices, or give it back its
+   * running session) and a paused voucher is resumed
+   * @param {string} code - Voucher code
+   * @param {Object} userInfo - Optional details about who redeemed it
+   * @param {Object} device - { macAddress, ipAddress }
+   * @returns {Promise<Object>} { voucher, sessionId, action } for a new session, action being
+   *   voucher.redeem, voucher.join or voucher.resume; { voucher, session } for a running one;
+   *   { error } otherwise
+   */
+  async signInVoucher(code, userInfo, device) {
+    const result = await this.redeemVoucher(code, userInfo, device);
+    if (result.error !== 'USED') return result.error ? result : { ...result, action: 'voucher.redeem' };
+
+    const joined = await this.joinVoucher(code, device);
+    if (joined.error !== 'PAUSED') return joined.error || joined.session ? joined : { ...joined, action: 'voucher.join' };
+
+    const voucher = await this.getVoucherByCode(code);
+    const resumed = await this.resumeVoucher(voucher.id, device);
+    return resumed.error ? resumed : { ...resumed, action: 'voucher.resume' };
+  }
+
+  // Vouchers from before limits were validated may hold text we cannot read, those run unmetered
+  dataLimitBytes(voucher) {
+    return isValidDataLimit(voucher.dataLimit) ? parseDataLimit(voucher.dataLimit) : null;
+  }
+
+  // Devices on a voucher: the session each one runs and how to reach it at the gateway
+  deviceEntry({ macAddress = null, ipAddress = null }, sessionId, now) {
+    return { sessionId, macAddress, ipAddress, attachedAt: now };
+  }
+
+  // A device is known by its MAC address when the gateway passes it on, else by its IP address
+  isSameDevice(entry, { macAddress = null, ipAddress = null }) {
+    return entry.macAddress || macAddress ? entry.macAddress === macAddress : entry.ipAddress === ipAddress;
+  }
+
+  /**
+   * Why another device cannot join a redeemed voucher, if it cannot
+   * @param {Object} voucher - Voucher record
+   * @param {number} attached - Devices on it, not counting the one joining
+   * @param {Date} now - Current time
+   * @returns {string|null} Error code or null
+   */
+  getJoinError(voucher, attached, now) {
+    // Redeemed before devices were tracked, it stays with the device it was redeemed on
+    if (!voucher.isUsed || !Array.isArray(voucher.devices)) return 'USED';
+    if (!voucher.expiresAt || this.isAccessOver(voucher, now)) return 'TIME_USED';
+    if (voucher.status !== 'active') return 'INACTIVE';
+    if (voucher.pausedAt) return 'PAUSED';
+    if (!isWithinAccessHours(voucher.accessSchedule, now)) return 'OUTSIDE_HOURS';
+    if (attached >= (voucher.maxDevices || 1)) {
+      return (voucher.maxDevices || 1) > 1 ? 'DEVICE_LIMIT' : 'USED';
+    }
+    return null;
+  }
+
+  /**
+   * Put another device on a voucher that is already in use, up to its maxDevices.
+   * All of them share the voucher's access time and data allowance. A device that is
+   * on it already gets its running session back; one whose session has ended takes
+   * a new one in its old place.
+   * @param {string} code - Voucher code
+   * @param {Object} device - { macAddress, ipAddress }
+   * @returns {Promise<Object>} { voucher, sessionId } for a new session, { voucher, session }
+   *   for a running one, { error } otherwise
+   */
+  async joinVoucher(code, device) {
+    const voucher = await this.getVoucherByCode(code);
+    if (!voucher) return { error: 'NOT_FOUND' };
+
+    const devices = voucher.devices || [];
+    const known = devices.find(entry => this.isSameDevice(entry, device));
+    // Its session may still be open for a moment after the access hours closed, until it is swept up
+    if (known && isWithinAccessHours(voucher.accessSchedule, new Date())) {
+      const session = await this.getSessionById(known.sessionId);
+      if (session && session.isActive) return { voucher, session };
+    }
+
+    // Once the shared allowance is used up nobody else can join
+    if ((await this.getVoucherQuota(voucher)).exhausted) {
+      return { error: 'DATA_USED' };
+    }
+
+    const now = new Date();
+    const others = devices.filter(entry => entry !== known);
+    const sessionId = uuidv4();
+    let error = null;
+    const joined = await this.store.updateIf('vouchers', voucher.id, current => {
+      error = this.getJoinError(current, others.length, now);
+      return !error && deviceSessionIds(current) === deviceSessionIds(voucher);
+    }, {
+      devices: [...others, this.deviceEntry(device, sessionId, now)]
+    });
+
+    if (joined) return { voucher: joined, sessionId };
+    // Another device joined or left in between, look again
+    return error ? { error } : this.joinVoucher(code, device);
+  }
+
+  /**
+   * Take a device off a voucher and end its session, freeing its place
+   * @param {string} voucherId - Voucher ID
+   * @param {string} sessionId - Session the device runs
+   * @returns {Promise<Object|null>} { voucher, session }, null if the device is not on the voucher
+   */
+  async detachDevice(voucherId, sessionId) {
+    const voucher = await this.getVoucherById(voucherId);
+    if (!voucher || !(voucher.devices || []).some(entry => entry.sessionId === sessionId)) return null;
+
+    const detached = await this.store.updateIf('vouchers', voucherId,
+      current => deviceSessionIds(current) === deviceSessionIds(voucher),
+      { devices: voucher.devices.filter(entry => entry.sessionId !== sessionId) });
+    if (!detached) return this.detachDevice(voucherId, sessionId);
+
+    const [session = null] = await this.endSessions({ id: sessionId }, 'detached');
+    return { voucher: detached, session };
+  }
+
+  // When the access clock last started: at first login, or when the voucher was last resumed
+  runStart(voucher) {
+    return voucher.resumedAt || voucher.usedAt;
+  }
+
+  /**
+   * Access time of a redeemed voucher, counted only while it is not paused
+   * @param {Object} voucher - Voucher record
+   * @param {Date} now - Current time
+   * @returns {Object|null} { usedMs, remainingMs, pausedAt, resumeBy }, null before first login
+   */
+  voucherTime(voucher, now = new Date()) {
+    if (!voucher.usedAt || !voucher.expiresAt) return null;
+    if (voucher.pausedAt) {
+      return {
+        usedMs: voucher.timeUsedMs || 0,
+        remainingMs: voucher.timeLeftMs,
+        pausedAt: voucher.pausedAt,
+        resumeBy: voucher.expiresAt
+      };
+    }
+
+    const runEnd = Math.min(now, voucher.expiresAt);
+    return {
+      usedMs: (voucher.timeUsedMs || 0) + Math.max(runEnd - this.runStart(voucher), 0),
+      remainingMs: Math.max(voucher.expiresAt - now, 0),
+      pausedAt: null,
+      resumeBy: null
+    };
+  }
+
+  /**
+   * Why a voucher's clock cannot be stopped or started again, if it cannot
+   * @param {Object} voucher - Voucher record
+   * @param {boolean} pausing - True to pause it, false to resume it
+   * @param {Date} now - Current time
+   * @returns {string|null} NOT_REDEEMED, INACTIVE, TIME_USED, PAUSED, NOT_PAUSED, OUTSIDE_HOURS or null
+   */
+  getPauseError(voucher, pausing, now) {
+    if (!voucher.isUsed) return 'NOT_REDEEMED';
+    if (voucher.status !== 'active') return 'INACTIVE';
+    if (!voucher.expiresAt || this.isAccessOver(voucher, now)) return 'TIME_USED';
+    if (pausing && voucher.pausedAt) return 'PAUSED';
+    if (!pausing && !voucher.pausedAt) return 'NOT_PAUSED';
+    // Pausing is always allowed, resuming only within the voucher's access hours
+    if (!pausing && !isWithinAccessHours(voucher.accessSchedule, now)) return 'OUTSIDE_HOURS';
+    return null;
+  }
+
+  /**
+   * Stop a redeemed voucher's access clock. Its devices share the clock, so all their
+   * sessions end; the voucher expires if it is not resumed within VOUCHER_PAUSE_MAX_DAYS.
+   * @param {string} voucherId - Voucher ID
+   * @returns {Promise<Object>} { voucher, sessions } with the sessions ended, { error } otherwise
+   */
+  async pauseVoucher(voucherId) {
+    const voucher = await this.getVoucherById(voucherId);
+    if (!voucher) return { error: 'NOT_FOUND' };
+
+    const now = new Date();
+    const time = this.voucherTime(voucher, now);
+    let error = null;
+    const paused = await this.store.updateIf('vouchers', voucherId, current => {
+      error = this.getPauseError(current, true, now);
+      // A pause and resume in between started the clock again, it is measured from there
+      return !error && sameTime(this.runStart(current), this.runStart(voucher));
+    }, {
+      pausedAt: now,
+      timeUsedMs: time ? time.usedMs : 0,
+      timeLeftMs: voucher.expiresAt - now,
+      expiresAt: new Date(now.getTime() + this.pauseLimitMs)
+    });
+    if (!paused) return error ? { error } : this.pauseVoucher(voucherId);
+
+    const sessions = await this.endSessions({ voucherId }, 'paused');
+    return { voucher: paused, sessions };
+  }
+
+  /**
+   * Start a paused voucher's clock again, with a new session for the device resuming it.
+   * Nobody is online on a paused voucher, so the device takes its own place, the place of
+   * the session it resumes, or when all are taken the first one; the others get theirs
+   * back by redeeming the code again.
+   * @param {string} voucherId - Voucher ID
+   * @param {Object} device - { macAddress, ipAddress }
+   * @param {string} sessionId - Session being resumed, if the device still has it
+   * @returns {Promise<Object>} { voucher, sessionId } for the new session, { error } otherwise
+   */
+  async resumeVoucher(voucherId, device, sessionId = null) {
+    const voucher = await this.getVoucherById(voucherId);
+    if (!voucher) return { error: 'NOT_FOUND' };
+    // Nothing to come back to once the data allowance is used up
+    if ((await this.getVoucherQuota(voucher)).exhausted) return { error: 'DATA_USED' };
+
+    const now = new Date();
+    const devices = voucher.devices || [];
+    const place = devices.find(entry => this.isSameDevice(entry, device)) ||
+      devices.find(entry => entry.sessionId === sessionId) ||
+      (devices.length >= (voucher.maxDevices || 1) ? devices[0] : null);
+    const newSessionId = uuidv4();
+    let error = null;
+    const resumed = await this.store.updateIf('vouchers', voucherId, current => {
+      error = this.getPauseError(current, false, now);
+      return !error &&
+        sameTime(current.pausedAt, voucher.pausedAt) &&
+        deviceSessionIds(current) === deviceSessionIds(voucher);
+    }, {
+      pausedAt: null,
+      resumedAt: now,
+      expiresAt: new Date(now.getTime() + voucher.timeLeftMs),
+      timeLeftMs: null,
+      devices: [...devices.filter(entry => entry !== place), this.deviceEntry(device, newSessionId, now)]
+    });
+
+    if (resumed) return { voucher: resumed, sessionId: newSessionId };
+    // Paused again, or a device was taken off meanwhile, look again
+    return error ? { error } : this.resumeVoucher(voucherId, device, sessionId);
+  }
+
+  /**
+   * Mark active vouchers whose time is up as expired: unused ones past their
+   * redemption deadline and redeemed ones past the end of their access time
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Vouchers that were expired
+   */
+  async expireVouchers(now = new Date()) {
+    const isOver = voucher => voucher.status === 'active' && (voucher.isUsed
+      ? this.isAccessOver(voucher, now)
+      : Boolean(this.redemptionDeadline(voucher)) && this.redemptionDeadline(voucher) < now);
+
+    const candidates = await this.store.findAll('vouchers', {
+      status: 'active',
+      $or: [
+        { isUsed: true, expiresAt: { $lt: now } },
+        { isUsed: false, redeemBy: { $lt: now } },
+        { isUsed: false, redeemBy: null, saleExpiresAt: { $lt: now } }
+      ]
+    });
+
+    const expired = [];
+    for (const voucher of candidates) {
+      // Checked again as it is written, a voucher extended or redeemed meanwhile is left alone
+      const updated = await this.store.updateIf('vouchers', voucher.id, isOver, { status: 'expired' });
+      if (updated) expired.push(updated);
+    }
+    return expired;
+  }
+
+  // Store conditions for the voucher list filters
+  voucherWhere({ status, planId, batchId, duration, isUsed, ownerPhoneNumber } = {}) {
+    const where = {};
+    if (ownerPhoneNumber) where.ownerPhoneNumber = ownerPhoneNumber;
+    if (status) where.status = status;
+    if (planId) where.planId = planId;
+    if (batchId) where.batchId = batchId;
+    if (duration !== undefined) where.duration = duration;
+    if (isUsed !== undefined) where.isUsed = isUsed;
+    return where;
+  }
+
+  /**
+   * List vouchers page by page
+   * @param {Object} filters - { status, planId, batchId, duration, isUsed, ownerPhoneNumber }
+   * @param {Object} options - Pagination options, see paginate()
+   */
+  async listVouchers(filters = {}, options) {
+    return this.paginate('vouchers', this.voucherWhere(filters), options);
+  }
+
+  // Every matching voucher, oldest first - for exports
+  async getVouchers(filters = {}) {
+    const { rows } = await this.store.query('vouchers', {
+      where: this.voucherWhere(filters),
+      sort: { createdAt: 'asc' }
+    });
+    return rows;
+  }
+
+  async updateVoucher(id, updates) {
+    return this.store.update('vouchers', id, updates);
+  }
+
+  async deleteVoucher(id) {
+    return this.store.remove('vouchers', id);
+  }
+
+  // Batch operations - a batch is the set of vouchers made by one bulk request,
+  // labelled and owned by a reseller or site so it can be tracked and acted on as a whole
+  async createBatch(batchData) {
+    const id = uuidv4();
+    const batch = {
+      id,
+      label: null,
+      planId: null,
+      reseller: null,
+      site: null,
+      quantity: 0,
+      ...batchData,
+      status: 'active',
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    return this.store.insert('batches', batch);
   }
 
-  getAvailableVouchers() {
-    return Array.from(this.vouchers.values()).filter(v => !v.isUsed && v.status === 'active');
+  async getBatchById(id) {
+    return this.store.findById('batches', id);
+  }
+
+  async getAllBatches() {
+    return this.store.findAll('batches');
+  }
+
+  /**
+   * List batches page by page, newest first
+   * @param {Object} filters - { planId, reseller, site, status }
+   * @param {Object} options - Pagination options, see paginate()
+   */
+  async listBatches({ planId, reseller, site, status } = {}, options) {
+    const where = {};
+    if (planId) where.planId = planId;
+    if (reseller) where.reseller = reseller;
+    if (site) where.site = site;
+    if (status) where.status = status;
+    return this.paginate('batches', where, options);
+  }
+
+  async updateBatch(id, updates) {
+    return this.store.update('batches', id, { ...updates, updatedAt: new Date() });
+  }
+
+  async deleteBatch(id) {
+    return this.store.remove('batches', id);
+  }
+
+  /**
+   * Where the vouchers of a batch stand
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} { total, available, sold, used, disabled, revoked }
+   */
+  async getBatchStats(batchId) {
+    const count = where => this.store.count('vouchers', { batchId, ...where });
+    const total = await count({});
+    return {
+      total,
+      available: await count({ isUsed: false, status: 'active', soldAt: null }),
+      sold: total - await count({ soldAt: null }),
+      used: await count({ isUsed: true }),
+      disabled: await count({ status: 'disabled' }),
+      expired: await count({ status: 'expired' }),
+      revoked: await count({ status: 'revoked' })
+    };
   }
 
-  updateVoucher(id, updates) {
-    const voucher = this.vouchers.get(id);
-    if (voucher) {
-      Object.assign(voucher, updates);
-      this.vouchers.set(id, voucher);
-      return voucher;
+  /**
+   * Apply a change to every voucher of a batch that qualifies for it. Each voucher
+   * is checked again as it is written, so one redeemed meanwhile is left alone.
+   * @param {string} batchId - Batch ID
+   * @param {Function} condition - Receives a voucher, true to change it
+   * @param {Object|Function} updates - Fields to set, or a function of the voucher returning them
+   * @returns {Promise<Array>} Vouchers that were changed
+   */
+  async updateBatchVouchers(batchId, condition, updates) {
+    const changed = [];
+    for (const voucher of await this.store.findAll('vouchers', { batchId })) {
+      if (!condition(voucher)) continue;
+      const updated = await this.store.updateIf('vouchers', voucher.id, condition,
+        typeof updates === 'function' ? updates(voucher) : updates);
+      if (updated) changed.push(updated);
     }
+    return changed;
+  }
+
+  // Promotion operations - a promotion is a code that takes money off public plans.
+  //
+  // uses counts the payments holding or having used a promotion, and is only moved by
+  // compare-and-set so payments racing for the last use cannot take it past maxUses.
+  // Each use is a promoRedemptions record that follows its payment: held while the
+  // payment is pending, redeemed once it succeeds, released (giving the use back) once
+  // it fails. settlePromoRedemptions() catches them up with their payments.
+  async createPromotion(promotionData) {
+    const id = uuidv4();
+    const promotion = {
+      id,
+      name: null,
+      discountType: 'percent',
+      discountValue: 0,
+      maxDiscount: null,
+      planIds: [],
+      startsAt: null,
+      endsAt: null,
+      maxUses: null,
+      maxUsesPerPhone: null,
+      firstPurchaseOnly: false,
+      stackable: false,
+      isActive: true,
+      ...promotionData,
+      uses: 0,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    return this.store.insert('promotions', promotion);
+  }
+
+  async getPromotionById(id) {
+    return this.store.findById('promotions', id);
+  }
+
+  async getPromotionByCode(code) {
+    return this.store.findOne('promotions', { code });
+  }
+
+  async getAllPromotions() {
+    return this.store.findAll('promotions');
+  }
+
+  /**
+   * List promotions page by page, newest first
+   * @param {Object} filters - { isActive }
+   * @param {Object} options - Pagination options, see paginate()
+   */
+  async listPromotions({ isActive } = {}, options) {
+    const where = {};
+    if (isActive !== undefined) where.isActive = isActive;
+    return this.paginate('promotions', where, options);
+  }
+
+  async updatePromotion(id, updates) {
+    return this.store.update('promotions', id, { ...updates, updatedAt: new Date() });
+  }
+
+  async deletePromotion(id) {
+    return this.store.remove('promotions', id);
+  }
+
+  /**
+   * Why a promotion cannot be used on a plan right now, if it cannot
+   * @param {Object} promotion - Promotion record
+   * @param {string} planId - Plan being bought
+   * @param {Date} now - Current time
+   * @returns {string|null} INACTIVE, NOT_STARTED, ENDED, NOT_APPLICABLE, USED_UP or null
+   */
+  getPromotionError(promotion, planId, now = new Date()) {
+    if (!promotion.isActive) return 'INACTIVE';
+    if (promotion.startsAt && now < promotion.startsAt) return 'NOT_STARTED';
+    if (promotion.endsAt && now > promotion.endsAt) return 'ENDED';
+    if (promotion.planIds && promotion.planIds.length > 0 && !promotion.planIds.includes(planId)) return 'NOT_APPLICABLE';
+    if (promotion.maxUses && promotion.uses >= promotion.maxUses) return 'USED_UP';
     return null;
   }
 
+  // Move a promotion's use count, retrying when another payment moved it first
+  async adjustPromotionUses(id, delta) {
+    for (;;) {
+      const current = await this.getPromotionById(id);
+      if (!current) return null;
+      if (delta > 0 && (!current.isActive || (current.maxUses && current.uses >= current.maxUses))) return null;
+
+      const updated = await this.store.updateIf('promotions', id, promotion => promotion.uses === current.uses, {
+        uses: Math.max(current.uses + delta, 0)
+      });
+      if (updated) return updated;
+    }
+  }
+
+  /**
+   * Take one use of a promotion for a pending payment. The total is counted atomically;
+   * the per-phone cap (one use for first-purchase promotions) is checked again once the
+   * use is held, so payments from one phone at the same moment cannot all get under it -
+   * when they collide each of them backs out.
+   * @param {Object} promotion - Promotion record
+   * @param {Object} redemption - { paymentReference, phoneNumber, planId, discount, amount }
+   * @returns {Promise<Object>} { redemption } held for the payment, { error } otherwise:
+   *   USED_UP, PHONE_LIMIT or NOT_FIRST_PURCHASE
+   */
+  async claimPromotion(promotion, redemption) {
+    const current = await this.adjustPromotionUses(promotion.id, 1);
+    if (!current) return { error: 'USED_UP' };
+
+    const held = await this.store.insert('promoRedemptions', {
+      id: uuidv4(),
+      promotionId: current.id,
+      code: current.code,
+      ...redemption,
+      status: 'held',
+      createdAt: new Date()
+    });
+
+    const { phoneNumber } = redemption;
+    const phoneLimit = current.firstPurchaseOnly ? 1 : current.maxUsesPerPhone;
+    let error = null;
+    if (phoneNumber && phoneLimit && await this.countPhonePromoRedemptions(current.id, phoneNumber) > phoneLimit) {
+      error = 'PHONE_LIMIT';
+    } else if (phoneNumber && current.firstPurchaseOnly && await this.hasSuccessfulPayment(phoneNumber)) {
+      error = 'NOT_FIRST_PURCHASE';
+    }
+    if (error) {
+      await this.releasePromoRedemption(held);
+      return { error };
+    }
+    return { redemption: held };
+  }
+
+  // Give a held use back, once - a redemption already settled is left alone
+  async releasePromoRedemption(redemption) {
+    const released = await this.store.updateIf('promoRedemptions', redemption.id, current => current.status === 'held', {
+      status: 'released',
+      releasedAt: new Date()
+    });
+    if (released) await this.adjustPromotionUses(released.promotionId, -1);
+    return released;
+  }
+
+  async getPromoRedemptions(where = {}) {
+    return this.store.findAll('promoRedemptions', where);
+  }
+
+  async getAllPromoRedemptions() {
+    return this.store.findAll('promoRedemptions');
+  }
+
+  /**
+   * Settle held redemptions whose payment has finished: redeemed when it succeeded,
+   * released when it failed or was cancelled. Ones still pending stay held.
+   * @param {Object} where - Narrows the redemptions looked at, e.g. { promotionId }
+   * @returns {Promise<Object>} { redeemed, released } counts
+   */
+  async settlePromoRedemptions(where = {}) {
+    const settled = { redeemed: 0, released: 0 };
+    for (const redemption of await this.getPromoRedemptions({ ...where, status: 'held' })) {
+      const payment = await this.getPaymentByReference(redemption.paymentReference);
+      if (!payment || payment.status === 'pending') continue;
+
+      if (payment.status === 'success') {
+        const redeemed = await this.store.updateIf('promoRedemptions', redemption.id, current => current.status === 'held', {
+          status: 'redeemed',
+          redeemedAt: payment.completedAt || new Date()
+        });
+        if (redeemed) settled.redeemed++;
+      } else if (await this.releasePromoRedemption(redemption)) {
+        settled.released++;
+      }
+    }
+    return settled;
+  }
+
+  // Uses of a promotion by one phone number that still count against its per-phone cap
+  async countPhonePromoRedemptions(promotionId, phoneNumber) {
+    return this.store.count('promoRedemptions', { promotionId, phoneNumber, status: { $ne: 'released' } });
+  }
+
+  // Whether a phone number has bought anything before, for first-purchase promotions
+  async hasSuccessfulPayment(phoneNumber) {
+    return (await this.store.count('payments', { phoneNumber, status: 'success' })) > 0;
+  }
+
+  // Subscription operations - a phone number paying for a renewable plan period after
+  // period. Status is pending until the first payment goes through, then active, past_due
+  // while a failed renewal is being retried, and finally cancelled or lapsed.
+  // pendingPaymentReference is the charge in flight, at most one at a time.
+  async createSubscription(subscriptionData) {
+    const id = uuidv4();
+    const subscription = {
+      id,
+      status: 'pending',
+      voucherId: null,
+      periodStartsAt: null,
+      periodEndsAt: null,
+      nextRenewalAt: null,
+      nextAttemptAt: null,
+      graceEndsAt: null,
+      renewalAttempts: 0,
+      renewals: 0,
+      pendingPaymentReference: null,
+      noticedRenewalAt: null,
+      ...subscriptionData,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    return this.store.insert('subscriptions', subscription);
+  }
+
+  async getSubscriptionById(id) {
+    return this.store.findById('subscriptions', id);
+  }
+
+  async getAllSubscriptions() {
+    return this.store.findAll('subscriptions');
+  }
+
+  // Subscriptions that still bill or are waiting for their first payment
+  async getLiveSubscriptions(where = {}) {
+    return this.store.findAll('subscriptions', { ...where, status: { $in: ['pending', 'active', 'past_due'] } });
+  }
+
+  /**
+   * List subscriptions page by page, newest first
+   * @param {Object} filters - { status, phoneNumber, planId }
+   * @param {Object} options - Pagination options, see paginate()
+   */
+  async listSubscriptions({ status, phoneNumber, planId } = {}, options) {
+    const where = {};
+    if (status) where.status = status;
+    if (phoneNumber) where.phoneNumber = phoneNumber;
+    if (planId) where.planId = planId;
+    return this.paginate('subscriptions', where, options);
+  }
+
+  // Only change a subscription if it is still the way the caller saw it
+  async updateSubscriptionIf(id, condition, updates) {
+    return this.store.updateIf('subscriptions', id, condition, { ...updates, updatedAt: new Date() });
+  }
+
+  // Charges made for a subscription, newest first
+  async getSubscriptionPayments(subscriptionId) {
+    const { rows } = await this.store.query('payments', { where: { subscriptionId }, sort: { createdAt: 'desc' } });
+    return rows;
+  }
+
   // Payment operations
-  createPayment(paymentData) {
+  async createPayment(paymentData) {
     const id = uuidv4();
     const payment = {
       id,
@@ -145,64 +1254,400 @@ class Database {
       createdAt: new Date(),
       status: 'pending'
     };
-    this.payments.set(id, payment);
-    return payment;
+    return this.store.insert('payments', payment);
+  }
+
+  async getPaymentById(id) {
+    return this.store.findById('payments', id);
+  }
+
+  async getPaymentByReference(reference) {
+    return this.store.findOne('payments', { reference });
+  }
+
+  async updatePayment(id, updates) {
+    return this.store.update('payments', id, updates);
   }
 
-  getPaymentById(id) {
-    return this.payments.get(id);
+  // Only move a payment on if it is still in one of the expected states
+  async transitionPayment(id, fromStatuses, updates) {
+    return this.store.updateIf('payments', id, payment => fromStatuses.includes(payment.status), updates);
   }
 
-  updatePayment(id, updates) {
-    const payment = this.payments.get(id);
-    if (payment) {
-      Object.assign(payment, updates);
-      this.payments.set(id, payment);
-      return payment;
+  /**
+   * Fail payments that have been pending since before a cut-off
+   * @param {Date} before - Payments created earlier than this time out
+   * @returns {Promise<Array>} [{ before, after }] for each payment that timed out
+   */
+  async timeOutPendingPayments(before) {
+    const timedOut = [];
+    for (const payment of await this.store.findAll('payments', { status: 'pending', createdAt: { $lt: before } })) {
+      const updated = await this.transitionPayment(payment.id, ['pending'], {
+        status: 'failed',
+        failureReason: 'Payment timed out',
+        errorCode: 'TIMEOUT',
+        completedAt: new Date()
+      });
+      if (updated) timedOut.push({ before: payment, after: updated });
     }
-    return null;
+    return timedOut;
   }
 
-  getAllPayments() {
-    return Array.from(this.payments.values());
+  async getAllPayments() {
+    return this.store.findAll('payments');
   }
 
-  // Session operations
-  createSession(sessionData) {
-    const id = uuidv4();
+  /**
+   * List payments page by page
+   * @param {Object} filters - { status, paymentMethod, planId, userId, phoneNumber, startDate, endDate, minAmount, maxAmount }
+   * @param {Object} options - Pagination options, see paginate()
+   */
+  async listPayments(filters = {}, options) {
+    const { status, paymentMethod, planId, userId, phoneNumber, startDate, endDate, minAmount, maxAmount } = filters;
+    const where = {};
+    if (status) where.status = status;
+    if (paymentMethod) where.paymentMethod = paymentMethod;
+    if (planId) where.planId = planId;
+    if (userId) where.userId = userId;
+    if (phoneNumber) where.phoneNumber = phoneNumber;
+
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.$gte = new Date(startDate);
+      if (endDate) where.createdAt.$lte = new Date(endDate);
+    }
+
+    if (minAmount !== undefined || maxAmount !== undefined) {
+      where.amount = {};
+      if (minAmount !== undefined) where.amount.$gte = minAmount;
+      if (maxAmount !== undefined) where.amount.$lte = maxAmount;
+    }
+
+    return this.paginate('payments', where, options);
+  }
+
+  // Session operations - the id can be given, a voucher hands out its devices' session ids
+  async createSession(sessionData) {
+    const id = sessionData.id || uuidv4();
     const session = {
       id,
+      dataLimitBytes: null,
       ...sessionData,
+      bytesIn: 0,
+      bytesOut: 0,
       createdAt: new Date(),
-      isActive: true
+      isActive: true,
+      endedAt: null,
+      endReason: null
     };
-    this.sessions.set(id, session);
-    return session;
+    return this.store.insert('sessions', session);
+  }
+
+  /**
+   * When a session on a voucher has to end: with the voucher's access time, or earlier
+   * when the voucher's access hours close first
+   * @param {Object} voucher - Redeemed voucher
+   * @param {Date} now - Current time
+   * @returns {Object} { endTime, accessWindowEndsAt } - the second only set when it is the earlier
+   */
+  sessionEnd(voucher, now = new Date()) {
+    const windowEnd = accessWindowEnd(voucher.accessSchedule, now);
+    return windowEnd && windowEnd < voucher.expiresAt
+      ? { endTime: windowEnd, accessWindowEndsAt: windowEnd }
+      : { endTime: voucher.expiresAt, accessWindowEndsAt: null };
+  }
+
+  // A device's session on a redeemed voucher, it ends with the voucher's access time or access hours
+  async createVoucherSession(voucher, sessionId, device, { userId = null, startTime = new Date() } = {}) {
+    return this.createSession({
+      id: sessionId,
+      voucherId: voucher.id,
+      userId,
+      duration: voucher.duration,
+      dataLimit: voucher.dataLimit,
+      dataLimitBytes: this.dataLimitBytes(voucher),
+      startTime,
+      ...this.sessionEnd(voucher),
+      ...device
+    });
   }
 
-  getSessionById(id) {
-    return this.sessions.get(id);
+  async getSessionById(id) {
+    return this.store.findById('sessions', id);
   }
 
-  updateSession(id, updates) {
-    const session = this.sessions.get(id);
-    if (session) {
-      Object.assign(session, updates);
-      this.sessions.set(id, session);
-      return session;
+  async getAllSessions() {
+    return this.store.findAll('sessions');
+  }
+
+  async updateSession(id, updates) {
+    return this.store.update('sessions', id, updates);
+  }
+
+  // The running session of a device, for gateways that only tell us its MAC address
+  async getActiveSessionByMac(macAddress) {
+    if (!macAddress) return null;
+    const { rows } = await this.store.query('sessions', {
+      where: { macAddress, isActive: true }, sort: { startTime: 'desc' }, limit: 1
+    });
+    return rows[0] || null;
+  }
+
+  /**
+   * Record an accounting update for a session and end it once the quota is used up.
+   * The quota is shared by every device on the voucher, the caller ends their sessions too.
+   * @param {string} id - Session ID
+   * @param {Object} usage - Byte counters since the session started, as the gateway reports them
+   * @param {number} usage.bytesIn - Bytes downloaded
+   * @param {number} usage.bytesOut - Bytes uploaded
+   * @returns {Promise<Object|null>} Updated session, or null if there is no such session
+   */
+  async recordSessionUsage(id, { bytesIn, bytesOut }) {
+    const session = await this.getSessionById(id);
+    if (!session) return null;
+
+    // Counters only grow, so a late or repeated update cannot hand quota back
+    const now = new Date();
+    const updates = {
+      bytesIn: Math.max(session.bytesIn || 0, bytesIn),
+      bytesOut: Math.max(session.bytesOut || 0, bytesOut),
+      lastAccountingAt: now
+    };
+    const others = await this.getVoucherUsage(session.voucherId, id);
+    const total = { bytesIn: updates.bytesIn + others.bytesIn, bytesOut: updates.bytesOut + others.bytesOut };
+    if (session.isActive && quotaStatus({ dataLimitBytes: session.dataLimitBytes, ...total }).exhausted) {
+      Object.assign(updates, { isActive: false, endedAt: now, endReason: 'quota_exhausted' });
     }
-    return null;
+
+    const updated = await this.store.updateIf('sessions', id, current =>
+      (current.bytesIn || 0) === (session.bytesIn || 0) &&
+      (current.bytesOut || 0) === (session.bytesOut || 0) &&
+      current.isActive === session.isActive,
+    updates);
+
+    // Another update landed in between, apply ours on top of it
+    return updated || this.recordSessionUsage(id, { bytesIn, bytesOut });
+  }
+
+  /**
+   * End the active sessions matching a condition
+   * @param {Object} where - Store conditions, e.g. { voucherId }
+   * @param {string} endReason - Why they ended, e.g. 'quota_exhausted'
+   * @param {Function} condition - Checked again on each session as it is written
+   * @returns {Promise<Array>} Sessions that were ended
+   */
+  async endSessions(where, endReason, condition = () => true) {
+    const now = new Date();
+    const ended = [];
+    for (const session of await this.store.findAll('sessions', { ...where, isActive: true })) {
+      const updated = await this.store.updateIf('sessions', session.id,
+        current => current.isActive && condition(current),
+        { isActive: false, endedAt: now, endReason });
+      if (updated) ended.push(updated);
+    }
+    return ended;
+  }
+
+  /**
+   * End active sessions that are past their end time, those cut short by their
+   * voucher's access hours first so they are told apart
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Sessions that were ended
+   */
+  async closeFinishedSessions(now = new Date()) {
+    const outsideHours = await this.endSessions({ accessWindowEndsAt: { $lt: now } }, 'outside_access_hours',
+      session => Boolean(session.accessWindowEndsAt) && session.accessWindowEndsAt < now);
+    const expired = await this.endSessions({ endTime: { $lt: now } }, 'time_expired',
+      session => Boolean(session.endTime) && session.endTime < now);
+    return [...outsideHours, ...expired];
+  }
+
+  /**
+   * Bytes used by every session of a voucher - its devices share one data allowance
+   * @param {string} voucherId - Voucher ID
+   * @param {string} exceptSessionId - Leave this session out
+   * @returns {Promise<Object>} { bytesIn, bytesOut }
+   */
+  async getVoucherUsage(voucherId, exceptSessionId = null) {
+    const usage = { bytesIn: 0, bytesOut: 0 };
+    if (!voucherId) return usage;
+
+    for (const session of await this.store.findAll('sessions', { voucherId })) {
+      if (session.id === exceptSessionId) continue;
+      usage.bytesIn += session.bytesIn || 0;
+      usage.bytesOut += session.bytesOut || 0;
+    }
+    return usage;
+  }
+
+  // Where a voucher stands against its data allowance, over all its devices
+  async getVoucherQuota(voucher) {
+    return quotaStatus({ dataLimitBytes: this.dataLimitBytes(voucher), ...await this.getVoucherUsage(voucher.id) });
+  }
+
+  // Where a session stands against the data allowance it shares with the other devices on its voucher
+  async getSessionQuota(session) {
+    return quotaStatus({ dataLimitBytes: session.dataLimitBytes, ...await this.getVoucherUsage(session.voucherId) });
+  }
+
+  // Invalid voucher code attempts, one record per client: id is 'ip:<address>' or 'mac:<address>'
+  async getCodeAttempts(ids) {
+    const records = await Promise.all(ids.map(id => this.store.findById('codeAttempts', id)));
+    return records.filter(Boolean);
+  }
+
+  async listCodeAttempts(where = {}) {
+    const { rows } = await this.store.query('codeAttempts', { where, sort: { lastFailureAt: 'desc' } });
+    return rows;
+  }
+
+  /**
+   * Apply a change to a client's attempt record, creating it on first use. The record
+   * carries a version number so concurrent failures from one client are all counted.
+   * @param {string} id - Client ID
+   * @param {Function} change - (current record or null) => fields to set
+   * @returns {Promise<Object>} Updated record
+   */
+  async changeCodeAttempt(id, change) {
+    const current = await this.store.findById('codeAttempts', id);
+    const now = new Date();
+
+    if (!current) {
+      try {
+        return await this.store.insert('codeAttempts', { id, ...change(null), version: 1, createdAt: now, updatedAt: now });
+      } catch (error) {
+        if (isUniqueViolation(error)) return this.changeCodeAttempt(id, change);
+        throw error;
+      }
+    }
+
+    const updated = await this.store.updateIf('codeAttempts', id, record => record.version === current.version, {
+      ...change(current),
+      version: current.version + 1,
+      updatedAt: now
+    });
+    return updated || this.changeCodeAttempt(id, change);
+  }
+
+  async deleteCodeAttempt(id) {
+    return this.store.remove('codeAttempts', id);
+  }
+
+  // Sweeper runs, newest first
+  async createSweeperRun(runData) {
+    return this.store.insert('sweeperRuns', { id: uuidv4(), ...runData });
+  }
+
+  async listSweeperRuns(options = {}) {
+    return this.paginate('sweeperRuns', {}, options);
+  }
+
+  async pruneSweeperRuns(before) {
+    const old = await this.store.findAll('sweeperRuns', { createdAt: { $lt: before } });
+    for (const run of old) {
+      await this.store.remove('sweeperRuns', run.id);
+    }
+    return old.length;
+  }
+
+  // SMS log operations
+  async createSMSLog(logData) {
+    const id = uuidv4();
+    const smsLog = {
+      id,
+      ...logData,
+      status: 'pending',
+      createdAt: new Date(),
+      sentAt: null,
+      externalId: null,
+      error: null
+    };
+    return this.store.insert('smsLogs', smsLog);
+  }
+
+  async updateSMSLog(id, updates) {
+    return this.store.update('smsLogs', id, updates);
+  }
+
+  async getSMSLogs(where = {}) {
+    return this.store.findAll('smsLogs', where);
+  }
+
+  async deleteSMSLog(id) {
+    return this.store.remove('smsLogs', id);
+  }
+
+  // Audit log operations - append only, there is deliberately no update or delete
+  async appendAuditLog(entry) {
+    const id = uuidv4();
+    const auditLog = {
+      id,
+      ...entry,
+      createdAt: new Date()
+    };
+    return this.store.insert('auditLogs', auditLog);
+  }
+
+  auditLogWhere({ action, entityType, entityId, actorId, startDate, endDate } = {}) {
+    const where = {};
+    if (action) where.action = action;
+    if (entityType) where.entityType = entityType;
+    if (entityId) where.entityId = entityId;
+    if (actorId) where.actorId = actorId;
+
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.$gte = new Date(startDate);
+      if (endDate) where.createdAt.$lte = new Date(endDate);
+    }
+    return where;
+  }
+
+  /**
+   * List audit log entries page by page, newest first
+   * @param {Object} filters - { action, entityType, entityId, actorId, startDate, endDate }
+   * @param {Object} options - Pagination options, see paginate()
+   */
+  async listAuditLogs(filters = {}, options) {
+    return this.paginate('auditLogs', this.auditLogWhere(filters), options);
+  }
+
+  // Every matching entry, oldest first - for exports
+  async getAuditLogs(filters = {}) {
+    const { rows } = await this.store.query('auditLogs', {
+      where: this.auditLogWhere(filters),
+      sort: { createdAt: 'asc' }
+    });
+    return rows;
+  }
+
+  /**
+   * Insert records exactly as given, ids and timestamps included, all or nothing on the SQL stores.
+   * Only meant for restoring snapshots - everything else goes through the create methods.
+   * Vouchers from snapshots taken before codeKey was stored get it here.
+   * @param {Array<Object>} records - { collection, record } pairs, record dates revived
+   * @param {Object} options - Import options
+   * @param {string} options.replaceUserId - User removed in the same transaction, e.g. the bootstrap admin
+   * @returns {Promise<number>} Number of writes applied
+   */
+  async importRecords(records, { replaceUserId = null } = {}) {
+    const writes = records.map(({ collection, record }) => ({
+      collection,
+      insert: collection === 'vouchers' ? { ...record, codeKey: codeKey(record.code) } : record
+    }));
+    if (replaceUserId) {
+      writes.unshift({ collection: 'users', remove: replaceUserId });
+    }
+    return this.store.bulkWrite(writes);
   }
 
   // Analytics
-  getStats() {
-    const totalVouchers = this.vouchers.size;
-    const usedVouchers = Array.from(this.vouchers.values()).filter(v => v.isUsed).length;
-    const totalPayments = this.payments.size;
-    const successfulPayments = Array.from(this.payments.values()).filter(p => p.status === 'success').length;
-    const totalRevenue = Array.from(this.payments.values())
-      .filter(p => p.status === 'success')
-      .reduce((sum, p) => sum + p.amount, 0);
+  async getStats() {
+    const totalVouchers = await this.store.count('vouchers');
+    const usedVouchers = await this.store.count('vouchers', { isUsed: true });
+    const totalPayments = await this.store.count('payments');
+    const successfulPayments = await this.store.count('payments', { status: 'success' });
+    const totalRevenue = await this.store.sum('payments', 'amount', { status: 'success' });
 
     return {
       totalVouchers,
@@ -211,7 +1656,7 @@ class Database {
       totalPayments,
       successfulPayments,
       totalRevenue,
-      activeUsers: this.users.size
+      activeUsers: await this.store.count('users')
     };
   }
 }
@@ -219,10 +1664,4 @@ class Database {
 // Export singleton instance
 const dbInstance = new Database();
 
-// Add some logging
-console.log('📊 Database initialized with:');
-console.log(`- ${dbInstance.users.size} users`);
-console.log(`- ${dbInstance.vouchers.size} vouchers`);
-console.log(`- Admin user: admin@mowave.com / password`);
-
-module.exports = dbInstance;
\ No newline at end of file
+module.exports = dbInstance;
@@ -0,0 +1,16 @@
+// Fields each collection is looked up or filtered by with plain equality.
+// The memory store keeps hash indexes on these; the SQL stores declare the
+// matching expression indexes (plus createdAt for sorting) in their migrations.
+
+module.exports = {
+  users: ['email', 'role'],
+  plans: ['visibility'],
+  promotions: ['code', 'isActive'],
+  batches: ['planId', 'reseller', 'site', 'status'],
+  vouchers: ['code', 'codeKey', 'status', 'planId', 'batchId', 'ownerPhoneNumber'],
+  payments: ['reference', 'phoneNumber', 'status', 'planId', 'subscriptionId'],
+  subscriptions: ['phoneNumber', 'status', 'planId'],
+  promoRedemptions: ['promotionId', 'paymentReference', 'status'],
+  sessions: ['voucherId', 'isActive'],
+  auditLogs: ['action', 'entityType', 'entityId', 'actorId']
+};
@@ -0,0 +1,238 @@
+// PostgreSQL schema migrations, applied in order and recorded in schema_migrations.
+// Each one has an up and a down script so it can be rolled back.
+// Every collection is a table of JSONB documents keyed by id; lookups that matter
+// get an expression index on the document field.
+
+module.exports = [
+  {
+    version: 1,
+    name: 'create_core_tables',
+    up: `
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        data JSONB NOT NULL
+      );
+      CREATE UNIQUE INDEX users_email_idx ON users ((data->>'email'));
+
+      CREATE TABLE vouchers (
+        id TEXT PRIMARY KEY,
+        data JSONB NOT NULL
+      );
+      CREATE UNIQUE INDEX vouchers_code_idx ON vouchers ((data->>'code'));
+
+      CREATE TABLE payments (
+        id TEXT PRIMARY KEY,
+        data JSONB NOT NULL
+      );
+      CREATE UNIQUE INDEX payments_reference_idx ON payments ((data->>'reference'));
+
+      CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        data JSONB NOT NULL
+      );
+      CREATE INDEX sessions_voucher_idx ON sessions ((data->>'voucherId'));
+    `,
+    down: `
+      DROP TABLE sessions;
+      DROP TABLE payments;
+      DROP TABLE vouchers;
+      DROP TABLE users;
+    `
+  },
+  {
+    version: 2,
+    name: 'index_payment_phone',
+    up: `
+      CREATE INDEX payments_phone_idx ON payments ((data->>'phoneNumber'));
+    `,
+    down: `
+      DROP INDEX payments_phone_idx;
+    `
+  },
+  {
+    version: 3,
+    name: 'add_listing_indexes',
+    up: `
+      CREATE INDEX users_role_idx ON users ((data->>'role'));
+      CREATE INDEX users_created_idx ON users ((data->'createdAt'));
+      CREATE INDEX vouchers_status_idx ON vouchers ((data->>'status'));
+      CREATE INDEX vouchers_created_idx ON vouchers ((data->'createdAt'));
+      CREATE INDEX payments_status_idx ON payments ((data->>'status'));
+      CREATE INDEX payments_created_idx ON payments ((data->'createdAt'));
+    `,
+    down: `
+      DROP INDEX payments_created_idx;
+      DROP INDEX payments_status_idx;
+      DROP INDEX vouchers_created_idx;
+      DROP INDEX vouchers_status_idx;
+      DROP INDEX users_created_idx;
+      DROP INDEX users_role_idx;
+    `
+  },
+  {
+    version: 4,
+    name: 'create_sms_logs',
+    up: `
+      CREATE TABLE smsLogs (
+        id TEXT PRIMARY KEY,
+        data JSONB NOT NULL
+      );
+      CREATE INDEX sms_logs_created_idx ON smsLogs ((data->'createdAt'));
+    `,
+    down: `
+      DROP TABLE smsLogs;
+    `
+  },
+  {
+    version: 5,
+    name: 'create_audit_logs',
+    up: `
+      CREATE TABLE auditLogs (
+        id TEXT PRIMARY KEY,
+        data JSONB NOT NULL
+      );
+      CREATE INDEX audit_logs_created_idx ON auditLogs ((data->'createdAt'));
+      CREATE INDEX audit_logs_entity_idx ON auditLogs ((data->>'entityType'), (data->>'entityId'));
+      CREATE INDEX audit_logs_actor_idx ON auditLogs ((data->>'actorId'));
+    `,
+    down: `
+      DROP TABLE auditLogs;
+    `
+  },
+  {
+    version: 6,
+    name: 'create_plans',
+    up: `
+      CREATE TABLE plans (
+        id TEXT PRIMARY KEY,
+        data JSONB NOT NULL
+      );
+      CREATE INDEX vouchers_plan_idx ON vouchers ((data->>'planId'));
+      CREATE INDEX payments_plan_idx ON payments ((data->>'planId'));
+    `,
+    down: `
+      DROP INDEX payments_plan_idx;
+      DROP INDEX vouchers_plan_idx;
+      DROP TABLE plans;
+    `
+  },
+  {
+    version: 7,
+    name: 'add_voucher_code_key',
+    up: `
+      UPDATE vouchers SET data = jsonb_set(data, '{codeKey}', to_jsonb(upper(replace(data->>'code', '-', ''))));
+      CREATE INDEX vouchers_code_key_idx ON vouchers ((data->>'codeKey'));
+    `,
+    down: `
+      DROP INDEX vouchers_code_key_idx;
+      UPDATE vouchers SET data = data - 'codeKey';
+    `
+  },
+  {
+    version: 8,
+    name: 'add_voucher_batch_index',
+    up: `
+      CREATE INDEX vouchers_batch_idx ON vouchers ((data->>'batchId'));
+    `,
+    down: `
+      DROP INDEX vouchers_batch_idx;
+    `
+  },
+  {
+    version: 9,
+    name: 'create_batches',
+    up: `
+      CREATE TABLE batches (
+        id TEXT PRIMARY KEY,
+        data JSONB NOT NULL
+      );
+      CREATE INDEX batches_created_idx ON batches ((data->'createdAt'));
+      CREATE INDEX batches_reseller_idx ON batches ((data->>'reseller'));
+    `,
+    down: `
+      DROP TABLE batches;
+    `
+  },
+  {
+    version: 10,
+    name: 'create_code_attempts',
+    up: `
+      CREATE TABLE codeAttempts (
+        id TEXT PRIMARY KEY,
+        data JSONB NOT NULL
+      );
+    `,
+    down: `
+      DROP TABLE codeAttempts;
+    `
+  },
+  {
+    version: 11,
+    name: 'create_sweeper_runs',
+    up: `
+      CREATE TABLE sweeperRuns (
+        id TEXT PRIMARY KEY,
+        data JSONB NOT NULL
+      );
+      CREATE INDEX sweeper_runs_created_idx ON sweeperRuns ((data->'createdAt'));
+      CREATE INDEX sessions_active_idx ON sessions ((data->>'isActive'));
+    `,
+    down: `
+      DROP INDEX sessions_active_idx;
+      DROP TABLE sweeperRuns;
+    `
+  },
+  {
+    version: 12,
+    name: 'add_voucher_owner_index',
+    up: `
+      CREATE INDEX vouchers_owner_idx ON vouchers ((data->>'ownerPhoneNumber'));
+    `,
+    down: `
+      DROP INDEX vouchers_owner_idx;
+    `
+  },
+  {
+    version: 13,
+    name: 'create_promotions',
+    up: `
+      CREATE TABLE promotions (
+        id TEXT PRIMARY KEY,
+        data JSONB NOT NULL
+      );
+      CREATE UNIQUE INDEX promotions_code_idx ON promotions ((data->>'code'));
+      CREATE INDEX promotions_created_idx ON promotions ((data->'createdAt'));
+
+      CREATE TABLE promoRedemptions (
+        id TEXT PRIMARY KEY,
+        data JSONB NOT NULL
+      );
+      CREATE INDEX promo_redemptions_promotion_idx ON promoRedemptions ((data->>'promotionId'));
+      CREATE INDEX promo_redemptions_reference_idx ON promoRedemptions ((data->>'paymentReference'));
+      CREATE INDEX promo_redemptions_status_idx ON promoRedemptions ((data->>'status'));
+    `,
+    down: `
+      DROP TABLE promoRedemptions;
+      DROP TABLE promotions;
+    `
+  },
+  {
+    version: 14,
+    name: 'create_subscriptions',
+    up: `
+      CREATE TABLE subscriptions (
+        id TEXT PRIMARY KEY,
+        data JSONB NOT NULL
+      );
+      CREATE INDEX subscriptions_phone_idx ON subscriptions ((data->>'phoneNumber'));
+      CREATE INDEX subscriptions_status_idx ON subscriptions ((data->>'status'));
+      CREATE INDEX subscriptions_plan_idx ON subscriptions ((data->>'planId'));
+      CREATE INDEX subscriptions_created_idx ON subscriptions ((data->'createdAt'));
+      CREATE INDEX payments_subscription_idx ON payments ((data->>'subscriptionId'));
+    `,
+    down: `
+      DROP INDEX payments_subscription_idx;
+      DROP TABLE subscriptions;
+    `
+  }
+];
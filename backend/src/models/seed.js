@@ -0,0 +1,109 @@
+// Initial data for a fresh installation: the first admin account, optional demo plans and vouchers
+const bcrypt = require('bcryptjs');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const DEMO_PLANS = [
+  { name: '1 Hour', duration: 1, price: 1000, dataLimit: '500MB', sortOrder: 1 },
+  { name: '6 Hours', duration: 6, price: 5000, dataLimit: '2GB', sortOrder: 2, isFeatured: true },
+  { name: '1 Day', duration: 24, price: 10000, dataLimit: '5GB', sortOrder: 3 },
+  { name: '1 Week', duration: 168, price: 50000, dataLimit: '20GB', sortOrder: 4 }
+];
+
+/**
+ * Create the first admin account
+ * @param {Object} db - Database instance
+ * @param {Object} options - Admin credentials
+ * @param {string} options.email - Admin email
+ * @param {string} options.password - Admin password, never a built-in default
+ * @returns {Promise<Object>} { created, user }
+ */
+async function seedAdmin(db, { email, password }) {
+  if (!email || !password) {
+    throw new Error('Admin email and password are required');
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Admin password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const existingUser = await db.getUserByEmail(email);
+  if (existingUser) {
+    return { created: false, user: existingUser };
+  }
+
+  const user = await db.createUser({
+    email,
+    password: await bcrypt.hash(password, 10),
+    role: 'admin'
+  });
+
+  return { created: true, user };
+}
+
+/**
+ * Create the sample plan catalog, unless there already is one
+ * @param {Object} db - Database instance
+ * @returns {Promise<Array>} Plans in the catalog
+ */
+async function seedDemoPlans(db) {
+  const existing = await db.getAllPlans();
+  if (existing.length > 0) {
+    return existing;
+  }
+
+  const created = [];
+  for (const plan of DEMO_PLANS) {
+    created.push(await db.createPlan(plan));
+  }
+  return created;
+}
+
+/**
+ * Create a handful of demo vouchers for every plan, creating the demo plans if needed
+ * @param {Object} db - Database instance
+ * @param {number} perPlan - Vouchers per plan (default: 10)
+ * @returns {Promise<Array>} Created vouchers
+ */
+async function seedDemoVouchers(db, perPlan = 10) {
+  const created = [];
+
+  for (const plan of await seedDemoPlans(db)) {
+    for (let i = 0; i < perPlan; i++) {
+      created.push(await db.createVoucher(db.planTerms(plan)));
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Seed an empty store from ADMIN_EMAIL / ADMIN_PASSWORD, SEED_DEMO_PLANS and SEED_DEMO_VOUCHERS.
+ * Used on boot so the in-memory driver, which cannot be seeded from the CLI, still gets an admin.
+ * @param {Object} db - Database instance
+ */
+async function seedFromEnv(db) {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD, SEED_DEMO_PLANS, SEED_DEMO_VOUCHERS } = process.env;
+
+  if (ADMIN_EMAIL && ADMIN_PASSWORD && await db.store.count('users') === 0) {
+    await seedAdmin(db, { email: ADMIN_EMAIL, password: ADMIN_PASSWORD });
+    console.log(`👤 Created admin user ${ADMIN_EMAIL}`);
+  }
+
+  if (SEED_DEMO_PLANS === 'true' && await db.store.count('plans') === 0) {
+    const plans = await seedDemoPlans(db);
+    console.log(`📋 Created ${plans.length} demo plans`);
+  }
+
+  if (SEED_DEMO_VOUCHERS === 'true' && await db.store.count('vouchers') === 0) {
+    const vouchers = await seedDemoVouchers(db);
+    console.log(`🎫 Created ${vouchers.length} demo vouchers`);
+  }
+}
+
+module.exports = {
+  seedAdmin,
+  seedDemoPlans,
+  seedDemoVouchers,
+  seedFromEnv
+};
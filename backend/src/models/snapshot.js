@@ -0,0 +1,278 @@
+// Whole-installation snapshots: export every collection, audit log included, to a
+// versioned file and restore it into an empty store, e.g. to back up or move to another driver.
+//
+// Two file formats:
+//   json   - one document: { format, version, exportedAt, counts, collections: { users: [...], ... } }
+//   ndjson - gzipped, a header line { format, version, exportedAt, counts } followed by
+//            one { collection, record } line per record, for installations too big to read as one document
+//
+// Snapshots contain password hashes, treat them as secrets.
+const zlib = require('zlib');
+const { reviveRecord } = require('./stores/records');
+
+const SNAPSHOT_FORMAT = 'mowave-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+// Restored in this order, so records are in place before anything pointing at them
+const COLLECTIONS = ['users', 'plans', 'promotions', 'batches', 'vouchers', 'subscriptions', 'payments', 'promoRedemptions', 'sessions', 'smsLogs', 'auditLogs'];
+
+// Fields every record must have, and fields that must be unique within a collection
+const REQUIRED_FIELDS = {
+  users: ['email', 'password', 'role'],
+  plans: ['name', 'duration', 'price'],
+  promotions: ['code', 'discountType', 'discountValue'],
+  batches: ['quantity'],
+  vouchers: ['code'],
+  subscriptions: ['phoneNumber', 'planId', 'status'],
+  payments: ['reference', 'amount'],
+  promoRedemptions: ['promotionId', 'paymentReference'],
+  sessions: ['voucherId'],
+  smsLogs: ['phoneNumber', 'message'],
+  auditLogs: ['action', 'entityType']
+};
+
+const UNIQUE_FIELDS = {
+  users: ['email'],
+  promotions: ['code'],
+  vouchers: ['code'],
+  payments: ['reference']
+};
+
+const DATE_FIELD = /(At|Time)$/;
+
+/**
+ * Read every collection through the Database accessors
+ * @param {Object} db - Database instance
+ * @returns {Promise<Object>} Snapshot document
+ */
+async function exportSnapshot(db) {
+  const collections = {
+    users: await db.getAllUsers(),
+    plans: await db.getAllPlans(),
+    promotions: await db.getAllPromotions(),
+    batches: await db.getAllBatches(),
+    vouchers: await db.getAllVouchers(),
+    subscriptions: await db.getAllSubscriptions(),
+    payments: await db.getAllPayments(),
+    promoRedemptions: await db.getAllPromoRedemptions(),
+    sessions: await db.getAllSessions(),
+    smsLogs: await db.getSMSLogs(),
+    auditLogs: await db.getAuditLogs()
+  };
+
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    exportedAt: new Date(),
+    counts: countRecords(collections),
+    collections
+  };
+}
+
+function countRecords(collections) {
+  return Object.fromEntries(COLLECTIONS.map(name => [name, (collections[name] || []).length]));
+}
+
+/**
+ * Turn a snapshot into file contents
+ * @param {Object} snapshot - Snapshot document from exportSnapshot()
+ * @param {string} format - 'json' or 'ndjson' (gzipped)
+ * @returns {Buffer} File contents
+ */
+function serializeSnapshot(snapshot, format = 'json') {
+  if (format === 'json') {
+    return Buffer.from(JSON.stringify(snapshot));
+  }
+
+  if (format === 'ndjson') {
+    const { collections, ...header } = snapshot;
+    const lines = [JSON.stringify(header)];
+    for (const name of COLLECTIONS) {
+      for (const record of collections[name]) {
+        lines.push(JSON.stringify({ collection: name, record }));
+      }
+    }
+    return zlib.gzipSync(lines.join('\n') + '\n');
+  }
+
+  throw new Error(`Unknown snapshot format: ${format}`);
+}
+
+/**
+ * Read file contents in either format, gzipped or not
+ * @param {Buffer|string} contents - File contents
+ * @returns {Object} Snapshot document (not yet validated)
+ */
+function parseSnapshot(contents) {
+  let buffer = Buffer.isBuffer(contents) ? contents : Buffer.from(contents);
+
+  // gzip magic number
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    buffer = zlib.gunzipSync(buffer);
+  }
+
+  const text = buffer.toString('utf8');
+  try {
+    const snapshot = JSON.parse(text);
+    // A header line on its own is an ndjson snapshot with no records
+    return snapshot && !snapshot.collections ? { ...snapshot, collections: {} } : snapshot;
+  } catch (error) {
+    // Not a single document, so read it line by line
+  }
+
+  const lines = text.split('\n').filter(line => line.trim() !== '');
+  const parseLine = (line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${index + 1} is not valid JSON`);
+    }
+  };
+
+  const header = parseLine(lines[0] || '', 0);
+  const collections = {};
+  lines.slice(1).forEach((line, index) => {
+    const { collection, record } = parseLine(line, index + 1);
+    if (!collections[collection]) collections[collection] = [];
+    collections[collection].push(record);
+  });
+
+  return { ...header, collections };
+}
+
+/**
+ * Check a parsed snapshot before anything is written
+ * @param {Object} snapshot - Parsed snapshot
+ * @returns {Array<string>} Problems found, empty when the snapshot can be restored
+ */
+function validateSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object') {
+    return ['Snapshot is not an object'];
+  }
+
+  if (snapshot.format !== SNAPSHOT_FORMAT) {
+    return [`Not a ${SNAPSHOT_FORMAT} file`];
+  }
+
+  if (!Number.isInteger(snapshot.version) || snapshot.version < 1 || snapshot.version > SNAPSHOT_VERSION) {
+    return [`Unsupported snapshot version ${snapshot.version}, this installation reads up to version ${SNAPSHOT_VERSION}`];
+  }
+
+  const errors = [];
+  const collections = snapshot.collections || {};
+
+  for (const name of Object.keys(collections)) {
+    if (!COLLECTIONS.includes(name)) {
+      errors.push(`Unknown collection "${name}"`);
+    }
+  }
+
+  for (const name of COLLECTIONS) {
+    const records = collections[name] || [];
+    if (!Array.isArray(records)) {
+      errors.push(`Collection "${name}" is not a list`);
+      continue;
+    }
+
+    const seen = new Map((UNIQUE_FIELDS[name] || []).concat('id').map(field => [field, new Set()]));
+
+    records.forEach((record, index) => {
+      const at = `${name}[${index}]`;
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        errors.push(`${at} is not an object`);
+        return;
+      }
+
+      if (typeof record.id !== 'string' || record.id === '') {
+        errors.push(`${at} has no id`);
+      }
+
+      for (const field of REQUIRED_FIELDS[name]) {
+        if (record[field] === undefined || record[field] === null || record[field] === '') {
+          errors.push(`${at} is missing ${field}`);
+        }
+      }
+
+      for (const [field, values] of seen) {
+        const value = record[field];
+        if (value === undefined || value === null) continue;
+        if (values.has(value)) {
+          errors.push(`${at} repeats ${field} "${value}"`);
+        }
+        values.add(value);
+      }
+
+      for (const [field, value] of Object.entries(record)) {
+        if (DATE_FIELD.test(field) && value !== null && isNaN(new Date(value).getTime())) {
+          errors.push(`${at} has an invalid date in ${field}`);
+        }
+      }
+    });
+
+    if (snapshot.counts && snapshot.counts[name] !== undefined && snapshot.counts[name] !== records.length) {
+      errors.push(`Collection "${name}" has ${records.length} records, the header says ${snapshot.counts[name]}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Restore a snapshot into an empty store
+ * @param {Object} db - Database instance
+ * @param {Object} snapshot - Parsed snapshot
+ * @param {Object} options - Restore options
+ * @param {boolean} options.dryRun - Validate and report counts without writing anything
+ * @param {string} options.bootstrapAdminId - On a fresh installation the admin running the restore
+ *   may be the only record in the store; it is replaced by the snapshot's users
+ * @returns {Promise<Object>} { errors } when the snapshot cannot be restored, otherwise { dryRun, counts }
+ */
+async function restoreSnapshot(db, snapshot, { dryRun = false, bootstrapAdminId = null } = {}) {
+  const errors = validateSnapshot(snapshot);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const collections = snapshot.collections;
+  const counts = countRecords(collections);
+
+  const bootstrapAdmin = bootstrapAdminId ? await db.getUserById(bootstrapAdminId) : null;
+
+  for (const name of COLLECTIONS) {
+    const existing = await db.store.count(name);
+    const allowed = name === 'users' && bootstrapAdmin ? 1 : 0;
+    if (existing > allowed) {
+      errors.push(`The store already has ${existing} ${name}, restore only into an empty installation`);
+    }
+  }
+
+  if (bootstrapAdmin && !(collections.users || []).some(u => u.role === 'admin' && u.isActive !== false)) {
+    errors.push('The snapshot has no active admin account, restoring it would lock you out');
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  if (dryRun) {
+    return { dryRun: true, counts };
+  }
+
+  // A single transaction on the SQL stores: a restore that fails halfway leaves the store as it was
+  const records = COLLECTIONS.flatMap(name =>
+    (collections[name] || []).map(record => ({ collection: name, record: reviveRecord(record) }))
+  );
+  await db.importRecords(records, { replaceUserId: bootstrapAdmin ? bootstrapAdminId : null });
+
+  return { dryRun: false, counts };
+}
+
+module.exports = {
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_VERSION,
+  exportSnapshot,
+  serializeSnapshot,
+  parseSnapshot,
+  validateSnapshot,
+  restoreSnapshot
+};
@@ -0,0 +1,24 @@
+// Storage driver selection - DB_DRIVER picks where the Database keeps its records
+const MemoryStore = require('./memoryStore');
+
+function createStore(driver = process.env.DB_DRIVER || 'memory') {
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'postgres': {
+      // Drivers are required lazily so only the one in use needs its module installed
+      const PostgresStore = require('./postgresStore');
+      return new PostgresStore();
+    }
+    case 'sqlite': {
+      const SqliteStore = require('./sqliteStore');
+      return new SqliteStore();
+    }
+    default:
+      throw new Error(`Unsupported database driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createStore
+};
@@ -0,0 +1,261 @@
+// In-memory store - nothing survives a restart, use it for development and tests
+const indexedFields = require('../indexes');
+
+// Dates are compared by their timestamp, everything else as-is
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function indexKey(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+class MemoryStore {
+  constructor() {
+    this.collections = new Map();
+    this.indexes = new Map();
+  }
+
+  async connect() {
+    return this;
+  }
+
+  async close() {
+    this.collections.clear();
+    this.indexes.clear();
+  }
+
+  // Nothing to migrate, collections are created on first use
+  async migrate() {
+    return [];
+  }
+
+  async rollback() {
+    return [];
+  }
+
+  async migrationStatus() {
+    return [];
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+      this.indexes.set(name, new Map((indexedFields[name] || []).map(field => [field, new Map()])));
+    }
+    return this.collections.get(name);
+  }
+
+  // Secondary indexes: field -> value -> Set of record ids
+  addToIndexes(collection, record) {
+    for (const [field, index] of this.indexes.get(collection)) {
+      const key = indexKey(record[field]);
+      if (!index.has(key)) index.set(key, new Set());
+      index.get(key).add(record.id);
+    }
+  }
+
+  removeFromIndexes(collection, record) {
+    for (const [field, index] of this.indexes.get(collection)) {
+      const key = indexKey(record[field]);
+      const ids = index.get(key);
+      if (ids) {
+        ids.delete(record.id);
+        if (ids.size === 0) index.delete(key);
+      }
+    }
+  }
+
+  // Narrow the scan down with an index when the filter has an equality on an indexed field
+  candidates(collection, where) {
+    const records = this.collection(collection);
+    const indexes = this.indexes.get(collection);
+
+    for (const [field, value] of Object.entries(where)) {
+      const index = indexes.get(field);
+      if (index && value !== null && value !== undefined && typeof value !== 'object') {
+        const ids = index.get(indexKey(value)) || new Set();
+        return Array.from(ids, id => records.get(id));
+      }
+    }
+    return Array.from(records.values());
+  }
+
+  matchesCondition(actual, condition) {
+    if (condition === null || condition === undefined) {
+      return actual === null || actual === undefined;
+    }
+
+    if (typeof condition !== 'object' || condition instanceof Date) {
+      return comparable(actual) === comparable(condition);
+    }
+
+    return Object.entries(condition).every(([operator, expected]) => {
+      const value = comparable(actual);
+      const present = value !== undefined && value !== null;
+      switch (operator) {
+        case '$gt': return present && value > comparable(expected);
+        case '$gte': return present && value >= comparable(expected);
+        case '$lt': return present && value < comparable(expected);
+        case '$lte': return present && value <= comparable(expected);
+        case '$ne': return value !== comparable(expected);
+        case '$in': return expected.map(comparable).includes(value);
+        case '$contains':
+          return typeof actual === 'string' && actual.toLowerCase().includes(String(expected).toLowerCase());
+        default:
+          throw new Error(`Unsupported query operator: ${operator}`);
+      }
+    });
+  }
+
+  matches(record, where) {
+    return Object.entries(where).every(([field, condition]) => {
+      if (field === '$or') {
+        return condition.some(alternative => this.matches(record, alternative));
+      }
+      return this.matchesCondition(record[field], condition);
+    });
+  }
+
+  filter(collection, where) {
+    return this.candidates(collection, where).filter(record => this.matches(record, where));
+  }
+
+  async insert(collection, record) {
+    // Like a primary key on the SQL stores
+    if (this.collection(collection).has(record.id)) {
+      throw Object.assign(new Error(`Duplicate id ${record.id} in ${collection}`), { code: 'DUPLICATE_ID' });
+    }
+    this.collection(collection).set(record.id, { ...record });
+    this.addToIndexes(collection, record);
+    return { ...record };
+  }
+
+  async findById(collection, id) {
+    const record = this.collection(collection).get(id);
+    return record ? { ...record } : null;
+  }
+
+  async findOne(collection, where = {}) {
+    const record = this.candidates(collection, where).find(r => this.matches(r, where));
+    return record ? { ...record } : null;
+  }
+
+  async findAll(collection, where = {}) {
+    return this.filter(collection, where).map(record => ({ ...record }));
+  }
+
+  async count(collection, where = {}) {
+    return this.filter(collection, where).length;
+  }
+
+  async sum(collection, field, where = {}) {
+    return this.filter(collection, where).reduce((total, record) => total + (Number(record[field]) || 0), 0);
+  }
+
+  /**
+   * Filtered, sorted and paginated listing
+   * @param {string} collection - Collection name
+   * @param {Object} options - Query options
+   * @param {Object} options.where - Field conditions: a value for equality, null for missing,
+   *   or operators { $gt, $gte, $lt, $lte, $ne, $in, $contains }; $or takes a list of conditions
+   * @param {Object} options.sort - Field to direction, e.g. { createdAt: 'desc' }
+   * @param {number} options.limit - Page size
+   * @param {number} options.offset - Records to skip
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async query(collection, { where = {}, sort = {}, limit, offset = 0 } = {}) {
+    const records = this.filter(collection, where);
+    const order = Object.entries(sort);
+
+    if (order.length > 0) {
+      records.sort((a, b) => {
+        for (const [field, direction] of order) {
+          const left = comparable(a[field]);
+          const right = comparable(b[field]);
+          if (left === right) continue;
+          const result = left === undefined || left === null || left < right ? -1 : 1;
+          return direction === 'desc' ? -result : result;
+        }
+        return 0;
+      });
+    }
+
+    const page = limit !== undefined ? records.slice(offset, offset + limit) : records.slice(offset);
+    return {
+      rows: page.map(record => ({ ...record })),
+      total: records.length
+    };
+  }
+
+  /**
+   * Count records, and total numeric fields, per distinct combination of field values
+   * @param {string} collection - Collection name
+   * @param {Object} options - Grouping options
+   * @param {Object} options.where - Conditions, in the same format as query
+   * @param {Array<string>} options.by - Fields to group on
+   * @param {string} options.day - Timestamp field to group on by UTC calendar day, reported as `day`
+   * @param {Array<string>} options.sum - Numeric fields to total per group
+   * @returns {Promise<Array>} One row per group: its field values, `count` and a total per summed field
+   */
+  async group(collection, { where = {}, by = [], day, sum = [] } = {}) {
+    const groups = new Map();
+
+    for (const record of this.filter(collection, where)) {
+      const values = Object.fromEntries(by.map(field => [field, record[field] ?? null]));
+      if (day) values.day = record[day] ? new Date(record[day]).toISOString().slice(0, 10) : null;
+
+      const key = JSON.stringify(values);
+      if (!groups.has(key)) {
+        groups.set(key, { ...values, count: 0, ...Object.fromEntries(sum.map(field => [field, 0])) });
+      }
+      const group = groups.get(key);
+      group.count++;
+      for (const field of sum) group[field] += Number(record[field]) || 0;
+    }
+
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Apply inserts and removals in order, as one unit on the SQL stores
+   * @param {Array<Object>} writes - { collection, insert: record } or { collection, remove: id }
+   * @returns {Promise<number>} Number of writes applied
+   */
+  async bulkWrite(writes) {
+    for (const write of writes) {
+      if (write.insert) {
+        await this.insert(write.collection, write.insert);
+      } else {
+        await this.remove(write.collection, write.remove);
+      }
+    }
+    return writes.length;
+  }
+
+  async update(collection, id, updates) {
+    return this.updateIf(collection, id, () => true, updates);
+  }
+
+  // Check and write happen in the same tick, so no other request can interleave
+  async updateIf(collection, id, condition, updates) {
+    const record = this.collection(collection).get(id);
+    if (!record || !condition({ ...record })) return null;
+
+    this.removeFromIndexes(collection, record);
+    Object.assign(record, updates);
+    this.addToIndexes(collection, record);
+    return { ...record };
+  }
+
+  async remove(collection, id) {
+    const records = this.collection(collection);
+    const record = records.get(id);
+    if (!record) return false;
+
+    this.removeFromIndexes(collection, record);
+    return records.delete(id);
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,369 @@
+// PostgreSQL store - records live as JSONB documents, one table per collection
+const { Pool } = require('pg');
+const migrations = require('../migrations/postgres');
+const { reviveRecord, assertFieldName, toTextParam } = require('./records');
+
+class PostgresStore {
+  /**
+   * @param {Object} options - Connection options
+   * @param {Object} options.pool - Optional ready-made pool (e.g. from pg-mem)
+   */
+  constructor(options = {}) {
+    this.pool = options.pool || new Pool({
+      connectionString: process.env.DATABASE_URL,
+      host: process.env.DB_HOST,
+      port: process.env.DB_PORT ? parseInt(process.env.DB_PORT) : undefined,
+      database: process.env.DB_NAME,
+      user: process.env.DB_USER,
+      password: process.env.DB_PASSWORD,
+      ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : undefined
+    });
+    this.migrationsTableReady = false;
+  }
+
+  async connect() {
+    await this.pool.query('SELECT 1');
+    return this;
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  async ensureMigrationsTable() {
+    if (this.migrationsTableReady) return;
+
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    this.migrationsTableReady = true;
+  }
+
+  async appliedMigrations() {
+    await this.ensureMigrationsTable();
+    const { rows } = await this.pool.query(
+      'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+    );
+    return rows;
+  }
+
+  /**
+   * Apply pending migrations, each one in its own transaction
+   * @param {number} target - Highest version to apply (default: latest)
+   * @returns {Promise<Array>} Applied migration versions
+   */
+  async migrate(target = Infinity) {
+    const applied = new Set((await this.appliedMigrations()).map(row => row.version));
+    const pending = migrations.filter(m => !applied.has(m.version) && m.version <= target);
+
+    for (const migration of pending) {
+      try {
+        await this.transaction(async client => {
+          await client.query(migration.up);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+            [migration.version, migration.name]
+          );
+        });
+        console.log(`🗄️  Applied migration ${migration.version}_${migration.name}`);
+      } catch (error) {
+        throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+      }
+    }
+
+    return pending.map(m => m.version);
+  }
+
+  /**
+   * Roll back the most recently applied migrations
+   * @param {number} steps - How many migrations to undo (default: 1)
+   * @returns {Promise<Array>} Rolled back migration versions
+   */
+  async rollback(steps = 1) {
+    const applied = (await this.appliedMigrations()).map(row => row.version).reverse().slice(0, steps);
+    const rolledBack = [];
+
+    for (const version of applied) {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Migration ${version} is applied but unknown to this version of the code`);
+      }
+
+      try {
+        await this.transaction(async client => {
+          await client.query(migration.down);
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+        });
+        console.log(`🗄️  Rolled back migration ${migration.version}_${migration.name}`);
+        rolledBack.push(version);
+      } catch (error) {
+        throw new Error(`Rollback of ${migration.version}_${migration.name} failed: ${error.message}`);
+      }
+    }
+
+    return rolledBack;
+  }
+
+  /**
+   * List every known migration and whether it has been applied
+   * @returns {Promise<Array>} Migration status rows
+   */
+  async migrationStatus() {
+    const applied = new Map((await this.appliedMigrations()).map(row => [row.version, row]));
+    return migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied: applied.has(m.version),
+      appliedAt: applied.has(m.version) ? new Date(applied.get(m.version).applied_at) : null
+    }));
+  }
+
+  /**
+   * Run a callback inside a transaction on a dedicated client
+   * @param {Function} callback - Receives the client, its result is returned
+   */
+  async transaction(callback) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  table(collection) {
+    return assertFieldName(collection);
+  }
+
+  // Compile a where object (see MemoryStore.query for the format) into SQL conditions
+  compileWhere(where, params) {
+    const clauses = Object.entries(where).map(([field, condition]) => {
+      if (field === '$or') {
+        return `(${condition.map(alternative => `(${this.compileWhere(alternative, params)})`).join(' OR ')})`;
+      }
+
+      assertFieldName(field);
+      if (condition === null || condition === undefined) {
+        return `data->>'${field}' IS NULL`;
+      }
+      if (typeof condition !== 'object' || condition instanceof Date) {
+        params.push(toTextParam(condition));
+        return `data->>'${field}' = $${params.length}`;
+      }
+
+      return Object.entries(condition).map(([operator, value]) => {
+        switch (operator) {
+          case '$gt':
+          case '$gte':
+          case '$lt':
+          case '$lte': {
+            const sqlOperator = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' }[operator];
+            params.push(toTextParam(value));
+            // Numbers compare numerically, dates as ISO strings (which sort chronologically)
+            return typeof value === 'number'
+              ? `(data->>'${field}')::numeric ${sqlOperator} $${params.length}::numeric`
+              : `data->>'${field}' ${sqlOperator} $${params.length}`;
+          }
+          case '$ne':
+            params.push(toTextParam(value));
+            return `(data->>'${field}' IS NULL OR data->>'${field}' <> $${params.length})`;
+          case '$in': {
+            const placeholders = value.map(v => {
+              params.push(toTextParam(v));
+              return `$${params.length}`;
+            });
+            return `data->>'${field}' IN (${placeholders.join(', ') || 'NULL'})`;
+          }
+          case '$contains':
+            params.push(`%${String(value).replace(/[\\%_]/g, '\\$&')}%`);
+            return `data->>'${field}' ILIKE $${params.length}`;
+          default:
+            throw new Error(`Unsupported query operator: ${operator}`);
+        }
+      }).join(' AND ');
+    });
+    return clauses.length > 0 ? clauses.join(' AND ') : 'TRUE';
+  }
+
+  buildWhere(where, params) {
+    return `WHERE ${this.compileWhere(where, params)}`;
+  }
+
+  // jsonb ordering keeps numbers numeric and ISO timestamps chronological
+  buildOrderBy(sort) {
+    const order = Object.entries(sort).map(([field, direction]) =>
+      `data->'${assertFieldName(field)}' ${direction === 'desc' ? 'DESC' : 'ASC'}`
+    );
+    return order.length > 0 ? `ORDER BY ${order.join(', ')}` : '';
+  }
+
+  async insert(collection, record) {
+    const { rows } = await this.pool.query(
+      `INSERT INTO ${this.table(collection)} (id, data) VALUES ($1, $2::jsonb) RETURNING data`,
+      [record.id, JSON.stringify(record)]
+    );
+    return reviveRecord(rows[0].data);
+  }
+
+  async findById(collection, id) {
+    const { rows } = await this.pool.query(
+      `SELECT data FROM ${this.table(collection)} WHERE id = $1`,
+      [id]
+    );
+    return rows.length > 0 ? reviveRecord(rows[0].data) : null;
+  }
+
+  async findOne(collection, where = {}) {
+    const params = [];
+    const { rows } = await this.pool.query(
+      `SELECT data FROM ${this.table(collection)} ${this.buildWhere(where, params)} LIMIT 1`,
+      params
+    );
+    return rows.length > 0 ? reviveRecord(rows[0].data) : null;
+  }
+
+  async findAll(collection, where = {}) {
+    const params = [];
+    const { rows } = await this.pool.query(
+      `SELECT data FROM ${this.table(collection)} ${this.buildWhere(where, params)}`,
+      params
+    );
+    return rows.map(row => reviveRecord(row.data));
+  }
+
+  async count(collection, where = {}) {
+    const params = [];
+    const { rows } = await this.pool.query(
+      `SELECT COUNT(*) AS total FROM ${this.table(collection)} ${this.buildWhere(where, params)}`,
+      params
+    );
+    return parseInt(rows[0].total);
+  }
+
+  async sum(collection, field, where = {}) {
+    const params = [];
+    const { rows } = await this.pool.query(
+      `SELECT COALESCE(SUM((data->>'${assertFieldName(field)}')::numeric), 0) AS total
+       FROM ${this.table(collection)} ${this.buildWhere(where, params)}`,
+      params
+    );
+    return Number(rows[0].total);
+  }
+
+  async query(collection, { where = {}, sort = {}, limit, offset = 0 } = {}) {
+    const params = [];
+    const whereSql = this.buildWhere(where, params);
+    const pageParams = [...params];
+    let pageSql = '';
+    if (limit !== undefined) {
+      pageParams.push(limit);
+      pageSql += ` LIMIT $${pageParams.length}`;
+    }
+    pageParams.push(offset);
+    pageSql += ` OFFSET $${pageParams.length}`;
+
+    const [{ rows }, total] = await Promise.all([
+      this.pool.query(
+        `SELECT data FROM ${this.table(collection)} ${whereSql} ${this.buildOrderBy(sort)}${pageSql}`,
+        pageParams
+      ),
+      this.pool.query(`SELECT COUNT(*) AS total FROM ${this.table(collection)} ${whereSql}`, params)
+    ]);
+
+    return {
+      rows: rows.map(row => reviveRecord(row.data)),
+      total: parseInt(total.rows[0].total)
+    };
+  }
+
+  // See MemoryStore.group. Grouping on the jsonb value keeps true and 1 apart
+  async group(collection, { where = {}, by = [], day, sum = [] } = {}) {
+    const params = [];
+    const keys = by.map((field, i) => [`g${i}`, `data->'${assertFieldName(field)}'`]);
+    if (day) keys.push(['day', `substr(data->>'${assertFieldName(day)}', 1, 10)`]);
+    const totals = sum.map((field, i) =>
+      `COALESCE(SUM((data->>'${assertFieldName(field)}')::numeric), 0) AS s${i}`
+    );
+
+    const { rows } = await this.pool.query(
+      `SELECT ${[...keys.map(([alias, sql]) => `${sql} AS ${alias}`), 'COUNT(*) AS count', ...totals].join(', ')}
+       FROM ${this.table(collection)} ${this.buildWhere(where, params)}
+       ${keys.length > 0 ? `GROUP BY ${keys.map(([, sql]) => sql).join(', ')}` : ''}`,
+      params
+    );
+
+    return rows
+      .filter(row => keys.length > 0 || parseInt(row.count) > 0)
+      .map(row => ({
+        ...Object.fromEntries(by.map((field, i) => [field, row[`g${i}`] ?? null])),
+        ...(day ? { day: row.day } : {}),
+        count: parseInt(row.count),
+        ...Object.fromEntries(sum.map((field, i) => [field, Number(row[`s${i}`])]))
+      }));
+  }
+
+  // See MemoryStore.bulkWrite. One transaction, so either every write lands or none does
+  async bulkWrite(writes) {
+    return this.transaction(async client => {
+      for (const write of writes) {
+        const table = this.table(write.collection);
+        if (write.insert) {
+          await client.query(
+            `INSERT INTO ${table} (id, data) VALUES ($1, $2::jsonb)`,
+            [write.insert.id, JSON.stringify(write.insert)]
+          );
+        } else {
+          await client.query(`DELETE FROM ${table} WHERE id = $1`, [write.remove]);
+        }
+      }
+      return writes.length;
+    });
+  }
+
+  async update(collection, id, updates) {
+    return this.updateIf(collection, id, () => true, updates);
+  }
+
+  /**
+   * Compare-and-set: apply updates only if the locked, current record passes the condition
+   * @param {string} collection - Collection name
+   * @param {string} id - Record id
+   * @param {Function} condition - Receives the current record, returns true to proceed
+   * @param {Object} updates - Fields to merge into the record
+   * @returns {Promise<Object|null>} Updated record, or null if missing or the condition failed
+   */
+  async updateIf(collection, id, condition, updates) {
+    const table = this.table(collection);
+    return this.transaction(async client => {
+      const { rows } = await client.query(
+        `SELECT data FROM ${table} WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+      if (rows.length === 0 || !condition(reviveRecord(rows[0].data))) return null;
+
+      const data = JSON.stringify({ ...rows[0].data, ...updates });
+      await client.query(`UPDATE ${table} SET data = $2::jsonb WHERE id = $1`, [id, data]);
+      return reviveRecord(data);
+    });
+  }
+
+  async remove(collection, id) {
+    const { rowCount } = await this.pool.query(
+      `DELETE FROM ${this.table(collection)} WHERE id = $1`,
+      [id]
+    );
+    return rowCount > 0;
+  }
+}
+
+module.exports = PostgresStore;
@@ -0,0 +1,45 @@
+// Helpers for stores that keep records as JSON documents
+
+// Timestamps are named like createdAt, startTime or redeemBy; a createdBy holding a user id is left alone
+const DATE_FIELD = /(At|Time|By)$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T/;
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// JSON has no date type, so timestamps come back as ISO strings
+function reviveRecord(data) {
+  if (!data) return null;
+
+  const record = typeof data === 'string' ? JSON.parse(data) : { ...data };
+  for (const [field, value] of Object.entries(record)) {
+    if (DATE_FIELD.test(field) && typeof value === 'string' && ISO_DATE.test(value)) {
+      record[field] = new Date(value);
+    }
+  }
+  return record;
+}
+
+// Field names end up inside SQL expressions, so only plain identifiers are allowed
+function assertFieldName(field) {
+  if (!FIELD_NAME.test(field)) {
+    throw new Error(`Invalid field name: ${field}`);
+  }
+  return field;
+}
+
+// Values compared against the text form of a JSON field
+function toTextParam(value) {
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+// Insert that broke a unique index or took an existing id, e.g. a duplicate voucher code
+function isUniqueViolation(error) {
+  return ['23505', 'SQLITE_CONSTRAINT_UNIQUE', 'SQLITE_CONSTRAINT_PRIMARYKEY', 'DUPLICATE_ID'].includes(error.code);
+}
+
+module.exports = {
+  reviveRecord,
+  isUniqueViolation,
+  assertFieldName,
+  toTextParam
+};
@@ -0,0 +1,314 @@
+// SQLite store - the whole installation in one file, for single-box deployments
+const fs = require('fs');
+const path = require('path');
+const Sqlite = require('better-sqlite3');
+const migrations = require('../migrations/sqlite');
+const { reviveRecord, assertFieldName } = require('./records');
+
+class SqliteStore {
+  /**
+   * @param {Object} options - Connection options
+   * @param {string} options.filename - Database file, ':memory:' for a throwaway database
+   */
+  constructor(options = {}) {
+    this.filename = options.filename || process.env.SQLITE_PATH || path.join(__dirname, '../../../data/mowave.db');
+    this.db = null;
+  }
+
+  async connect() {
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Sqlite(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    return this;
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  ensureMigrationsTable() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      )
+    `);
+  }
+
+  appliedMigrations() {
+    this.ensureMigrationsTable();
+    return this.db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+  }
+
+  /**
+   * Apply pending migrations, each one in its own transaction
+   * @param {number} target - Highest version to apply (default: latest)
+   * @returns {Promise<Array>} Applied migration versions
+   */
+  async migrate(target = Infinity) {
+    const applied = new Set(this.appliedMigrations().map(row => row.version));
+    const pending = migrations.filter(m => !applied.has(m.version) && m.version <= target);
+
+    for (const migration of pending) {
+      try {
+        this.db.transaction(() => {
+          this.db.exec(migration.up);
+          this.db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)')
+            .run(migration.version, migration.name);
+        })();
+        console.log(`🗄️  Applied migration ${migration.version}_${migration.name}`);
+      } catch (error) {
+        throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+      }
+    }
+
+    return pending.map(m => m.version);
+  }
+
+  /**
+   * Roll back the most recently applied migrations
+   * @param {number} steps - How many migrations to undo (default: 1)
+   * @returns {Promise<Array>} Rolled back migration versions
+   */
+  async rollback(steps = 1) {
+    const applied = this.appliedMigrations().map(row => row.version).reverse().slice(0, steps);
+    const rolledBack = [];
+
+    for (const version of applied) {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Migration ${version} is applied but unknown to this version of the code`);
+      }
+
+      try {
+        this.db.transaction(() => {
+          this.db.exec(migration.down);
+          this.db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(version);
+        })();
+        console.log(`🗄️  Rolled back migration ${migration.version}_${migration.name}`);
+        rolledBack.push(version);
+      } catch (error) {
+        throw new Error(`Rollback of ${migration.version}_${migration.name} failed: ${error.message}`);
+      }
+    }
+
+    return rolledBack;
+  }
+
+  /**
+   * List every known migration and whether it has been applied
+   * @returns {Promise<Array>} Migration status rows
+   */
+  async migrationStatus() {
+    const applied = new Map(this.appliedMigrations().map(row => [row.version, row]));
+    return migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied: applied.has(m.version),
+      appliedAt: applied.has(m.version) ? new Date(applied.get(m.version).applied_at) : null
+    }));
+  }
+
+  table(collection) {
+    return assertFieldName(collection);
+  }
+
+  // json_extract() hands back SQL values: JSON booleans become 1/0
+  toParam(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+  }
+
+  // Compile a where object (see MemoryStore.query for the format) into SQL conditions
+  compileWhere(where, params) {
+    const clauses = Object.entries(where).map(([field, condition]) => {
+      if (field === '$or') {
+        return `(${condition.map(alternative => `(${this.compileWhere(alternative, params)})`).join(' OR ')})`;
+      }
+
+      const column = `json_extract(data, '$.${assertFieldName(field)}')`;
+      if (condition === null || condition === undefined) {
+        return `${column} IS NULL`;
+      }
+      if (typeof condition !== 'object' || condition instanceof Date) {
+        params.push(this.toParam(condition));
+        return `${column} = ?`;
+      }
+
+      return Object.entries(condition).map(([operator, value]) => {
+        switch (operator) {
+          case '$gt':
+          case '$gte':
+          case '$lt':
+          case '$lte':
+            params.push(this.toParam(value));
+            return `${column} ${{ $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' }[operator]} ?`;
+          case '$ne':
+            params.push(this.toParam(value));
+            return `(${column} IS NULL OR ${column} <> ?)`;
+          case '$in':
+            params.push(...value.map(v => this.toParam(v)));
+            return `${column} IN (${value.map(() => '?').join(', ') || 'NULL'})`;
+          case '$contains':
+            params.push(`%${String(value).replace(/[\\%_]/g, '\\$&')}%`);
+            return `${column} LIKE ? ESCAPE '\\'`;
+          default:
+            throw new Error(`Unsupported query operator: ${operator}`);
+        }
+      }).join(' AND ');
+    });
+    return clauses.length > 0 ? clauses.join(' AND ') : '1';
+  }
+
+  buildWhere(where, params) {
+    return `WHERE ${this.compileWhere(where, params)}`;
+  }
+
+  buildOrderBy(sort) {
+    const order = Object.entries(sort).map(([field, direction]) =>
+      `json_extract(data, '$.${assertFieldName(field)}') ${direction === 'desc' ? 'DESC' : 'ASC'}`
+    );
+    return order.length > 0 ? `ORDER BY ${order.join(', ')}` : '';
+  }
+
+  async insert(collection, record) {
+    const data = JSON.stringify(record);
+    this.db.prepare(`INSERT INTO ${this.table(collection)} (id, data) VALUES (?, ?)`)
+      .run(record.id, data);
+    return reviveRecord(data);
+  }
+
+  async findById(collection, id) {
+    const row = this.db.prepare(`SELECT data FROM ${this.table(collection)} WHERE id = ?`).get(id);
+    return row ? reviveRecord(row.data) : null;
+  }
+
+  async findOne(collection, where = {}) {
+    const params = [];
+    const row = this.db
+      .prepare(`SELECT data FROM ${this.table(collection)} ${this.buildWhere(where, params)} LIMIT 1`)
+      .get(...params);
+    return row ? reviveRecord(row.data) : null;
+  }
+
+  async findAll(collection, where = {}) {
+    const params = [];
+    return this.db
+      .prepare(`SELECT data FROM ${this.table(collection)} ${this.buildWhere(where, params)}`)
+      .all(...params)
+      .map(row => reviveRecord(row.data));
+  }
+
+  async count(collection, where = {}) {
+    const params = [];
+    const row = this.db
+      .prepare(`SELECT COUNT(*) AS total FROM ${this.table(collection)} ${this.buildWhere(where, params)}`)
+      .get(...params);
+    return row.total;
+  }
+
+  async sum(collection, field, where = {}) {
+    const params = [];
+    const row = this.db
+      .prepare(`SELECT TOTAL(json_extract(data, '$.${assertFieldName(field)}')) AS total
+        FROM ${this.table(collection)} ${this.buildWhere(where, params)}`)
+      .get(...params);
+    return row.total;
+  }
+
+  async query(collection, { where = {}, sort = {}, limit, offset = 0 } = {}) {
+    const params = [];
+    const whereSql = this.buildWhere(where, params);
+    const table = this.table(collection);
+
+    const rows = this.db
+      .prepare(`SELECT data FROM ${table} ${whereSql} ${this.buildOrderBy(sort)} LIMIT ? OFFSET ?`)
+      .all(...params, limit !== undefined ? limit : -1, offset);
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM ${table} ${whereSql}`).get(...params);
+
+    return {
+      rows: rows.map(row => reviveRecord(row.data)),
+      total
+    };
+  }
+
+  // See MemoryStore.group. `->` keeps JSON types, so true and 1 stay different groups
+  async group(collection, { where = {}, by = [], day, sum = [] } = {}) {
+    const params = [];
+    const keys = by.map((field, i) => [`g${i}`, `data -> '$.${assertFieldName(field)}'`]);
+    if (day) keys.push(['day', `substr(json_extract(data, '$.${assertFieldName(day)}'), 1, 10)`]);
+    const totals = sum.map((field, i) => `TOTAL(json_extract(data, '$.${assertFieldName(field)}')) AS s${i}`);
+
+    const rows = this.db
+      .prepare(`SELECT ${[...keys.map(([alias, sql]) => `${sql} AS ${alias}`), 'COUNT(*) AS count', ...totals].join(', ')}
+        FROM ${this.table(collection)} ${this.buildWhere(where, params)}
+        ${keys.length > 0 ? `GROUP BY ${keys.map(([alias]) => alias).join(', ')}` : ''}`)
+      .all(...params);
+
+    return rows
+      .filter(row => keys.length > 0 || row.count > 0)
+      .map(row => ({
+        ...Object.fromEntries(by.map((field, i) => [field, row[`g${i}`] === null ? null : JSON.parse(row[`g${i}`])])),
+        ...(day ? { day: row.day } : {}),
+        count: row.count,
+        ...Object.fromEntries(sum.map((field, i) => [field, row[`s${i}`]]))
+      }));
+  }
+
+  // See MemoryStore.bulkWrite. One transaction, so either every write lands or none does
+  async bulkWrite(writes) {
+    this.db.transaction(() => {
+      for (const write of writes) {
+        const table = this.table(write.collection);
+        if (write.insert) {
+          this.db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`)
+            .run(write.insert.id, JSON.stringify(write.insert));
+        } else {
+          this.db.prepare(`DELETE FROM ${table} WHERE id = ?`).run(write.remove);
+        }
+      }
+    })();
+    return writes.length;
+  }
+
+  async update(collection, id, updates) {
+    return this.updateIf(collection, id, () => true, updates);
+  }
+
+  /**
+   * Compare-and-set: apply updates only if the current record passes the condition
+   * @param {string} collection - Collection name
+   * @param {string} id - Record id
+   * @param {Function} condition - Receives the current record, returns true to proceed
+   * @param {Object} updates - Fields to merge into the record
+   * @returns {Promise<Object|null>} Updated record, or null if missing or the condition failed
+   */
+  async updateIf(collection, id, condition, updates) {
+    const table = this.table(collection);
+    // better-sqlite3 is synchronous, so nothing can run between the read and the write
+    return this.db.transaction(() => {
+      const row = this.db.prepare(`SELECT data FROM ${table} WHERE id = ?`).get(id);
+      if (!row || !condition(reviveRecord(row.data))) return null;
+
+      const data = JSON.stringify({ ...JSON.parse(row.data), ...updates });
+      this.db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`).run(data, id);
+      return reviveRecord(data);
+    }).immediate();
+  }
+
+  async remove(collection, id) {
+    const { changes } = this.db.prepare(`DELETE FROM ${this.table(collection)} WHERE id = ?`).run(id);
+    return changes > 0;
+  }
+}
+
+module.exports = SqliteStore;
@@ -2,96 +2,195 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const router = express.Router();
 const db = require('../models/database');
+const auditService = require('../services/auditService');
+const paymentService = require('../services/paymentService');
+const voucherSheetService = require('../services/voucherSheetService');
+const codeAttemptService = require('../services/codeAttemptService');
+const sweeperService = require('../services/sweeperService');
+const subscriptionService = require('../services/subscriptionService');
+const gatewayService = require('../services/gatewayService');
+const { toCSV, parseCSV } = require('../utils/csv');
+const { isValidDataLimit } = require('../utils/quota');
+const { validateFormat, normalizeCode } = require('../utils/voucherCode');
+const { accessScheduleErrors, normalizeAccessSchedule } = require('../utils/accessSchedule');
+const { exportSnapshot, serializeSnapshot, parseSnapshot, restoreSnapshot } = require('../models/snapshot');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 
 router.use(authenticateToken);
 router.use(requireAdmin);
 
+// Most vouchers one create request may make, per entry on the bulk route
+const MAX_VOUCHER_QUANTITY = 1000;
+const isVoucherQuantity = value => Number.isInteger(value) && value >= 1 && value <= MAX_VOUCHER_QUANTITY;
+const QUANTITY_MESSAGE = `Quantity must be a whole number from 1 to ${MAX_VOUCHER_QUANTITY}`;
+
+// How many devices one voucher can be used on at the same time
+const MAX_DEVICES = 20;
+const isValidMaxDevices = value => Number.isInteger(value) && value >= 1 && value <= MAX_DEVICES;
+const MAX_DEVICES_MESSAGE = `maxDevices must be a whole number from 1 to ${MAX_DEVICES}`;
+
+// Plan validation - every field is required on create, only the ones sent are checked on update
+const validatePlanData = (req, res, next) => {
+  const { name, duration, price, dataLimit, bandwidth, visibility, sortOrder, isFeatured, codeFormat, maxDevices, renewable, accessSchedule } = req.body;
+  const partial = req.method === 'PUT';
+  const fail = message => res.status(400).json({ success: false, message });
+
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return fail('Plan name is required');
+  }
+
+  if ((!partial || duration !== undefined) && !(Number(duration) > 0)) {
+    return fail('Duration must be a positive number of hours');
+  }
+
+  if ((!partial || price !== undefined) && !(Number.isInteger(Number(price)) && Number(price) > 0)) {
+    return fail('Price must be a positive whole number of UGX');
+  }
+
+  if ((!partial || dataLimit !== undefined) && !isValidDataLimit(dataLimit)) {
+    return fail('Data limit must look like 500MB, 5GB or unlimited');
+  }
+
+  if (bandwidth !== undefined && bandwidth !== null) {
+    const valid = ['downloadKbps', 'uploadKbps'].every(key =>
+      Number.isInteger(bandwidth[key]) && bandwidth[key] > 0
+    );
+    if (!valid) {
+      return fail('Bandwidth must be null or { downloadKbps, uploadKbps } in whole kbps');
+    }
+  }
+
+  if (visibility !== undefined && !['public', 'hidden'].includes(visibility)) {
+    return fail('Visibility must be public or hidden');
+  }
+
+  if (sortOrder !== undefined && !Number.isInteger(sortOrder)) {
+    return fail('Sort order must be a whole number');
+  }
+
+  if (isFeatured !== undefined && typeof isFeatured !== 'boolean') {
+    return fail('isFeatured must be true or false');
+  }
+
+  if (maxDevices !== undefined && !isValidMaxDevices(maxDevices)) {
+    return fail(MAX_DEVICES_MESSAGE);
+  }
+
+  if (renewable !== undefined && typeof renewable !== 'boolean') {
+    return fail('renewable must be true or false');
+  }
+
+  // null lifts the limit, the plan's vouchers work at any time
+  if (accessSchedule !== undefined && accessSchedule !== null) {
+    const errors = accessScheduleErrors(accessSchedule);
+    if (errors.length > 0) {
+      return fail(errors.join(', '));
+    }
+  }
+
+  // null goes back to the default code format
+  if (codeFormat !== undefined && codeFormat !== null) {
+    const errors = validateFormat(codeFormat);
+    if (errors.length > 0) {
+      return fail(errors.join(', '));
+    }
+  }
+
+  next();
+};
+
+// Plan fields present in a request body, with numbers normalised
+const planFields = body => {
+  const fields = {};
+  if (body.name !== undefined) fields.name = body.name.trim();
+  if (body.duration !== undefined) fields.duration = Number(body.duration);
+  if (body.price !== undefined) fields.price = Number(body.price);
+  if (body.dataLimit !== undefined) fields.dataLimit = body.dataLimit;
+  if (body.bandwidth !== undefined) fields.bandwidth = body.bandwidth;
+  if (body.visibility !== undefined) fields.visibility = body.visibility;
+  if (body.sortOrder !== undefined) fields.sortOrder = body.sortOrder;
+  if (body.isFeatured !== undefined) fields.isFeatured = body.isFeatured;
+  if (body.codeFormat !== undefined) fields.codeFormat = body.codeFormat;
+  if (body.maxDevices !== undefined) fields.maxDevices = body.maxDevices;
+  if (body.renewable !== undefined) fields.renewable = body.renewable;
+  if (body.accessSchedule !== undefined) fields.accessSchedule = normalizeAccessSchedule(body.accessSchedule);
+  return fields;
+};
+
 
 // ==================== DASHBOARD ====================
 // GET /admin/dashboard - Get comprehensive dashboard statistics
 router.get('/dashboard', async (req, res) => {
   try {
-    const stats = db.getStats();
-    
-    // Get all payments and vouchers for detailed analysis
-    const payments = db.getAllPayments();
-    const vouchers = db.getAllVouchers();
-    const users = Array.from(db.users.values());
+    const stats = await db.getStats();
     
     // Recent payments (last 5)
-    const recentPayments = payments
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-      .slice(0, 5)
-      .map(p => ({
-        id: p.id,
-        amount: p.amount,
-        status: p.status,
-        paymentMethod: p.paymentMethod,
-        phoneNumber: p.phoneNumber,
-        createdAt: p.createdAt,
-        reference: p.reference
-      }));
+    const { data: latestPayments } = await db.listPayments({}, { limit: 5 });
+    const recentPayments = latestPayments.map(p => ({
+      id: p.id,
+      amount: p.amount,
+      status: p.status,
+      paymentMethod: p.paymentMethod,
+      phoneNumber: p.phoneNumber,
+      createdAt: p.createdAt,
+      reference: p.reference
+    }));
     
     // Recent vouchers (last 5)
-    const recentVouchers = vouchers
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-      .slice(0, 5)
-      .map(v => ({
-        id: v.id,
-        code: v.code,
-        duration: v.duration,
-        price: v.price,
-        dataLimit: v.dataLimit,
-        isUsed: v.isUsed,
-        createdAt: v.createdAt,
-        usedAt: v.usedAt
-      }));
+    const { data: latestVouchers } = await db.listVouchers({}, { limit: 5 });
+    const recentVouchers = latestVouchers.map(v => ({
+      id: v.id,
+      code: v.code,
+      duration: v.duration,
+      price: v.price,
+      dataLimit: v.dataLimit,
+      isUsed: v.isUsed,
+      createdAt: v.createdAt,
+      usedAt: v.usedAt
+    }));
     
     // Revenue by payment method
-    const revenueByMethod = payments
-      .filter(p => p.status === 'success')
-      .reduce((acc, p) => {
-        acc[p.paymentMethod] = (acc[p.paymentMethod] || 0) + p.amount;
-        return acc;
-      }, {});
+    const revenueByMethod = {};
+    for (const method of ['mtn_momo', 'airtel_money']) {
+      const revenue = await db.store.sum('payments', 'amount', { status: 'success', paymentMethod: method });
+      if (revenue > 0) revenueByMethod[method] = revenue;
+    }
     
     // Monthly revenue (last 12 months)
     const monthlyRevenue = [];
     const now = new Date();
     for (let i = 11; i >= 0; i--) {
       const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
-      const monthPayments = payments.filter(p => {
-        const pDate = new Date(p.createdAt);
-        return pDate.getMonth() === date.getMonth() && 
-               pDate.getFullYear() === date.getFullYear() &&
-               p.status === 'success';
-      });
+      const monthWhere = {
+        status: 'success',
+        createdAt: { $gte: date, $lt: new Date(date.getFullYear(), date.getMonth() + 1, 1) }
+      };
       
       monthlyRevenue.push({
         month: date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
-        revenue: monthlyRevenue.reduce((sum, p) => sum + p.amount, 0),
-        transactions: monthPayments.length
+        revenue: await db.store.sum('payments', 'amount', monthWhere),
+        transactions: await db.store.count('payments', monthWhere)
       });
     }
     
     // Payment status breakdown
     const paymentStats = {
-      total: payments.length,
-      pending: payments.filter(p => p.status === 'pending').length,
-      success: payments.filter(p => p.status === 'success').length,
-      failed: payments.filter(p => p.status === 'failed').length,
-      cancelled: payments.filter(p => p.status === 'cancelled').length
+      total: await db.store.count('payments'),
+      pending: await db.store.count('payments', { status: 'pending' }),
+      success: await db.store.count('payments', { status: 'success' }),
+      failed: await db.store.count('payments', { status: 'failed' }),
+      cancelled: await db.store.count('payments', { status: 'cancelled' })
     };
     
     // Voucher usage by duration
-    const vouchersByDuration = vouchers.reduce((acc, v) => {
-      const key = `${v.duration}h`;
+    const durationGroups = await db.store.group('vouchers', { by: ['duration', 'isUsed'], sum: ['price'] });
+    const vouchersByDuration = durationGroups.reduce((acc, group) => {
+      const key = `${group.duration}h`;
       if (!acc[key]) acc[key] = { total: 0, used: 0, revenue: 0 };
-      acc[key].total++;
-      if (v.isUsed) {
-        acc[key].used++;
-        acc[key].revenue += v.price;
+      acc[key].total += group.count;
+      if (group.isUsed) {
+        acc[key].used += group.count;
+        acc[key].revenue += group.price;
       }
       return acc;
     }, {});
@@ -106,17 +205,14 @@ router.get('/dashboard', async (req, res) => {
       .sort((a, b) => b.revenue - a.revenue);
     
     // Recent user registrations
-    const recentUsers = users
-      .filter(u => u.role !== 'admin')
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-      .slice(0, 5)
-      .map(u => ({
-        id: u.id,
-        email: u.email,
-        role: u.role,
-        createdAt: u.createdAt,
-        isActive: u.isActive
-      }));
+    const { data: latestUsers } = await db.paginate('users', { role: { $ne: 'admin' } }, { limit: 5 });
+    const recentUsers = latestUsers.map(u => ({
+      id: u.id,
+      email: u.email,
+      role: u.role,
+      createdAt: u.createdAt,
+      isActive: u.isActive
+    }));
     
     res.json({
       success: true,
@@ -154,35 +250,14 @@ router.get('/users', async (req, res) => {
   try {
     const { page = 1, limit = 10, role, status, search } = req.query;
     
-    let users = Array.from(db.users.values());
-    
-    // Apply filters
-    if (role) {
-      users = users.filter(u => u.role === role);
-    }
-    
-    if (status) {
-      const isActive = status === 'active';
-      users = users.filter(u => u.isActive === isActive);
-    }
-    
-    if (search) {
-      const searchLower = search.toLowerCase();
-      users = users.filter(u => 
-        u.email.toLowerCase().includes(searchLower) ||
-        u.id.toLowerCase().includes(searchLower)
-      );
-    }
-    
-    // Sort by creation date (newest first)
-    users.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    
-    // Pagination
-    const skip = (page - 1) * limit;
-    const paginatedUsers = users.slice(skip, skip + parseInt(limit));
+    const { data: users, pagination } = await db.listUsers({
+      role,
+      isActive: status ? status === 'active' : undefined,
+      search
+    }, { page, limit });
     
     // Remove passwords from response
-    const safeUsers = paginatedUsers.map(u => ({
+    const safeUsers = users.map(u => ({
       id: u.id,
       email: u.email,
       role: u.role,
@@ -193,12 +268,7 @@ router.get('/users', async (req, res) => {
     res.json({
       success: true,
       data: safeUsers,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: users.length,
-        pages: Math.ceil(users.length / limit)
-      }
+      pagination
     });
   } catch (error) {
     console.error('Get users error:', error);
@@ -223,7 +293,7 @@ router.post('/users', async (req, res) => {
     }
     
     // Check if user already exists
-    const existingUser = db.getUserByEmail(email);
+    const existingUser = await db.getUserByEmail(email);
     if (existingUser) {
       return res.status(400).json({
         success: false,
@@ -235,11 +305,12 @@ router.post('/users', async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 10);
     
     // Create user
-    const user = db.createUser({
+    const user = await db.createUser({
       email,
       password: hashedPassword,
       role
     });
+    await auditService.record(req, { action: 'user.create', entityType: 'users', entityId: user.id, after: user });
     
     res.status(201).json({
       success: true,
@@ -268,7 +339,7 @@ router.put('/users/:id', async (req, res) => {
     const { id } = req.params;
     const { email, role, isActive, password } = req.body;
     
-    const user = db.getUserById(id);
+    const user = await db.getUserById(id);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -292,18 +363,18 @@ router.put('/users/:id', async (req, res) => {
     if (password) updateData.password = await bcrypt.hash(password, 10);
     
     // Update user in database
-    Object.assign(user, updateData);
-    db.users.set(id, user);
+    const updatedUser = await db.updateUser(id, updateData);
+    await auditService.record(req, { action: 'user.update', entityType: 'users', entityId: id, before: user, after: updatedUser });
     
     res.json({
       success: true,
       message: 'User updated successfully',
       data: {
-        id: user.id,
-        email: user.email,
-        role: user.role,
-        isActive: user.isActive,
-        createdAt: user.createdAt
+        id: updatedUser.id,
+        email: updatedUser.email,
+        role: updatedUser.role,
+        isActive: updatedUser.isActive,
+        createdAt: updatedUser.createdAt
       }
     });
   } catch (error) {
@@ -321,7 +392,7 @@ router.delete('/users/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const user = db.getUserById(id);
+    const user = await db.getUserById(id);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -338,7 +409,8 @@ router.delete('/users/:id', async (req, res) => {
     }
     
     // Delete user
-    db.users.delete(id);
+    await db.deleteUser(id);
+    await auditService.record(req, { action: 'user.delete', entityType: 'users', entityId: id, before: user });
     
     res.json({
       success: true,
@@ -354,369 +426,1188 @@ router.delete('/users/:id', async (req, res) => {
   }
 });
 
-// ==================== VOUCHER MANAGEMENT ====================
-// GET /admin/vouchers - Get all vouchers with pagination and filtering
-router.get('/vouchers', async (req, res) => {
+// ==================== PLAN MANAGEMENT ====================
+// GET /admin/plans - Get every plan, hidden ones included
+router.get('/plans', async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, duration, used } = req.query;
-    
-    let vouchers = db.getAllVouchers();
-    
-    // Apply filters
-    if (status) {
-      vouchers = vouchers.filter(v => v.status === status);
-    }
-    
-    if (duration) {
-      vouchers = vouchers.filter(v => v.duration === parseInt(duration));
-    }
-    
-    if (used !== undefined) {
-      const isUsed = used === 'true';
-      vouchers = vouchers.filter(v => v.isUsed === isUsed);
-    }
-    
-    // Sort by creation date (newest first)
-    vouchers.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    
-    // Pagination
-    const skip = (page - 1) * limit;
-    const paginatedVouchers = vouchers.slice(skip, skip + parseInt(limit));
-    
+    const plans = await db.getAllPlans();
+
     res.json({
       success: true,
-      data: paginatedVouchers,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: vouchers.length,
-        pages: Math.ceil(vouchers.length / limit)
-      }
+      data: plans
     });
   } catch (error) {
-    console.error('Get vouchers error:', error);
+    console.error('Get plans error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch vouchers',
+      message: 'Failed to fetch plans',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-// POST /admin/vouchers - Create new voucher
-router.post('/vouchers', async (req, res) => {
+// POST /admin/plans - Create plan
+router.post('/plans', validatePlanData, async (req, res) => {
   try {
-    const { duration, price, dataLimit, quantity = 1 } = req.body;
-    
-    if (!duration || !price || !dataLimit) {
-      return res.status(400).json({
-        success: false,
-        message: 'Duration, price, and dataLimit are required'
-      });
-    }
-    
-    const createdVouchers = [];
-    
-    // Create multiple vouchers if quantity > 1
-    for (let i = 0; i < quantity; i++) {
-      const voucher = db.createVoucher({
-        duration: parseInt(duration),
-        price: parseInt(price),
-        dataLimit
-      });
-      createdVouchers.push(voucher);
-    }
-    
+    const plan = await db.createPlan(planFields(req.body));
+    await auditService.record(req, { action: 'plan.create', entityType: 'plans', entityId: plan.id, after: plan });
+
     res.status(201).json({
       success: true,
-      message: `${quantity} voucher(s) created successfully`,
-      data: createdVouchers
+      message: 'Plan created successfully',
+      data: plan
     });
   } catch (error) {
-    console.error('Create voucher error:', error);
+    console.error('Create plan error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create voucher',
+      message: 'Failed to create plan',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-// PUT /admin/vouchers/:id - Update voucher
-router.put('/vouchers/:id', async (req, res) => {
+// PUT /admin/plans/:id - Update plan (vouchers already issued keep their own terms)
+router.put('/plans/:id', validatePlanData, async (req, res) => {
   try {
     const { id } = req.params;
-    const { duration, price, dataLimit, status } = req.body;
-    
-    const voucher = db.getVoucherById(id);
-    if (!voucher) {
+
+    const plan = await db.getPlanById(id);
+    if (!plan) {
       return res.status(404).json({
         success: false,
-        message: 'Voucher not found'
-      });
-    }
-    
-    // Prevent updating used vouchers
-    if (voucher.isUsed) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot update used voucher'
+        message: 'Plan not found'
       });
     }
-    
-    const updateData = {};
-    if (duration !== undefined) updateData.duration = parseInt(duration);
-    if (price !== undefined) updateData.price = parseInt(price);
-    if (dataLimit !== undefined) updateData.dataLimit = dataLimit;
-    if (status !== undefined) updateData.status = status;
-    
-    // Update expiration if duration changed
-    if (duration !== undefined) {
-      updateData.expiresAt = new Date(Date.now() + (parseInt(duration) * 60 * 60 * 1000));
-    }
-    
-    const updatedVoucher = db.updateVoucher(id, updateData);
-    
+
+    const updatedPlan = await db.updatePlan(id, planFields(req.body));
+    await auditService.record(req, { action: 'plan.update', entityType: 'plans', entityId: id, before: plan, after: updatedPlan });
+
     res.json({
       success: true,
-      message: 'Voucher updated successfully',
-      data: updatedVoucher
+      message: 'Plan updated successfully',
+      data: updatedPlan
     });
   } catch (error) {
-    console.error('Update voucher error:', error);
+    console.error('Update plan error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update voucher',
+      message: 'Failed to update plan',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-// DELETE /admin/vouchers/:id - Delete voucher
-router.delete('/vouchers/:id', async (req, res) => {
+// DELETE /admin/plans/:id - Delete a plan nothing refers to yet
+router.delete('/plans/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    
-    const voucher = db.getVoucherById(id);
-    if (!voucher) {
+
+    const plan = await db.getPlanById(id);
+    if (!plan) {
       return res.status(404).json({
         success: false,
-        message: 'Voucher not found'
+        message: 'Plan not found'
       });
     }
-    
-    // Check if voucher is used
-    if (voucher.isUsed) {
-      return res.status(400).json({
+
+    const references = await db.countPlanReferences(id);
+    if (references.vouchers > 0 || references.payments > 0) {
+      return res.status(409).json({
         success: false,
-        message: 'Cannot delete used voucher'
+        message: 'Plan has vouchers or payments, hide it instead of deleting it',
+        data: references
       });
     }
-    
-    // Delete voucher
-    db.vouchers.delete(id);
-    
+
+    await db.deletePlan(id);
+    await auditService.record(req, { action: 'plan.delete', entityType: 'plans', entityId: id, before: plan });
+
     res.json({
       success: true,
-      message: 'Voucher deleted successfully'
+      message: 'Plan deleted successfully'
     });
   } catch (error) {
-    console.error('Delete voucher error:', error);
+    console.error('Delete plan error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete voucher',
+      message: 'Failed to delete plan',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-// ==================== PAYMENT MANAGEMENT ====================
-// GET /admin/payments - Get all payments with advanced filtering
-router.get('/payments', async (req, res) => {
-  try {
-    const { 
-      page = 1, 
-      limit = 10, 
-      status, 
-      paymentMethod, 
-      startDate, 
-      endDate,
-      minAmount,
-      maxAmount
-    } = req.query;
-    
-    let payments = db.getAllPayments();
-    
-    // Apply filters
-    if (status) {
-      payments = payments.filter(p => p.status === status);
-    }
-    
-    if (paymentMethod) {
-      payments = payments.filter(p => p.paymentMethod === paymentMethod);
-    }
-    
-    if (startDate) {
-      const start = new Date(startDate);
-      payments = payments.filter(p => new Date(p.createdAt) >= start);
-    }
-    
-    if (endDate) {
-      const end = new Date(endDate);
-      payments = payments.filter(p => new Date(p.createdAt) <= end);
+// ==================== PROMOTIONS ====================
+const PROMO_CODE = /^[A-Z0-9_-]{3,32}$/;
+const isOptionalCount = value => value === null || (Number.isInteger(value) && value > 0);
+const isOptionalDate = value => value === null || (typeof value === 'string' && !isNaN(new Date(value).getTime()));
+
+// Promotion validation - code and discount are required on create, only the fields sent are checked on update
+const validatePromotionData = (req, res, next) => {
+  const {
+    code, name, discountType, discountValue, maxDiscount, planIds, startsAt, endsAt,
+    maxUses, maxUsesPerPhone, firstPurchaseOnly, stackable, isActive
+  } = req.body;
+  const partial = req.method === 'PUT';
+  const fail = message => res.status(400).json({ success: false, message });
+
+  if ((!partial || code !== undefined) && !(typeof code === 'string' && PROMO_CODE.test(code.trim().toUpperCase()))) {
+    return fail('Promo code must be 3 to 32 letters, digits, dashes or underscores');
+  }
+
+  if (name !== undefined && name !== null && typeof name !== 'string') {
+    return fail('Name must be text');
+  }
+
+  if ((!partial || discountType !== undefined) && !['percent', 'fixed'].includes(discountType)) {
+    return fail('Discount type must be percent or fixed');
+  }
+
+  if ((!partial || discountValue !== undefined) && !(Number.isInteger(discountValue) && discountValue > 0)) {
+    return fail('Discount value must be a positive whole number, a percentage or UGX');
+  }
+
+  if (maxDiscount !== undefined && !isOptionalCount(maxDiscount)) {
+    return fail('Maximum discount must be null or a positive whole number of UGX');
+  }
+
+  if (planIds !== undefined && !(Array.isArray(planIds) && planIds.every(id => typeof id === 'string'))) {
+    return fail('planIds must be a list of plan IDs, empty for every plan');
+  }
+
+  if ((startsAt !== undefined && !isOptionalDate(startsAt)) || (endsAt !== undefined && !isOptionalDate(endsAt))) {
+    return fail('startsAt and endsAt must be null or dates');
+  }
+
+  if ((maxUses !== undefined && !isOptionalCount(maxUses)) || (maxUsesPerPhone !== undefined && !isOptionalCount(maxUsesPerPhone))) {
+    return fail('maxUses and maxUsesPerPhone must be null or positive whole numbers');
+  }
+
+  const flags = { firstPurchaseOnly, stackable, isActive };
+  for (const [flag, value] of Object.entries(flags)) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      return fail(`${flag} must be true or false`);
     }
-    
-    if (minAmount) {
-      payments = payments.filter(p => p.amount >= parseInt(minAmount));
+  }
+
+  next();
+};
+
+// Promotion fields present in a request body, with the code upper-cased and dates parsed
+const promotionFields = body => {
+  const fields = {};
+  if (body.code !== undefined) fields.code = body.code.trim().toUpperCase();
+  if (body.name !== undefined) fields.name = body.name ? body.name.trim() : null;
+  for (const field of ['discountType', 'discountValue', 'maxDiscount', 'planIds', 'maxUses', 'maxUsesPerPhone', 'firstPurchaseOnly', 'stackable', 'isActive']) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  for (const field of ['startsAt', 'endsAt']) {
+    if (body[field] !== undefined) fields[field] = body[field] ? new Date(body[field]) : null;
+  }
+  return fields;
+};
+
+// Why a promotion as it would be saved does not hold together, if it does not
+const promotionConflict = async (promotion, id = null) => {
+  if (promotion.discountType === 'percent' && promotion.discountValue > 100) {
+    return { status: 400, message: 'A percentage discount cannot be more than 100' };
+  }
+
+  if (promotion.startsAt && promotion.endsAt && promotion.endsAt <= promotion.startsAt) {
+    return { status: 400, message: 'endsAt must be after startsAt' };
+  }
+
+  for (const planId of promotion.planIds || []) {
+    if (!(await db.getPlanById(planId))) {
+      return { status: 400, message: `Plan ${planId} not found` };
     }
-    
-    if (maxAmount) {
-      payments = payments.filter(p => p.amount <= parseInt(maxAmount));
+  }
+
+  const existing = await db.getPromotionByCode(promotion.code);
+  if (existing && existing.id !== id) {
+    return { status: 409, message: 'A promotion with this code already exists' };
+  }
+
+  return null;
+};
+
+// Redemptions of a promotion by state, with the money they took off
+const redemptionStats = redemptions => {
+  const stats = { held: 0, redeemed: 0, released: 0, discountTotal: 0, revenue: 0 };
+  for (const redemption of redemptions) {
+    stats[redemption.status]++;
+    if (redemption.status === 'redeemed') {
+      stats.discountTotal += redemption.discount;
+      stats.revenue += redemption.amount;
     }
-    
-    // Sort by creation date (newest first)
-    payments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    
-    // Pagination
-    const skip = (page - 1) * limit;
-    const paginatedPayments = payments.slice(skip, skip + parseInt(limit));
-    
+  }
+  return stats;
+};
+
+// GET /admin/promotions - List promotions (?active=true|false)
+router.get('/promotions', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, active } = req.query;
+
+    // Bring use counts up to date with payments that finished since
+    await db.settlePromoRedemptions();
+    const { data: promotions, pagination } = await db.listPromotions(
+      { isActive: active !== undefined ? active === 'true' : undefined },
+      { page, limit }
+    );
+
     res.json({
       success: true,
-      data: paginatedPayments,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: payments.length,
-        pages: Math.ceil(payments.length / limit)
-      }
+      data: promotions,
+      pagination
     });
   } catch (error) {
-    console.error('Get payments error:', error);
+    console.error('Get promotions error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch payments',
+      message: 'Failed to fetch promotions',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-// PUT /admin/payments/:id - Update payment status
-router.put('/payments/:id', async (req, res) => {
+// GET /admin/promotions/:id - Get a promotion and how it has been used
+router.get('/promotions/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status, failureReason, notes } = req.body;
-    
-    const payment = db.getPaymentById(id);
-    if (!payment) {
+    await db.settlePromoRedemptions({ promotionId: req.params.id });
+    const promotion = await db.getPromotionById(req.params.id);
+    if (!promotion) {
       return res.status(404).json({
         success: false,
-        message: 'Payment not found'
-      });
-    }
-    
-    const validStatuses = ['pending', 'success', 'failed', 'cancelled'];
-    if (status && !validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid payment status'
+        message: 'Promotion not found'
       });
     }
-    
-    const updateData = {};
-    if (status) updateData.status = status;
-    if (failureReason) updateData.failureReason = failureReason;
-    if (notes) updateData.adminNotes = notes;
-    
-    // Handle voucher status based on payment status
-    if (status === 'success' && payment.status !== 'success') {
-      const voucher = db.getVoucherById(payment.voucherId);
-      if (voucher && !voucher.isUsed) {
-        db.updateVoucher(payment.voucherId, {
-          isUsed: true,
-          usedAt: new Date(),
-          userId: payment.userId
-        });
-      }
-      updateData.completedAt = new Date();
-    } else if (status === 'failed' && payment.status === 'success') {
-      // If changing from success to failed, free up the voucher
-      const voucher = db.getVoucherById(payment.voucherId);
-      if (voucher && voucher.isUsed) {
-        db.updateVoucher(payment.voucherId, {
-          isUsed: false,
-          usedAt: null,
-          userId: null
-        });
-      }
-    }
-    
-    const updatedPayment = db.updatePayment(id, updateData);
-    
+
     res.json({
       success: true,
-      message: 'Payment updated successfully',
-      data: updatedPayment
+      data: {
+        ...promotion,
+        redemptions: redemptionStats(await db.getPromoRedemptions({ promotionId: promotion.id }))
+      }
     });
   } catch (error) {
-    console.error('Update payment error:', error);
+    console.error('Get promotion error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update payment',
+      message: 'Failed to fetch promotion',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-// ==================== ANALYTICS ====================
-// GET /admin/analytics/revenue - Get revenue analytics
-router.get('/analytics/revenue', async (req, res) => {
+// POST /admin/promotions - Create promotion
+router.post('/promotions', validatePromotionData, async (req, res) => {
   try {
-    const { period = 'month', startDate, endDate } = req.query;
-    
-    const payments = db.getAllPayments().filter(p => p.status === 'success');
+    const fields = promotionFields(req.body);
+    const conflict = await promotionConflict(fields);
+    if (conflict) {
+      return res.status(conflict.status).json({
+        success: false,
+        message: conflict.message
+      });
+    }
+
+    const promotion = await db.createPromotion(fields);
+    await auditService.record(req, { action: 'promotion.create', entityType: 'promotions', entityId: promotion.id, after: promotion });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: promotion
+    });
+  } catch (error) {
+    console.error('Create promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create promotion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /admin/promotions/:id - Update promotion (payments already made keep their discount)
+router.put('/promotions/:id', validatePromotionData, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const promotion = await db.getPromotionById(id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const fields = promotionFields(req.body);
+    const conflict = await promotionConflict({ ...promotion, ...fields }, id);
+    if (conflict) {
+      return res.status(conflict.status).json({
+        success: false,
+        message: conflict.message
+      });
+    }
+
+    const updatedPromotion = await db.updatePromotion(id, fields);
+    await auditService.record(req, { action: 'promotion.update', entityType: 'promotions', entityId: id, before: promotion, after: updatedPromotion });
+
+    res.json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: updatedPromotion
+    });
+  } catch (error) {
+    console.error('Update promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update promotion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /admin/promotions/:id - Delete a promotion nobody has used
+router.delete('/promotions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const promotion = await db.getPromotionById(id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const redemptions = await db.getPromoRedemptions({ promotionId: id });
+    if (redemptions.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Promotion has been used, deactivate it instead of deleting it',
+        data: redemptionStats(redemptions)
+      });
+    }
+
+    await db.deletePromotion(id);
+    await auditService.record(req, { action: 'promotion.delete', entityType: 'promotions', entityId: id, before: promotion });
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete promotion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ==================== SUBSCRIPTIONS ====================
+// GET /admin/subscriptions - List subscriptions (?status=&phoneNumber=&planId=)
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, phoneNumber, planId } = req.query;
+    const { data: subscriptions, pagination } = await db.listSubscriptions({ status, phoneNumber, planId }, { page, limit });
+
+    res.json({
+      success: true,
+      data: subscriptions,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch subscriptions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/subscriptions/scheduler - Renewal scheduler settings and state
+router.get('/subscriptions/scheduler', (req, res) => {
+  res.json({
+    success: true,
+    data: subscriptionService.status()
+  });
+});
+
+// POST /admin/subscriptions/run - Send notices and start due renewals now instead of waiting for the scheduler
+router.post('/subscriptions/run', async (req, res) => {
+  try {
+    const counts = await subscriptionService.run();
+
+    res.json({
+      success: true,
+      message: 'Subscription renewals checked',
+      data: counts
+    });
+  } catch (error) {
+    console.error('Subscription run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run subscription renewals',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/subscriptions/:id - Get a subscription and the payments made for it
+router.get('/subscriptions/:id', async (req, res) => {
+  try {
+    const subscription = await db.getSubscriptionById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...subscription,
+        plan: await db.getPlanById(subscription.planId),
+        payments: await db.getSubscriptionPayments(subscription.id)
+      }
+    });
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/subscriptions/:id/cancel - Stop a subscription renewing
+// Body: { reason } - optional, kept on the subscription
+router.post('/subscriptions/:id/cancel', async (req, res) => {
+  try {
+    const subscription = await db.getSubscriptionById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    const reason = typeof req.body.reason === 'string' && req.body.reason.trim()
+      ? req.body.reason.trim()
+      : 'Cancelled by admin';
+    const cancelled = await subscriptionService.end(subscription, 'cancelled', reason, req);
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: `Subscription is already ${subscription.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Subscription cancelled',
+      data: cancelled
+    });
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ==================== VOUCHER MANAGEMENT ====================
+// Columns of the voucher CSV export; the import reads the same names
+const VOUCHER_CSV_COLUMNS = [
+  'code', 'planId', 'batchId', 'origin', 'status', 'isUsed', 'duration', 'price', 'dataLimit', 'maxDevices',
+  'createdAt', 'saleExpiresAt', 'soldAt', 'redeemBy', 'usedAt'
+];
+
+const IMPORTED_CODE = /^[A-Z0-9][A-Z0-9-]{3,63}$/;
+
+/**
+ * Turn one CSV row into voucher data, or explain why it cannot be imported
+ * @param {Object} row - Parsed CSV record
+ * @param {Object} plans - { byId: Map, byName: Map } of existing plans
+ * @returns {Object} { voucher } or { error }
+ */
+const importedVoucher = (row, plans) => {
+  const code = normalizeCode(row.code || '');
+  if (!IMPORTED_CODE.test(code)) {
+    return { error: 'code must be 4 to 64 letters, digits or dashes' };
+  }
+
+  let terms;
+  if (row.planId || row.plan) {
+    const plan = row.planId ? plans.byId.get(row.planId) : plans.byName.get(row.plan.toLowerCase());
+    if (!plan) return { error: `Plan "${row.planId || row.plan}" not found` };
+    terms = db.planTerms(plan);
+  } else if (!row.duration || !row.price || !row.dataLimit) {
+    return { error: 'A planId or plan name, or duration, price, and dataLimit, are required' };
+  } else if (!(Number(row.duration) > 0) || !(Number.isInteger(Number(row.price)) && Number(row.price) > 0)) {
+    return { error: 'duration and price must be positive numbers' };
+  } else if (!isValidDataLimit(row.dataLimit)) {
+    return { error: 'Data limit must look like 500MB, 5GB or unlimited' };
+  } else {
+    terms = { duration: Number(row.duration), price: Number(row.price), dataLimit: row.dataLimit };
+  }
+
+  if (row.maxDevices) {
+    if (!isValidMaxDevices(Number(row.maxDevices))) return { error: MAX_DEVICES_MESSAGE };
+    terms.maxDevices = Number(row.maxDevices);
+  }
+
+  const dates = {};
+  for (const field of ['saleExpiresAt', 'redeemBy']) {
+    if (!row[field]) continue;
+    const date = new Date(row[field]);
+    if (isNaN(date.getTime())) return { error: `${field} is not a date` };
+    dates[field] = date;
+  }
+
+  return { voucher: { ...terms, code, origin: 'import', ...dates } };
+};
+
+// GET /admin/vouchers - Get all vouchers with pagination and filtering (?format=csv downloads every match)
+router.get('/vouchers', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, format, status, planId, batchId, duration, used, owner } = req.query;
+    const filters = {
+      status,
+      planId,
+      batchId,
+      ownerPhoneNumber: owner,
+      duration: duration ? parseInt(duration) : undefined,
+      isUsed: used !== undefined ? used === 'true' : undefined
+    };
+
+    if (format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="mowave-vouchers-${new Date().toISOString().slice(0, 10)}.csv"`
+      });
+      return res.send(toCSV(await db.getVouchers(filters), VOUCHER_CSV_COLUMNS));
+    }
+    
+    const { data: vouchers, pagination } = await db.listVouchers(filters, { page, limit });
+    
+    res.json({
+      success: true,
+      data: vouchers,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get vouchers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vouchers',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/vouchers - Create new voucher
+router.post('/vouchers', async (req, res) => {
+  try {
+    const { planId, duration, price, dataLimit, maxDevices, quantity = 1 } = req.body;
+
+    if (!isVoucherQuantity(quantity)) {
+      return res.status(400).json({
+        success: false,
+        message: QUANTITY_MESSAGE
+      });
+    }
+
+    if (maxDevices !== undefined && !isValidMaxDevices(maxDevices)) {
+      return res.status(400).json({
+        success: false,
+        message: MAX_DEVICES_MESSAGE
+      });
+    }
+    
+    let terms;
+    if (planId) {
+      const plan = await db.getPlanById(planId);
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Plan not found'
+        });
+      }
+      terms = db.planTerms(plan);
+    } else if (!duration || !price || !dataLimit) {
+      return res.status(400).json({
+        success: false,
+        message: 'A planId, or duration, price, and dataLimit, are required'
+      });
+    } else if (!isValidDataLimit(dataLimit)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Data limit must look like 500MB, 5GB or unlimited'
+      });
+    } else {
+      terms = { duration: parseInt(duration), price: parseInt(price), dataLimit };
+    }
+    // Given explicitly, it overrides the plan's
+    if (maxDevices !== undefined) terms.maxDevices = maxDevices;
+    
+    const createdVouchers = [];
+    
+    // Create multiple vouchers if quantity > 1
+    for (let i = 0; i < quantity; i++) {
+      const voucher = await db.createVoucher(terms);
+      await auditService.record(req, { action: 'voucher.create', entityType: 'vouchers', entityId: voucher.id, after: voucher });
+      createdVouchers.push(voucher);
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: `${quantity} voucher(s) created successfully`,
+      data: createdVouchers
+    });
+  } catch (error) {
+    console.error('Create voucher error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create voucher',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/vouchers/import - Create vouchers with given codes from CSV text (the request body)
+// Columns: code, and planId or plan (name), or duration + price + dataLimit; optional maxDevices, saleExpiresAt, redeemBy.
+// ?dryRun=true checks every row without creating anything; label, reseller and site name the batch.
+router.post('/vouchers/import', async (req, res) => {
+  try {
+    const { dryRun, label, reseller, site } = req.query;
+
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV text is required as the request body'
+      });
+    }
+
+    let rows;
+    try {
+      rows = parseCSV(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read the CSV: ${error.message}`
+      });
+    }
+
+    const allPlans = await db.getAllPlans();
+    const plans = {
+      byId: new Map(allPlans.map(p => [p.id, p])),
+      byName: new Map(allPlans.map(p => [p.name.toLowerCase(), p]))
+    };
+
+    const valid = [];
+    const errors = [];
+    const seen = new Set();
+
+    for (const row of rows) {
+      const { voucher, error } = importedVoucher(row, plans);
+      if (error) {
+        errors.push(`Row ${row.line}: ${error}`);
+      } else if (seen.has(voucher.code)) {
+        errors.push(`Row ${row.line}: code ${voucher.code} appears more than once in the file`);
+      } else if (await db.getVoucherByCode(voucher.code)) {
+        errors.push(`Row ${row.line}: code ${voucher.code} already exists`);
+      } else {
+        seen.add(voucher.code);
+        valid.push({ line: row.line, voucher });
+      }
+    }
+
+    if (dryRun === 'true') {
+      return res.json({
+        success: true,
+        message: `${valid.length} of ${rows.length} row(s) can be imported`,
+        dryRun: true,
+        errors: errors.length > 0 ? errors : undefined
+      });
+    }
+
+    // An import is a batch like any bulk creation
+    const planIds = new Set(valid.map(v => v.voucher.planId || null));
+    const batch = await db.createBatch({
+      label: label || `CSV import ${new Date().toISOString().slice(0, 10)}`,
+      planId: planIds.size === 1 ? [...planIds][0] : null,
+      reseller: reseller || null,
+      site: site || null,
+      createdBy: req.user.userId,
+      createdByEmail: req.user.email
+    });
+
+    const createdVouchers = [];
+    for (const { line, voucher: voucherData } of valid) {
+      try {
+        const voucher = await db.createVoucher({ ...voucherData, batchId: batch.id });
+        await auditService.record(req, { action: 'voucher.create', entityType: 'vouchers', entityId: voucher.id, after: voucher, details: { source: 'csv' } });
+        createdVouchers.push(voucher);
+      } catch (error) {
+        errors.push(`Row ${line}: ${error.message}`);
+      }
+    }
+
+    let savedBatch = null;
+    if (createdVouchers.length > 0) {
+      savedBatch = await db.updateBatch(batch.id, { quantity: createdVouchers.length });
+      await auditService.record(req, { action: 'batch.create', entityType: 'batches', entityId: batch.id, after: savedBatch, details: { source: 'csv' } });
+    } else {
+      await db.deleteBatch(batch.id);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${createdVouchers.length} voucher(s) imported successfully`,
+      batchId: savedBatch ? savedBatch.id : null,
+      batch: savedBatch,
+      data: createdVouchers,
+      errors: errors.length > 0 ? errors : undefined
+    });
+  } catch (error) {
+    console.error('Voucher import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import vouchers',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/vouchers/sheet - Printable sheet of cards for a bulk batch or a list of vouchers
+// ?batchId=...|ids=a,b,c &format=html|pdf &perPage=8
+router.get('/vouchers/sheet', async (req, res) => {
+  try {
+    const { batchId, ids, format = 'html', perPage = 8 } = req.query;
+    const cardsPerPage = parseInt(perPage);
+
+    if (!batchId && !ids) {
+      return res.status(400).json({
+        success: false,
+        message: 'A batchId or a comma-separated list of voucher ids is required'
+      });
+    }
+
+    if (!['html', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be html or pdf'
+      });
+    }
+
+    if (!voucherSheetService.layouts.includes(cardsPerPage)) {
+      return res.status(400).json({
+        success: false,
+        message: `perPage must be one of ${voucherSheetService.layouts.join(', ')}`
+      });
+    }
+
+    const vouchers = batchId
+      ? await db.getBatchVouchers(batchId)
+      : await db.getVouchersByIds(String(ids).split(',').map(id => id.trim()).filter(Boolean));
+
+    if (vouchers.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No vouchers found to print'
+      });
+    }
+
+    const plans = new Map();
+    for (const planId of new Set(vouchers.map(v => v.planId).filter(Boolean))) {
+      plans.set(planId, await db.getPlanById(planId));
+    }
+    const cards = vouchers.map(v => voucherSheetService.card(v, plans.get(v.planId) || null, db.redemptionDeadline(v)));
+    const filename = `vouchers-${batchId || 'selection'}`;
+
+    if (format === 'pdf') {
+      const pdf = await voucherSheetService.renderPDF(cards, cardsPerPage);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${filename}.pdf"`);
+      return res.send(pdf);
+    }
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(await voucherSheetService.renderHTML(cards, cardsPerPage));
+  } catch (error) {
+    console.error('Voucher sheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render voucher sheet',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /admin/vouchers/:id - Update voucher
+router.put('/vouchers/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { duration, price, dataLimit, maxDevices, status, saleExpiresAt, redeemBy } = req.body;
+    
+    const voucher = await db.getVoucherById(id);
+    if (!voucher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voucher not found'
+      });
+    }
     
-    let filteredPayments = payments;
+    // Prevent updating used vouchers
+    if (voucher.isUsed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot update used voucher'
+      });
+    }
     
-    if (startDate && endDate) {
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      filteredPayments = payments.filter(p => {
-        const date = new Date(p.createdAt);
-        return date >= start && date <= end;
+    if (dataLimit !== undefined && !isValidDataLimit(dataLimit)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Data limit must look like 500MB, 5GB or unlimited'
+      });
+    }
+
+    if (maxDevices !== undefined && !isValidMaxDevices(maxDevices)) {
+      return res.status(400).json({
+        success: false,
+        message: MAX_DEVICES_MESSAGE
+      });
+    }
+    
+    const updateData = {};
+    if (duration !== undefined) updateData.duration = parseInt(duration);
+    if (price !== undefined) updateData.price = parseInt(price);
+    if (dataLimit !== undefined) updateData.dataLimit = dataLimit;
+    if (maxDevices !== undefined) updateData.maxDevices = maxDevices;
+    if (status !== undefined) updateData.status = status;
+    
+    // Shelf life and redemption deadline can be moved, null removes them.
+    // Access time is not stored until the voucher is redeemed, so duration changes need nothing else.
+    for (const [field, value] of Object.entries({ saleExpiresAt, redeemBy })) {
+      if (value === undefined) continue;
+      if (value !== null && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a date or null`
+        });
+      }
+      updateData[field] = value === null ? null : new Date(value);
+    }
+    
+    const updatedVoucher = await db.updateVoucher(id, updateData);
+    await auditService.record(req, { action: 'voucher.update', entityType: 'vouchers', entityId: id, before: voucher, after: updatedVoucher });
+    
+    res.json({
+      success: true,
+      message: 'Voucher updated successfully',
+      data: updatedVoucher
+    });
+  } catch (error) {
+    console.error('Update voucher error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update voucher',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/vouchers/:id/devices - Devices attached to a voucher, with their sessions and the shared quota
+router.get('/vouchers/:id/devices', async (req, res) => {
+  try {
+    const voucher = await db.getVoucherById(req.params.id);
+    if (!voucher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voucher not found'
+      });
+    }
+
+    const devices = await Promise.all((voucher.devices || []).map(async device => {
+      const session = await db.getSessionById(device.sessionId);
+      return {
+        ...device,
+        isActive: session ? session.isActive : false,
+        bytesIn: session ? session.bytesIn : 0,
+        bytesOut: session ? session.bytesOut : 0,
+        lastAccountingAt: session ? session.lastAccountingAt || null : null
+      };
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        voucherId: voucher.id,
+        code: voucher.code,
+        maxDevices: voucher.maxDevices || 1,
+        expiresAt: voucher.expiresAt,
+        time: db.voucherTime(voucher),
+        devices,
+        quota: await db.getVoucherQuota(voucher)
+      }
+    });
+  } catch (error) {
+    console.error('Get voucher devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch voucher devices',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /admin/vouchers/:id/devices/:sessionId - Take a device off a voucher and disconnect it, freeing its place
+router.delete('/vouchers/:id/devices/:sessionId', async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+
+    const before = await db.getVoucherById(id);
+    const result = await db.detachDevice(id, sessionId);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found on this voucher'
+      });
+    }
+
+    await auditService.record(req, { action: 'voucher.detach', entityType: 'vouchers', entityId: id, before, after: result.voucher, details: { sessionId } });
+    if (result.session) {
+      await auditService.record(req, { action: 'session.end', entityType: 'sessions', entityId: sessionId, after: result.session });
+      await gatewayService.disconnect(result.session);
+    }
+
+    res.json({
+      success: true,
+      message: 'Device removed from voucher successfully',
+      data: result.voucher
+    });
+  } catch (error) {
+    console.error('Detach voucher device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove device',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /admin/vouchers/:id - Delete voucher
+router.delete('/vouchers/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const voucher = await db.getVoucherById(id);
+    if (!voucher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voucher not found'
+      });
+    }
+    
+    // Check if voucher is used
+    if (voucher.isUsed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete used voucher'
+      });
+    }
+    
+    // Delete voucher
+    await db.deleteVoucher(id);
+    await auditService.record(req, { action: 'voucher.delete', entityType: 'vouchers', entityId: id, before: voucher });
+    
+    res.json({
+      success: true,
+      message: 'Voucher deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete voucher error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete voucher',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ==================== PAYMENT MANAGEMENT ====================
+// GET /admin/payments - Get all payments with advanced filtering
+router.get('/payments', async (req, res) => {
+  try {
+    const { 
+      page = 1, 
+      limit = 10, 
+      status, 
+      paymentMethod, 
+      planId,
+      startDate, 
+      endDate,
+      minAmount,
+      maxAmount
+    } = req.query;
+    
+    const { data: payments, pagination } = await db.listPayments({
+      status,
+      paymentMethod,
+      planId,
+      startDate,
+      endDate,
+      minAmount: minAmount ? parseInt(minAmount) : undefined,
+      maxAmount: maxAmount ? parseInt(maxAmount) : undefined
+    }, { page, limit });
+    
+    res.json({
+      success: true,
+      data: payments,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /admin/payments/:id - Update payment status
+router.put('/payments/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, failureReason, notes } = req.body;
+    
+    const payment = await db.getPaymentById(id);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+    
+    const validStatuses = ['pending', 'success', 'failed', 'cancelled'];
+    if (status && !validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment status'
+      });
+    }
+    
+    // A top-up's hours and data may already be in use, so it cannot be taken back
+    if (status && status !== 'success' && payment.status === 'success' && payment.topUpVoucherId) {
+      return res.status(409).json({
+        success: false,
+        message: 'A successful top-up cannot be reversed'
       });
     }
     
-    // Group by period
+    const updateData = {};
+    if (status) updateData.status = status;
+    if (failureReason) updateData.failureReason = failureReason;
+    if (notes) updateData.adminNotes = notes;
+    
+    // Handle voucher status based on payment status
+    const voucherId = payment.voucherId || payment.topUpVoucherId;
+    const voucher = voucherId ? await db.getVoucherById(voucherId) : null;
+    let updatedVoucher = null;
+    let voucherAction = null;
+    if (status === 'success' && payment.status !== 'success') {
+      // Issue the voucher and text it to the buyer, as a payment the provider confirmed would
+      updatedVoucher = await paymentService.fulfilAndNotify(payment);
+      voucherAction = payment.topUpVoucherId ? 'voucher.topup'
+        : !voucher ? 'voucher.mint' : voucher.origin === 'purchase' ? 'voucher.reactivate' : 'voucher.sell';
+      updateData.completedAt = new Date();
+    } else if (status === 'failed' && payment.status === 'success' && payment.voucherId) {
+      // If changing from success to failed, take the voucher back (minted vouchers are revoked)
+      updatedVoucher = await db.unsellVoucher(payment.voucherId, payment.id);
+      voucherAction = 'voucher.unsell';
+    }
+    
+    const updatedPayment = await db.updatePayment(id, updateData);
+    await auditService.record(req, { action: 'payment.update', entityType: 'payments', entityId: id, before: payment, after: updatedPayment });
+    if (updatedVoucher) {
+      await auditService.record(req, { action: voucherAction, entityType: 'vouchers', entityId: updatedVoucher.id, before: voucher, after: updatedVoucher });
+    }
+    
+    // A subscription waiting on this payment moves on now rather than at its next renewal check
+    if (payment.subscriptionId) {
+      await subscriptionService.settle(await db.getSubscriptionById(payment.subscriptionId));
+    }
+    
+    res.json({
+      success: true,
+      message: 'Payment updated successfully',
+      data: updatedPayment
+    });
+  } catch (error) {
+    console.error('Update payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ==================== ANALYTICS ====================
+// GET /admin/analytics/revenue - Get revenue analytics
+router.get('/analytics/revenue', async (req, res) => {
+  try {
+    const { period = 'month', startDate, endDate } = req.query;
+    
+    const where = { status: 'success' };
+    if (startDate && endDate) {
+      where.createdAt = { $gte: new Date(startDate), $lte: new Date(endDate) };
+    }
+    
+    // The store totals each calendar day; weeks, months and years are rolled up from those
+    const days = await db.store.group('payments', { where, day: 'createdAt', sum: ['amount', 'discount'] });
+    
     const groupedData = {};
-    filteredPayments.forEach(payment => {
-      const date = new Date(payment.createdAt);
+    days.forEach(({ day, count, amount, discount }) => {
       let key;
       
       switch (period) {
-        case 'day':
-          key = date.toISOString().split('T')[0];
-          break;
-        case 'week':
-          const weekStart = new Date(date.setDate(date.getDate() - date.getDay()));
+        case 'week': {
+          const weekStart = new Date(`${day}T00:00:00Z`);
+          weekStart.setUTCDate(weekStart.getUTCDate() - weekStart.getUTCDay());
           key = weekStart.toISOString().split('T')[0];
           break;
+        }
         case 'month':
-          key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+          key = day.slice(0, 7);
           break;
         case 'year':
-          key = date.getFullYear().toString();
+          key = day.slice(0, 4);
           break;
         default:
-          key = date.toISOString().split('T')[0];
+          key = day;
       }
       
       if (!groupedData[key]) {
-        groupedData[key] = { revenue: 0, transactions: 0 };
+        groupedData[key] = { revenue: 0, discounts: 0, transactions: 0 };
       }
       
-      groupedData[key].revenue += payment.amount;
-      groupedData[key].transactions += 1;
+      groupedData[key].revenue += amount;
+      groupedData[key].discounts += discount;
+      groupedData[key].transactions += count;
     });
     
     // Convert to array and sort
@@ -724,12 +1615,14 @@ router.get('/analytics/revenue', async (req, res) => {
       .map(([period, data]) => ({
         period,
         revenue: data.revenue,
+        discounts: data.discounts,
         transactions: data.transactions
       }))
       .sort((a, b) => a.period.localeCompare(b.period));
     
-    const totalRevenue = filteredPayments.reduce((sum, p) => sum + p.amount, 0);
-    const totalTransactions = filteredPayments.length;
+    const totalRevenue = chartData.reduce((sum, d) => sum + d.revenue, 0);
+    const totalDiscounts = chartData.reduce((sum, d) => sum + d.discounts, 0);
+    const totalTransactions = chartData.reduce((sum, d) => sum + d.transactions, 0);
     const averageTransaction = totalTransactions > 0 ? totalRevenue / totalTransactions : 0;
     
     res.json({
@@ -737,6 +1630,7 @@ router.get('/analytics/revenue', async (req, res) => {
       data: {
         summary: {
           totalRevenue,
+          totalDiscounts,
           totalTransactions,
           averageTransaction: Math.round(averageTransaction),
           period
@@ -757,70 +1651,135 @@ router.get('/analytics/revenue', async (req, res) => {
 // GET /admin/analytics/vouchers - Get voucher analytics
 router.get('/analytics/vouchers', async (req, res) => {
   try {
-    const vouchers = db.getAllVouchers();
+    const groups = await db.store.group('vouchers', { by: ['duration', 'price', 'isUsed'] });
     
     // Usage by duration
-    const usageByDuration = vouchers.reduce((acc, v) => {
-      const key = `${v.duration}h`;
+    const usageByDuration = groups.reduce((acc, group) => {
+      const key = `${group.duration}h`;
       if (!acc[key]) acc[key] = { total: 0, used: 0 };
-      acc[key].total++;
-      if (v.isUsed) acc[key].used++;
+      acc[key].total += group.count;
+      if (group.isUsed) acc[key].used += group.count;
       return acc;
     }, {});
     
     // Usage by price range
-    const usageByPrice = vouchers.reduce((acc, v) => {
+    const usageByPrice = groups.reduce((acc, group) => {
       let range;
-      if (v.price < 5000) range = 'Under 5K';
-      else if (v.price < 15000) range = '5K - 15K';
-      else if (v.price < 30000) range = '15K - 30K';
+      if (group.price < 5000) range = 'Under 5K';
+      else if (group.price < 15000) range = '5K - 15K';
+      else if (group.price < 30000) range = '15K - 30K';
       else range = 'Over 30K';
       
       if (!acc[range]) acc[range] = { total: 0, used: 0 };
-      acc[range].total++;
-      if (v.isUsed) acc[range].used++;
+      acc[range].total += group.count;
+      if (group.isUsed) acc[range].used += group.count;
       return acc;
     }, {});
     
     // Daily usage trends (last 30 days)
+    const firstDay = new Date();
+    firstDay.setDate(firstDay.getDate() - 29);
+    const usedByDay = await db.store.group('vouchers', {
+      where: { usedAt: { $gte: new Date(firstDay.toISOString().split('T')[0]) } },
+      day: 'usedAt',
+      sum: ['price']
+    });
+    
     const dailyUsage = [];
     for (let i = 29; i >= 0; i--) {
       const date = new Date();
       date.setDate(date.getDate() - i);
       const dateStr = date.toISOString().split('T')[0];
-      
-      const dayVouchers = vouchers.filter(v => {
-        if (!v.usedAt) return false;
-        const usedDate = new Date(v.usedAt).toISOString().split('T')[0];
-        return usedDate === dateStr;
-      });
+      const day = usedByDay.find(d => d.day === dateStr);
       
       dailyUsage.push({
         date: dateStr,
-        used: dayVouchers.length,
-        revenue: dayVouchers.reduce((sum, v) => sum + v.price, 0)
+        used: day ? day.count : 0,
+        revenue: day ? day.price : 0
+      });
+    }
+    
+    const total = await db.store.count('vouchers');
+    const used = await db.store.count('vouchers', { isUsed: true });
+    
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          total,
+          used,
+          active: await db.store.count('vouchers', { status: 'active' }),
+          usageRate: total > 0 ? ((used / total) * 100).toFixed(1) : 0
+        },
+        usageByDuration,
+        usageByPrice,
+        dailyUsage
+      }
+    });
+  } catch (error) {
+    console.error('Voucher analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch voucher analytics',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/analytics/promotions - Uses, discounts and revenue per promotion (?startDate&endDate)
+router.get('/analytics/promotions', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    await db.settlePromoRedemptions();
+    const where = {};
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.$gte = new Date(startDate);
+      if (endDate) where.createdAt.$lte = new Date(endDate);
+    }
+    const redemptions = await db.getPromoRedemptions(where);
+
+    const byPromotion = new Map();
+    for (const redemption of redemptions) {
+      if (!byPromotion.has(redemption.promotionId)) byPromotion.set(redemption.promotionId, []);
+      byPromotion.get(redemption.promotionId).push(redemption);
+    }
+
+    const promotions = [];
+    for (const [promotionId, promotionRedemptions] of byPromotion) {
+      const promotion = await db.getPromotionById(promotionId);
+      promotions.push({
+        promotionId,
+        code: promotion ? promotion.code : promotionRedemptions[0].code,
+        name: promotion ? promotion.name : null,
+        ...redemptionStats(promotionRedemptions)
       });
     }
-    
+    promotions.sort((a, b) => b.redeemed - a.redeemed);
+
+    const totals = redemptionStats(redemptions);
+    // A payment that used several codes is counted once
+    const paidAmounts = new Map(redemptions
+      .filter(redemption => redemption.status === 'redeemed')
+      .map(redemption => [redemption.paymentReference, redemption.amount]));
     res.json({
       success: true,
       data: {
         summary: {
-          total: vouchers.length,
-          used: vouchers.filter(v => v.isUsed).length,
-          active: vouchers.filter(v => v.status === 'active').length,
-          usageRate: vouchers.length > 0 ? ((vouchers.filter(v => v.isUsed).length / vouchers.length) * 100).toFixed(1) : 0
+          redeemed: totals.redeemed,
+          pending: totals.held,
+          totalDiscounts: totals.discountTotal,
+          revenue: [...paidAmounts.values()].reduce((sum, amount) => sum + amount, 0)
         },
-        usageByDuration,
-        usageByPrice,
-        dailyUsage
+        promotions
       }
     });
   } catch (error) {
-    console.error('Voucher analytics error:', error);
+    console.error('Promotion analytics error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch voucher analytics',
+      message: 'Failed to fetch promotion analytics',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -830,7 +1789,7 @@ router.get('/analytics/vouchers', async (req, res) => {
 // POST /admin/bulk/vouchers - Bulk create vouchers
 router.post('/bulk/vouchers', async (req, res) => {
   try {
-    const { vouchers } = req.body;
+    const { vouchers, label, reseller, site } = req.body;
 
     if (!Array.isArray(vouchers) || vouchers.length === 0) {
       return res.status(400).json({
@@ -839,34 +1798,87 @@ router.post('/bulk/vouchers', async (req, res) => {
       });
     }
 
+    const invalidField = Object.entries({ label, reseller, site })
+      .find(([, value]) => value !== undefined && value !== null && typeof value !== 'string');
+    if (invalidField) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidField[0]} must be text`
+      });
+    }
+
+    // Everything made by one request is one batch, so it can be tracked, acted on and printed as a whole
+    const planIds = new Set(vouchers.map(v => (v && v.planId) || null));
+    const batch = await db.createBatch({
+      label: label || null,
+      planId: planIds.size === 1 ? [...planIds][0] : null,
+      reseller: reseller || null,
+      site: site || null,
+      createdBy: req.user.userId,
+      createdByEmail: req.user.email
+    });
+    const batchId = batch.id;
     const createdVouchers = [];
     const errors = [];
 
-    vouchers.forEach((voucherData, index) => {
+    for (const [index, voucherData] of vouchers.entries()) {
       try {
-        const { duration, price, dataLimit, quantity = 1 } = voucherData;
+        const { planId, duration, price, dataLimit, maxDevices, quantity = 1 } = voucherData;
 
-        if (!duration || !price || !dataLimit) {
-          errors.push(`Voucher ${index + 1}: Duration, price, and dataLimit are required`);
-          return;
+        if (!isVoucherQuantity(quantity)) {
+          errors.push(`Voucher ${index + 1}: ${QUANTITY_MESSAGE}`);
+          continue;
+        }
+
+        let terms;
+        if (planId) {
+          const plan = await db.getPlanById(planId);
+          if (!plan) {
+            errors.push(`Voucher ${index + 1}: Plan not found`);
+            continue;
+          }
+          terms = db.planTerms(plan);
+        } else if (!duration || !price || !dataLimit) {
+          errors.push(`Voucher ${index + 1}: A planId, or duration, price, and dataLimit, are required`);
+          continue;
+        } else if (!isValidDataLimit(dataLimit)) {
+          errors.push(`Voucher ${index + 1}: Data limit must look like 500MB, 5GB or unlimited`);
+          continue;
+        } else {
+          terms = { duration: parseInt(duration), price: parseInt(price), dataLimit };
+        }
+
+        if (maxDevices !== undefined) {
+          if (!isValidMaxDevices(maxDevices)) {
+            errors.push(`Voucher ${index + 1}: ${MAX_DEVICES_MESSAGE}`);
+            continue;
+          }
+          terms.maxDevices = maxDevices;
         }
 
         for (let i = 0; i < quantity; i++) {
-          const voucher = db.createVoucher({
-            duration: parseInt(duration),
-            price: parseInt(price),
-            dataLimit
-          });
+          const voucher = await db.createVoucher({ ...terms, batchId });
+          await auditService.record(req, { action: 'voucher.create', entityType: 'vouchers', entityId: voucher.id, after: voucher });
           createdVouchers.push(voucher);
         }
       } catch (error) {
         errors.push(`Voucher ${index + 1}: ${error.message}`);
       }
-    });
+    }
+
+    let savedBatch = null;
+    if (createdVouchers.length > 0) {
+      savedBatch = await db.updateBatch(batchId, { quantity: createdVouchers.length });
+      await auditService.record(req, { action: 'batch.create', entityType: 'batches', entityId: batchId, after: savedBatch });
+    } else {
+      await db.deleteBatch(batchId);
+    }
 
     res.status(201).json({
       success: true,
       message: `${createdVouchers.length} voucher(s) created successfully`,
+      batchId: savedBatch ? savedBatch.id : null,
+      batch: savedBatch,
       data: createdVouchers,
       errors: errors.length > 0 ? errors : undefined
     });
@@ -880,4 +1892,448 @@ router.post('/bulk/vouchers', async (req, res) => {
   }
 });
 
+// ==================== BATCHES ====================
+const batchWithStats = async batch => ({ ...batch, stats: await db.getBatchStats(batch.id) });
+
+// Load the batch named in the URL into req.batch
+const loadBatch = async (req, res, next) => {
+  try {
+    req.batch = await db.getBatchById(req.params.id);
+    if (!req.batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Run a batch-wide voucher change, record it on the batch and in the audit log
+const batchAction = async (req, res, { action, condition, updates, batchUpdates, message }) => {
+  try {
+    const changed = await db.updateBatchVouchers(req.batch.id, condition, updates);
+    const batch = batchUpdates ? await db.updateBatch(req.batch.id, batchUpdates) : req.batch;
+    await auditService.record(req, {
+      action,
+      entityType: 'batches',
+      entityId: batch.id,
+      before: req.batch,
+      after: batch,
+      details: { vouchers: changed.length }
+    });
+
+    res.json({
+      success: true,
+      message: `${changed.length} voucher(s) ${message}`,
+      data: await batchWithStats(batch)
+    });
+  } catch (error) {
+    console.error(`Batch action ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// GET /admin/batches - List batches with their sold/used statistics
+router.get('/batches', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, planId, reseller, site, status } = req.query;
+
+    const { data, pagination } = await db.listBatches({ planId, reseller, site, status }, { page, limit });
+
+    res.json({
+      success: true,
+      data: await Promise.all(data.map(batchWithStats)),
+      pagination
+    });
+  } catch (error) {
+    console.error('Get batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch batches',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /admin/batches/:id - Get one batch with its statistics
+router.get('/batches/:id', loadBatch, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await batchWithStats(req.batch)
+    });
+  } catch (error) {
+    console.error('Get batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /admin/batches/:id - Relabel a batch or change who it belongs to
+router.put('/batches/:id', loadBatch, async (req, res) => {
+  try {
+    const updates = {};
+    for (const field of ['label', 'reseller', 'site']) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+      if (value !== null && typeof value !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be text or null`
+        });
+      }
+      updates[field] = value || null;
+    }
+
+    const batch = await db.updateBatch(req.batch.id, updates);
+    await auditService.record(req, { action: 'batch.update', entityType: 'batches', entityId: batch.id, before: req.batch, after: batch });
+
+    res.json({
+      success: true,
+      message: 'Batch updated successfully',
+      data: await batchWithStats(batch)
+    });
+  } catch (error) {
+    console.error('Update batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/batches/:id/disable - Stop the batch's unused vouchers from being redeemed, reversible
+router.post('/batches/:id/disable', loadBatch, (req, res) => batchAction(req, res, {
+  action: 'batch.disable',
+  condition: v => !v.isUsed && v.status === 'active',
+  updates: { status: 'disabled' },
+  batchUpdates: { status: 'disabled' },
+  message: 'disabled'
+}));
+
+// POST /admin/batches/:id/enable - Undo a disable
+router.post('/batches/:id/enable', loadBatch, (req, res) => {
+  if (req.batch.status === 'revoked') {
+    return res.status(400).json({
+      success: false,
+      message: 'A revoked batch cannot be enabled again'
+    });
+  }
+
+  return batchAction(req, res, {
+    action: 'batch.enable',
+    condition: v => !v.isUsed && v.status === 'disabled',
+    updates: { status: 'active' },
+    batchUpdates: { status: 'active' },
+    message: 'enabled'
+  });
+});
+
+// POST /admin/batches/:id/extend - Push the shelf life and redemption deadline of unused vouchers out by { days }
+router.post('/batches/:id/extend', loadBatch, (req, res) => {
+  const days = Number(req.body.days);
+  if (!Number.isInteger(days) || days < 1 || days > 3650) {
+    return res.status(400).json({
+      success: false,
+      message: 'days must be a whole number from 1 to 3650'
+    });
+  }
+
+  const later = date => (date ? new Date(new Date(date).getTime() + days * 24 * 60 * 60 * 1000) : date);
+  // Vouchers the sweeper expired come back if the new deadline is still ahead
+  const revived = v => v.status === 'expired' && db.redemptionDeadline({ redeemBy: later(v.redeemBy), saleExpiresAt: later(v.saleExpiresAt) }) > new Date();
+  return batchAction(req, res, {
+    action: 'batch.extend',
+    condition: v => !v.isUsed,
+    updates: v => ({
+      saleExpiresAt: later(v.saleExpiresAt),
+      redeemBy: later(v.redeemBy),
+      ...(revived(v) && { status: 'active' })
+    }),
+    message: `extended by ${days} day(s)`
+  });
+});
+
+// POST /admin/batches/:id/revoke - Permanently revoke every unsold, unused code, e.g. when a printed batch is lost
+router.post('/batches/:id/revoke', loadBatch, (req, res) => batchAction(req, res, {
+  action: 'batch.revoke',
+  condition: v => !v.isUsed && !v.soldAt && v.status !== 'revoked',
+  updates: { status: 'revoked' },
+  batchUpdates: { status: 'revoked' },
+  message: 'revoked'
+}));
+
+// GET /admin/batches/:id/export - Download the batch's vouchers (?format=csv|json)
+router.get('/batches/:id/export', loadBatch, async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or json'
+      });
+    }
+
+    const vouchers = await db.getBatchVouchers(req.batch.id);
+    const filename = `mowave-batch-${(req.batch.label || req.batch.id).replace(/[^A-Za-z0-9_-]+/g, '-')}`;
+
+    if (format === 'json') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.json({ batch: req.batch, vouchers });
+    }
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}.csv"`
+    });
+    res.send(toCSV(vouchers, [
+      'code', 'status', 'isUsed', 'duration', 'price', 'dataLimit',
+      'createdAt', 'saleExpiresAt', 'soldAt', 'redeemBy', 'usedAt'
+    ]));
+  } catch (error) {
+    console.error('Export batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ==================== BLOCKED CLIENTS ====================
+// GET /admin/blocked-clients - Clients locked out of or slowed down on voucher codes (?all=true adds every client with failures)
+router.get('/blocked-clients', async (req, res) => {
+  try {
+    const clients = await codeAttemptService.listClients({ all: req.query.all === 'true' });
+
+    res.json({
+      success: true,
+      data: clients
+    });
+  } catch (error) {
+    console.error('Get blocked clients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blocked clients',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /admin/blocked-clients/:id - Unblock a client, e.g. ip:10.5.50.23 or mac:aa:bb:cc:dd:ee:ff
+router.delete('/blocked-clients/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [before] = await db.getCodeAttempts([id]);
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client has no failed attempts on record'
+      });
+    }
+
+    await codeAttemptService.unblock(id);
+    await auditService.record(req, { action: 'client.unblock', entityType: 'codeAttempts', entityId: id, before });
+
+    res.json({
+      success: true,
+      message: 'Client unblocked successfully'
+    });
+  } catch (error) {
+    console.error('Unblock client error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unblock client',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ==================== SWEEPER ====================
+// GET /admin/sweeper - Sweeper settings, state and run history (newest first, paginated)
+router.get('/sweeper', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const { data, pagination } = await db.listSweeperRuns({ page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        ...sweeperService.status(),
+        runs: data
+      },
+      pagination
+    });
+  } catch (error) {
+    console.error('Get sweeper status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sweeper status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/sweeper/run - Sweep now instead of waiting for the next scheduled run
+router.post('/sweeper/run', async (req, res) => {
+  try {
+    const run = await sweeperService.run('manual');
+    await auditService.record(req, { action: 'sweeper.run', entityType: 'sweeperRuns', entityId: run.id, after: run });
+
+    res.status(run.error ? 500 : 200).json({
+      success: !run.error,
+      message: run.error ? `Sweep failed: ${run.error}` : 'Sweep completed',
+      data: run
+    });
+  } catch (error) {
+    console.error('Sweeper run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run sweeper',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ==================== AUDIT LOG ====================
+// GET /admin/audit - Browse the audit log (?format=csv downloads every matching entry)
+router.get('/audit', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, format, action, entityType, entityId, actorId, startDate, endDate } = req.query;
+    const filters = { action, entityType, entityId, actorId, startDate, endDate };
+
+    if (format === 'csv') {
+      const entries = (await db.getAuditLogs(filters)).map(entry => ({
+        ...entry,
+        changes: JSON.stringify(entry.changes),
+        details: entry.details ? JSON.stringify(entry.details) : ''
+      }));
+
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="mowave-audit-${new Date().toISOString().slice(0, 10)}.csv"`
+      });
+      return res.send(toCSV(entries, [
+        'createdAt', 'actorId', 'actorEmail', 'actorRole', 'ip',
+        'action', 'entityType', 'entityId', 'changes', 'details'
+      ]));
+    }
+
+    const { data, pagination } = await db.listAuditLogs(filters, { page, limit });
+
+    res.json({
+      success: true,
+      data,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ==================== SNAPSHOTS ====================
+// GET /admin/snapshot - Download a snapshot of the whole installation (?format=json|ndjson)
+router.get('/snapshot', async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (!['json', 'ndjson'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json or ndjson'
+      });
+    }
+
+    const snapshot = await exportSnapshot(db);
+    const stamp = snapshot.exportedAt.toISOString().replace(/[:.]/g, '-');
+    const filename = format === 'ndjson' ? `mowave-snapshot-${stamp}.ndjson.gz` : `mowave-snapshot-${stamp}.json`;
+
+    res.set({
+      'Content-Type': format === 'ndjson' ? 'application/gzip' : 'application/json',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(serializeSnapshot(snapshot, format));
+  } catch (error) {
+    console.error('Snapshot export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export snapshot',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /admin/snapshot/restore - Restore a snapshot file (raw request body) into an empty installation (?dryRun=true)
+router.post('/snapshot/restore', async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Snapshot file is required as the request body'
+      });
+    }
+
+    let snapshot;
+    try {
+      snapshot = parseSnapshot(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Snapshot could not be read: ${error.message}`
+      });
+    }
+
+    const result = await restoreSnapshot(db, snapshot, { dryRun, bootstrapAdminId: req.user.userId });
+
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Snapshot cannot be restored',
+        errors: result.errors
+      });
+    }
+
+    if (!dryRun) {
+      await auditService.record(req, {
+        action: 'snapshot.restore',
+        entityType: 'snapshots',
+        details: { exportedAt: snapshot.exportedAt, counts: result.counts }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Snapshot is valid and can be restored' : 'Snapshot restored successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Snapshot restore error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore snapshot',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 module.exports = router;
@@ -16,7 +16,7 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    const user = db.getUserByEmail(email);
+    const user = await db.getUserByEmail(email);
     
     if (!user) {
       return res.status(401).json({
@@ -81,7 +81,7 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    const existingUser = db.getUserByEmail(email);
+    const existingUser = await db.getUserByEmail(email);
     
     if (existingUser) {
       return res.status(400).json({
@@ -92,7 +92,7 @@ router.post('/register', async (req, res) => {
 
     const hashedPassword = await bcrypt.hash(password, 10);
     
-    const user = db.createUser({
+    const user = await db.createUser({
       email,
       password: hashedPassword,
       role
@@ -127,9 +127,9 @@ router.post('/register', async (req, res) => {
 });
 
 // GET /api/auth/me - Get current user
-router.get('/me', authenticateToken, (req, res) => {
+router.get('/me', authenticateToken, async (req, res) => {
   try {
-    const user = db.getUserById(req.user.userId);
+    const user = await db.getUserById(req.user.userId);
     
     if (!user) {
       return res.status(404).json({
@@ -4,118 +4,281 @@ const router = express.Router();
 const db = require('../models/database');
 const paymentService = require('../services/paymentService');
 const smsService = require('../services/smsService'); // We'll create this next
+const auditService = require('../services/auditService');
+const codeAttemptService = require('../services/codeAttemptService');
+const promotionService = require('../services/promotionService');
+const subscriptionService = require('../services/subscriptionService');
+const { throttleCodeAttempts } = require('../middleware/codeAttempts');
+const { normalizeCode, maskCode } = require('../utils/voucherCode');
+const { mobileMoneyError } = require('../utils/mobileMoney');
+const { sameAccessSchedule } = require('../utils/accessSchedule');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const { v4: uuidv4 } = require('uuid');
 
-// Simple auth check - you'll need to implement proper middleware
-const authenticateToken = (req, res, next) => {
-  // Skip auth for demo - implement proper JWT verification
-  next();
-};
+// Promo codes are optional, a list of non-empty strings when given
+const isPromoCodeList = codes => codes === undefined || (
+  Array.isArray(codes) && codes.every(code => typeof code === 'string' && code.trim())
+);
 
 // Enhanced validation middleware
 const validatePaymentData = (req, res, next) => {
-  const { amount, phoneNumber, paymentMethod, voucherId } = req.body;
+  const { amount, phoneNumber, paymentMethod, planId } = req.body;
+  
+  // The exact amount is checked against the plan price once the plan is loaded,
+  // it is zero when promo codes cover the whole price
+  if (!Number.isInteger(amount) || amount < 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Amount must be a whole number of UGX'
+    });
+  }
   
-  if (!amount || amount < 1000 || amount > 50000) {
+  // Phone number format, and whether its network takes the payment method
+  const mobileMoneyMessage = mobileMoneyError(phoneNumber, paymentMethod);
+  if (mobileMoneyMessage) {
     return res.status(400).json({
       success: false,
-      message: 'Amount must be between 1000 and 50000 UGX'
+      message: mobileMoneyMessage
     });
   }
   
-  // Enhanced phone number validation for both MTN and Airtel
-  const mtnPrefixes = ['256070', '256077', '256078', '256039'];
-  const airtelPrefixes = ['256070', '256075', '256074', '256020'];
+  if (!planId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Plan ID is required'
+    });
+  }
+  
+  // A top-up names the voucher by its code or by the phone number that bought it
+  const { topUp } = req.body;
+  if (topUp !== undefined && !(
+    (typeof topUp?.code === 'string' && topUp.code.trim()) ||
+    (typeof topUp?.phoneNumber === 'string' && /^256[0-9]{9}$/.test(topUp.phoneNumber))
+  )) {
+    return res.status(400).json({
+      success: false,
+      message: 'Top-up needs the voucher code, or the phone number that bought it in the format 256XXXXXXXXX'
+    });
+  }
   
-  if (!phoneNumber || !/^256[0-9]{9}$/.test(phoneNumber)) {
+  if (!isPromoCodeList(req.body.promoCodes)) {
     return res.status(400).json({
       success: false,
-      message: 'Invalid phone number format. Use 256XXXXXXXXX'
+      message: 'Promo codes must be a list of codes'
     });
   }
   
-  // Validate payment method matches phone number prefix
-  if (paymentMethod === 'mtn_momo') {
-    const isMTN = mtnPrefixes.some(prefix => phoneNumber.startsWith(prefix));
-    if (!isMTN) {
+  // A gift goes to another phone number, which gets the code instead of the payer
+  const { recipientPhoneNumber } = req.body;
+  if (recipientPhoneNumber !== undefined && recipientPhoneNumber !== null) {
+    if (typeof recipientPhoneNumber !== 'string' || !/^256[0-9]{9}$/.test(recipientPhoneNumber)) {
       return res.status(400).json({
         success: false,
-        message: 'Phone number is not compatible with MTN MoMo'
+        message: 'Recipient phone number must be in format 256XXXXXXXXX'
       });
     }
-  } else if (paymentMethod === 'airtel_money') {
-    const isAirtel = airtelPrefixes.some(prefix => phoneNumber.startsWith(prefix));
-    if (!isAirtel) {
+    
+    if (topUp !== undefined) {
       return res.status(400).json({
         success: false,
-        message: 'Phone number is not compatible with Airtel Money'
+        message: 'A top-up cannot be bought as a gift'
       });
     }
   }
   
-  if (!paymentMethod || !['mtn_momo', 'airtel_money'].includes(paymentMethod)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Payment method must be mtn_momo or airtel_money'
+  next();
+};
+
+// Codes typed in for a top-up count against the same guess limits as the portal's
+const throttleTopUpCode = (req, res, next) => (
+  req.body.topUp?.code ? throttleCodeAttempts(req, res, next) : next()
+);
+
+// Customer-facing messages for Database.getTopUpError() codes
+const topUpErrors = {
+  INACTIVE: 'Voucher is not active and cannot be topped up',
+  EXPIRED: 'Voucher was never used and is past its redemption deadline',
+  ACCESS_HOURS: 'Voucher can only be topped up with a plan for the same access hours'
+};
+
+// Customer-facing messages for PromotionService.quote() and claim() codes
+const promoErrors = {
+  NOT_FOUND: 'is not a valid promo code',
+  INACTIVE: 'is no longer available',
+  NOT_STARTED: 'is not valid yet',
+  ENDED: 'has ended',
+  NOT_APPLICABLE: 'does not apply to this plan',
+  USED_UP: 'has been used up',
+  PHONE_LIMIT: 'has already been used as many times as allowed from this phone number',
+  NOT_FIRST_PURCHASE: 'is only for a first purchase',
+  NOT_STACKABLE: 'cannot be combined with other promo codes'
+};
+
+const promoErrorMessage = ({ error, code }) => (
+  error === 'TOO_MANY' ? 'Too many promo codes for one payment' : `Promo code ${code} ${promoErrors[error]}`
+);
+
+// What a quote tells the customer
+const quoteDetails = quote => ({
+  listPrice: quote.listPrice,
+  discount: quote.discount,
+  amount: quote.amount,
+  promotions: quote.promotions.map(({ code, name, discount }) => ({ code, name, discount }))
+});
+
+// A gift's code is only for its recipient, the payer sees who it went to. A top-up may be
+// paid by anyone who knows the owner's phone number, so it never shows the code either.
+const voucherCodeFor = (payment, voucher) => (
+  payment.recipientPhoneNumber || payment.topUpVoucherId ? null : voucher.code
+);
+
+// POST /api/payments/quote - What a plan costs with promo codes, before paying
+// Body: { planId, promoCodes, phoneNumber } - phoneNumber is optional, without it
+// the per-phone and first-purchase rules are only checked when paying
+router.post('/quote', async (req, res) => {
+  try {
+    const { planId, promoCodes = [], phoneNumber } = req.body;
+
+    if (!isPromoCodeList(promoCodes)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promo codes must be a list of codes'
+      });
+    }
+
+    const plan = planId ? await db.getPlanById(planId) : null;
+    if (!plan || plan.visibility !== 'public') {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    const quote = await promotionService.quote(plan, promoCodes, /^256[0-9]{9}$/.test(phoneNumber) ? phoneNumber : null);
+    if (quote.error) {
+      return res.status(400).json({
+        success: false,
+        message: promoErrorMessage(quote)
+      });
+    }
+
+    res.json({
+      success: true,
+      data: quoteDetails(quote)
     });
-  }
-  
-  if (!voucherId) {
-    return res.status(400).json({
+  } catch (error) {
+    console.error('Payment quote error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Voucher ID is required'
+      message: 'Failed to price plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-  
-  next();
-};
+});
 
 // CREATE - Initiate a new payment with enhanced mock integration
-router.post('/', validatePaymentData, async (req, res) => {
+// Body: { amount, phoneNumber, paymentMethod, planId, userId, topUp, recipientPhoneNumber, promoCodes } -
+// with topUp ({ code } or { phoneNumber }) the plan's hours and data are added to that voucher instead
+// of a new one, with recipientPhoneNumber the new voucher is a gift owned by and sent to that number,
+// and amount is the plan price less whatever the promo codes take off
+router.post('/', validatePaymentData, throttleTopUpCode, async (req, res) => {
   try {
-    const { amount, phoneNumber, paymentMethod, voucherId, userId } = req.body;
+    const { amount, phoneNumber, paymentMethod, planId, userId, topUp, recipientPhoneNumber, promoCodes = [] } = req.body;
     
-    // Verify voucher exists and is available
-    const voucher = db.getVoucherById(voucherId);
-    if (!voucher) {
+    // Only public plans can be bought online, hidden ones are for printed stock
+    const plan = await db.getPlanById(planId);
+    if (!plan || plan.visibility !== 'public') {
       return res.status(404).json({
         success: false,
-        message: 'Voucher not found'
+        message: 'Plan not found'
       });
     }
     
-    if (voucher.isUsed) {
+    const quote = await promotionService.quote(plan, promoCodes, phoneNumber);
+    if (quote.error) {
       return res.status(400).json({
         success: false,
-        message: 'Voucher already used'
+        message: promoErrorMessage(quote)
       });
     }
     
-    if (voucher.price !== amount) {
+    if (quote.amount !== amount) {
       return res.status(400).json({
         success: false,
-        message: 'Payment amount does not match voucher price'
+        message: quote.promotions.length > 0
+          ? 'Payment amount does not match the plan price after promo codes'
+          : 'Payment amount does not match plan price',
+        data: quoteDetails(quote)
       });
     }
     
-    // Create payment record
-    const paymentData = {
-      amount,
-      phoneNumber,
-      paymentMethod,
-      voucherId,
-      userId: userId || null,
-      status: 'pending',
-      transactionId: null,
-      reference: paymentService.generateReference(),
-      metadata: {
-        voucherCode: voucher.code,
-        dataLimit: voucher.dataLimit,
-        duration: voucher.duration
+    let topUpVoucher = null;
+    if (topUp) {
+      topUpVoucher = topUp.code
+        ? await db.getVoucherByCode(normalizeCode(topUp.code))
+        : await db.findTopUpVoucher(topUp.phoneNumber);
+      
+      if (!topUpVoucher) {
+        if (topUp.code) await codeAttemptService.recordFailure(req.codeClients);
+        return res.status(404).json({
+          success: false,
+          message: topUp.code ? 'Invalid voucher code' : 'No voucher bought with that phone number can be topped up'
+        });
       }
-    };
+      
+      // Time bought for night hours cannot be added to an all-day voucher, nor the other way round
+      const topUpError = db.getTopUpError(topUpVoucher) ||
+        (sameAccessSchedule(topUpVoucher.accessSchedule, plan.accessSchedule) ? null : 'ACCESS_HOURS');
+      if (topUpError) {
+        return res.status(400).json({
+          success: false,
+          message: topUpErrors[topUpError]
+        });
+      }
+    }
     
-    const payment = db.createPayment(paymentData);
+    // Hold a use of each promo code for this payment, given back if it fails
+    const reference = paymentService.generateReference();
+    const claim = await promotionService.claim(quote, { paymentReference: reference, phoneNumber, planId });
+    if (claim.error) {
+      return res.status(409).json({
+        success: false,
+        message: promoErrorMessage(claim)
+      });
+    }
+    
+    // Create payment record - the voucher is minted (or topped up) once the payment
+    // succeeds, on the plan terms as they were when the customer paid
+    let payment;
+    try {
+      payment = await db.createPayment({
+        amount,
+        listPrice: quote.listPrice,
+        discount: quote.discount,
+        promotions: quote.promotions.map(({ id, code, discount }) => ({ id, code, discount })),
+        phoneNumber,
+        paymentMethod,
+        planId,
+        voucherId: null,
+        topUpVoucherId: topUpVoucher ? topUpVoucher.id : null,
+        recipientPhoneNumber: recipientPhoneNumber || null,
+        userId: userId || null,
+        status: 'pending',
+        transactionId: null,
+        reference,
+        metadata: {
+          planName: plan.name,
+          duration: plan.duration,
+          dataLimit: plan.dataLimit,
+          bandwidth: plan.bandwidth,
+          accessSchedule: plan.accessSchedule || null
+        }
+      });
+    } catch (error) {
+      await promotionService.release(reference);
+      throw error;
+    }
+    await auditService.record(req, { action: 'payment.create', entityType: 'payments', entityId: payment.id, after: payment });
     
     // Log payment initiation
     console.log(`🚀 Payment initiated: ${payment.reference}`);
@@ -124,26 +287,36 @@ router.post('/', validatePaymentData, async (req, res) => {
     // Process payment asynchronously with enhanced mock integration
     setImmediate(async () => {
       try {
+        const voucherBefore = topUpVoucher ? await db.getVoucherById(topUpVoucher.id) : null;
         const result = await paymentService.processPayment({
           paymentId: payment.id,
           reference: payment.reference,
           amount,
           phoneNumber,
           paymentMethod,
-          voucherId,
           userId
         });
         
-        // Send SMS notification based on payment result
-        if (result.success) {
-          await smsService.sendVoucherCode({
-            phoneNumber,
-            voucherCode: voucher.code,
-            dataLimit: voucher.dataLimit,
-            duration: voucher.duration,
-            paymentReference: payment.reference
+        // The provider result moved the payment on and, on success, minted its voucher
+        await auditService.record(null, {
+          action: 'payment.process',
+          entityType: 'payments',
+          entityId: payment.id,
+          before: payment,
+          after: await db.getPaymentById(payment.id)
+        });
+        if (result.voucher) {
+          await auditService.record(null, {
+            action: topUpVoucher ? 'voucher.topup' : 'voucher.mint',
+            entityType: 'vouchers',
+            entityId: result.voucher.id,
+            before: voucherBefore,
+            after: result.voucher
           });
-        } else {
+        }
+        
+        // The voucher code was texted when it was issued, only a failure is left to report
+        if (!result.success) {
           await smsService.sendPaymentFailureNotification({
             phoneNumber,
             paymentReference: payment.reference,
@@ -164,8 +337,13 @@ router.post('/', validatePaymentData, async (req, res) => {
         reference: payment.reference,
         status: payment.status,
         amount: payment.amount,
+        listPrice: payment.listPrice,
+        discount: payment.discount,
+        promoCodes: payment.promotions.map(promotion => promotion.code),
         phoneNumber: payment.phoneNumber,
         paymentMethod: payment.paymentMethod,
+        topUp: topUpVoucher ? { code: maskCode(topUpVoucher.code) } : null,
+        recipientPhoneNumber: payment.recipientPhoneNumber,
         estimatedProcessingTime: paymentMethod === 'mtn_momo' ? '3-5 seconds' : '4-6 seconds'
       }
     });
@@ -185,7 +363,7 @@ router.get('/:id/verify', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const payment = db.getPaymentById(id);
+    const payment = await db.getPaymentById(id);
     if (!payment) {
       return res.status(404).json({
         success: false,
@@ -195,13 +373,14 @@ router.get('/:id/verify', async (req, res) => {
     
     // Get voucher details if payment was successful
     let voucherDetails = null;
-    if (payment.status === 'success' && payment.voucherId) {
-      const voucher = db.getVoucherById(payment.voucherId);
+    if (payment.status === 'success' && (payment.voucherId || payment.topUpVoucherId)) {
+      const voucher = await db.getVoucherById(payment.voucherId || payment.topUpVoucherId);
       if (voucher) {
         voucherDetails = {
-          code: voucher.code,
+          code: voucherCodeFor(payment, voucher),
           dataLimit: voucher.dataLimit,
           duration: voucher.duration,
+          redeemBy: db.redemptionDeadline(voucher),
           expiresAt: voucher.expiresAt
         };
       }
@@ -215,7 +394,9 @@ router.get('/:id/verify', async (req, res) => {
         status: payment.status,
         transactionId: payment.transactionId,
         amount: payment.amount,
+        discount: payment.discount,
         phoneNumber: payment.phoneNumber,
+        recipientPhoneNumber: payment.recipientPhoneNumber,
         paymentMethod: payment.paymentMethod,
         createdAt: payment.createdAt,
         completedAt: payment.completedAt,
@@ -260,9 +441,9 @@ router.get('/reference/:reference', async (req, res) => {
 });
 
 // Enhanced payment statistics
-router.get('/stats/summary', authenticateToken, async (req, res) => {
+router.get('/stats/summary', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const stats = paymentService.getPaymentStats();
+    const stats = await paymentService.getPaymentStats();
     
     res.json({
       success: true,
@@ -284,7 +465,7 @@ router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const payment = db.getPaymentById(id);
+    const payment = await db.getPaymentById(id);
     if (!payment) {
       return res.status(404).json({
         success: false,
@@ -295,10 +476,10 @@ router.get('/:id', async (req, res) => {
     // Add voucher details
     let voucherDetails = null;
     if (payment.voucherId) {
-      const voucher = db.getVoucherById(payment.voucherId);
+      const voucher = await db.getVoucherById(payment.voucherId);
       if (voucher) {
         voucherDetails = {
-          code: voucher.code,
+          code: voucherCodeFor(payment, voucher),
           dataLimit: voucher.dataLimit,
           duration: voucher.duration,
           isUsed: voucher.isUsed,
@@ -326,7 +507,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // READ - Get all payments with enhanced filtering
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { 
       status, 
@@ -339,43 +520,20 @@ router.get('/', authenticateToken, async (req, res) => {
       phoneNumber
     } = req.query;
     
-    let payments = db.getAllPayments();
-    
-    // Apply filters
-    if (status) {
-      payments = payments.filter(p => p.status === status);
-    }
-    
-    if (paymentMethod) {
-      payments = payments.filter(p => p.paymentMethod === paymentMethod);
-    }
-    
-    if (userId) {
-      payments = payments.filter(p => p.userId === userId);
-    }
-    
-    if (phoneNumber) {
-      payments = payments.filter(p => p.phoneNumber === phoneNumber);
-    }
-    
-    if (startDate) {
-      const start = new Date(startDate);
-      payments = payments.filter(p => new Date(p.createdAt) >= start);
-    }
-    
-    if (endDate) {
-      const end = new Date(endDate);
-      payments = payments.filter(p => new Date(p.createdAt) <= end);
-    }
-    
-    // Sort by creation date (newest first)
-    payments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const { data: pageOfPayments, pagination } = await db.listPayments({
+      status,
+      paymentMethod,
+      userId,
+      phoneNumber,
+      startDate,
+      endDate
+    }, { page, limit });
     
     // Add voucher details to each payment
-    payments = payments.map(payment => {
+    const payments = await Promise.all(pageOfPayments.map(async payment => {
       let voucherDetails = null;
       if (payment.voucherId) {
-        const voucher = db.getVoucherById(payment.voucherId);
+        const voucher = await db.getVoucherById(payment.voucherId);
         if (voucher) {
           voucherDetails = {
             code: voucher.code,
@@ -388,21 +546,12 @@ router.get('/', authenticateToken, async (req, res) => {
         ...payment,
         voucher: voucherDetails
       };
-    });
-    
-    // Pagination
-    const skip = (page - 1) * limit;
-    const paginatedPayments = payments.slice(skip, skip + parseInt(limit));
+    }));
     
     res.json({
       success: true,
-      data: paginatedPayments,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: payments.length,
-        pages: Math.ceil(payments.length / limit)
-      }
+      data: payments,
+      pagination
     });
     
   } catch (error) {
@@ -416,12 +565,13 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // UPDATE - Update payment status (enhanced with provider validation)
-router.put('/:id', authenticateToken, async (req, res) => {
+// Admins only: marking a payment successful issues its voucher
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
     const { status, transactionId, failureReason, errorCode } = req.body;
     
-    const payment = db.getPaymentById(id);
+    const payment = await db.getPaymentById(id);
     if (!payment) {
       return res.status(404).json({
         success: false,
@@ -438,35 +588,47 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
     
+    // A top-up's hours and data may already be in use, so it cannot be taken back
+    if (status && status !== 'success' && payment.status === 'success' && payment.topUpVoucherId) {
+      return res.status(409).json({
+        success: false,
+        message: 'A successful top-up cannot be reversed'
+      });
+    }
+    
     const updateData = {};
     if (status) updateData.status = status;
     if (transactionId) updateData.transactionId = transactionId;
     if (failureReason) updateData.failureReason = failureReason;
     if (errorCode) updateData.errorCode = errorCode;
     
-    // If marking as successful, also mark voucher as used
+    // If marking as successful, issue the voucher (minted now for plan purchases) and text it to the buyer
+    const voucherId = payment.voucherId || payment.topUpVoucherId;
+    const voucherBefore = voucherId ? await db.getVoucherById(voucherId) : null;
+    let voucherAfter = null;
     if (status === 'success' && payment.status !== 'success') {
-      const voucher = db.getVoucherById(payment.voucherId);
-      if (voucher && !voucher.isUsed) {
-        db.updateVoucher(payment.voucherId, {
-          isUsed: true,
-          usedAt: new Date(),
-          userId: payment.userId
-        });
-        
-        // Send success SMS
-        await smsService.sendVoucherCode({
-          phoneNumber: payment.phoneNumber,
-          voucherCode: voucher.code,
-          dataLimit: voucher.dataLimit,
-          duration: voucher.duration,
-          paymentReference: payment.reference
-        });
-      }
+      voucherAfter = await paymentService.fulfilAndNotify(payment);
       updateData.completedAt = new Date();
     }
     
-    const updatedPayment = db.updatePayment(id, updateData);
+    const updatedPayment = await db.updatePayment(id, updateData);
+    await auditService.record(req, { action: 'payment.update', entityType: 'payments', entityId: id, before: payment, after: updatedPayment });
+    if (voucherAfter) {
+      await auditService.record(req, {
+        action: payment.topUpVoucherId ? 'voucher.topup'
+          : !voucherBefore ? 'voucher.mint'
+          : voucherBefore.origin === 'purchase' ? 'voucher.reactivate' : 'voucher.sell',
+        entityType: 'vouchers',
+        entityId: voucherAfter.id,
+        before: voucherBefore,
+        after: voucherAfter
+      });
+    }
+    
+    // A subscription waiting on this payment moves on now rather than at its next renewal check
+    if (payment.subscriptionId) {
+      await subscriptionService.settle(await db.getSubscriptionById(payment.subscriptionId));
+    }
     
     res.json({
       success: true,
@@ -485,11 +647,11 @@ router.put('/:id', authenticateToken, async (req, res) => {
 });
 
 // DELETE - Cancel payment (enhanced with provider notification)
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
     
-    const payment = db.getPaymentById(id);
+    const payment = await db.getPaymentById(id);
     if (!payment) {
       return res.status(404).json({
         success: false,
@@ -497,24 +659,26 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
     
-    // Only allow cancellation of pending payments
-    if (payment.status !== 'pending') {
+    // Only allow cancellation of pending payments - checked atomically, so a
+    // payment that completes at the same moment is not cancelled afterwards
+    const updatedPayment = await db.transitionPayment(id, ['pending'], {
+      status: 'cancelled',
+      cancelledAt: new Date()
+    });
+    if (!updatedPayment) {
       return res.status(400).json({
         success: false,
         message: 'Only pending payments can be cancelled'
       });
     }
     
-    const updatedPayment = db.updatePayment(id, {
-      status: 'cancelled',
-      cancelledAt: new Date()
-    });
+    await auditService.record(req, { action: 'payment.cancel', entityType: 'payments', entityId: id, before: payment, after: updatedPayment });
     
     // Send cancellation SMS
     await smsService.sendPaymentCancellationNotification({
       phoneNumber: payment.phoneNumber,
       paymentReference: payment.reference
-    });
+    }).catch(error => console.error('Cancellation SMS error:', error.message));
     
     res.json({
       success: true,
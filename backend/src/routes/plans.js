@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../models/database');
+const { describeAccessSchedule } = require('../utils/accessSchedule');
+
+// What customers see of a plan
+const publicPlan = plan => ({
+  id: plan.id,
+  name: plan.name,
+  duration: plan.duration,
+  dataLimit: plan.dataLimit,
+  price: plan.price,
+  bandwidth: plan.bandwidth,
+  isFeatured: plan.isFeatured,
+  renewable: plan.renewable || false,
+  accessSchedule: plan.accessSchedule || null,
+  accessHours: describeAccessSchedule(plan.accessSchedule)
+});
+
+// GET /api/plans - Get the public plan catalog
+router.get('/', async (req, res) => {
+  try {
+    const plans = await db.getPublicPlans();
+    res.json({
+      success: true,
+      data: plans.map(publicPlan),
+      count: plans.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch plans',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/plans/:id - Get a single public plan
+router.get('/:id', async (req, res) => {
+  try {
+    const plan = await db.getPlanById(req.params.id);
+
+    if (!plan || plan.visibility !== 'public') {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: publicPlan(plan)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
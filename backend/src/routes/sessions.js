@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../models/database');
+const auditService = require('../services/auditService');
+const gatewayService = require('../services/gatewayService');
+const { requestMacAddress } = require('../utils/macAddress');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+// A session with its quota position alongside, counting every device on its voucher
+const withQuota = async session => ({ ...session, quota: await db.getSessionQuota(session) });
+
+const isByteCount = value => Number.isSafeInteger(value) && value >= 0;
+
+// Customer-facing messages for Database.pauseVoucher() and resumeVoucher() codes
+const pauseErrors = {
+  NOT_REDEEMED: 'Voucher has not been redeemed yet',
+  INACTIVE: 'Voucher is not active',
+  TIME_USED: 'Voucher access time is over',
+  PAUSED: 'Voucher is already paused',
+  NOT_PAUSED: 'Voucher is not paused',
+  DATA_USED: 'Voucher data allowance is used up',
+  OUTSIDE_HOURS: 'Voucher is outside its access hours, resume it when they start again'
+};
+
+// The voucher's access clock for a session, shared with the other devices on it
+const sessionTime = async session => {
+  const voucher = session.voucherId ? await db.getVoucherById(session.voucherId) : null;
+  return voucher ? db.voucherTime(voucher) : null;
+};
+
+// GET /api/sessions/:id - Get a session and how much of its quota is left
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await db.getSessionById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...await withQuota(session),
+        time: await sessionTime(session)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/sessions/:id/accounting - Accounting update from the hotspot gateway
+// Body: { bytesIn, bytesOut } - totals since the session started, not deltas
+router.post('/:id/accounting', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { bytesIn, bytesOut } = req.body;
+
+    if (!isByteCount(bytesIn) || !isByteCount(bytesOut)) {
+      return res.status(400).json({
+        success: false,
+        message: 'bytesIn and bytesOut must be whole numbers of bytes'
+      });
+    }
+
+    const before = await db.getSessionById(req.params.id);
+    const session = await db.recordSessionUsage(req.params.id, { bytesIn, bytesOut });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    // Tell the gateway to disconnect the client once the quota is gone
+    if (before.isActive && !session.isActive) {
+      console.log(`📉 Session ${session.id} ended: ${session.endReason}`);
+      await auditService.record(req, { action: 'session.end', entityType: 'sessions', entityId: session.id, before, after: session });
+
+      // The other devices on the voucher shared the quota, so they go too
+      if (session.voucherId) {
+        for (const other of await db.endSessions({ voucherId: session.voucherId }, session.endReason)) {
+          await auditService.record(req, { action: 'session.end', entityType: 'sessions', entityId: other.id, after: other });
+          await gatewayService.disconnect(other);
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...await withQuota(session),
+        disconnect: !session.isActive
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record accounting update',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/sessions/:id/pause - Stop the voucher's clock, for every device on it
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const session = await db.getSessionById(req.params.id);
+
+    if (!session || !session.voucherId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (!session.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session has already ended'
+      });
+    }
+
+    const before = await db.getVoucherById(session.voucherId);
+    const { voucher, sessions, error } = await db.pauseVoucher(session.voucherId);
+
+    if (error) {
+      return res.status(error === 'NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: error === 'NOT_FOUND' ? 'Voucher not found' : pauseErrors[error]
+      });
+    }
+
+    await auditService.record(req, { action: 'voucher.pause', entityType: 'vouchers', entityId: voucher.id, before, after: voucher });
+    for (const ended of sessions) {
+      await auditService.record(req, { action: 'session.end', entityType: 'sessions', entityId: ended.id, after: ended });
+      await gatewayService.disconnect(ended);
+    }
+    console.log(`⏸️ Voucher ${voucher.code} paused, ${sessions.length} session(s) ended`);
+
+    res.json({
+      success: true,
+      message: 'Voucher paused, resume it before the time shown to keep your remaining time',
+      data: {
+        sessionId: session.id,
+        time: db.voucherTime(voucher)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pause voucher',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/sessions/:id/resume - Start a paused voucher's clock again
+// Body: { macAddress } - the device resuming gets a new session in place of this one
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const previous = await db.getSessionById(req.params.id);
+
+    if (!previous || !previous.voucherId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const device = { macAddress: requestMacAddress(req), ipAddress: req.ip };
+    const before = await db.getVoucherById(previous.voucherId);
+    const { voucher, sessionId, error } = await db.resumeVoucher(previous.voucherId, device, previous.id);
+
+    if (error) {
+      return res.status(error === 'NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: error === 'NOT_FOUND' ? 'Voucher not found' : pauseErrors[error]
+      });
+    }
+
+    const session = await db.createVoucherSession(voucher, sessionId, device, { userId: previous.userId || null });
+    await auditService.record(req, { action: 'voucher.resume', entityType: 'vouchers', entityId: voucher.id, before, after: voucher });
+    await auditService.record(req, { action: 'session.create', entityType: 'sessions', entityId: session.id, after: session });
+
+    res.json({
+      success: true,
+      message: 'Voucher resumed successfully',
+      data: {
+        session: await withQuota(session),
+        time: db.voucherTime(voucher)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume voucher',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../models/database');
+const subscriptionService = require('../services/subscriptionService');
+const { mobileMoneyError } = require('../utils/mobileMoney');
+
+// What a subscriber gets to see of their subscription
+const subscriptionDetails = (subscription, plan) => ({
+  id: subscription.id,
+  status: subscription.status,
+  phoneNumber: subscription.phoneNumber,
+  paymentMethod: subscription.paymentMethod,
+  plan: plan ? { id: plan.id, name: plan.name, price: plan.price, duration: plan.duration } : null,
+  periodStartsAt: subscription.periodStartsAt,
+  periodEndsAt: subscription.periodEndsAt,
+  nextRenewalAt: subscription.nextRenewalAt,
+  graceEndsAt: subscription.graceEndsAt,
+  renewals: subscription.renewals,
+  cancelledAt: subscription.cancelledAt || null,
+  createdAt: subscription.createdAt
+});
+
+// POST /api/subscriptions - Subscribe a phone number to a renewable plan
+// Body: { planId, phoneNumber, paymentMethod } - the first period is charged straight away
+router.post('/', async (req, res) => {
+  try {
+    const { planId, phoneNumber, paymentMethod, userId } = req.body;
+
+    const phoneError = mobileMoneyError(phoneNumber, paymentMethod);
+    if (phoneError) {
+      return res.status(400).json({
+        success: false,
+        message: phoneError
+      });
+    }
+
+    const plan = planId ? await db.getPlanById(planId) : null;
+    if (!plan || plan.visibility !== 'public') {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+    if (!plan.renewable) {
+      return res.status(400).json({
+        success: false,
+        message: 'Plan is not available as a subscription'
+      });
+    }
+
+    const [existing] = await db.getLiveSubscriptions({ phoneNumber, planId });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Phone number is already subscribed to this plan',
+        data: { subscriptionId: existing.id }
+      });
+    }
+
+    const { subscription, payment } = await subscriptionService.subscribe(plan, { phoneNumber, paymentMethod, userId }, req);
+
+    // Collect the first period like any other payment, the subscription starts once it goes through
+    setImmediate(async () => {
+      try {
+        await subscriptionService.collect(payment);
+      } catch (error) {
+        console.error('Subscription payment error:', error);
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription created, confirm the payment on your phone',
+      data: {
+        subscription: subscriptionDetails(subscription, plan),
+        payment: {
+          paymentId: payment.id,
+          reference: payment.reference,
+          status: payment.status,
+          amount: payment.amount
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Create subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/subscriptions/:id - Subscription status, e.g. while its first payment goes through
+router.get('/:id', async (req, res) => {
+  try {
+    const subscription = await db.getSubscriptionById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: subscriptionDetails(subscription, await db.getPlanById(subscription.planId))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/subscriptions/:id/cancel - Stop renewing, time already paid for can still be used
+// Body: { phoneNumber } - must be the subscribed phone number
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const { phoneNumber } = req.body;
+    const subscription = await db.getSubscriptionById(req.params.id);
+
+    // A wrong phone number gets the same answer as a wrong id
+    if (!subscription || subscription.phoneNumber !== phoneNumber) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    const cancelled = await subscriptionService.end(subscription, 'cancelled', 'Cancelled by subscriber', req);
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: `Subscription is already ${subscription.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Subscription cancelled, it will not renew again',
+      data: subscriptionDetails(cancelled, await db.getPlanById(cancelled.planId))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
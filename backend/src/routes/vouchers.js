@@ -1,12 +1,88 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../models/database');
+const auditService = require('../services/auditService');
+const codeAttemptService = require('../services/codeAttemptService');
+const transferService = require('../services/transferService');
+const { isValidDataLimit } = require('../utils/quota');
+const { normalizeCode, isWellFormed } = require('../utils/voucherCode');
+const { requestMacAddress } = require('../utils/macAddress');
+const { describeAccessSchedule } = require('../utils/accessSchedule');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { throttleCodeAttempts } = require('../middleware/codeAttempts');
 const { v4: uuidv4 } = require('uuid');
 
-// GET /api/vouchers - Get all available vouchers
-router.get('/', (req, res) => {
+// Customer-facing messages for Database.getRedemptionError(), joinVoucher() and resumeVoucher() codes
+const redemptionErrors = {
+  USED: 'Voucher has already been used',
+  TIME_USED: 'Voucher access time is used up',
+  INACTIVE: 'Voucher is not active',
+  EXPIRED: 'Voucher is past its redemption deadline',
+  DEVICE_LIMIT: 'Voucher is already in use on as many devices as it allows',
+  DATA_USED: 'Voucher data allowance is used up',
+  NOT_REDEEMED: 'Voucher has not been redeemed yet',
+  PAUSED: 'Voucher is paused, enter the code again to resume it',
+  // Another device resumed it in between
+  NOT_PAUSED: 'Voucher is already running, please enter the code again',
+  OUTSIDE_HOURS: 'Voucher can only be used'
+};
+
+// Vouchers limited to some hours say which
+const redemptionMessage = (error, voucher) => error === 'OUTSIDE_HOURS'
+  ? `${redemptionErrors.OUTSIDE_HOURS} ${describeAccessSchedule(voucher.accessSchedule)} (Kampala time)`
+  : redemptionErrors[error];
+
+// Customer-facing messages for Database.getTransferError() and TransferService codes
+const transferErrors = {
+  NOT_OWNER: 'Voucher does not belong to that phone number',
+  USED: 'Voucher has already been used and cannot be transferred',
+  INACTIVE: 'Voucher is not active',
+  EXPIRED: 'Voucher is past its redemption deadline',
+  SAME_OWNER: 'Voucher already belongs to that phone number',
+  NOT_PENDING: 'No transfer is waiting for confirmation, please start it again',
+  OTP_EXPIRED: 'Confirmation code has expired, please start the transfer again',
+  WRONG_OTP: 'Confirmation code is incorrect',
+  TOO_MANY_ATTEMPTS: 'Too many incorrect codes, please start the transfer again',
+  SMS_FAILED: 'The confirmation code could not be sent, please try again later'
+};
+
+// Nothing was wrong with the request when the text could not go out
+const transferErrorStatus = error => (error === 'NOT_FOUND' ? 404 : error === 'SMS_FAILED' ? 503 : 400);
+
+const isPhoneNumber = value => typeof value === 'string' && /^256[0-9]{9}$/.test(value);
+
+// Normalise the typed code and catch typos from the check character before any lookup
+const checkVoucherCode = async (req, res, next) => {
+  if (!req.body.code) {
+    return res.status(400).json({
+      success: false,
+      message: 'Voucher code is required'
+    });
+  }
+
+  req.body.code = normalizeCode(req.body.code);
+  if (!isWellFormed(req.body.code)) {
+    // Codes imported from another system have no check character of ours
+    try {
+      const voucher = await db.getVoucherByCode(req.body.code);
+      if (voucher && voucher.origin === 'import') return next();
+      await codeAttemptService.recordFailure(req.codeClients);
+    } catch (error) {
+      return next(error);
+    }
+
+    return res.status(400).json({
+      success: false,
+      message: 'Voucher code looks mistyped, please check it and try again'
+    });
+  }
+  next();
+};
+
+// GET /api/vouchers - Get all unsold stock vouchers (admin only, codes are the product)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const vouchers = db.getAvailableVouchers();
+    const vouchers = await db.getAvailableVouchers();
     res.json({
       success: true,
       data: vouchers,
@@ -22,22 +98,40 @@ router.get('/', (req, res) => {
 });
 
 // POST /api/vouchers/generate - Generate new voucher
-router.post('/generate', (req, res) => {
+router.post('/generate', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { duration, price, dataLimit } = req.body;
+    const { planId, duration, price, dataLimit } = req.body;
     
-    if (!duration || !price) {
+    let terms;
+    if (planId) {
+      const plan = await db.getPlanById(planId);
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Plan not found'
+        });
+      }
+      terms = db.planTerms(plan);
+    } else if (!duration || !price) {
       return res.status(400).json({
         success: false,
-        message: 'Duration and price are required'
+        message: 'A planId, or duration and price, are required'
       });
+    } else if (dataLimit !== undefined && !isValidDataLimit(dataLimit)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Data limit must look like 500MB, 5GB or unlimited'
+      });
+    } else {
+      terms = {
+        duration: parseInt(duration),
+        price: parseInt(price),
+        dataLimit: dataLimit || '1GB'
+      };
     }
 
-    const voucher = db.createVoucher({
-      duration: parseInt(duration),
-      price: parseInt(price),
-      dataLimit: dataLimit || '1GB'
-    });
+    const voucher = await db.createVoucher(terms);
+    await auditService.record(req, { action: 'voucher.create', entityType: 'vouchers', entityId: voucher.id, after: voucher });
 
     res.status(201).json({
       success: true,
@@ -54,144 +148,242 @@ router.post('/generate', (req, res) => {
 });
 
 // POST /api/vouchers/validate - Validate voucher code
-router.post('/validate', (req, res) => {
+router.post('/validate', throttleCodeAttempts, checkVoucherCode, async (req, res) => {
   try {
     const { code } = req.body;
-    
-    if (!code) {
-      return res.status(400).json({
-        success: false,
-        message: 'Voucher code is required'
-      });
-    }
 
-    const voucher = db.getVoucherByCode(code);
+    const voucher = await db.getVoucherByCode(code);
     
     if (!voucher) {
+      await codeAttemptService.recordFailure(req.codeClients);
       return res.status(404).json({
         success: false,
         message: 'Invalid voucher code'
       });
     }
 
-    if (voucher.isUsed) {
+    const redemptionError = db.getRedemptionError(voucher);
+    if (redemptionError) {
       return res.status(400).json({
         success: false,
-        message: 'Voucher has already been used'
+        message: redemptionMessage(redemptionError, voucher)
       });
     }
 
-    if (voucher.status !== 'active') {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      message: 'Voucher is valid',
+      data: {
+        code: voucher.code,
+        duration: voucher.duration,
+        dataLimit: voucher.dataLimit,
+        accessHours: describeAccessSchedule(voucher.accessSchedule),
+        // Access time only starts counting once the voucher is redeemed
+        redeemBy: db.redemptionDeadline(voucher)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to validate voucher',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/vouchers/redeem - Redeem voucher
+router.post('/redeem', throttleCodeAttempts, checkVoucherCode, async (req, res) => {
+  try {
+    const { code, userInfo } = req.body;
+    // What the gateway needs to find the device again when the session has to end
+    const device = { macAddress: requestMacAddress(req), ipAddress: req.ip };
+
+    // Redeem voucher - checking and marking it used is one atomic step,
+    // so the same code cannot be redeemed twice by concurrent requests.
+    // A code already in use takes more devices, up to its maxDevices,
+    // and a paused voucher is resumed by entering its code again.
+    const before = await db.getVoucherByCode(code);
+    const result = await db.signInVoucher(code, userInfo, device);
+    const { voucher, sessionId, action, error } = result;
+    const joining = action === 'voucher.join';
+    const resuming = action === 'voucher.resume';
+
+    if (error === 'NOT_FOUND') {
+      await codeAttemptService.recordFailure(req.codeClients);
+      return res.status(404).json({
         success: false,
-        message: 'Voucher is not active'
+        message: 'Invalid voucher code'
       });
     }
 
-    if (new Date() > new Date(voucher.expiresAt)) {
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Voucher has expired'
+        message: redemptionMessage(error, before)
+      });
+    }
+
+    const voucherDetails = {
+      code: voucher.code,
+      duration: voucher.duration,
+      dataLimit: voucher.dataLimit,
+      expiresAt: voucher.expiresAt,
+      maxDevices: voucher.maxDevices || 1,
+      accessHours: describeAccessSchedule(voucher.accessSchedule),
+      devices: voucher.devices.length,
+      time: db.voucherTime(voucher)
+    };
+
+    // This device is on the voucher already, it carries on with its session
+    if (result.session) {
+      return res.json({
+        success: true,
+        message: 'Voucher is already active on this device',
+        data: {
+          session: { ...result.session, quota: await db.getSessionQuota(result.session) },
+          voucher: voucherDetails
+        }
       });
     }
 
+    // Create session for hotspot access - every device's session ends with the voucher's access time,
+    // or when its access hours close
+    const session = await db.createVoucherSession(voucher, sessionId, device, {
+      userId: userInfo?.userId || null,
+      startTime: joining ? new Date() : voucher.usedAt
+    });
+    await auditService.record(req, { action, entityType: 'vouchers', entityId: voucher.id, before, after: voucher });
+    await auditService.record(req, { action: 'session.create', entityType: 'sessions', entityId: session.id, after: session });
+    await codeAttemptService.recordSuccess(req.codeClients);
+
     res.json({
       success: true,
-      message: 'Voucher is valid',
+      message: resuming ? 'Voucher resumed successfully' : joining ? 'Device added to voucher successfully' : 'Voucher redeemed successfully',
       data: {
-        code: voucher.code,
-        duration: voucher.duration,
-        dataLimit: voucher.dataLimit,
-        expiresAt: voucher.expiresAt
+        session: { ...session, quota: await db.getSessionQuota(session) },
+        voucher: voucherDetails
       }
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to validate voucher',
+      message: 'Failed to redeem voucher',
       error: error.message
     });
   }
 });
 
-// POST /api/vouchers/redeem - Redeem voucher
-router.post('/redeem', (req, res) => {
+// POST /api/vouchers/transfer - Start handing an unused voucher to another phone number
+// Body: { code, phoneNumber, toPhoneNumber } - the owner is texted a code to confirm it with
+router.post('/transfer', throttleCodeAttempts, checkVoucherCode, async (req, res) => {
   try {
-    const { code, userInfo } = req.body;
-    
-    if (!code) {
+    const { code, phoneNumber, toPhoneNumber } = req.body;
+
+    if (!isPhoneNumber(phoneNumber) || !isPhoneNumber(toPhoneNumber)) {
       return res.status(400).json({
         success: false,
-        message: 'Voucher code is required'
+        message: 'Phone numbers must be in format 256XXXXXXXXX'
       });
     }
 
-    const voucher = db.getVoucherByCode(code);
-    
+    const voucher = await db.getVoucherByCode(code);
+
     if (!voucher) {
+      await codeAttemptService.recordFailure(req.codeClients);
       return res.status(404).json({
         success: false,
         message: 'Invalid voucher code'
       });
     }
 
-    if (voucher.isUsed) {
-      return res.status(400).json({
+    const { error } = await transferService.start(voucher, phoneNumber, toPhoneNumber);
+    if (error) {
+      return res.status(transferErrorStatus(error)).json({
         success: false,
-        message: 'Voucher has already been used'
+        message: error === 'NOT_FOUND' ? 'Invalid voucher code' : transferErrors[error]
       });
     }
 
-    if (new Date() > new Date(voucher.expiresAt)) {
+    res.json({
+      success: true,
+      message: 'A confirmation code has been sent to the phone number that owns the voucher',
+      data: {
+        code: voucher.code,
+        toPhoneNumber,
+        expiresInMinutes: transferService.otpTtlMs / 60000
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start voucher transfer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/vouchers/transfer/confirm - Confirm a transfer with the code the owner was sent
+// Body: { code, otp } - the voucher gets a new code, texted to the new owner only
+router.post('/transfer/confirm', throttleCodeAttempts, checkVoucherCode, async (req, res) => {
+  try {
+    const { code, otp } = req.body;
+
+    if (!otp || !/^[0-9]{6}$/.test(String(otp))) {
       return res.status(400).json({
         success: false,
-        message: 'Voucher has expired'
+        message: 'Confirmation code must be 6 digits'
       });
     }
 
-    // Redeem voucher
-    const updatedVoucher = db.updateVoucher(voucher.id, {
-      isUsed: true,
-      usedAt: new Date(),
-      userId: userInfo?.userId || null,
-      userInfo: userInfo || null
-    });
+    const before = await db.getVoucherByCode(code);
 
-    // Create session for hotspot access
-    const session = db.createSession({
-      voucherId: voucher.id,
-      userId: userInfo?.userId || null,
-      duration: voucher.duration,
-      dataLimit: voucher.dataLimit,
-      startTime: new Date(),
-      endTime: new Date(Date.now() + (voucher.duration * 60 * 60 * 1000))
+    if (!before) {
+      await codeAttemptService.recordFailure(req.codeClients);
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid voucher code'
+      });
+    }
+
+    const { voucher, error, attemptsLeft } = await transferService.confirm(before, otp);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: transferErrors[error],
+        attemptsLeft
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'voucher.transfer',
+      entityType: 'vouchers',
+      entityId: voucher.id,
+      before,
+      after: voucher,
+      details: { from: before.ownerPhoneNumber, to: voucher.ownerPhoneNumber }
     });
 
     res.json({
       success: true,
-      message: 'Voucher redeemed successfully',
+      message: 'Voucher transferred, its new code has been sent to the new owner',
       data: {
-        session: session,
-        voucher: {
-          code: updatedVoucher.code,
-          duration: updatedVoucher.duration,
-          dataLimit: updatedVoucher.dataLimit
-        }
+        toPhoneNumber: voucher.ownerPhoneNumber,
+        transferredAt: voucher.transferredAt
       }
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to redeem voucher',
-      error: error.message
+      message: 'Failed to transfer voucher',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
 // GET /api/vouchers/:id - Get specific voucher
-router.get('/:id', (req, res) => {
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const voucher = db.getVoucherById(req.params.id);
+    const voucher = await db.getVoucherById(req.params.id);
     
     if (!voucher) {
       return res.status(404).json({
@@ -0,0 +1,72 @@
+// Append-only audit trail of every write made through the API
+const db = require('../models/database');
+
+// Changes to these are recorded, their values are not
+const REDACTED_FIELDS = ['password', 'transferOtpHash'];
+
+class AuditService {
+  /**
+   * Fields that differ between two versions of a record
+   * @param {Object|null} before - Record before the write, null when it was created
+   * @param {Object|null} after - Record after the write, null when it was deleted
+   * @returns {Object} field -> { from, to }
+   */
+  diff(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+      const from = before ? before[field] : undefined;
+      const to = after ? after[field] : undefined;
+      if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+      changes[field] = REDACTED_FIELDS.includes(field)
+        ? { from: from === undefined ? null : '[redacted]', to: to === undefined ? null : '[redacted]' }
+        : { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+
+    return changes;
+  }
+
+  // Who made the request: the signed-in user, an anonymous caller, or the system itself
+  actorFrom(req) {
+    if (req && req.user) {
+      return { actorId: req.user.userId, actorEmail: req.user.email, actorRole: req.user.role };
+    }
+    return { actorId: null, actorEmail: null, actorRole: req ? 'anonymous' : 'system' };
+  }
+
+  /**
+   * Append an entry for one write. A failed audit write is logged, it never fails the request.
+   * @param {Object|null} req - Express request behind the write, null for background work
+   * @param {Object} entry - What happened
+   * @param {string} entry.action - e.g. 'voucher.update'
+   * @param {string} entry.entityType - Collection the record belongs to
+   * @param {string} entry.entityId - Record id
+   * @param {Object} entry.before - Record before the write
+   * @param {Object} entry.after - Record after the write
+   * @param {Object} entry.details - Anything else worth keeping, e.g. bulk operation counts
+   * @returns {Promise<Object|null>} Audit log entry
+   */
+  async record(req, { action, entityType, entityId = null, before = null, after = null, details = null }) {
+    try {
+      return await db.appendAuditLog({
+        action,
+        entityType,
+        entityId,
+        ...this.actorFrom(req),
+        ip: req ? req.ip : null,
+        changes: this.diff(before, after),
+        details
+      });
+    } catch (error) {
+      console.error(`❌ Failed to write audit log for ${action}:`, error.message);
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+const auditService = new AuditService();
+
+module.exports = auditService;
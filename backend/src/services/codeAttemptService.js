@@ -0,0 +1,147 @@
+// Throttling of voucher code guesses on the public validate and redeem endpoints.
+// Every invalid code counts against the client's IP address and, when the captive
+// portal passes it on, its MAC address. After a few free attempts each further one
+// has to wait twice as long as the last, and enough failures lock the client out,
+// for longer each time it happens again within a day.
+const db = require('../models/database');
+const { requestMacAddress } = require('../utils/macAddress');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+class CodeAttemptService {
+  constructor() {
+    this.freeAttempts = parseInt(process.env.CODE_ATTEMPTS_FREE ?? 3);
+    this.baseDelayMs = (parseInt(process.env.CODE_ATTEMPTS_DELAY_SECONDS) || 2) * 1000;
+    this.lockoutAttempts = parseInt(process.env.CODE_ATTEMPTS_LOCKOUT) || 10;
+    this.lockoutMs = (parseInt(process.env.CODE_ATTEMPTS_LOCKOUT_MINUTES) || 15) * MINUTE_MS;
+    this.windowMs = (parseInt(process.env.CODE_ATTEMPTS_WINDOW_MINUTES) || 60) * MINUTE_MS;
+  }
+
+  /**
+   * The clients a request counts against
+   * @param {Object} req - Express request
+   * @returns {Array<string>} Client IDs, 'ip:<address>' and, if given, 'mac:<address>'
+   */
+  clientIds(req) {
+    const mac = requestMacAddress(req);
+    return mac ? [`ip:${req.ip}`, `mac:${mac}`] : [`ip:${req.ip}`];
+  }
+
+  // When a client may try again: the later of its lockout and its delay
+  waitUntil(record) {
+    const times = [record.lockExpiresAt, record.retryAt].filter(Boolean).map(date => date.getTime());
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+  }
+
+  /**
+   * Check whether any of the clients has to wait before trying a code
+   * @param {Array<string>} ids - Client IDs from clientIds()
+   * @returns {Promise<Date|null>} When the next attempt is allowed, null if it is now
+   */
+  async blockedUntil(ids) {
+    const now = new Date();
+    const waits = (await db.getCodeAttempts(ids))
+      .map(record => this.waitUntil(record))
+      .filter(until => until && until > now);
+    return waits.length > 0 ? new Date(Math.max(...waits)) : null;
+  }
+
+  /**
+   * Count an invalid code against the clients
+   * @param {Array<string>} ids - Client IDs from clientIds()
+   * @returns {Promise<Array<Object>>} Updated attempt records
+   */
+  async recordFailure(ids) {
+    const now = new Date();
+    const records = await Promise.all(ids.map(id => db.changeCodeAttempt(id, current => this.afterFailure(current, now))));
+
+    // A failure that starts a lockout leaves the count at zero
+    for (const record of records.filter(record => record.failures === 0)) {
+      console.warn(`🚫 ${record.id} locked out of voucher codes until ${record.lockExpiresAt.toISOString()}`);
+    }
+    return records;
+  }
+
+  // Attempt record fields after one more failure
+  afterFailure(current, now) {
+    const quiet = !current || now - current.lastFailureAt > this.windowMs;
+    const lockouts = current && now - current.lastFailureAt < DAY_MS ? current.lockouts : 0;
+    const failures = (quiet ? 0 : current.failures) + 1;
+
+    if (failures >= this.lockoutAttempts) {
+      return {
+        failures: 0,
+        lockouts: lockouts + 1,
+        lockExpiresAt: new Date(now.getTime() + Math.min(this.lockoutMs * 2 ** lockouts, DAY_MS)),
+        retryAt: null,
+        lastFailureAt: now
+      };
+    }
+
+    const delayed = failures - this.freeAttempts;
+    return {
+      failures,
+      lockouts,
+      lockExpiresAt: current ? current.lockExpiresAt : null,
+      retryAt: delayed > 0 ? new Date(now.getTime() + Math.min(this.baseDelayMs * 2 ** (delayed - 1), this.lockoutMs)) : null,
+      lastFailureAt: now
+    };
+  }
+
+  /**
+   * Clear the failure count after a successful redemption. Lockout history is kept,
+   * and validating a known code does not count, or it could be used to reset the counter.
+   * @param {Array<string>} ids - Client IDs from clientIds()
+   */
+  async recordSuccess(ids) {
+    for (const record of await db.getCodeAttempts(ids)) {
+      if (record.failures > 0 || record.retryAt) {
+        await db.changeCodeAttempt(record.id, () => ({ failures: 0, retryAt: null }));
+      }
+    }
+  }
+
+  /**
+   * Clients that are locked out or waiting out a delay
+   * @param {Object} options - Listing options
+   * @param {boolean} options.all - Include every client with failures on record
+   * @returns {Promise<Array<Object>>} Attempt records with blockedUntil, most recent failure first
+   */
+  async listClients({ all = false } = {}) {
+    const now = new Date();
+    const where = all ? {} : { $or: [{ lockExpiresAt: { $gt: now } }, { retryAt: { $gt: now } }] };
+
+    return (await db.listCodeAttempts(where)).map(record => {
+      const until = this.waitUntil(record);
+      return { ...record, blockedUntil: until && until > now ? until : null };
+    });
+  }
+
+  /**
+   * Forget clients with no failures for a day. Their lockouts are over by then and
+   * would no longer count towards a longer one.
+   * @returns {Promise<number>} Records removed
+   */
+  async prune() {
+    const stale = await db.listCodeAttempts({ lastFailureAt: { $lt: new Date(Date.now() - DAY_MS) } });
+    for (const record of stale) {
+      await db.deleteCodeAttempt(record.id);
+    }
+    return stale.length;
+  }
+
+  /**
+   * Lift a client's lockout and forget its failures
+   * @param {string} id - Client ID
+   * @returns {Promise<boolean>} False if the client had nothing on record
+   */
+  async unblock(id) {
+    return db.deleteCodeAttempt(id);
+  }
+}
+
+// Export singleton instance
+const codeAttemptService = new CodeAttemptService();
+
+module.exports = codeAttemptService;
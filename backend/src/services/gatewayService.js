@@ -0,0 +1,45 @@
+// Disconnect requests to the hotspot gateway for sessions that ended on our side.
+// Gateways that post accounting updates learn it from the `disconnect` flag in the
+// response; GATEWAY_DISCONNECT_URL additionally gets a push for each ended session.
+const axios = require('axios');
+
+class GatewayService {
+  constructor() {
+    this.disconnectUrl = process.env.GATEWAY_DISCONNECT_URL || null;
+    this.apiKey = process.env.GATEWAY_API_KEY || null;
+    this.timeout = 5000;
+  }
+
+  /**
+   * Ask the gateway to drop a session's device. A failed request is logged, not
+   * thrown, as the session is over either way.
+   * @param {Object} session - Ended session
+   * @returns {Promise<boolean>} True if the gateway accepted the request
+   */
+  async disconnect(session) {
+    if (!this.disconnectUrl) return false;
+
+    try {
+      await axios.post(this.disconnectUrl, {
+        sessionId: session.id,
+        voucherId: session.voucherId,
+        macAddress: session.macAddress || null,
+        ipAddress: session.ipAddress || null,
+        reason: session.endReason
+      }, {
+        timeout: this.timeout,
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+      });
+      console.log(`🔌 Gateway asked to disconnect session ${session.id} (${session.endReason})`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Gateway disconnect for session ${session.id} failed:`, error.message);
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+const gatewayService = new GatewayService();
+
+module.exports = gatewayService;
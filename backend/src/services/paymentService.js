@@ -1,5 +1,6 @@
 const crypto = require('crypto');
 const db = require('../models/database');
+const smsService = require('./smsService');
 
 class PaymentService {
   constructor() {
@@ -181,6 +182,23 @@ class PaymentService {
     }
   }
 
+  // A payment with nothing to pay succeeds without going to the provider
+  processFreePayment({ reference, phoneNumber }) {
+    console.log(`🎟️ Payment ${reference} covered by promo codes, nothing to collect`);
+    return {
+      success: true,
+      provider: 'PROMOTION',
+      transactionId: null,
+      reference,
+      amount: 0,
+      phoneNumber,
+      status: 'COMPLETED',
+      timestamp: new Date().toISOString(),
+      message: 'Payment covered by promo codes',
+      providerResponse: null
+    };
+  }
+
   // Main payment processing method
   async processPayment(paymentData) {
     const { paymentMethod } = paymentData;
@@ -188,42 +206,54 @@ class PaymentService {
     try {
       let result;
       
-      switch (paymentMethod) {
-        case 'mtn_momo':
-          result = await this.processMTNMoMoPayment(paymentData);
-          break;
-        case 'airtel_money':
-          result = await this.processAirtelMoneyPayment(paymentData);
-          break;
-        default:
-          throw new Error(`Unsupported payment method: ${paymentMethod}`);
+      // Promo codes covered the whole price, there is nothing to collect
+      if (paymentData.amount === 0) {
+        result = this.processFreePayment(paymentData);
+      } else {
+        switch (paymentMethod) {
+          case 'mtn_momo':
+            result = await this.processMTNMoMoPayment(paymentData);
+            break;
+          case 'airtel_money':
+            result = await this.processAirtelMoneyPayment(paymentData);
+            break;
+          default:
+            throw new Error(`Unsupported payment method: ${paymentMethod}`);
+        }
       }
       
-      // Update payment in database
-      const payment = db.getPaymentById(paymentData.paymentId);
-      if (payment) {
-        const updateData = {
-          status: result.success ? 'success' : 'failed',
-          transactionId: result.transactionId || null,
-          providerResponse: result.providerResponse,
-          completedAt: new Date()
-        };
-        
-        if (!result.success) {
-          updateData.failureReason = result.message;
-          updateData.errorCode = result.error;
-        }
-        
-        db.updatePayment(paymentData.paymentId, updateData);
-        
-        // If successful, mark voucher as used
-        if (result.success && paymentData.voucherId) {
-          db.updateVoucher(paymentData.voucherId, {
-            isUsed: true,
-            usedAt: new Date(),
-            userId: paymentData.userId || null
+      // Update payment in database, unless it was cancelled while the provider was working
+      const updateData = {
+        status: result.success ? 'success' : 'failed',
+        transactionId: result.transactionId || null,
+        providerResponse: result.providerResponse,
+        completedAt: new Date()
+      };
+      
+      if (!result.success) {
+        updateData.failureReason = result.message;
+        updateData.errorCode = result.error;
+      }
+      
+      const payment = await db.transitionPayment(paymentData.paymentId, ['pending'], updateData);
+      if (!payment) {
+        console.warn(`⚠️ Payment ${paymentData.reference} is no longer pending, result not applied`);
+        return result;
+      }
+      
+      if (result.success) {
+        const voucher = await this.fulfilAndNotify(payment);
+        if (!voucher) {
+          // An old payment whose stock voucher went to another buyer, or the voucher
+          // being topped up was disabled meanwhile - flag for a refund
+          await db.updatePayment(payment.id, {
+            requiresRefund: true,
+            failureReason: payment.topUpVoucherId
+              ? 'Voucher could no longer be topped up when the payment went through'
+              : 'Voucher was sold to another buyer while the payment was pending'
           });
         }
+        return { ...result, voucher };
       }
       
       return result;
@@ -232,7 +262,7 @@ class PaymentService {
       console.error('Payment processing error:', error);
       
       // Update payment as failed
-      db.updatePayment(paymentData.paymentId, {
+      await db.transitionPayment(paymentData.paymentId, ['pending'], {
         status: 'failed',
         failureReason: error.message,
         errorCode: 'PROCESSING_ERROR'
@@ -250,10 +280,51 @@ class PaymentService {
     }
   }
 
+  /**
+   * Issue the voucher a successful payment paid for and text its code to the buyer, or
+   * for a gift to the recipient with a receipt for the payer, or for a top-up what the
+   * voucher now holds. Every path that marks a payment successful goes through here.
+   * A text that fails to go out does not undo the payment.
+   * @param {Object} payment - Payment that has just succeeded
+   * @returns {Promise<Object|null>} Issued voucher, see Database.fulfilPayment
+   */
+  async fulfilAndNotify(payment) {
+    const voucher = await db.fulfilPayment(payment);
+    if (voucher && payment.topUpVoucherId) {
+      await smsService.sendTopUpConfirmation({
+        phoneNumber: payment.phoneNumber,
+        voucher,
+        paymentReference: payment.reference
+      }).catch(error => console.error('Top-up SMS error:', error.message));
+    } else if (voucher && payment.recipientPhoneNumber) {
+      await smsService.sendGiftVoucherCode({
+        phoneNumber: payment.recipientPhoneNumber,
+        fromPhoneNumber: payment.phoneNumber,
+        voucherCode: voucher.code,
+        dataLimit: voucher.dataLimit,
+        duration: voucher.duration
+      }).catch(error => console.error('Gift SMS error:', error.message));
+      await smsService.sendGiftReceipt({
+        phoneNumber: payment.phoneNumber,
+        recipientPhoneNumber: payment.recipientPhoneNumber,
+        amount: payment.amount,
+        paymentReference: payment.reference
+      }).catch(error => console.error('Gift receipt SMS error:', error.message));
+    } else if (voucher) {
+      await smsService.sendVoucherCode({
+        phoneNumber: payment.phoneNumber,
+        voucherCode: voucher.code,
+        dataLimit: voucher.dataLimit,
+        duration: voucher.duration,
+        paymentReference: payment.reference
+      }).catch(error => console.error('Voucher SMS error:', error.message));
+    }
+    return voucher;
+  }
+
   // Check payment status
   async checkPaymentStatus(reference) {
-    const payments = db.getAllPayments();
-    const payment = payments.find(p => p.reference === reference);
+    const payment = await db.getPaymentByReference(reference);
     
     if (!payment) {
       return {
@@ -280,31 +351,29 @@ class PaymentService {
   }
 
   // Get payment statistics
-  getPaymentStats() {
-    const payments = db.getAllPayments();
+  async getPaymentStats() {
     const now = new Date();
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const total = await db.store.count('payments');
     
     return {
-      total: payments.length,
-      successful: payments.filter(p => p.status === 'success').length,
-      failed: payments.filter(p => p.status === 'failed').length,
-      pending: payments.filter(p => p.status === 'pending').length,
-      todayCount: payments.filter(p => new Date(p.createdAt) >= today).length,
-      totalRevenue: payments
-        .filter(p => p.status === 'success')
-        .reduce((sum, p) => sum + p.amount, 0),
-      averageAmount: payments.length > 0 
-        ? payments.reduce((sum, p) => sum + p.amount, 0) / payments.length 
+      total,
+      successful: await db.store.count('payments', { status: 'success' }),
+      failed: await db.store.count('payments', { status: 'failed' }),
+      pending: await db.store.count('payments', { status: 'pending' }),
+      todayCount: await db.store.count('payments', { createdAt: { $gte: today } }),
+      totalRevenue: await db.store.sum('payments', 'amount', { status: 'success' }),
+      averageAmount: total > 0 
+        ? await db.store.sum('payments', 'amount') / total 
         : 0,
       providerBreakdown: {
         mtn_momo: {
-          total: payments.filter(p => p.paymentMethod === 'mtn_momo').length,
-          successful: payments.filter(p => p.paymentMethod === 'mtn_momo' && p.status === 'success').length
+          total: await db.store.count('payments', { paymentMethod: 'mtn_momo' }),
+          successful: await db.store.count('payments', { paymentMethod: 'mtn_momo', status: 'success' })
         },
         airtel_money: {
-          total: payments.filter(p => p.paymentMethod === 'airtel_money').length,
-          successful: payments.filter(p => p.paymentMethod === 'airtel_money' && p.status === 'success').length
+          total: await db.store.count('payments', { paymentMethod: 'airtel_money' }),
+          successful: await db.store.count('payments', { paymentMethod: 'airtel_money', status: 'success' })
         }
       }
     };
@@ -0,0 +1,138 @@
+// Promo codes at checkout: works out what a plan costs once the codes a customer
+// typed are applied, and takes a use of each code for the payment that follows.
+const db = require('../models/database');
+
+// Codes one payment may combine, when every one of them allows stacking
+const MAX_CODES = 3;
+
+// Least a payment using per-phone or first-purchase codes still collects: paying it from
+// the phone number is what proves the number is the customer's, so those limits hold
+const PHONE_CHECK_AMOUNT = 500;
+
+class PromotionService {
+  // Promo codes are matched without regard to case or surrounding spaces
+  normalizeCode(code) {
+    return String(code).trim().toUpperCase();
+  }
+
+  /**
+   * What a single promotion takes off an amount
+   * @param {Object} promotion - Promotion record
+   * @param {number} amount - Amount it applies to, in UGX
+   * @returns {number} Discount in whole UGX, never more than the amount
+   */
+  discountFor(promotion, amount) {
+    let discount = promotion.discountType === 'percent'
+      ? Math.round(amount * promotion.discountValue / 100)
+      : promotion.discountValue;
+    if (promotion.maxDiscount) discount = Math.min(discount, promotion.maxDiscount);
+    return Math.min(discount, amount);
+  }
+
+  /**
+   * Price a plan with promo codes. Percentage codes go first, each on what is left,
+   * then fixed amounts; the total never goes below zero, nor below PHONE_CHECK_AMOUNT
+   * (or the plan price, if lower) when a code is limited per phone or to a first purchase.
+   * @param {Object} plan - Plan being bought
+   * @param {Array<string>} codes - Promo codes as typed
+   * @param {string} phoneNumber - Paying phone number, for per-phone and first-purchase rules
+   * @returns {Promise<Object>} { listPrice, discount, amount, promotions: [{ id, code, name, discount }] },
+   *   or { error, code } naming the code that cannot be used
+   */
+  async quote(plan, codes = [], phoneNumber = null) {
+    const normalized = [...new Set(codes.map(code => this.normalizeCode(code)))];
+    if (normalized.length > MAX_CODES) return { error: 'TOO_MANY', code: null };
+
+    const now = new Date();
+    const promotions = [];
+    for (const code of normalized) {
+      const promotion = await db.getPromotionByCode(code);
+      if (!promotion) return { error: 'NOT_FOUND', code };
+
+      // Uses held by payments that failed since count again
+      if (promotion.maxUses || promotion.maxUsesPerPhone) {
+        await db.settlePromoRedemptions({ promotionId: promotion.id });
+      }
+      const current = await db.getPromotionById(promotion.id);
+
+      const error = db.getPromotionError(current, plan.id, now);
+      if (error) return { error, code };
+
+      if (phoneNumber && current.maxUsesPerPhone &&
+          await db.countPhonePromoRedemptions(current.id, phoneNumber) >= current.maxUsesPerPhone) {
+        return { error: 'PHONE_LIMIT', code };
+      }
+
+      if (phoneNumber && current.firstPurchaseOnly && await db.hasSuccessfulPayment(phoneNumber)) {
+        return { error: 'NOT_FIRST_PURCHASE', code };
+      }
+
+      promotions.push(current);
+    }
+
+    if (promotions.length > 1) {
+      const exclusive = promotions.find(promotion => !promotion.stackable);
+      if (exclusive) return { error: 'NOT_STACKABLE', code: exclusive.code };
+    }
+
+    const phoneScoped = promotions.some(promotion => promotion.maxUsesPerPhone || promotion.firstPurchaseOnly);
+    const floor = phoneScoped ? Math.min(plan.price, PHONE_CHECK_AMOUNT) : 0;
+
+    let amount = plan.price;
+    const applied = [];
+    const ordered = [
+      ...promotions.filter(promotion => promotion.discountType === 'percent'),
+      ...promotions.filter(promotion => promotion.discountType !== 'percent')
+    ];
+    for (const promotion of ordered) {
+      const discount = Math.min(this.discountFor(promotion, amount), amount - floor);
+      amount -= discount;
+      applied.push({ id: promotion.id, code: promotion.code, name: promotion.name, discount });
+    }
+
+    return { listPrice: plan.price, discount: plan.price - amount, amount, promotions: applied };
+  }
+
+  /**
+   * Take a use of every promotion in a quote for a payment about to be created.
+   * All or nothing: if one has run out meanwhile, or this phone reached its cap with
+   * another payment, the others are given back.
+   * @param {Object} quote - Result of quote()
+   * @param {Object} payment - { paymentReference, phoneNumber, planId }
+   * @returns {Promise<Object>} { redemptions }, or { error, code } with USED_UP, PHONE_LIMIT
+   *   or NOT_FIRST_PURCHASE
+   */
+  async claim(quote, { paymentReference, phoneNumber, planId }) {
+    const redemptions = [];
+    for (const applied of quote.promotions) {
+      const { redemption, error } = await db.claimPromotion(applied, {
+        paymentReference,
+        phoneNumber,
+        planId,
+        discount: applied.discount,
+        amount: quote.amount
+      });
+
+      if (error) {
+        for (const claimed of redemptions) {
+          await db.releasePromoRedemption(claimed);
+        }
+        return { error, code: applied.code };
+      }
+      redemptions.push(redemption);
+    }
+    return { redemptions };
+  }
+
+  // Give back every use still held for a payment, e.g. when creating it failed
+  async release(paymentReference) {
+    for (const redemption of await db.getPromoRedemptions({ paymentReference, status: 'held' })) {
+      await db.releasePromoRedemption(redemption);
+    }
+  }
+}
+
+// Export singleton instance
+const promotionService = new PromotionService();
+
+module.exports = promotionService;
@@ -0,0 +1,327 @@
+// RADIUS server for hotspot gateways (MikroTik, pfSense, CoovaChilli) that log customers in
+// over RADIUS instead of posting to the REST API. The voucher code is the user name, with
+// the code again as the password over PAP or CHAP (PAP may leave it empty). A login goes through
+// the same redeem / join / resume steps as the portal and gets the voucher's remaining time,
+// bandwidth and data back as reply attributes. Accounting packets keep the session's byte
+// counts up to date and end it when the gateway does. Off unless RADIUS_SECRET is set, and
+// only gateways listed in RADIUS_CLIENTS are answered.
+const dgram = require('dgram');
+const db = require('../models/database');
+const auditService = require('./auditService');
+const gatewayService = require('./gatewayService');
+const codeAttemptService = require('./codeAttemptService');
+const { normalizeCode, codeKey } = require('../utils/voucherCode');
+const { normalizeMacAddress } = require('../utils/macAddress');
+const { describeAccessSchedule } = require('../utils/accessSchedule');
+const radius = require('../utils/radius');
+
+const { CODES, ATTRIBUTES, ACCT_STATUS_TYPES, VENDORS } = radius;
+
+// Reply-Message for Database.signInVoucher() codes, shown on the gateway's login page
+const rejectMessages = {
+  NOT_FOUND: 'Invalid voucher code',
+  USED: 'Voucher has already been used',
+  TIME_USED: 'Voucher access time is used up',
+  INACTIVE: 'Voucher is not active',
+  EXPIRED: 'Voucher is past its redemption deadline',
+  DEVICE_LIMIT: 'Voucher is already in use on as many devices as it allows',
+  DATA_USED: 'Voucher data allowance is used up',
+  NOT_REDEEMED: 'Voucher has not been redeemed yet',
+  PAUSED: 'Voucher is paused, please log in again to resume it',
+  NOT_PAUSED: 'Voucher is already running, please log in again',
+  OUTSIDE_HOURS: 'Voucher can only be used'
+};
+
+// Session end reasons for Acct-Terminate-Cause values (RFC 2866 section 5.10)
+const terminateReasons = {
+  1: 'user_request',
+  2: 'lost_carrier',
+  4: 'idle_timeout',
+  5: 'time_expired',
+  6: 'admin_reset',
+  10: 'nas_request'
+};
+
+class RadiusService {
+  constructor() {
+    this.secret = process.env.RADIUS_SECRET || null;
+    this.host = process.env.RADIUS_HOST || '0.0.0.0';
+    this.authPort = parseInt(process.env.RADIUS_AUTH_PORT) || 1812;
+    this.acctPort = parseInt(process.env.RADIUS_ACCT_PORT) || 1813;
+    this.interimSeconds = parseInt(process.env.RADIUS_INTERIM_SECONDS) || 300;
+    this.clients = (process.env.RADIUS_CLIENTS || '127.0.0.1')
+      .split(',').map(address => address.trim()).filter(Boolean);
+    this.sockets = [];
+  }
+
+  get enabled() {
+    return Boolean(this.secret);
+  }
+
+  // Listen for authentication and accounting, unless RADIUS_SECRET is unset
+  async start() {
+    if (!this.enabled) {
+      console.log('📡 RADIUS server disabled (set RADIUS_SECRET to enable it)');
+      return;
+    }
+    this.sockets = await Promise.all([
+      this.listen(this.authPort, (packet, remote) => this.authenticate(packet, remote)),
+      this.listen(this.acctPort, (packet, remote) => this.account(packet, remote))
+    ]);
+    console.log(`📡 RADIUS server on ${this.host}, ports ${this.authPort} (auth) and ${this.acctPort} (accounting)`);
+  }
+
+  stop() {
+    for (const socket of this.sockets) socket.close();
+    this.sockets = [];
+  }
+
+  listen(port, handle) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket(this.host.includes(':') ? 'udp6' : 'udp4');
+      socket.once('error', reject);
+      socket.on('message', (message, remote) => this.receive(socket, message, remote, handle));
+      socket.bind(port, this.host, () => {
+        socket.off('error', reject);
+        socket.on('error', error => console.error(`❌ RADIUS socket on port ${port}:`, error.message));
+        resolve(socket);
+      });
+    });
+  }
+
+  // IPv4 senders show up as ::ffff:10.5.50.1 on an IPv6 socket
+  isClient(address) {
+    return this.clients.includes(address.replace(/^::ffff:/, ''));
+  }
+
+  // Requests that fail to check out or to be handled get no reply, the gateway retries them
+  async receive(socket, message, remote, handle) {
+    if (!this.isClient(remote.address)) {
+      console.warn(`⚠️ RADIUS: dropped request from ${remote.address}, which is not in RADIUS_CLIENTS`);
+      return;
+    }
+    try {
+      const reply = await handle(radius.decodePacket(message), remote);
+      if (reply) socket.send(reply, remote.port, remote.address);
+    } catch (error) {
+      console.error(`❌ RADIUS request from ${remote.address} failed:`, error.message);
+    }
+  }
+
+  // How the gateway names itself, to tell its sessions apart from other gateways'
+  nasId(packet, remote) {
+    return radius.stringAttribute(packet, ATTRIBUTES.NAS_IDENTIFIER) ||
+      radius.ipAttribute(packet, ATTRIBUTES.NAS_IP_ADDRESS) ||
+      remote.address;
+  }
+
+  // Gateways send the code the customer typed as the password too, or leave it empty.
+  // A CHAP password has to be made from the code itself: an empty one anybody can make.
+  passwordMatches(packet, code) {
+    if (radius.attributeValue(packet, ATTRIBUTES.CHAP_PASSWORD)) {
+      return radius.chapPasswordMatches(packet, code);
+    }
+    const password = radius.decryptPassword(packet, this.secret);
+    return password !== null && (password === '' || codeKey(password) === codeKey(code));
+  }
+
+  /**
+   * Answer an Access-Request: Access-Accept with the session's limits, or Access-Reject
+   * @param {Object} packet - Decoded request
+   * @param {Object} remote - Sender address
+   * @returns {Promise<Buffer|null>} Reply, null to drop the request
+   */
+  async authenticate(packet, remote) {
+    if (packet.code !== CODES.ACCESS_REQUEST) return null;
+    const nas = this.nasId(packet, remote);
+    if (!radius.verifyMessageAuthenticator(packet, this.secret)) {
+      console.warn(`⚠️ RADIUS: dropped Access-Request from ${nas} without a valid Message-Authenticator, check the shared secret`);
+      return null;
+    }
+    const reject = message => radius.encodeResponse(packet, CODES.ACCESS_REJECT,
+      [[ATTRIBUTES.REPLY_MESSAGE, message]], this.secret);
+
+    const userName = radius.stringAttribute(packet, ATTRIBUTES.USER_NAME);
+    if (!userName) return reject('Voucher code is required');
+    const device = {
+      macAddress: normalizeMacAddress(radius.stringAttribute(packet, ATTRIBUTES.CALLING_STATION_ID)),
+      ipAddress: radius.ipAttribute(packet, ATTRIBUTES.FRAMED_IP_ADDRESS)
+    };
+    // The gateway's own address is shared by all its customers, so the device is throttled
+    // when the gateway names it, the whole gateway when it does not
+    const clients = device.macAddress ? [`mac:${device.macAddress}`] : [`nas:${remote.address}`];
+
+    if (await codeAttemptService.blockedUntil(clients)) {
+      return reject('Too many invalid voucher codes, please try again later');
+    }
+
+    // The code as it was issued, however the dashes were typed
+    const before = await db.getVoucherByCode(normalizeCode(userName));
+    const code = before ? before.code : normalizeCode(userName);
+    if (!this.passwordMatches(packet, code)) {
+      await codeAttemptService.recordFailure(clients);
+      return reject(rejectMessages.NOT_FOUND);
+    }
+
+    const result = await db.signInVoucher(code, null, device);
+    const { voucher, sessionId, action, error } = result;
+
+    if (error) {
+      if (error === 'NOT_FOUND') await codeAttemptService.recordFailure(clients);
+      console.log(`📡 RADIUS login rejected for ${device.macAddress || 'unknown device'} on ${nas}: ${error}`);
+      return reject(error === 'OUTSIDE_HOURS'
+        ? `${rejectMessages.OUTSIDE_HOURS} ${describeAccessSchedule(before.accessSchedule)} (Kampala time)`
+        : rejectMessages[error]);
+    }
+
+    // This device is on the voucher already, it carries on with its session
+    let session = result.session;
+    if (!session) {
+      session = await db.createVoucherSession(voucher, sessionId, { ...device, nasId: nas }, {
+        startTime: action === 'voucher.join' ? new Date() : voucher.usedAt
+      });
+      await auditService.record(null, { action, entityType: 'vouchers', entityId: voucher.id, before, after: voucher, details: { via: 'radius', nas } });
+      await auditService.record(null, { action: 'session.create', entityType: 'sessions', entityId: session.id, after: session, details: { via: 'radius', nas } });
+    }
+    await codeAttemptService.recordSuccess(clients);
+
+    console.log(`📡 RADIUS login accepted for session ${session.id} on ${nas}`);
+    return radius.encodeResponse(packet, CODES.ACCESS_ACCEPT, [
+      // Echoed back in accounting requests, so they find the session
+      [ATTRIBUTES.CLASS, session.id],
+      ...await this.limitAttributes(voucher, session),
+      [ATTRIBUTES.ACCT_INTERIM_INTERVAL, this.interimSeconds]
+    ], this.secret);
+  }
+
+  /**
+   * Reply attributes that hold the gateway to the session's time, bandwidth and data,
+   * for each supported gateway's dictionary
+   * @param {Object} voucher - Voucher the session runs on
+   * @param {Object} session - Session
+   * @returns {Promise<Array>} [type, value] pairs
+   */
+  async limitAttributes(voucher, session) {
+    const attributes = [];
+    if (session.endTime) {
+      const seconds = Math.ceil((new Date(session.endTime).getTime() - Date.now()) / 1000);
+      attributes.push([ATTRIBUTES.SESSION_TIMEOUT, Math.max(seconds, 1)]);
+    }
+
+    if (voucher.bandwidth) {
+      const { downloadKbps, uploadKbps } = voucher.bandwidth;
+      const { MIKROTIK, WISPR, CHILLISPOT } = VENDORS;
+      attributes.push(
+        // rx/tx as the router sees the customer: upload first
+        radius.vendorAttribute(MIKROTIK.id, MIKROTIK.RATE_LIMIT, `${uploadKbps}k/${downloadKbps}k`),
+        radius.vendorAttribute(WISPR.id, WISPR.BANDWIDTH_MAX_UP, uploadKbps * 1000),
+        radius.vendorAttribute(WISPR.id, WISPR.BANDWIDTH_MAX_DOWN, downloadKbps * 1000),
+        radius.vendorAttribute(CHILLISPOT.id, CHILLISPOT.BANDWIDTH_MAX_UP, uploadKbps),
+        radius.vendorAttribute(CHILLISPOT.id, CHILLISPOT.BANDWIDTH_MAX_DOWN, downloadKbps)
+      );
+    }
+
+    // Data left on the voucher, less whatever this session has already used
+    const quota = await db.getSessionQuota(session);
+    if (quota.remainingBytes !== null) {
+      const { octets, gigawords } = radius.splitOctets(quota.remainingBytes);
+      const { MIKROTIK, CHILLISPOT } = VENDORS;
+      attributes.push(
+        radius.vendorAttribute(MIKROTIK.id, MIKROTIK.TOTAL_LIMIT, octets),
+        radius.vendorAttribute(MIKROTIK.id, MIKROTIK.TOTAL_LIMIT_GIGAWORDS, gigawords),
+        radius.vendorAttribute(CHILLISPOT.id, CHILLISPOT.MAX_TOTAL_OCTETS, octets),
+        radius.vendorAttribute(CHILLISPOT.id, CHILLISPOT.MAX_TOTAL_GIGAWORDS, gigawords)
+      );
+    }
+    return attributes;
+  }
+
+  // Accounting names the session by the Class we gave it, or only by the device
+  async findSession(packet) {
+    const sessionId = radius.stringAttribute(packet, ATTRIBUTES.CLASS);
+    const session = sessionId ? await db.getSessionById(sessionId) : null;
+    return session || db.getActiveSessionByMac(
+      normalizeMacAddress(radius.stringAttribute(packet, ATTRIBUTES.CALLING_STATION_ID)));
+  }
+
+  /**
+   * Apply an Accounting-Request and acknowledge it. Requests for unknown sessions are
+   * acknowledged too, or the gateway would keep sending them.
+   * @param {Object} packet - Decoded request
+   * @param {Object} remote - Sender address
+   * @returns {Promise<Buffer|null>} Accounting-Response, null to drop the request
+   */
+  async account(packet, remote) {
+    if (packet.code !== CODES.ACCOUNTING_REQUEST) return null;
+    const nas = this.nasId(packet, remote);
+    if (!radius.verifyAccountingRequest(packet, this.secret)) {
+      console.warn(`⚠️ RADIUS: dropped Accounting-Request from ${nas} with a bad authenticator, check the shared secret`);
+      return null;
+    }
+    const respond = () => radius.encodeResponse(packet, CODES.ACCOUNTING_RESPONSE, [], this.secret);
+    const statusType = radius.integerAttribute(packet, ATTRIBUTES.ACCT_STATUS_TYPE);
+
+    // The gateway (re)started, whoever was online through it is not any more
+    if (statusType === ACCT_STATUS_TYPES.ACCOUNTING_ON || statusType === ACCT_STATUS_TYPES.ACCOUNTING_OFF) {
+      for (const ended of await db.endSessions({ nasId: nas }, 'nas_restart')) {
+        await auditService.record(null, { action: 'session.end', entityType: 'sessions', entityId: ended.id, after: ended, details: { via: 'radius', nas } });
+      }
+      return respond();
+    }
+
+    const session = await this.findSession(packet);
+    if (!session) {
+      console.warn(`⚠️ RADIUS: accounting from ${nas} for an unknown session`);
+      return respond();
+    }
+
+    if (statusType === ACCT_STATUS_TYPES.START) {
+      await db.updateSession(session.id, {
+        radiusSessionId: radius.stringAttribute(packet, ATTRIBUTES.ACCT_SESSION_ID),
+        nasId: nas
+      });
+      return respond();
+    }
+
+    if (statusType === ACCT_STATUS_TYPES.INTERIM_UPDATE || statusType === ACCT_STATUS_TYPES.STOP) {
+      // Input is what the gateway received from the customer, so their upload
+      const updated = await this.recordUsage(session, {
+        bytesIn: radius.octetsAttribute(packet, ATTRIBUTES.ACCT_OUTPUT_OCTETS, ATTRIBUTES.ACCT_OUTPUT_GIGAWORDS),
+        bytesOut: radius.octetsAttribute(packet, ATTRIBUTES.ACCT_INPUT_OCTETS, ATTRIBUTES.ACCT_INPUT_GIGAWORDS)
+      }, nas);
+
+      if (statusType === ACCT_STATUS_TYPES.STOP && updated.isActive) {
+        const cause = radius.integerAttribute(packet, ATTRIBUTES.ACCT_TERMINATE_CAUSE);
+        const [ended] = await db.endSessions({ id: session.id }, terminateReasons[cause] || 'gateway_stop');
+        if (ended) {
+          console.log(`📡 Session ${ended.id} stopped by ${nas}: ${ended.endReason}`);
+          await auditService.record(null, { action: 'session.end', entityType: 'sessions', entityId: ended.id, before: updated, after: ended, details: { via: 'radius', nas } });
+        }
+      }
+    }
+    return respond();
+  }
+
+  // Byte counts from the gateway. Once the shared quota is gone the voucher's other devices
+  // are cut off too; this device's gateway holds it to the total limit it was given.
+  async recordUsage(before, usage, nas) {
+    const session = await db.recordSessionUsage(before.id, usage);
+    if (before.isActive && !session.isActive) {
+      console.log(`📉 Session ${session.id} ended: ${session.endReason}`);
+      await auditService.record(null, { action: 'session.end', entityType: 'sessions', entityId: session.id, before, after: session, details: { via: 'radius', nas } });
+
+      if (session.voucherId) {
+        for (const other of await db.endSessions({ voucherId: session.voucherId }, session.endReason)) {
+          await auditService.record(null, { action: 'session.end', entityType: 'sessions', entityId: other.id, after: other, details: { via: 'radius', nas } });
+          await gatewayService.disconnect(other);
+        }
+      }
+    }
+    return session;
+  }
+}
+
+// Export singleton instance
+const radiusService = new RadiusService();
+
+module.exports = radiusService;
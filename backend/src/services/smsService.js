@@ -1,10 +1,14 @@
 // backend/services/smsService.js
 const db = require('../models/database');
-const { v4: uuidv4 } = require('uuid');
+const { maskCode } = require('../utils/voucherCode');
+
+// Dates in texts are in local time, e.g. '21 Oct, 07:03'
+const formatTime = date => new Date(date).toLocaleString('en-GB', {
+  timeZone: 'Africa/Kampala', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+});
 
 class SMSService {
   constructor() {
-    this.smsLogs = new Map(); // In-memory SMS logs
     this.mockMode = process.env.SMS_MOCK_MODE !== 'false'; // Default to mock mode
     this.enableTwilio = process.env.ENABLE_TWILIO === 'true';
     this.twilioClient = null;
@@ -43,17 +47,17 @@ class SMSService {
       }
 
       // Log the SMS attempt
-      const smsLog = this.createSMSLog(phoneNumber, message, type, userId);
+      const smsLog = await db.createSMSLog({ phoneNumber, message, type, userId });
 
       if (this.mockMode) {
         // Mock mode - simulate SMS sending
         const result = await this.sendMockSMS(phoneNumber, message, smsLog.id);
-        this.updateSMSLog(smsLog.id, { status: 'sent', sentAt: new Date() });
+        await db.updateSMSLog(smsLog.id, { status: 'sent', sentAt: new Date() });
         return result;
       } else if (this.enableTwilio && this.twilioClient) {
         // Live mode - send via Twilio
         const result = await this.sendTwilioSMS(phoneNumber, message, smsLog.id);
-        this.updateSMSLog(smsLog.id, { 
+        await db.updateSMSLog(smsLog.id, { 
           status: 'sent', 
           sentAt: new Date(),
           externalId: result.sid 
@@ -92,6 +96,186 @@ class SMSService {
     return await this.sendSMS(phoneNumber, message, 'payment', userId);
   }
 
+  /**
+   * Send the voucher bought with a payment
+   * @param {Object} details - Voucher and payment details
+   * @param {string} details.phoneNumber - Paying phone number, local or international format
+   * @param {string} details.voucherCode - Voucher code
+   * @param {string} details.dataLimit - Data allowance, e.g. '500MB', null for unlimited
+   * @param {number} details.duration - Access duration in hours
+   * @param {string} details.paymentReference - Payment reference
+   * @returns {Promise<Object>} SMS send result
+   */
+  async sendVoucherCode({ phoneNumber, voucherCode, dataLimit, duration, paymentReference }) {
+    const data = dataLimit || 'unlimited data';
+    const message = `🎫 Payment ${paymentReference} received. Your MoWave voucher code: ${voucherCode} (${duration}h, ${data}). Thanks!`;
+    return await this.sendSMS(this.formatUgandaPhoneNumber(phoneNumber), message, 'voucher');
+  }
+
+  /**
+   * Confirm a top-up and say how long the voucher now runs. The payer may not be the
+   * voucher's owner, so the code is masked.
+   * @param {Object} details - Voucher and payment details
+   * @param {string} details.phoneNumber - Paying phone number, local or international format
+   * @param {Object} details.voucher - The voucher after the top-up
+   * @param {string} details.paymentReference - Payment reference
+   * @returns {Promise<Object>} SMS send result
+   */
+  async sendTopUpConfirmation({ phoneNumber, voucher, paymentReference }) {
+    const data = voucher.dataLimit || 'unlimited data';
+    const expiry = voucher.pausedAt ? `It is paused with ${Math.floor(voucher.timeLeftMs / 3600000)}h left, resume by ${formatTime(voucher.expiresAt)}`
+      : voucher.isUsed ? `It now expires ${formatTime(voucher.expiresAt)}`
+      : `It gives ${voucher.duration}h from first login`;
+    const message = `✅ Payment ${paymentReference} received. MoWave voucher ${maskCode(voucher.code)} topped up (${data} in total). ${expiry}.`;
+    return await this.sendSMS(this.formatUgandaPhoneNumber(phoneNumber), message, 'voucher');
+  }
+
+  /**
+   * Send a gifted voucher's code to the person it was bought for
+   * @param {Object} details - Voucher and payment details
+   * @param {string} details.phoneNumber - Recipient phone number, local or international format
+   * @param {string} details.fromPhoneNumber - Phone number that paid for it
+   * @param {string} details.voucherCode - Voucher code
+   * @param {string} details.dataLimit - Data allowance, e.g. '500MB', null for unlimited
+   * @param {number} details.duration - Access duration in hours
+   * @returns {Promise<Object>} SMS send result
+   */
+  async sendGiftVoucherCode({ phoneNumber, fromPhoneNumber, voucherCode, dataLimit, duration }) {
+    const data = dataLimit || 'unlimited data';
+    const message = `🎁 ${fromPhoneNumber} bought you MoWave internet. Your voucher code: ${voucherCode} (${duration}h, ${data}). Enjoy!`;
+    return await this.sendSMS(this.formatUgandaPhoneNumber(phoneNumber), message, 'voucher');
+  }
+
+  /**
+   * Receipt for a gift, without the code, which only the recipient gets
+   * @param {Object} details - Payment details
+   * @param {string} details.phoneNumber - Paying phone number, local or international format
+   * @param {string} details.recipientPhoneNumber - Phone number the voucher went to
+   * @param {number} details.amount - Amount paid in UGX
+   * @param {string} details.paymentReference - Payment reference
+   * @returns {Promise<Object>} SMS send result
+   */
+  async sendGiftReceipt({ phoneNumber, recipientPhoneNumber, amount, paymentReference }) {
+    const message = `✅ Payment ${paymentReference} of UGX ${amount} received. The MoWave voucher code has been sent to ${recipientPhoneNumber}. Thanks!`;
+    return await this.sendSMS(this.formatUgandaPhoneNumber(phoneNumber), message, 'payment');
+  }
+
+  /**
+   * Send the code confirming a voucher transfer to the voucher's owner
+   * @param {Object} details - Transfer details
+   * @param {string} details.phoneNumber - Owner's phone number
+   * @param {string} details.otp - Confirmation code
+   * @param {string} details.voucherCode - Voucher being transferred
+   * @param {string} details.toPhoneNumber - Phone number it goes to
+   * @param {number} details.minutes - How long the code is valid
+   * @returns {Promise<Object>} SMS send result
+   */
+  async sendTransferOTP({ phoneNumber, otp, voucherCode, toPhoneNumber, minutes }) {
+    const message = `🔐 Your MoWave code to transfer voucher ${voucherCode} to ${toPhoneNumber}: ${otp}. It expires in ${minutes} minutes. Do not share this code.`;
+    return await this.sendSMS(this.formatUgandaPhoneNumber(phoneNumber), message, 'otp');
+  }
+
+  /**
+   * Send a transferred voucher's new code to its new owner
+   * @param {Object} details - Voucher details
+   * @param {string} details.phoneNumber - New owner's phone number
+   * @param {string} details.fromPhoneNumber - Previous owner's phone number
+   * @param {string} details.voucherCode - The voucher's new code
+   * @param {string} details.dataLimit - Data allowance, e.g. '500MB', null for unlimited
+   * @param {number} details.duration - Access duration in hours
+   * @returns {Promise<Object>} SMS send result
+   */
+  async sendTransferredVoucher({ phoneNumber, fromPhoneNumber, voucherCode, dataLimit, duration }) {
+    const data = dataLimit || 'unlimited data';
+    const message = `🎁 ${fromPhoneNumber} transferred a MoWave voucher to you. Your voucher code: ${voucherCode} (${duration}h, ${data}). Enjoy!`;
+    return await this.sendSMS(this.formatUgandaPhoneNumber(phoneNumber), message, 'voucher');
+  }
+
+  /**
+   * Confirm a subscription period has been paid for
+   * @param {Object} details - Subscription details
+   * @param {string} details.phoneNumber - Subscriber's phone number
+   * @param {string} details.planName - Plan subscribed to
+   * @param {number} details.amount - Amount charged in UGX
+   * @param {Date} details.periodEnd - End of the period paid for
+   * @param {Date|null} details.renewsAt - Next charge, null once the subscription is cancelled
+   * @returns {Promise<Object>} SMS send result
+   */
+  async sendSubscriptionRenewed({ phoneNumber, planName, amount, periodEnd, renewsAt }) {
+    const next = renewsAt ? `It renews automatically on ${formatTime(renewsAt)}` : 'It will not renew';
+    const message = `✅ MoWave ${planName} subscription paid (UGX ${amount}), access until ${formatTime(periodEnd)}. ${next}.`;
+    return await this.sendSMS(this.formatUgandaPhoneNumber(phoneNumber), message, 'subscription');
+  }
+
+  /**
+   * Warn a subscriber ahead of the next automatic charge
+   * @param {Object} details - Subscription details
+   * @param {string} details.phoneNumber - Subscriber's phone number
+   * @param {string} details.planName - Plan subscribed to
+   * @param {number} details.amount - Amount to be charged in UGX
+   * @param {Date} details.chargeAt - When the charge will be requested
+   * @returns {Promise<Object>} SMS send result
+   */
+  async sendSubscriptionChargeNotice({ phoneNumber, planName, amount, chargeAt }) {
+    const message = `🔔 Your MoWave ${planName} subscription renews on ${formatTime(chargeAt)}: you will be asked to approve UGX ${amount} on this number. Cancel any time before then to stop it.`;
+    return await this.sendSMS(this.formatUgandaPhoneNumber(phoneNumber), message, 'subscription');
+  }
+
+  /**
+   * Tell a subscriber a renewal charge failed and when it is tried again
+   * @param {Object} details - Subscription details
+   * @param {string} details.phoneNumber - Subscriber's phone number
+   * @param {string} details.planName - Plan subscribed to
+   * @param {Date} details.retryAt - Next attempt
+   * @param {Date} details.graceEndsAt - When the subscription lapses if no attempt succeeds
+   * @returns {Promise<Object>} SMS send result
+   */
+  async sendSubscriptionRenewalFailed({ phoneNumber, planName, retryAt, graceEndsAt }) {
+    const message = `⚠️ We could not renew your MoWave ${planName} subscription. We will try again on ${formatTime(retryAt)}; it ends if not paid by ${formatTime(graceEndsAt)}.`;
+    return await this.sendSMS(this.formatUgandaPhoneNumber(phoneNumber), message, 'subscription');
+  }
+
+  /**
+   * Tell a subscriber their subscription has ended, cancelled or lapsed
+   * @param {Object} details - Subscription details
+   * @param {string} details.phoneNumber - Subscriber's phone number
+   * @param {string} details.planName - Plan subscribed to
+   * @param {string} details.status - 'cancelled' or 'lapsed'
+   * @param {Date|null} details.accessUntil - End of the last period paid for, if any
+   * @returns {Promise<Object>} SMS send result
+   */
+  async sendSubscriptionEnded({ phoneNumber, planName, status, accessUntil }) {
+    const ended = status === 'lapsed' ? 'has ended because the renewal could not be paid' : 'has been cancelled, you will not be charged again';
+    const access = accessUntil && accessUntil > new Date() ? ` Your access runs until ${formatTime(accessUntil)}.` : '';
+    const message = `MoWave ${planName} subscription ${ended}.${access}`;
+    return await this.sendSMS(this.formatUgandaPhoneNumber(phoneNumber), message, 'subscription');
+  }
+
+  /**
+   * Tell the payer a payment did not go through
+   * @param {Object} details - Payment details
+   * @param {string} details.phoneNumber - Paying phone number
+   * @param {string} details.paymentReference - Payment reference
+   * @param {string} details.reason - Why the payment failed
+   * @returns {Promise<Object>} SMS send result
+   */
+  async sendPaymentFailureNotification({ phoneNumber, paymentReference, reason }) {
+    const message = `❌ MoWave payment ${paymentReference} failed${reason ? `: ${reason}` : ''}. You have not been charged.`;
+    return await this.sendSMS(this.formatUgandaPhoneNumber(phoneNumber), message, 'payment');
+  }
+
+  /**
+   * Tell the payer a payment was cancelled
+   * @param {Object} details - Payment details
+   * @param {string} details.phoneNumber - Paying phone number
+   * @param {string} details.paymentReference - Payment reference
+   * @returns {Promise<Object>} SMS send result
+   */
+  async sendPaymentCancellationNotification({ phoneNumber, paymentReference }) {
+    const message = `MoWave payment ${paymentReference} has been cancelled.`;
+    return await this.sendSMS(this.formatUgandaPhoneNumber(phoneNumber), message, 'payment');
+  }
+
   /**
    * Send OTP via SMS
    * @param {string} phoneNumber - Recipient phone number
@@ -165,40 +349,6 @@ class SMSService {
     }
   }
 
-  /**
-   * Create SMS log entry
-   * @private
-   */
-  createSMSLog(phoneNumber, message, type, userId) {
-    const smsLog = {
-      id: uuidv4(),
-      phoneNumber,
-      message,
-      type,
-      userId,
-      status: 'pending',
-      createdAt: new Date(),
-      sentAt: null,
-      externalId: null,
-      error: null
-    };
-
-    this.smsLogs.set(smsLog.id, smsLog);
-    return smsLog;
-  }
-
-  /**
-   * Update SMS log entry
-   * @private
-   */
-  updateSMSLog(logId, updates) {
-    const log = this.smsLogs.get(logId);
-    if (log) {
-      Object.assign(log, updates);
-      this.smsLogs.set(logId, log);
-    }
-  }
-
   /**
    * Validate phone number format
    * @private
@@ -233,21 +383,17 @@ class SMSService {
   /**
    * Get SMS logs
    * @param {Object} filters - Filter options
-   * @returns {Array} Array of SMS logs
+   * @returns {Promise<Array>} Array of SMS logs
    */
-  getSMSLogs(filters = {}) {
-    let logs = Array.from(this.smsLogs.values());
+  async getSMSLogs(filters = {}) {
+    const where = {};
 
     // Apply filters
-    if (filters.userId) {
-      logs = logs.filter(log => log.userId === filters.userId);
-    }
-    if (filters.type) {
-      logs = logs.filter(log => log.type === filters.type);
-    }
-    if (filters.status) {
-      logs = logs.filter(log => log.status === filters.status);
-    }
+    if (filters.userId) where.userId = filters.userId;
+    if (filters.type) where.type = filters.type;
+    if (filters.status) where.status = filters.status;
+
+    const logs = await db.getSMSLogs(where);
 
     // Sort by creation date (newest first)
     logs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -257,10 +403,10 @@ class SMSService {
 
   /**
    * Get SMS statistics
-   * @returns {Object} SMS statistics
+   * @returns {Promise<Object>} SMS statistics
    */
-  getSMSStats() {
-    const logs = Array.from(this.smsLogs.values());
+  async getSMSStats() {
+    const logs = await db.getSMSLogs();
     const totalSent = logs.length;
     const successful = logs.filter(log => log.status === 'sent').length;
     const failed = logs.filter(log => log.status === 'failed').length;
@@ -325,14 +471,13 @@ class SMSService {
    * Clear old SMS logs (cleanup)
    * @param {number} daysOld - Days old to clear (default: 30)
    */
-  clearOldLogs(daysOld = 30) {
+  async clearOldLogs(daysOld = 30) {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
     let cleared = 0;
-    for (const [id, log] of this.smsLogs.entries()) {
-      if (log.createdAt < cutoffDate) {
-        this.smsLogs.delete(id);
+    for (const log of await db.getSMSLogs({ createdAt: { $lt: cutoffDate } })) {
+      if (await db.deleteSMSLog(log.id)) {
         cleared++;
       }
     }
@@ -0,0 +1,408 @@
+// Recurring plans. A subscription ties a phone number to a renewable plan: every period
+// is paid for by a mobile money collection started SUBSCRIPTION_RENEW_HOURS before the
+// period ends, and adds the plan's hours and data to the subscriber's voucher. A failed
+// renewal is retried every SUBSCRIPTION_RETRY_HOURS until SUBSCRIPTION_GRACE_HOURS after
+// the period ended, then the subscription lapses. The subscriber is texted ahead of each
+// charge and when a charge goes through or fails, and when the subscription ends.
+const db = require('../models/database');
+const paymentService = require('./paymentService');
+const smsService = require('./smsService');
+const auditService = require('./auditService');
+const { sameAccessSchedule } = require('../utils/accessSchedule');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+class SubscriptionService {
+  constructor() {
+    this.intervalMs = parseFloat(process.env.SUBSCRIPTION_CHECK_MINUTES ?? 5) * MINUTE_MS;
+    this.renewLeadMs = parseFloat(process.env.SUBSCRIPTION_RENEW_HOURS ?? 6) * HOUR_MS;
+    this.noticeMs = parseFloat(process.env.SUBSCRIPTION_NOTICE_HOURS ?? 24) * HOUR_MS;
+    this.graceMs = parseFloat(process.env.SUBSCRIPTION_GRACE_HOURS ?? 48) * HOUR_MS;
+    this.retryMs = parseFloat(process.env.SUBSCRIPTION_RETRY_HOURS ?? 6) * HOUR_MS;
+    this.maxAttempts = parseInt(process.env.SUBSCRIPTION_MAX_ATTEMPTS) || 4;
+    this.timer = null;
+    this.nextRunAt = null;
+    this.current = null;
+  }
+
+  get enabled() {
+    return this.intervalMs > 0;
+  }
+
+  // Check for renewals on the interval, SUBSCRIPTION_CHECK_MINUTES=0 turns it off
+  start() {
+    if (!this.enabled) {
+      console.log('🔄 Subscription renewals disabled');
+      return;
+    }
+    console.log(`🔄 Subscription renewals checked every ${this.intervalMs / MINUTE_MS} minute(s)`);
+    this.schedule();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  schedule() {
+    this.nextRunAt = new Date(Date.now() + this.intervalMs);
+    this.timer = setTimeout(async () => {
+      try {
+        await this.run();
+      } catch (error) {
+        console.error('❌ Subscription run failed:', error.message);
+      }
+      if (this.timer) this.schedule();
+    }, this.intervalMs);
+  }
+
+  /**
+   * Work through what is due now. A run already in progress is shared rather than started twice.
+   * @returns {Promise<Object>} { settled, notices, charges, ended } counts
+   */
+  async run() {
+    if (!this.current) {
+      this.current = this.renewDue().finally(() => {
+        this.current = null;
+      });
+    }
+    return this.current;
+  }
+
+  async renewDue() {
+    const now = new Date();
+    const counts = { settled: 0, notices: 0, charges: 0, ended: 0 };
+
+    // Charges that finished since, however they finished: provider result, admin, or timeout
+    for (const subscription of await db.getLiveSubscriptions()) {
+      if (subscription.pendingPaymentReference && (await this.settle(subscription)) !== subscription) {
+        counts.settled++;
+      }
+    }
+
+    for (const subscription of await db.getLiveSubscriptions()) {
+      if (subscription.pendingPaymentReference || subscription.status === 'pending') continue;
+      const plan = await db.getPlanById(subscription.planId);
+
+      if (!plan || !plan.renewable || plan.visibility !== 'public') {
+        if (await this.end(subscription, 'cancelled', 'Plan is no longer offered as a subscription')) counts.ended++;
+        continue;
+      }
+
+      if (subscription.status === 'past_due' && now >= subscription.graceEndsAt) {
+        if (await this.end(subscription, 'lapsed', 'Renewal could not be paid')) counts.ended++;
+        continue;
+      }
+
+      if (now >= subscription.nextAttemptAt) {
+        const payment = await this.charge(subscription, plan);
+        if (payment) {
+          // Collections take as long as the subscriber takes to approve them, settled when they finish
+          setImmediate(() => {
+            this.collect(payment).catch(error => console.error('Subscription payment error:', error));
+          });
+          counts.charges++;
+        }
+        continue;
+      }
+
+      // One notice per renewal, sent once the charge is near
+      const noticeDue = subscription.status === 'active' &&
+        subscription.nextRenewalAt - now <= this.noticeMs &&
+        Number(subscription.noticedRenewalAt || 0) !== Number(subscription.nextRenewalAt);
+      if (noticeDue) {
+        const noticed = await db.updateSubscriptionIf(subscription.id,
+          current => Number(current.noticedRenewalAt || 0) === Number(subscription.noticedRenewalAt || 0),
+          { noticedRenewalAt: subscription.nextRenewalAt });
+        if (noticed) {
+          await smsService.sendSubscriptionChargeNotice({
+            phoneNumber: subscription.phoneNumber,
+            planName: plan.name,
+            amount: plan.price,
+            chargeAt: subscription.nextRenewalAt
+          }).catch(error => console.error('Subscription SMS error:', error.message));
+          counts.notices++;
+        }
+      }
+    }
+
+    if (counts.settled || counts.charges || counts.ended) {
+      console.log(`🔄 Subscriptions: ${counts.charges} charge(s) started, ${counts.settled} settled, ${counts.ended} ended`);
+    }
+    return counts;
+  }
+
+  /**
+   * Start a subscription: it is pending until its first charge goes through
+   * @param {Object} plan - Renewable public plan
+   * @param {Object} subscriber - { phoneNumber, paymentMethod, userId }
+   * @param {Object} req - Express request behind it, for the audit log
+   * @returns {Promise<Object>} { subscription, payment } - collect(payment) takes the money
+   */
+  async subscribe(plan, { phoneNumber, paymentMethod, userId = null }, req = null) {
+    const subscription = await db.createSubscription({ phoneNumber, planId: plan.id, paymentMethod, userId });
+    await auditService.record(req, { action: 'subscription.create', entityType: 'subscriptions', entityId: subscription.id, after: subscription });
+
+    const payment = await this.charge(subscription, plan, req);
+    return { subscription: await db.getSubscriptionById(subscription.id), payment };
+  }
+
+  /**
+   * Create the payment for a subscription's next period. Renewals top up the voucher the
+   * subscriber already has, or mint a new one when that voucher can no longer be topped up.
+   * @param {Object} subscription - Subscription as last read
+   * @param {Object} plan - Its plan, charged at today's price
+   * @param {Object} req - Express request behind it, null for the scheduler
+   * @returns {Promise<Object|null>} Pending payment, null if another charge got there first
+   */
+  async charge(subscription, plan, req = null) {
+    const voucher = subscription.voucherId ? await db.getVoucherById(subscription.voucherId) : null;
+    const reference = paymentService.generateReference();
+
+    const claimed = await db.updateSubscriptionIf(subscription.id,
+      current => !current.pendingPaymentReference && current.status === subscription.status,
+      { pendingPaymentReference: reference, lastAttemptAt: new Date() });
+    if (!claimed) return null;
+
+    const payment = await db.createPayment({
+      amount: plan.price,
+      listPrice: plan.price,
+      discount: 0,
+      promotions: [],
+      phoneNumber: subscription.phoneNumber,
+      paymentMethod: subscription.paymentMethod,
+      planId: plan.id,
+      voucherId: null,
+      topUpVoucherId: this.canTopUp(voucher, plan) ? voucher.id : null,
+      recipientPhoneNumber: null,
+      subscriptionId: subscription.id,
+      userId: subscription.userId || null,
+      status: 'pending',
+      transactionId: null,
+      reference,
+      metadata: {
+        planName: plan.name,
+        duration: plan.duration,
+        dataLimit: plan.dataLimit,
+        bandwidth: plan.bandwidth,
+        accessSchedule: plan.accessSchedule || null
+      }
+    });
+    await auditService.record(req, { action: 'payment.create', entityType: 'payments', entityId: payment.id, after: payment });
+    console.log(`🔄 Subscription ${subscription.id} charge ${reference}: ${plan.price} UGX from ${subscription.phoneNumber}`);
+    return payment;
+  }
+
+  // A renewal adds to the subscriber's voucher unless it can no longer take it, or the
+  // plan's access hours were changed since it was issued
+  canTopUp(voucher, plan) {
+    return Boolean(voucher) && !db.getTopUpError(voucher) && sameAccessSchedule(voucher.accessSchedule, plan.accessSchedule);
+  }
+
+  /**
+   * Collect a subscription payment from the provider and settle the subscription. The
+   * voucher is issued (or topped up) and texted out by paymentService on success.
+   * @param {Object} payment - Pending subscription payment
+   * @returns {Promise<Object>} The subscription after settling
+   */
+  async collect(payment) {
+    const voucherBefore = payment.topUpVoucherId ? await db.getVoucherById(payment.topUpVoucherId) : null;
+    const result = await paymentService.processPayment({
+      paymentId: payment.id,
+      reference: payment.reference,
+      amount: payment.amount,
+      phoneNumber: payment.phoneNumber,
+      paymentMethod: payment.paymentMethod,
+      userId: payment.userId
+    });
+
+    const processed = await db.getPaymentById(payment.id);
+    await auditService.record(null, {
+      action: 'payment.process',
+      entityType: 'payments',
+      entityId: payment.id,
+      before: payment,
+      after: processed
+    });
+    if (result.voucher) {
+      await auditService.record(null, {
+        action: payment.topUpVoucherId ? 'voucher.topup' : 'voucher.mint',
+        entityType: 'vouchers',
+        entityId: result.voucher.id,
+        before: voucherBefore,
+        after: result.voucher
+      });
+    }
+
+    const subscription = await db.getSubscriptionById(payment.subscriptionId);
+    // Failed renewals get their own notice once settled, a failed first payment gets the usual one
+    if (processed.status === 'failed' && !subscription.periodEndsAt) {
+      await smsService.sendPaymentFailureNotification({
+        phoneNumber: payment.phoneNumber,
+        paymentReference: payment.reference,
+        reason: result.message
+      }).catch(error => console.error('Payment SMS error:', error.message));
+    }
+    return this.settle(subscription);
+  }
+
+  /**
+   * Bring a subscription up to date with its charge in flight, once that has finished.
+   * A paid charge starts the next period where the last one ends (or now, if it already
+   * ended); a failed one is retried within the grace period, after which the subscription lapses.
+   * @param {Object} subscription - Subscription with a pendingPaymentReference
+   * @returns {Promise<Object>} The subscription, unchanged while the charge is still pending
+   */
+  async settle(subscription) {
+    if (!subscription || !subscription.pendingPaymentReference) return subscription;
+
+    const payment = await db.getPaymentByReference(subscription.pendingPaymentReference);
+    if (payment && payment.status === 'pending') return subscription;
+
+    const plan = await db.getPlanById(subscription.planId);
+    const planName = plan ? plan.name : 'MoWave';
+    const now = new Date();
+    const voucherId = payment && (payment.voucherId || payment.topUpVoucherId);
+    const paid = payment && payment.status === 'success' && voucherId && !payment.requiresRefund;
+    const stillCharging = current => current.pendingPaymentReference === subscription.pendingPaymentReference;
+    let updates;
+
+    if (paid) {
+      const paidAt = payment.completedAt || now;
+      const start = subscription.periodEndsAt && subscription.periodEndsAt > paidAt ? subscription.periodEndsAt : paidAt;
+      const end = new Date(start.getTime() + payment.metadata.duration * HOUR_MS);
+      const renewsAt = new Date(end.getTime() - this.renewLeadMs);
+      const cancelled = subscription.status === 'cancelled';
+      updates = {
+        status: cancelled ? 'cancelled' : 'active',
+        voucherId,
+        periodStartsAt: start,
+        periodEndsAt: end,
+        nextRenewalAt: cancelled ? null : renewsAt,
+        nextAttemptAt: cancelled ? null : renewsAt,
+        graceEndsAt: null,
+        renewalAttempts: 0,
+        renewals: subscription.renewals + (subscription.periodEndsAt ? 1 : 0),
+        pendingPaymentReference: null
+      };
+
+      const updated = await db.updateSubscriptionIf(subscription.id, stillCharging, updates);
+      if (!updated) return db.getSubscriptionById(subscription.id);
+      await auditService.record(null, { action: 'subscription.renew', entityType: 'subscriptions', entityId: updated.id, before: subscription, after: updated });
+      await smsService.sendSubscriptionRenewed({
+        phoneNumber: updated.phoneNumber,
+        planName,
+        amount: payment.amount,
+        periodEnd: end,
+        renewsAt: updated.nextRenewalAt
+      }).catch(error => console.error('Subscription SMS error:', error.message));
+      return updated;
+    }
+
+    // Nothing more to do for a charge that failed after the subscription was cancelled
+    if (subscription.status === 'cancelled') {
+      const updated = await db.updateSubscriptionIf(subscription.id, stillCharging, { pendingPaymentReference: null });
+      return updated || db.getSubscriptionById(subscription.id);
+    }
+
+    // The first charge failing means the subscription never started
+    if (!subscription.periodEndsAt) {
+      updates = { status: 'cancelled', cancelledAt: now, cancelReason: 'First payment failed', pendingPaymentReference: null, nextAttemptAt: null };
+      const updated = await db.updateSubscriptionIf(subscription.id, stillCharging, updates);
+      if (updated) {
+        await auditService.record(null, { action: 'subscription.cancel', entityType: 'subscriptions', entityId: updated.id, before: subscription, after: updated });
+      }
+      return updated || db.getSubscriptionById(subscription.id);
+    }
+
+    const attempts = subscription.renewalAttempts + 1;
+    const graceEndsAt = subscription.graceEndsAt || new Date(subscription.periodEndsAt.getTime() + this.graceMs);
+    const retryAt = new Date(now.getTime() + this.retryMs);
+    if (attempts >= this.maxAttempts || retryAt >= graceEndsAt) {
+      updates = { status: 'lapsed', endedAt: now, pendingPaymentReference: null, nextRenewalAt: null, nextAttemptAt: null, renewalAttempts: attempts };
+    } else {
+      updates = { status: 'past_due', graceEndsAt, nextAttemptAt: retryAt, renewalAttempts: attempts, pendingPaymentReference: null };
+    }
+
+    const updated = await db.updateSubscriptionIf(subscription.id, stillCharging, updates);
+    if (!updated) return db.getSubscriptionById(subscription.id);
+
+    await auditService.record(null, {
+      action: updated.status === 'lapsed' ? 'subscription.lapse' : 'subscription.renewal_failed',
+      entityType: 'subscriptions',
+      entityId: updated.id,
+      before: subscription,
+      after: updated
+    });
+    const notice = updated.status === 'lapsed'
+      ? smsService.sendSubscriptionEnded({ phoneNumber: updated.phoneNumber, planName, status: 'lapsed', accessUntil: updated.periodEndsAt })
+      : smsService.sendSubscriptionRenewalFailed({ phoneNumber: updated.phoneNumber, planName, retryAt, graceEndsAt });
+    await notice.catch(error => console.error('Subscription SMS error:', error.message));
+    return updated;
+  }
+
+  /**
+   * End a subscription so it is not charged again. Access already paid for runs to the end
+   * of the period, and a charge already in flight still counts if it goes through.
+   * @param {Object} subscription - Subscription as last read
+   * @param {string} status - 'cancelled' or 'lapsed'
+   * @param {string} reason - Why, kept on the subscription
+   * @param {Object} req - Express request behind it, null for the scheduler
+   * @returns {Promise<Object|null>} Ended subscription, null if it had already ended
+   */
+  async end(subscription, status, reason, req = null) {
+    const ended = await db.updateSubscriptionIf(subscription.id,
+      current => ['pending', 'active', 'past_due'].includes(current.status),
+      {
+        status,
+        ...(status === 'cancelled' ? { cancelledAt: new Date(), cancelReason: reason } : { endedAt: new Date() }),
+        nextRenewalAt: null,
+        nextAttemptAt: null
+      });
+    if (!ended) return null;
+
+    await auditService.record(req, {
+      action: status === 'cancelled' ? 'subscription.cancel' : 'subscription.lapse',
+      entityType: 'subscriptions',
+      entityId: ended.id,
+      before: subscription,
+      after: ended,
+      details: { reason }
+    });
+
+    const plan = await db.getPlanById(ended.planId);
+    await smsService.sendSubscriptionEnded({
+      phoneNumber: ended.phoneNumber,
+      planName: plan ? plan.name : 'MoWave',
+      status,
+      accessUntil: ended.periodEndsAt
+    }).catch(error => console.error('Subscription SMS error:', error.message));
+    console.log(`🔄 Subscription ${ended.id} ${status}: ${reason}`);
+    return ended;
+  }
+
+  /**
+   * Scheduler settings and state for the admin view
+   * @returns {Object} { enabled, intervalMinutes, renewHoursBefore, noticeHours, graceHours, retryHours, maxAttempts, running, nextRunAt }
+   */
+  status() {
+    return {
+      enabled: this.enabled,
+      intervalMinutes: this.intervalMs / MINUTE_MS,
+      renewHoursBefore: this.renewLeadMs / HOUR_MS,
+      noticeHours: this.noticeMs / HOUR_MS,
+      graceHours: this.graceMs / HOUR_MS,
+      retryHours: this.retryMs / HOUR_MS,
+      maxAttempts: this.maxAttempts,
+      running: this.current !== null,
+      nextRunAt: this.nextRunAt
+    };
+  }
+}
+
+// Export singleton instance
+const subscriptionService = new SubscriptionService();
+
+module.exports = subscriptionService;
@@ -0,0 +1,135 @@
+// Background sweeper. Records only change when a request touches them, so this moves
+// on the ones time has run out for: vouchers past their deadlines become expired,
+// sessions past their end time are closed and their devices disconnected, and payments
+// left pending too long time out. Every run is kept for a while for admins to look at.
+const db = require('../models/database');
+const auditService = require('./auditService');
+const gatewayService = require('./gatewayService');
+const codeAttemptService = require('./codeAttemptService');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+class SweeperService {
+  constructor() {
+    this.intervalMs = parseFloat(process.env.SWEEPER_INTERVAL_MINUTES ?? 5) * MINUTE_MS;
+    this.paymentTimeoutMs = (parseInt(process.env.PAYMENT_TIMEOUT_MINUTES) || 30) * MINUTE_MS;
+    this.historyMs = (parseInt(process.env.SWEEPER_HISTORY_DAYS) || 7) * DAY_MS;
+    this.timer = null;
+    this.nextRunAt = null;
+    this.current = null;
+  }
+
+  get enabled() {
+    return this.intervalMs > 0;
+  }
+
+  get running() {
+    return this.current !== null;
+  }
+
+  // Start sweeping on the interval, SWEEPER_INTERVAL_MINUTES=0 turns it off
+  start() {
+    if (!this.enabled) {
+      console.log('🧹 Sweeper disabled');
+      return;
+    }
+    console.log(`🧹 Sweeper running every ${this.intervalMs / MINUTE_MS} minute(s)`);
+    this.schedule();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  schedule() {
+    this.nextRunAt = new Date(Date.now() + this.intervalMs);
+    this.timer = setTimeout(async () => {
+      try {
+        await this.run('schedule');
+      } catch (error) {
+        console.error('❌ Sweeper run could not be recorded:', error.message);
+      }
+      if (this.timer) this.schedule();
+    }, this.intervalMs);
+  }
+
+  /**
+   * Sweep now. A run already in progress is shared rather than started twice.
+   * @param {string} trigger - 'schedule' or 'manual'
+   * @returns {Promise<Object>} The run record
+   */
+  async run(trigger = 'manual') {
+    if (!this.current) {
+      this.current = this.sweep(trigger).finally(() => {
+        this.current = null;
+      });
+    }
+    return this.current;
+  }
+
+  async sweep(trigger) {
+    const startedAt = new Date();
+    const counts = { vouchersExpired: 0, sessionsClosed: 0, paymentsTimedOut: 0, codeAttemptsPruned: 0 };
+    let error = null;
+
+    try {
+      // Vouchers expire in bulk (a whole printed batch at once), the run record counts them
+      counts.vouchersExpired = (await db.expireVouchers(startedAt)).length;
+
+      for (const session of await db.closeFinishedSessions(startedAt)) {
+        await auditService.record(null, { action: 'session.end', entityType: 'sessions', entityId: session.id, after: session });
+        await gatewayService.disconnect(session);
+        counts.sessionsClosed++;
+      }
+
+      const cutoff = new Date(startedAt.getTime() - this.paymentTimeoutMs);
+      for (const { before, after } of await db.timeOutPendingPayments(cutoff)) {
+        await auditService.record(null, { action: 'payment.timeout', entityType: 'payments', entityId: after.id, before, after });
+        counts.paymentsTimedOut++;
+      }
+
+      counts.codeAttemptsPruned = await codeAttemptService.prune();
+    } catch (sweepError) {
+      console.error('❌ Sweeper run failed:', sweepError);
+      error = sweepError.message;
+    }
+
+    const finishedAt = new Date();
+    const run = await db.createSweeperRun({
+      trigger,
+      ...counts,
+      error,
+      createdAt: startedAt,
+      finishedAt,
+      durationMs: finishedAt - startedAt
+    });
+    await db.pruneSweeperRuns(new Date(startedAt.getTime() - this.historyMs));
+
+    if (counts.vouchersExpired || counts.sessionsClosed || counts.paymentsTimedOut) {
+      console.log(`🧹 Sweep: ${counts.vouchersExpired} voucher(s) expired, ${counts.sessionsClosed} session(s) closed, ${counts.paymentsTimedOut} payment(s) timed out`);
+    }
+    return run;
+  }
+
+  /**
+   * Scheduler settings and state for the admin view
+   * @returns {Object} { enabled, intervalMinutes, paymentTimeoutMinutes, running, nextRunAt }
+   */
+  status() {
+    return {
+      enabled: this.enabled,
+      intervalMinutes: this.intervalMs / MINUTE_MS,
+      paymentTimeoutMinutes: this.paymentTimeoutMs / MINUTE_MS,
+      running: this.running,
+      nextRunAt: this.nextRunAt
+    };
+  }
+}
+
+// Export singleton instance
+const sweeperService = new SweeperService();
+
+module.exports = sweeperService;
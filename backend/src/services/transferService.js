@@ -0,0 +1,98 @@
+// Handing an unused voucher from the phone number that owns it to another one. The
+// owner asks for the transfer, confirms it with a one-time code sent by SMS, and the
+// voucher moves to the new number with a new code, which only the new owner is sent.
+const crypto = require('crypto');
+const db = require('../models/database');
+const smsService = require('./smsService');
+
+const MINUTE_MS = 60 * 1000;
+
+class TransferService {
+  constructor() {
+    this.otpTtlMs = (parseInt(process.env.TRANSFER_OTP_MINUTES) || 10) * MINUTE_MS;
+    this.maxAttempts = parseInt(process.env.TRANSFER_OTP_ATTEMPTS) || 5;
+  }
+
+  // Stored instead of the code itself, tied to the voucher so a hash says nothing elsewhere
+  hashOtp(voucherId, otp) {
+    return crypto.createHash('sha256').update(`${voucherId}:${otp}`).digest('hex');
+  }
+
+  /**
+   * Start a transfer and text the owner a confirmation code. A code that cannot be
+   * sent could never be confirmed, so the transfer is dropped again.
+   * @param {Object} voucher - Voucher to hand over
+   * @param {string} fromPhoneNumber - Owner's phone number, 256XXXXXXXXX
+   * @param {string} toPhoneNumber - New owner's phone number, 256XXXXXXXXX
+   * @returns {Promise<Object>} { voucher } with the transfer pending, { error } otherwise
+   */
+  async start(voucher, fromPhoneNumber, toPhoneNumber) {
+    if (fromPhoneNumber === toPhoneNumber) return { error: 'SAME_OWNER' };
+
+    const otp = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const otpHash = this.hashOtp(voucher.id, otp);
+    const result = await db.startVoucherTransfer(voucher.id, {
+      fromPhoneNumber,
+      toPhoneNumber,
+      otpHash,
+      expiresAt: new Date(Date.now() + this.otpTtlMs)
+    });
+    if (result.error) return result;
+
+    try {
+      await smsService.sendTransferOTP({
+        phoneNumber: fromPhoneNumber,
+        otp,
+        voucherCode: voucher.code,
+        toPhoneNumber,
+        minutes: this.otpTtlMs / MINUTE_MS
+      });
+    } catch (error) {
+      console.error('Transfer OTP SMS error:', error.message);
+      await db.cancelVoucherTransfer(voucher.id, otpHash);
+      return { error: 'SMS_FAILED' };
+    }
+    return result;
+  }
+
+  /**
+   * Check the confirmation code and hand the voucher over. Too many wrong codes drop
+   * the transfer, the owner has to start it again.
+   * @param {Object} voucher - Voucher with a transfer pending
+   * @param {string} otp - Confirmation code the owner was sent
+   * @returns {Promise<Object>} { voucher } with the new owner and code, { error, attemptsLeft } otherwise
+   */
+  async confirm(voucher, otp) {
+    if (!voucher.transferOtpHash) return { error: 'NOT_PENDING' };
+    if (voucher.transferExpiresAt < new Date()) return { error: 'OTP_EXPIRED' };
+
+    const expected = Buffer.from(voucher.transferOtpHash, 'hex');
+    const given = Buffer.from(this.hashOtp(voucher.id, String(otp)), 'hex');
+    if (!crypto.timingSafeEqual(expected, given)) {
+      const failed = await db.failVoucherTransfer(voucher, this.maxAttempts);
+      if (!failed) return { error: 'NOT_PENDING' };
+      return failed.transferOtpHash
+        ? { error: 'WRONG_OTP', attemptsLeft: this.maxAttempts - failed.transferAttempts }
+        : { error: 'TOO_MANY_ATTEMPTS' };
+    }
+
+    const result = await db.completeVoucherTransfer(voucher);
+    if (result.error) return result;
+
+    const { voucher: transferred } = result;
+    await smsService.sendTransferredVoucher({
+      phoneNumber: transferred.ownerPhoneNumber,
+      fromPhoneNumber: voucher.ownerPhoneNumber,
+      voucherCode: transferred.code,
+      dataLimit: transferred.dataLimit,
+      duration: transferred.duration
+    }).catch(error => console.error('Transfer SMS error:', error.message));
+    console.log(`🔁 Voucher ${transferred.id} transferred from ${voucher.ownerPhoneNumber} to ${transferred.ownerPhoneNumber}`);
+    return result;
+  }
+}
+
+// Export singleton instance
+const transferService = new TransferService();
+
+module.exports = transferService;
@@ -0,0 +1,191 @@
+// Printable voucher sheets for resellers: A4 pages of cut-out cards, each with the
+// code, plan, price, validity, Wi-Fi name and a QR code that opens the portal with
+// the code filled in. Rendered as HTML (print from the browser) or PDF.
+const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
+
+// Cards per page -> [columns, rows]
+const LAYOUTS = {
+  4: [2, 2],
+  6: [2, 3],
+  8: [2, 4],
+  10: [2, 5],
+  12: [3, 4],
+  16: [4, 4],
+  20: [4, 5]
+};
+
+// A4 in PDF points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const PAGE_MARGIN = 28;
+
+const escapeHTML = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class VoucherSheetService {
+  constructor() {
+    this.portalUrl = process.env.PORTAL_URL || 'http://localhost:3000/';
+    this.ssid = process.env.SITE_SSID || 'MoWave';
+  }
+
+  get layouts() {
+    return Object.keys(LAYOUTS).map(Number);
+  }
+
+  // Portal link with the code filled in, what the QR code encodes
+  portalLink(code) {
+    const url = new URL(this.portalUrl);
+    url.searchParams.set('code', code);
+    return url.toString();
+  }
+
+  /**
+   * What goes on one card
+   * @param {Object} voucher - Voucher record
+   * @param {Object|null} plan - The voucher's plan, if it has one
+   * @param {Date|null} redeemBy - Redemption deadline
+   * @returns {Object} Card fields
+   */
+  card(voucher, plan, redeemBy) {
+    return {
+      code: voucher.code,
+      planName: plan ? plan.name : `${voucher.duration} hour${voucher.duration === 1 ? '' : 's'}`,
+      price: `UGX ${Number(voucher.price).toLocaleString('en-US')}`,
+      access: `${voucher.duration}h access${voucher.dataLimit ? ` · ${voucher.dataLimit}` : ''}`,
+      redeemBy: redeemBy ? `Use by ${redeemBy.toISOString().slice(0, 10)}` : null,
+      ssid: this.ssid,
+      link: this.portalLink(voucher.code)
+    };
+  }
+
+  /**
+   * Render cards as a self-contained HTML page sized for A4 printing
+   * @param {Array<Object>} cards - Cards from card()
+   * @param {number} perPage - Cards per page, one of the layouts
+   * @returns {Promise<string>} HTML document
+   */
+  async renderHTML(cards, perPage) {
+    const [columns, rows] = LAYOUTS[perPage];
+    const pages = [];
+
+    for (let start = 0; start < cards.length; start += perPage) {
+      const cells = await Promise.all(cards.slice(start, start + perPage).map(async card => {
+        const qr = await QRCode.toString(card.link, { type: 'svg', margin: 0, errorCorrectionLevel: 'M' });
+        return `
+      <div class="card">
+        <div class="details">
+          <div class="plan">${escapeHTML(card.planName)}</div>
+          <div class="price">${escapeHTML(card.price)}</div>
+          <div class="code">${escapeHTML(card.code)}</div>
+          <div>${escapeHTML(card.access)}</div>
+          ${card.redeemBy ? `<div>${escapeHTML(card.redeemBy)}</div>` : ''}
+          <div>Wi-Fi: <strong>${escapeHTML(card.ssid)}</strong></div>
+        </div>
+        <div class="qr">${qr}</div>
+      </div>`;
+      }));
+      pages.push(`<section class="page">${cells.join('')}\n    </section>`);
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>MoWave vouchers</title>
+  <style>
+    @page { size: A4; margin: 10mm; }
+    body { margin: 0; font-family: Helvetica, Arial, sans-serif; }
+    .page {
+      display: grid;
+      grid-template-columns: repeat(${columns}, 1fr);
+      grid-template-rows: repeat(${rows}, 1fr);
+      height: 277mm;
+      page-break-after: always;
+    }
+    .page:last-child { page-break-after: auto; }
+    .card { display: flex; align-items: center; gap: 3mm; padding: 3mm; border: 1px dashed #999; font-size: 9pt; overflow: hidden; }
+    .details { flex: 1; min-width: 0; }
+    .plan { font-weight: bold; font-size: 11pt; }
+    .price { color: #1d4ed8; font-weight: bold; }
+    .code { font-family: 'Courier New', monospace; font-weight: bold; font-size: 11pt; margin: 1.5mm 0; word-break: break-all; }
+    .qr { width: ${columns > 2 ? 18 : 26}mm; flex-shrink: 0; }
+    .qr svg { width: 100%; height: auto; display: block; }
+  </style>
+</head>
+<body>
+    ${pages.join('\n    ')}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Render cards as an A4 PDF
+   * @param {Array<Object>} cards - Cards from card()
+   * @param {number} perPage - Cards per page, one of the layouts
+   * @returns {Promise<Buffer>} PDF file
+   */
+  renderPDF(cards, perPage) {
+    const [columns, rows] = LAYOUTS[perPage];
+    const cellWidth = (PAGE_WIDTH - 2 * PAGE_MARGIN) / columns;
+    const cellHeight = (PAGE_HEIGHT - 2 * PAGE_MARGIN) / rows;
+    const padding = 8;
+    const qrSize = Math.min(cellHeight - 2 * padding, cellWidth * 0.4);
+
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, autoFirstPage: false });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise(resolve => doc.on('end', () => resolve(Buffer.concat(chunks))));
+
+    cards.forEach((card, index) => {
+      const slot = index % perPage;
+      if (slot === 0) doc.addPage();
+
+      const x = PAGE_MARGIN + (slot % columns) * cellWidth;
+      const y = PAGE_MARGIN + Math.floor(slot / columns) * cellHeight;
+
+      // Cutting guide
+      doc.save().dash(3, { space: 3 }).strokeColor('#999999').rect(x, y, cellWidth, cellHeight).stroke().restore();
+
+      this.drawQR(doc, card.link, x + cellWidth - padding - qrSize, y + (cellHeight - qrSize) / 2, qrSize);
+
+      const textWidth = cellWidth - qrSize - 3 * padding;
+      doc.fillColor('#000000').font('Helvetica-Bold').fontSize(11)
+        .text(card.planName, x + padding, y + padding, { width: textWidth, lineBreak: false, ellipsis: true });
+      doc.fillColor('#1d4ed8').fontSize(10).text(card.price, { width: textWidth });
+      doc.fillColor('#000000').font('Courier-Bold').fontSize(columns > 2 ? 8 : 11)
+        .text(card.code, { width: textWidth }).moveDown(0.3);
+      doc.font('Helvetica').fontSize(8).text(card.access, { width: textWidth });
+      if (card.redeemBy) doc.text(card.redeemBy, { width: textWidth });
+      doc.text(`Wi-Fi: ${card.ssid}`, { width: textWidth });
+    });
+
+    doc.end();
+    return done;
+  }
+
+  // Draw a QR code module by module, so the PDF needs no images
+  drawQR(doc, text, x, y, size) {
+    const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+    const scale = size / modules.size;
+
+    doc.save().fillColor('#000000');
+    for (let row = 0; row < modules.size; row++) {
+      for (let col = 0; col < modules.size; col++) {
+        if (modules.get(row, col)) {
+          doc.rect(x + col * scale, y + row * scale, scale, scale);
+        }
+      }
+    }
+    doc.fill().restore();
+  }
+}
+
+// Export singleton instance
+const voucherSheetService = new VoucherSheetService();
+
+module.exports = voucherSheetService;
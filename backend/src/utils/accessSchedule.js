@@ -0,0 +1,166 @@
+// Access schedules: plans (and the vouchers sold from them) can be limited to hours of
+// the day, e.g. a night bundle { days: ['mon', ..., 'sun'], windows: [{ start: '22:00',
+// end: '06:00' }] }. Times are Africa/Kampala local time. A window ending at or before its
+// start runs past midnight and belongs to the day it starts on. null means any time.
+
+const ACCESS_TIME_ZONE = 'Africa/Kampala';
+const DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DAY_MINUTES = 24 * 60;
+const WEEK_MINUTES = 7 * DAY_MINUTES;
+
+const localParts = new Intl.DateTimeFormat('en-US', {
+  timeZone: ACCESS_TIME_ZONE, weekday: 'short', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+});
+
+// Minutes into the local week (Monday 00:00 is 0), with fractions for seconds
+function weekMinute(date) {
+  const parts = Object.fromEntries(localParts.formatToParts(date).map(({ type, value }) => [type, value]));
+  const day = DAYS.indexOf(parts.weekday.toLowerCase());
+  return day * DAY_MINUTES + Number(parts.hour) * 60 + Number(parts.minute) + (Number(parts.second) + date.getMilliseconds() / 1000) / 60;
+}
+
+// '24:00' is allowed as an end, for windows that run up to midnight
+function toMinutes(time) {
+  if (time === '24:00') return DAY_MINUTES;
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Check an access schedule given for a plan
+ * @param {Object} schedule - { days, windows }
+ * @returns {string[]} Problems found, empty when it is valid
+ */
+function accessScheduleErrors(schedule) {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return ['Access schedule must be null or { days, windows }'];
+  }
+
+  const errors = [];
+  const { days, windows } = schedule;
+  if (days !== undefined && (!Array.isArray(days) || days.length === 0 ||
+      !days.every(day => typeof day === 'string' && DAYS.includes(day.toLowerCase())))) {
+    errors.push(`Access days must be a non-empty list of ${DAYS.join(', ')}`);
+  }
+
+  if (!Array.isArray(windows) || windows.length === 0) {
+    errors.push('Access windows must be a non-empty list of { start, end }');
+  } else if (!windows.every(window => window && TIME_PATTERN.test(window.start) &&
+      (TIME_PATTERN.test(window.end) || window.end === '24:00') && window.start !== window.end)) {
+    errors.push('Access windows need a start and a different end, as HH:MM');
+  }
+  return errors;
+}
+
+/**
+ * Tidy a valid access schedule for storing: days in lower case and week order
+ * @param {Object|null} schedule - { days, windows }, days defaulting to every day
+ * @returns {Object|null} { days, windows }
+ */
+function normalizeAccessSchedule(schedule) {
+  if (!schedule) return null;
+  const days = (schedule.days || DAYS).map(day => day.toLowerCase());
+  return {
+    days: DAYS.filter(day => days.includes(day)),
+    windows: schedule.windows.map(({ start, end }) => ({ start, end }))
+  };
+}
+
+// Open stretches of the week as [start, end) minutes, the last day's may run into the next week
+function openIntervals(schedule) {
+  const intervals = [];
+  for (const day of schedule.days || DAYS) {
+    const dayStart = DAYS.indexOf(day) * DAY_MINUTES;
+    for (const window of schedule.windows) {
+      const start = toMinutes(window.start);
+      const end = toMinutes(window.end);
+      intervals.push([dayStart + start, dayStart + (end > start ? end : end + DAY_MINUTES)]);
+    }
+  }
+  return intervals;
+}
+
+// End of the open stretch containing minute (which may be past the end of this week),
+// or null when it falls outside them all. Last week's Sunday night can still be open.
+function intervalEnd(intervals, minute) {
+  const weekStart = Math.floor(minute / WEEK_MINUTES) * WEEK_MINUTES;
+  let end = null;
+  for (const [start, stop] of intervals) {
+    for (const shift of [weekStart, weekStart - WEEK_MINUTES]) {
+      if (start + shift <= minute && minute < stop + shift) end = Math.max(end ?? -Infinity, stop + shift);
+    }
+  }
+  return end;
+}
+
+// Whether two stored schedules give the same hours, e.g. for a top-up to keep its voucher's
+function sameAccessSchedule(a, b) {
+  return JSON.stringify(a || null) === JSON.stringify(b || null);
+}
+
+/**
+ * Whether a schedule lets a voucher be used at a moment
+ * @param {Object|null} schedule - Access schedule, null for any time
+ * @param {Date} now - Moment to check
+ * @returns {boolean} True when it is open
+ */
+function isWithinAccessHours(schedule, now = new Date()) {
+  return !schedule || intervalEnd(openIntervals(schedule), weekMinute(now)) !== null;
+}
+
+/**
+ * When the access window open now closes. Windows that meet (23:00-24:00 and 00:00-05:00)
+ * count as one, so a session is not cut at midnight.
+ * @param {Object|null} schedule - Access schedule
+ * @param {Date} now - Current time
+ * @returns {Date|null} Closing time, null without a schedule, when it never closes, or when it is closed now
+ */
+function accessWindowEnd(schedule, now = new Date()) {
+  if (!schedule) return null;
+  const intervals = openIntervals(schedule);
+  const from = weekMinute(now);
+
+  let minute = intervalEnd(intervals, from);
+  if (minute === null) return null;
+  for (let next = intervalEnd(intervals, minute); next !== null && next > minute; next = intervalEnd(intervals, minute)) {
+    minute = next;
+    if (minute - from >= WEEK_MINUTES) return null;
+  }
+  // Kampala has no daylight saving, local minutes are real minutes
+  return new Date(now.getTime() + (minute - from) * 60 * 1000);
+}
+
+// Runs of three or more days read as a range: Mon-Fri
+function describeDays(days) {
+  if (days.length === DAYS.length) return 'every day';
+  const runs = [];
+  for (const day of days) {
+    const run = runs[runs.length - 1];
+    if (run && DAYS.indexOf(day) === DAYS.indexOf(run[run.length - 1]) + 1) run.push(day);
+    else runs.push([day]);
+  }
+  const title = day => day[0].toUpperCase() + day.slice(1);
+  return runs.map(run => run.length >= 3 ? `${title(run[0])}-${title(run[run.length - 1])}` : run.map(title).join(', ')).join(', ');
+}
+
+/**
+ * Describe an access schedule for customers
+ * @param {Object|null} schedule - Access schedule
+ * @returns {string} e.g. '22:00-06:00 every day' or '08:00-17:00 Mon-Fri'
+ */
+function describeAccessSchedule(schedule) {
+  if (!schedule) return 'any time';
+  const windows = schedule.windows.map(({ start, end }) => `${start}-${end}`).join(' and ');
+  return `${windows} ${describeDays(schedule.days || DAYS)}`;
+}
+
+module.exports = {
+  ACCESS_TIME_ZONE,
+  accessScheduleErrors,
+  normalizeAccessSchedule,
+  sameAccessSchedule,
+  isWithinAccessHours,
+  accessWindowEnd,
+  describeAccessSchedule
+};
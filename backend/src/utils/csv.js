@@ -0,0 +1,101 @@
+// CSV helpers for admin exports and imports
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV with a header line
+ * @param {Array<Object>} rows - Records to export
+ * @param {Array<string>} columns - Fields to include, in order
+ * @returns {string} CSV text
+ */
+function toCSV(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF) into records
+ * keyed by the header line. Blank lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Records, each with a `line` property giving its line number in the file
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // Spreadsheet apps often save a byte order mark at the start
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = '';
+      rowLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  const [header, ...records] = rows.filter(r => r.cells.some(cell => cell.trim() !== ''));
+  if (!header) return [];
+
+  const columns = header.cells.map(cell => cell.trim());
+  return records.map(({ line: recordLine, cells }) => {
+    const record = { line: recordLine };
+    columns.forEach((column, index) => {
+      if (column) record[column] = (cells[index] || '').trim();
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  toCSV,
+  parseCSV
+};
@@ -0,0 +1,27 @@
+// Device MAC addresses as the hotspot gateway passes them on, e.g. AA-BB-CC-DD-EE-FF
+
+const MAC_ADDRESS = /^[0-9a-f]{2}([:-][0-9a-f]{2}){5}$/i;
+
+/**
+ * Bring a MAC address into one form: lower case, colon separated
+ * @param {*} value - Address as received
+ * @returns {string|null} e.g. 'aa:bb:cc:dd:ee:ff', null if it is not a MAC address
+ */
+function normalizeMacAddress(value) {
+  if (typeof value !== 'string' || !MAC_ADDRESS.test(value.trim())) return null;
+  return value.trim().toLowerCase().replace(/-/g, ':');
+}
+
+/**
+ * The device MAC address sent with a captive portal request, if any
+ * @param {Object} req - Express request
+ * @returns {string|null} Normalised MAC address
+ */
+function requestMacAddress(req) {
+  return normalizeMacAddress(req.body?.macAddress ?? req.body?.userInfo?.macAddress);
+}
+
+module.exports = {
+  normalizeMacAddress,
+  requestMacAddress
+};
@@ -0,0 +1,42 @@
+// Mobile money numbers: Ugandan numbers in international form, and which
+// provider's prefixes can pay with which payment method
+
+const PHONE_NUMBER = /^256[0-9]{9}$/;
+
+const PROVIDER_PREFIXES = {
+  mtn_momo: ['256070', '256077', '256078', '256039'],
+  airtel_money: ['256070', '256075', '256074', '256020']
+};
+
+const PROVIDER_NAMES = {
+  mtn_momo: 'MTN MoMo',
+  airtel_money: 'Airtel Money'
+};
+
+/**
+ * Why a phone number cannot pay with a payment method, if it cannot
+ * @param {string} phoneNumber - Paying phone number
+ * @param {string} paymentMethod - mtn_momo or airtel_money
+ * @returns {string|null} Customer-facing message, null when they go together
+ */
+function mobileMoneyError(phoneNumber, paymentMethod) {
+  if (!phoneNumber || !PHONE_NUMBER.test(phoneNumber)) {
+    return 'Invalid phone number format. Use 256XXXXXXXXX';
+  }
+
+  const prefixes = PROVIDER_PREFIXES[paymentMethod];
+  if (prefixes && !prefixes.some(prefix => phoneNumber.startsWith(prefix))) {
+    return `Phone number is not compatible with ${PROVIDER_NAMES[paymentMethod]}`;
+  }
+
+  if (!paymentMethod || !prefixes) {
+    return 'Payment method must be mtn_momo or airtel_money';
+  }
+
+  return null;
+}
+
+module.exports = {
+  PHONE_NUMBER,
+  mobileMoneyError
+};
@@ -0,0 +1,80 @@
+// Data quotas: plans and vouchers carry dataLimit as text ('500MB', '1.5GB' or
+// 'unlimited'), sessions count the bytes used against it. Units are binary, 1MB = 1024KB.
+
+const UNITS = { KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+const DATA_LIMIT_PATTERN = /^(\d+(?:\.\d+)?)\s*(KB|MB|GB|TB)$/i;
+
+/**
+ * Parse a data limit into bytes
+ * @param {string} dataLimit - e.g. '500MB', '20GB' or 'unlimited'
+ * @returns {number|null} Bytes, null for unlimited
+ * @throws {Error} When the text is not a data limit
+ */
+function parseDataLimit(dataLimit) {
+  if (dataLimit === null || dataLimit === undefined || /^unlimited$/i.test(String(dataLimit).trim())) {
+    return null;
+  }
+
+  const match = DATA_LIMIT_PATTERN.exec(String(dataLimit).trim());
+  const bytes = match ? Math.floor(parseFloat(match[1]) * UNITS[match[2].toUpperCase()]) : 0;
+  if (!(bytes > 0)) {
+    throw new Error(`Invalid data limit "${dataLimit}", use a size like 500MB or 5GB, or unlimited`);
+  }
+  return bytes;
+}
+
+function isValidDataLimit(dataLimit) {
+  try {
+    parseDataLimit(dataLimit);
+    return dataLimit !== null && dataLimit !== undefined;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Write a byte count as a data limit, in the largest unit that holds it exactly
+ * @param {number|null} bytes - Bytes, null for unlimited
+ * @returns {string} e.g. '1536MB', or 'unlimited'
+ */
+function formatDataLimit(bytes) {
+  if (bytes === null) return 'unlimited';
+  const unit = ['TB', 'GB', 'MB', 'KB'].find(name => bytes % UNITS[name] === 0);
+  return unit ? `${bytes / UNITS[unit]}${unit}` : `${Number((bytes / UNITS.KB).toFixed(3))}KB`;
+}
+
+/**
+ * Add one data allowance to another, as when a voucher is topped up
+ * @param {string} dataLimit - Current limit
+ * @param {string} extra - Limit being added
+ * @returns {string} Combined limit, unlimited if either one is
+ */
+function addDataLimits(dataLimit, extra) {
+  const current = parseDataLimit(dataLimit);
+  const added = parseDataLimit(extra);
+  return formatDataLimit(current === null || added === null ? null : current + added);
+}
+
+/**
+ * Where a session stands against its quota
+ * @param {Object} session - Session record
+ * @returns {Object} { limitBytes, usedBytes, remainingBytes, exhausted }, limit and remaining are null when unlimited
+ */
+function quotaStatus(session) {
+  const limitBytes = session.dataLimitBytes ?? null;
+  const usedBytes = (session.bytesIn || 0) + (session.bytesOut || 0);
+  return {
+    limitBytes,
+    usedBytes,
+    remainingBytes: limitBytes === null ? null : Math.max(limitBytes - usedBytes, 0),
+    exhausted: limitBytes !== null && usedBytes >= limitBytes
+  };
+}
+
+module.exports = {
+  parseDataLimit,
+  isValidDataLimit,
+  formatDataLimit,
+  addDataLimits,
+  quotaStatus
+};
@@ -0,0 +1,284 @@
+// RADIUS packets (RFC 2865 authentication, RFC 2866 accounting): reading requests from the
+// hotspot gateway, checking them against the shared secret and building the replies. Only
+// the attributes the voucher flow uses are named here, others are kept but left alone.
+
+const crypto = require('crypto');
+
+const CODES = {
+  ACCESS_REQUEST: 1,
+  ACCESS_ACCEPT: 2,
+  ACCESS_REJECT: 3,
+  ACCOUNTING_REQUEST: 4,
+  ACCOUNTING_RESPONSE: 5
+};
+
+const ATTRIBUTES = {
+  USER_NAME: 1,
+  USER_PASSWORD: 2,
+  CHAP_PASSWORD: 3,
+  NAS_IP_ADDRESS: 4,
+  FRAMED_IP_ADDRESS: 8,
+  REPLY_MESSAGE: 18,
+  CLASS: 25,
+  VENDOR_SPECIFIC: 26,
+  SESSION_TIMEOUT: 27,
+  CALLING_STATION_ID: 31,
+  NAS_IDENTIFIER: 32,
+  ACCT_STATUS_TYPE: 40,
+  ACCT_INPUT_OCTETS: 42,
+  ACCT_OUTPUT_OCTETS: 43,
+  ACCT_SESSION_ID: 44,
+  ACCT_TERMINATE_CAUSE: 49,
+  ACCT_INPUT_GIGAWORDS: 52,
+  ACCT_OUTPUT_GIGAWORDS: 53,
+  CHAP_CHALLENGE: 60,
+  MESSAGE_AUTHENTICATOR: 80,
+  ACCT_INTERIM_INTERVAL: 85
+};
+
+const ACCT_STATUS_TYPES = {
+  START: 1,
+  STOP: 2,
+  INTERIM_UPDATE: 3,
+  ACCOUNTING_ON: 7,
+  ACCOUNTING_OFF: 8
+};
+
+// Vendor-Specific attributes the supported gateways read, by IANA enterprise number
+const VENDORS = {
+  MIKROTIK: { id: 14988, RATE_LIMIT: 8, TOTAL_LIMIT: 17, TOTAL_LIMIT_GIGAWORDS: 18 },
+  WISPR: { id: 14122, BANDWIDTH_MAX_UP: 7, BANDWIDTH_MAX_DOWN: 8 },
+  CHILLISPOT: { id: 14559, MAX_TOTAL_OCTETS: 3, BANDWIDTH_MAX_UP: 4, BANDWIDTH_MAX_DOWN: 5, MAX_TOTAL_GIGAWORDS: 23 }
+};
+
+const HEADER_LENGTH = 20;
+const MAX_LENGTH = 4096;
+const MAX_VALUE_LENGTH = 253;
+const GIGAWORD = 2 ** 32;
+
+/**
+ * Read a RADIUS packet
+ * @param {Buffer} buffer - Datagram as received
+ * @returns {Object} { code, identifier, authenticator, attributes: [{ type, value }], raw }
+ * @throws {Error} If the packet is malformed
+ */
+function decodePacket(buffer) {
+  if (buffer.length < HEADER_LENGTH) throw new Error('Packet is shorter than its header');
+  const length = buffer.readUInt16BE(2);
+  if (length < HEADER_LENGTH || length > MAX_LENGTH || length > buffer.length) {
+    throw new Error(`Packet length ${length} does not fit the ${buffer.length} bytes received`);
+  }
+
+  // Bytes past the length field are padding and are ignored (RFC 2865 section 3)
+  const raw = buffer.subarray(0, length);
+  const attributes = [];
+  for (let offset = HEADER_LENGTH; offset < length;) {
+    const attributeLength = raw[offset + 1];
+    if (offset + 2 > length || attributeLength < 2 || offset + attributeLength > length) {
+      throw new Error(`Attribute at byte ${offset} runs past the packet`);
+    }
+    attributes.push({ type: raw[offset], value: raw.subarray(offset + 2, offset + attributeLength) });
+    offset += attributeLength;
+  }
+
+  return {
+    code: raw[0],
+    identifier: raw[1],
+    authenticator: raw.subarray(4, HEADER_LENGTH),
+    attributes,
+    raw
+  };
+}
+
+// First value of an attribute, or null when the packet does not carry it
+function attributeValue(packet, type) {
+  const attribute = packet.attributes.find(entry => entry.type === type);
+  return attribute ? attribute.value : null;
+}
+
+function stringAttribute(packet, type) {
+  const value = attributeValue(packet, type);
+  return value ? value.toString('utf8') : null;
+}
+
+function integerAttribute(packet, type) {
+  const value = attributeValue(packet, type);
+  return value && value.length === 4 ? value.readUInt32BE(0) : null;
+}
+
+function ipAttribute(packet, type) {
+  const value = attributeValue(packet, type);
+  return value && value.length === 4 ? Array.from(value).join('.') : null;
+}
+
+// A byte count the gateway reports in two 32 bit halves, e.g. Acct-Output-Octets and -Gigawords
+function octetsAttribute(packet, octetsType, gigawordsType) {
+  return (integerAttribute(packet, gigawordsType) || 0) * GIGAWORD + (integerAttribute(packet, octetsType) || 0);
+}
+
+function md5(...parts) {
+  return crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+}
+
+/**
+ * Check the Request Authenticator of an Accounting-Request (RFC 2866 section 3)
+ * @param {Object} packet - Decoded request
+ * @param {string} secret - Shared secret
+ * @returns {boolean} True when the gateway knows the secret
+ */
+function verifyAccountingRequest(packet, secret) {
+  const unsigned = Buffer.from(packet.raw);
+  unsigned.fill(0, 4, HEADER_LENGTH);
+  return crypto.timingSafeEqual(md5(unsigned, Buffer.from(secret)), packet.authenticator);
+}
+
+// Offset of the Message-Authenticator value within the raw packet, -1 if there is none
+function messageAuthenticatorOffset(packet) {
+  let offset = HEADER_LENGTH;
+  for (const attribute of packet.attributes) {
+    if (attribute.type === ATTRIBUTES.MESSAGE_AUTHENTICATOR) return attribute.value.length === 16 ? offset + 2 : -1;
+    offset += attribute.value.length + 2;
+  }
+  return -1;
+}
+
+/**
+ * Check the Message-Authenticator of an Access-Request (RFC 3579 section 3.2). Nothing
+ * else in a CHAP request proves the sender knows the shared secret, so it is required.
+ * @param {Object} packet - Decoded request
+ * @param {string} secret - Shared secret
+ * @returns {boolean} True when one is sent and it matches
+ */
+function verifyMessageAuthenticator(packet, secret) {
+  const offset = messageAuthenticatorOffset(packet);
+  if (offset < 0) return false;
+
+  const unsigned = Buffer.from(packet.raw);
+  unsigned.fill(0, offset, offset + 16);
+  const expected = crypto.createHmac('md5', secret).update(unsigned).digest();
+  return crypto.timingSafeEqual(expected, packet.raw.subarray(offset, offset + 16));
+}
+
+/**
+ * Recover the User-Password of an Access-Request (RFC 2865 section 5.2)
+ * @param {Object} packet - Decoded request
+ * @param {string} secret - Shared secret
+ * @returns {string|null} Password, null if the request has none
+ */
+function decryptPassword(packet, secret) {
+  const hidden = attributeValue(packet, ATTRIBUTES.USER_PASSWORD);
+  if (!hidden || hidden.length % 16 !== 0) return null;
+
+  const password = Buffer.alloc(hidden.length);
+  let previous = packet.authenticator;
+  for (let offset = 0; offset < hidden.length; offset += 16) {
+    const key = md5(Buffer.from(secret), previous);
+    for (let i = 0; i < 16; i++) password[offset + i] = hidden[offset + i] ^ key[i];
+    previous = hidden.subarray(offset, offset + 16);
+  }
+  return password.toString('utf8').replace(/\0+$/, '');
+}
+
+/**
+ * Whether the CHAP-Password of an Access-Request was made from a password (RFC 1994)
+ * @param {Object} packet - Decoded request
+ * @param {string} password - Password to try
+ * @returns {boolean} True when it matches
+ */
+function chapPasswordMatches(packet, password) {
+  const chap = attributeValue(packet, ATTRIBUTES.CHAP_PASSWORD);
+  if (!chap || chap.length !== 17) return false;
+  // Without a CHAP-Challenge the Request Authenticator is the challenge
+  const challenge = attributeValue(packet, ATTRIBUTES.CHAP_CHALLENGE) || packet.authenticator;
+  const expected = md5(chap.subarray(0, 1), Buffer.from(password), challenge);
+  return crypto.timingSafeEqual(expected, chap.subarray(1));
+}
+
+// Attribute values are given as strings, 32 bit integers or raw bytes
+function toBytes(value) {
+  if (Buffer.isBuffer(value)) return value;
+  if (typeof value === 'number') {
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32BE(Math.min(Math.max(Math.floor(value), 0), GIGAWORD - 1));
+    return bytes;
+  }
+  return Buffer.from(String(value), 'utf8').subarray(0, MAX_VALUE_LENGTH);
+}
+
+/**
+ * A Vendor-Specific attribute, to put among a reply's attributes
+ * @param {number} vendorId - IANA enterprise number, e.g. VENDORS.MIKROTIK.id
+ * @param {number} type - Vendor attribute type
+ * @param {string|number|Buffer} value - Value
+ * @returns {Array} [VENDOR_SPECIFIC, bytes]
+ */
+function vendorAttribute(vendorId, type, value) {
+  const bytes = toBytes(value).subarray(0, MAX_VALUE_LENGTH - 6);
+  const header = Buffer.alloc(6);
+  header.writeUInt32BE(vendorId, 0);
+  header[4] = type;
+  header[5] = bytes.length + 2;
+  return [ATTRIBUTES.VENDOR_SPECIFIC, Buffer.concat([header, bytes])];
+}
+
+/**
+ * Split a byte count into the 32 bit octets and gigawords RADIUS carries it in
+ * @param {number} bytes - Byte count
+ * @returns {Object} { octets, gigawords }
+ */
+function splitOctets(bytes) {
+  return { octets: bytes % GIGAWORD, gigawords: Math.floor(bytes / GIGAWORD) };
+}
+
+/**
+ * Build the reply to a request. Access replies carry a Message-Authenticator, which
+ * gateways checking for the Blast-RADIUS attack insist on.
+ * @param {Object} request - Decoded request being answered
+ * @param {number} code - Reply code, e.g. CODES.ACCESS_ACCEPT
+ * @param {Array} attributes - [type, value] pairs
+ * @param {string} secret - Shared secret
+ * @returns {Buffer} Datagram to send back
+ */
+function encodeResponse(request, code, attributes, secret) {
+  const signed = code === CODES.ACCESS_ACCEPT || code === CODES.ACCESS_REJECT;
+  const encoded = attributes.map(([type, value]) => {
+    const bytes = toBytes(value);
+    return Buffer.concat([Buffer.from([type, bytes.length + 2]), bytes]);
+  });
+  // It goes first so its place is known, and is filled in once the rest is written
+  if (signed) encoded.unshift(Buffer.concat([Buffer.from([ATTRIBUTES.MESSAGE_AUTHENTICATOR, 18]), Buffer.alloc(16)]));
+
+  const body = Buffer.concat(encoded);
+  const packet = Buffer.concat([Buffer.alloc(HEADER_LENGTH), body]);
+  if (packet.length > MAX_LENGTH) throw new Error(`Reply of ${packet.length} bytes is too long`);
+  packet[0] = code;
+  packet[1] = request.identifier;
+  packet.writeUInt16BE(packet.length, 2);
+  request.authenticator.copy(packet, 4);
+
+  if (signed) {
+    crypto.createHmac('md5', secret).update(packet).digest().copy(packet, HEADER_LENGTH + 2);
+  }
+  md5(packet, Buffer.from(secret)).copy(packet, 4);
+  return packet;
+}
+
+module.exports = {
+  CODES,
+  ATTRIBUTES,
+  ACCT_STATUS_TYPES,
+  VENDORS,
+  decodePacket,
+  attributeValue,
+  stringAttribute,
+  integerAttribute,
+  ipAttribute,
+  octetsAttribute,
+  verifyAccountingRequest,
+  verifyMessageAuthenticator,
+  decryptPassword,
+  chapPasswordMatches,
+  vendorAttribute,
+  splitOctets,
+  encodeResponse
+};
@@ -0,0 +1,151 @@
+// Voucher codes: crypto random characters from a configurable alphabet, a check
+// character, then split into groups, e.g. MW-K7QD-2XHN-R
+//
+// The check character is a weighted sum mod 31 over every letter and digit before
+// it (prefix included), written with CHECK_CHARS. It does not depend on the
+// alphabet, so any code can be checked for typos without knowing its plan or batch.
+const crypto = require('crypto');
+
+// No 0/O, 1/I/L - they get misread on printed cards
+const SAFE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CHECK_CHARS = SAFE_ALPHABET;
+const VALUES = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const CHECK_MODULUS = 31;
+
+// Codes handed out before check characters existed: MW- and 8 random characters, the dash
+// may be left out
+const LEGACY_CODE = /^MW-?[A-Z0-9]{8}$/;
+
+/**
+ * Default code format, overridable through the environment
+ * @returns {Object} { prefix, alphabet, length, groupSize }
+ */
+function defaultFormat() {
+  return {
+    prefix: process.env.VOUCHER_CODE_PREFIX ?? 'MW',
+    alphabet: process.env.VOUCHER_CODE_ALPHABET || SAFE_ALPHABET,
+    length: parseInt(process.env.VOUCHER_CODE_LENGTH) || 8,
+    groupSize: parseInt(process.env.VOUCHER_CODE_GROUP_SIZE ?? 4)
+  };
+}
+
+/**
+ * Check a code format, e.g. one set on a plan
+ * @param {Object} format - { prefix, alphabet, length, groupSize }, any of them may be left out
+ * @returns {Array<string>} Problems found, empty when the format is usable
+ */
+function validateFormat(format) {
+  if (!format || typeof format !== 'object' || Array.isArray(format)) {
+    return ['Code format must be an object'];
+  }
+
+  const errors = [];
+  const { prefix, alphabet, length, groupSize } = format;
+
+  if (prefix !== undefined && !/^[A-Z0-9]{0,8}$/.test(prefix)) {
+    errors.push('Code prefix must be up to 8 capital letters or digits');
+  }
+  if (alphabet !== undefined) {
+    if (typeof alphabet !== 'string' || !/^[A-Z0-9]+$/.test(alphabet)) {
+      errors.push('Code alphabet must be capital letters and digits');
+    } else if (new Set(alphabet).size !== alphabet.length || alphabet.length < 10) {
+      errors.push('Code alphabet needs at least 10 different characters, each listed once');
+    }
+  }
+  if (length !== undefined && !(Number.isInteger(length) && length >= 6 && length <= 32)) {
+    errors.push('Code length must be a whole number from 6 to 32');
+  }
+  if (groupSize !== undefined && !(Number.isInteger(groupSize) && groupSize >= 0 && groupSize <= 32)) {
+    errors.push('Code group size must be a whole number from 0 (no grouping) to 32');
+  }
+
+  return errors;
+}
+
+function checkCharacter(characters) {
+  let sum = 0;
+  for (let i = 0; i < characters.length; i++) {
+    sum += (i + 1) * VALUES.indexOf(characters[i]);
+  }
+  return CHECK_CHARS[sum % CHECK_MODULUS];
+}
+
+/**
+ * Generate a code
+ * @param {Object} format - Overrides for the default format
+ * @returns {string} Code with prefix, groups and check character
+ */
+function generateCode(format = {}) {
+  const merged = { ...defaultFormat(), ...format };
+  const errors = validateFormat(merged);
+  if (errors.length > 0) {
+    throw new Error(`Invalid voucher code format: ${errors.join(', ')}`);
+  }
+
+  const { prefix, alphabet, length, groupSize } = merged;
+
+  let body = '';
+  for (let i = 0; i < length; i++) {
+    body += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  body += checkCharacter(prefix + body);
+
+  const groups = groupSize > 0 ? body.match(new RegExp(`.{1,${groupSize}}`, 'g')) : [body];
+  return [prefix, ...groups].filter(Boolean).join('-');
+}
+
+/**
+ * Tidy up a code as typed: upper case, no surrounding or inner whitespace
+ * @param {string} code - Code as entered
+ * @returns {string} Normalised code
+ */
+function normalizeCode(code) {
+  return String(code).toUpperCase().replace(/\s+/g, '');
+}
+
+/**
+ * A code without its dashes, which are only there for reading: customers often leave
+ * them out, or put them in the wrong place
+ * @param {string} code - Code as entered or stored
+ * @returns {string} e.g. 'MWK5SG9EPYV'
+ */
+function codeKey(code) {
+  return normalizeCode(code).replace(/-/g, '');
+}
+
+/**
+ * Whether a code could have been issued by us, checked without a database lookup
+ * @param {string} code - Normalised code
+ * @returns {boolean} False when the check character does not match (a typo)
+ */
+function isWellFormed(code) {
+  if (LEGACY_CODE.test(code)) return true;
+
+  const characters = code.replace(/-/g, '');
+  if (!/^[A-Z0-9]{2,}$/.test(characters)) return false;
+  return checkCharacter(characters.slice(0, -1)) === characters.slice(-1);
+}
+
+/**
+ * Hide all but the last few characters of a code, for showing which voucher is meant
+ * to someone who may not own it
+ * @param {string} code - Voucher code
+ * @returns {string} e.g. '**-****-*EPY-V'
+ */
+function maskCode(code) {
+  let shown = 4;
+  return code.split('').reverse()
+    .map(character => (character === '-' || shown-- > 0 ? character : '*'))
+    .reverse().join('');
+}
+
+module.exports = {
+  SAFE_ALPHABET,
+  defaultFormat,
+  validateFormat,
+  generateCode,
+  normalizeCode,
+  codeKey,
+  isWellFormed,
+  maskCode
+};
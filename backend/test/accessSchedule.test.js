@@ -0,0 +1,199 @@
+const sharedDb = require('../src/models/database');
+const voucherRoutes = require('../src/routes/vouchers');
+const adminRoutes = require('../src/routes/admin');
+const {
+  accessScheduleErrors,
+  normalizeAccessSchedule,
+  sameAccessSchedule,
+  isWithinAccessHours,
+  accessWindowEnd,
+  describeAccessSchedule
+} = require('../src/utils/accessSchedule');
+const { drivers, createDatabase, resetSharedDatabase, serveRouter, tokenFor } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const EVERY_DAY = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const NIGHTS = { days: EVERY_DAY, windows: [{ start: '22:00', end: '06:00' }] };
+const OFFICE = { days: ['mon', 'tue', 'wed', 'thu', 'fri'], windows: [{ start: '08:00', end: '17:00' }] };
+
+// Kampala is UTC+3 all year: 2024-05-06 is a Monday
+const kampala = (date, time) => new Date(`${date}T${time}:00+03:00`);
+
+// HH:MM in Kampala some hours from now, for schedules open or closed right now
+const localTime = hours => new Date(Date.now() + hours * HOUR + 3 * HOUR).toISOString().slice(11, 16);
+const openNow = () => ({ days: EVERY_DAY, windows: [{ start: localTime(-1), end: localTime(2) }] });
+const closedNow = () => ({ days: EVERY_DAY, windows: [{ start: localTime(2), end: localTime(4) }] });
+
+describe('accessScheduleErrors', () => {
+  test('accepts days and windows, days being optional', () => {
+    expect(accessScheduleErrors(NIGHTS)).toEqual([]);
+    expect(accessScheduleErrors({ windows: [{ start: '18:00', end: '24:00' }] })).toEqual([]);
+  });
+
+  test('lists what is wrong', () => {
+    expect(accessScheduleErrors([])).toEqual(['Access schedule must be null or { days, windows }']);
+    expect(accessScheduleErrors({ days: ['funday'], windows: [] })).toEqual([
+      'Access days must be a non-empty list of mon, tue, wed, thu, fri, sat, sun',
+      'Access windows must be a non-empty list of { start, end }'
+    ]);
+    for (const window of [{ start: '8:00', end: '17:00' }, { start: '10:00', end: '10:00' }, { start: '24:00', end: '01:00' }]) {
+      expect(accessScheduleErrors({ windows: [window] })).toEqual(['Access windows need a start and a different end, as HH:MM']);
+    }
+  });
+});
+
+describe('normalizeAccessSchedule and sameAccessSchedule', () => {
+  test('store days in lower case and week order, every day by default', () => {
+    expect(normalizeAccessSchedule({ days: ['FRI', 'mon'], windows: [{ start: '08:00', end: '17:00', note: 'x' }] }))
+      .toEqual({ days: ['mon', 'fri'], windows: [{ start: '08:00', end: '17:00' }] });
+    expect(normalizeAccessSchedule({ windows: NIGHTS.windows })).toEqual(NIGHTS);
+    expect(normalizeAccessSchedule(null)).toBeNull();
+  });
+
+  test('compare stored schedules, a missing one being no schedule', () => {
+    expect(sameAccessSchedule(NIGHTS, { ...NIGHTS })).toBe(true);
+    expect(sameAccessSchedule(undefined, null)).toBe(true);
+    expect(sameAccessSchedule(NIGHTS, OFFICE)).toBe(false);
+  });
+});
+
+describe('isWithinAccessHours', () => {
+  test('is always open without a schedule', () => {
+    expect(isWithinAccessHours(null, kampala('2024-05-06', '03:00'))).toBe(true);
+  });
+
+  test('follows the windows in Kampala time', () => {
+    expect(isWithinAccessHours(OFFICE, kampala('2024-05-06', '08:00'))).toBe(true);
+    expect(isWithinAccessHours(OFFICE, kampala('2024-05-06', '17:00'))).toBe(false);
+    expect(isWithinAccessHours(OFFICE, kampala('2024-05-11', '10:00'))).toBe(false);
+  });
+
+  test('keeps a window past midnight with the day it starts on', () => {
+    const fridayNights = { days: ['fri'], windows: [{ start: '22:00', end: '06:00' }] };
+
+    expect(isWithinAccessHours(fridayNights, kampala('2024-05-11', '03:00'))).toBe(true);
+    expect(isWithinAccessHours(fridayNights, kampala('2024-05-10', '03:00'))).toBe(false);
+  });
+
+  test('carries Sunday night over into Monday morning', () => {
+    const sundayNights = { days: ['sun'], windows: [{ start: '22:00', end: '06:00' }] };
+
+    expect(isWithinAccessHours(sundayNights, kampala('2024-05-13', '05:00'))).toBe(true);
+  });
+});
+
+describe('accessWindowEnd', () => {
+  test('is when the open window closes', () => {
+    expect(accessWindowEnd(OFFICE, kampala('2024-05-06', '16:00'))).toEqual(kampala('2024-05-06', '17:00'));
+    expect(accessWindowEnd(NIGHTS, kampala('2024-05-06', '23:30'))).toEqual(kampala('2024-05-07', '06:00'));
+  });
+
+  test('runs windows that meet into one', () => {
+    const lateNight = { days: EVERY_DAY, windows: [{ start: '23:00', end: '24:00' }, { start: '00:00', end: '05:00' }] };
+
+    expect(accessWindowEnd(lateNight, kampala('2024-05-06', '23:30'))).toEqual(kampala('2024-05-07', '05:00'));
+  });
+
+  test('is null without a schedule, outside the windows or when it never closes', () => {
+    expect(accessWindowEnd(null)).toBeNull();
+    expect(accessWindowEnd(OFFICE, kampala('2024-05-06', '18:00'))).toBeNull();
+    expect(accessWindowEnd({ windows: [{ start: '00:00', end: '24:00' }] }, kampala('2024-05-06', '12:00'))).toBeNull();
+  });
+});
+
+describe('describeAccessSchedule', () => {
+  test('reads runs of days as ranges', () => {
+    expect(describeAccessSchedule(NIGHTS)).toBe('22:00-06:00 every day');
+    expect(describeAccessSchedule(OFFICE)).toBe('08:00-17:00 Mon-Fri');
+    expect(describeAccessSchedule({ days: ['sat', 'sun'], windows: [{ start: '10:00', end: '12:00' }, { start: '14:00', end: '16:00' }] }))
+      .toBe('10:00-12:00 and 14:00-16:00 Sat, Sun');
+    expect(describeAccessSchedule(null)).toBe('any time');
+  });
+});
+
+describe.each(drivers)('access hours on the %s store', driver => {
+  let db;
+
+  beforeEach(async () => {
+    db = await createDatabase(driver);
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('vouchers take their plan\'s schedule', async () => {
+    const plan = await db.createPlan({ name: 'Nights', duration: 24, price: 3000, dataLimit: '5GB', accessSchedule: NIGHTS });
+
+    expect(await db.createVoucher(db.planTerms(plan))).toMatchObject({ accessSchedule: NIGHTS });
+  });
+
+  test('refuses a code outside its hours and ends its session when they close', async () => {
+    const closed = await db.createVoucher({ duration: 24, price: 3000, dataLimit: '5GB', accessSchedule: closedNow() });
+    expect(await db.redeemVoucher(closed.code)).toEqual({ error: 'OUTSIDE_HOURS' });
+
+    const open = await db.createVoucher({ duration: 24, price: 3000, dataLimit: '5GB', accessSchedule: openNow() });
+    const { voucher, sessionId } = await db.redeemVoucher(open.code);
+    const session = await db.createVoucherSession(voucher, sessionId, {});
+
+    expect(session.accessWindowEndsAt - Date.now()).toBeGreaterThan(HOUR);
+    expect(session.endTime).toEqual(session.accessWindowEndsAt);
+    expect(session.endTime < voucher.expiresAt).toBe(true);
+
+    const ended = await db.closeFinishedSessions(new Date(session.accessWindowEndsAt.getTime() + 1000));
+    expect(ended).toEqual([expect.objectContaining({ id: sessionId, endReason: 'outside_access_hours' })]);
+  });
+
+  test('lets a voucher pause any time but resume only within its hours', async () => {
+    const open = await db.createVoucher({ duration: 24, price: 3000, dataLimit: '5GB', accessSchedule: openNow() });
+    const { voucher } = await db.redeemVoucher(open.code);
+    const now = new Date();
+
+    expect(db.getPauseError(voucher, true, now)).toBeNull();
+    const paused = { ...voucher, pausedAt: now, accessSchedule: closedNow() };
+    expect(db.getPauseError(paused, true, now)).toBe('PAUSED');
+    expect(db.getPauseError(paused, false, now)).toBe('OUTSIDE_HOURS');
+  });
+});
+
+describe('access hour routes', () => {
+  let api;
+  let admin;
+  const token = tokenFor({ userId: 'admin-1', email: 'admin@example.com', role: 'admin' });
+
+  beforeAll(async () => {
+    api = await serveRouter('/api/vouchers', voucherRoutes);
+    admin = await serveRouter('/api/admin', adminRoutes);
+  });
+
+  afterAll(async () => {
+    await api.close();
+    await admin.close();
+  });
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+  });
+
+  const createPlan = accessSchedule => admin.request('POST', '/api/admin/plans', {
+    token,
+    body: { name: 'Office', duration: 8, price: 2000, dataLimit: '2GB', accessSchedule }
+  });
+
+  test('POST /admin/plans checks and tidies the schedule', async () => {
+    expect(await createPlan({ days: ['FRI', 'MON'], windows: OFFICE.windows }))
+      .toMatchObject({ status: 201, body: { data: { accessSchedule: { days: ['mon', 'fri'], windows: OFFICE.windows } } } });
+    expect(await createPlan({ windows: [] }))
+      .toMatchObject({ status: 400, body: { message: 'Access windows must be a non-empty list of { start, end }' } });
+  });
+
+  test('POST /validate says when a voucher can be used', async () => {
+    const schedule = closedNow();
+    const voucher = await sharedDb.createVoucher({ duration: 8, price: 2000, dataLimit: '2GB', accessSchedule: schedule });
+
+    expect(await api.request('POST', '/api/vouchers/validate', { body: { code: voucher.code } })).toMatchObject({
+      status: 400,
+      body: { message: `Voucher can only be used ${describeAccessSchedule(schedule)} (Kampala time)` }
+    });
+  });
+});
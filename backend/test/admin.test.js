@@ -0,0 +1,320 @@
+const db = require('../src/models/database');
+const adminRoutes = require('../src/routes/admin');
+const smsService = require('../src/services/smsService');
+const codeAttemptService = require('../src/services/codeAttemptService');
+const { resetSharedDatabase, serveRouter, tokenFor } = require('./helpers');
+
+describe('admin routes', () => {
+  let api;
+  let token;
+
+  beforeAll(async () => {
+    api = await serveRouter('/api/admin', adminRoutes);
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+    const admin = await db.createUser({ email: 'admin@example.com', password: 'hash', role: 'admin' });
+    token = tokenFor({ userId: admin.id, email: admin.email, role: 'admin' });
+  });
+
+  const get = path => api.request('GET', `/api/admin${path}`, { token });
+
+  async function payment(amount, status, createdAt, paymentMethod = 'mtn_momo', discount = undefined) {
+    const created = await db.createPayment({ reference: `REF-${Math.random()}`, amount, paymentMethod, discount });
+    return db.updatePayment(created.id, { status, createdAt });
+  }
+
+  test('are for admins only', async () => {
+    expect((await api.request('GET', '/api/admin/dashboard')).status).toBe(401);
+    const customer = tokenFor({ userId: 'u1', email: 'user@example.com', role: 'user' });
+    expect((await api.request('GET', '/api/admin/dashboard', { token: customer })).status).toBe(403);
+  });
+
+  describe('GET /dashboard', () => {
+    test('summarises vouchers and payments', async () => {
+      const sold = await db.createVoucher({ duration: 1, price: 1000, dataLimit: '500MB' });
+      await db.updateVoucher(sold.id, { isUsed: true });
+      await db.createVoucher({ duration: 1, price: 1000, dataLimit: '500MB' });
+      await db.createVoucher({ duration: 24, price: 10000, dataLimit: '5GB' });
+      await payment(1000, 'success', new Date());
+      await payment(5000, 'success', new Date(), 'airtel_money');
+      await payment(5000, 'failed', new Date());
+
+      const { status, body } = await get('/dashboard');
+
+      expect(status).toBe(200);
+      expect(body.data.overview).toMatchObject({ totalVouchers: 3, usedVouchers: 1, totalRevenue: 6000, successRate: '66.7' });
+      expect(body.data.analytics.vouchersByDuration).toEqual({
+        '1h': { total: 2, used: 1, revenue: 1000 },
+        '24h': { total: 1, used: 0, revenue: 0 }
+      });
+      expect(body.data.analytics.revenueByMethod).toEqual({ mtn_momo: 1000, airtel_money: 5000 });
+      expect(body.data.analytics.paymentStats).toMatchObject({ total: 3, success: 2, failed: 1 });
+      expect(body.data.analytics.monthlyRevenue).toHaveLength(12);
+      expect(body.data.analytics.monthlyRevenue[11]).toMatchObject({ revenue: 6000, transactions: 2 });
+    });
+  });
+
+  describe('GET /analytics/revenue', () => {
+    beforeEach(async () => {
+      await payment(1000, 'success', new Date('2024-05-06T09:00:00Z'));
+      await payment(2000, 'success', new Date('2024-05-08T09:00:00Z'), 'mtn_momo', 500);
+      await payment(4000, 'success', new Date('2024-06-01T09:00:00Z'));
+      await payment(8000, 'failed', new Date('2024-06-01T10:00:00Z'));
+    });
+
+    test('groups successful payments by month', async () => {
+      const { body } = await get('/analytics/revenue?period=month');
+
+      expect(body.data.chartData).toEqual([
+        { period: '2024-05', revenue: 3000, discounts: 500, transactions: 2 },
+        { period: '2024-06', revenue: 4000, discounts: 0, transactions: 1 }
+      ]);
+      expect(body.data.summary).toEqual({ totalRevenue: 7000, totalDiscounts: 500, totalTransactions: 3, averageTransaction: 2333, period: 'month' });
+    });
+
+    test('groups by week starting on Sunday, within a date range', async () => {
+      const { body } = await get('/analytics/revenue?period=week&startDate=2024-05-01&endDate=2024-05-31');
+
+      expect(body.data.chartData).toEqual([{ period: '2024-05-05', revenue: 3000, discounts: 500, transactions: 2 }]);
+    });
+
+    test('groups by day and by year', async () => {
+      expect((await get('/analytics/revenue?period=day')).body.data.chartData.map(d => d.period))
+        .toEqual(['2024-05-06', '2024-05-08', '2024-06-01']);
+      expect((await get('/analytics/revenue?period=year')).body.data.chartData)
+        .toEqual([{ period: '2024', revenue: 7000, discounts: 500, transactions: 3 }]);
+    });
+  });
+
+  describe('GET /analytics/vouchers', () => {
+    test('breaks usage down by duration, price and day', async () => {
+      const used = await db.createVoucher({ duration: 1, price: 1000, dataLimit: '500MB' });
+      await db.updateVoucher(used.id, { isUsed: true, usedAt: new Date() });
+      await db.createVoucher({ duration: 24, price: 10000, dataLimit: '5GB' });
+      const disabled = await db.createVoucher({ duration: 168, price: 50000, dataLimit: '20GB' });
+      await db.updateVoucher(disabled.id, { status: 'disabled' });
+
+      const { body } = await get('/analytics/vouchers');
+
+      expect(body.data.summary).toEqual({ total: 3, used: 1, active: 2, usageRate: '33.3' });
+      expect(body.data.usageByDuration).toEqual({
+        '1h': { total: 1, used: 1 },
+        '24h': { total: 1, used: 0 },
+        '168h': { total: 1, used: 0 }
+      });
+      expect(body.data.usageByPrice).toEqual({
+        'Under 5K': { total: 1, used: 1 },
+        '5K - 15K': { total: 1, used: 0 },
+        'Over 30K': { total: 1, used: 0 }
+      });
+      expect(body.data.dailyUsage).toHaveLength(30);
+      expect(body.data.dailyUsage[29]).toEqual({ date: new Date().toISOString().split('T')[0], used: 1, revenue: 1000 });
+    });
+  });
+
+  describe('GET /snapshot', () => {
+    test('downloads the installation as a snapshot file', async () => {
+      await db.createVoucher({ duration: 1, price: 1000, dataLimit: '500MB' });
+
+      const { status, headers, body } = await get('/snapshot');
+
+      expect(status).toBe(200);
+      expect(headers.get('content-disposition')).toMatch(/^attachment; filename="mowave-snapshot-.*\.json"$/);
+      expect(body).toMatchObject({ format: 'mowave-snapshot', counts: { users: 1, vouchers: 1 } });
+    });
+
+    test('refuses unknown formats', async () => {
+      expect((await get('/snapshot?format=xml')).status).toBe(400);
+    });
+  });
+
+  describe('blocked clients', () => {
+    test('are listed and can be unblocked', async () => {
+      for (let i = 0; i < 4; i++) await codeAttemptService.recordFailure(['ip:10.5.50.23']);
+
+      const { body } = await api.request('GET', '/api/admin/blocked-clients', { token });
+      expect(body.data).toEqual([expect.objectContaining({ id: 'ip:10.5.50.23', failures: 4, blockedUntil: expect.any(String) })]);
+
+      expect((await api.request('DELETE', '/api/admin/blocked-clients/ip:10.5.50.23', { token })).status).toBe(200);
+      expect((await api.request('DELETE', '/api/admin/blocked-clients/ip:10.5.50.23', { token })).status).toBe(404);
+      expect(await db.getAuditLogs({ action: 'client.unblock' })).toHaveLength(1);
+    });
+  });
+
+  describe('voucher CSV', () => {
+    test('GET /vouchers?format=csv downloads every matching voucher', async () => {
+      const active = await db.createVoucher({ duration: 6, price: 5000, dataLimit: '2GB' });
+      const disabled = await db.createVoucher({ duration: 6, price: 5000, dataLimit: '2GB' });
+      await db.updateVoucher(disabled.id, { status: 'disabled' });
+
+      const { status, headers, text } = await api.request('GET', '/api/admin/vouchers?format=csv&status=active', { token });
+
+      expect(status).toBe(200);
+      expect(headers.get('content-type')).toMatch(/text\/csv/);
+      expect(text.split('\r\n')[0]).toBe('code,planId,batchId,origin,status,isUsed,duration,price,dataLimit,maxDevices,createdAt,saleExpiresAt,soldAt,redeemBy,usedAt');
+      expect(text).toContain(active.code);
+      expect(text).not.toContain(disabled.code);
+    });
+
+    test('POST /vouchers/import creates a batch of vouchers with the given codes', async () => {
+      const plan = await db.createPlan({ name: 'Day Pass', duration: 24, price: 10000, dataLimit: '5GB' });
+      const csv = [
+        'code,plan,duration,price,dataLimit,redeemBy',
+        'old-0001,day pass,,,,',
+        'OLD-0002,,6,5000,2GB,2030-01-01',
+        'OLD-0001,,6,5000,2GB,',
+        'X,,6,5000,2GB,',
+        'OLD-0003,Night,,,,'
+      ].join('\n');
+
+      const { status, body } = await api.request('POST', '/api/admin/vouchers/import?reseller=r1', { token, body: csv });
+
+      expect(status).toBe(201);
+      expect(body.data.map(v => v.code)).toEqual(['OLD-0001', 'OLD-0002']);
+      expect(body.data[0]).toMatchObject({ origin: 'import', planId: plan.id, duration: 24, batchId: body.batch.id });
+      expect(body.data[1].redeemBy).toBe('2030-01-01T00:00:00.000Z');
+      expect(body.batch).toMatchObject({ reseller: 'r1', quantity: 2 });
+      expect(body.errors).toEqual([
+        'Row 4: code OLD-0001 appears more than once in the file',
+        'Row 5: code must be 4 to 64 letters, digits or dashes',
+        'Row 6: Plan "Night" not found'
+      ]);
+    });
+
+    test('POST /vouchers/import checks without creating anything on a dry run', async () => {
+      await db.createVoucher({ code: 'OLD-0001', duration: 6, price: 5000, dataLimit: '2GB' });
+
+      const { body } = await api.request('POST', '/api/admin/vouchers/import?dryRun=true', {
+        token,
+        body: 'code,duration,price,dataLimit\nOLD-0001,6,5000,2GB\nOLD-0002,6,5000,2GB\n'
+      });
+
+      expect(body).toMatchObject({ dryRun: true, message: '1 of 2 row(s) can be imported', errors: ['Row 2: code OLD-0001 already exists'] });
+      expect(await db.getAllVouchers()).toHaveLength(1);
+      expect(await db.getAllBatches()).toEqual([]);
+      expect((await api.request('POST', '/api/admin/vouchers/import', { token, body: 'code\n"OLD' })).status).toBe(400);
+    });
+  });
+
+  describe('GET /vouchers/sheet', () => {
+    test('prints the vouchers of a bulk batch', async () => {
+      const first = await db.createVoucher({ duration: 6, price: 5000, batchId: 'b1' });
+      const second = await db.createVoucher({ duration: 6, price: 5000, batchId: 'b1' });
+      await db.createVoucher({ duration: 6, price: 5000, batchId: 'b2' });
+
+      const { status, headers, text } = await api.request('GET', '/api/admin/vouchers/sheet?batchId=b1', { token });
+
+      expect(status).toBe(200);
+      expect(headers.get('content-type')).toMatch(/text\/html/);
+      expect(text.match(/class="card"/g)).toHaveLength(2);
+      expect(text).toContain(first.code);
+      expect(text).toContain(second.code);
+    });
+
+    test('prints chosen vouchers as a PDF', async () => {
+      const voucher = await db.createVoucher({ duration: 6, price: 5000 });
+
+      const { status, headers } = await api.request('GET', `/api/admin/vouchers/sheet?ids=${voucher.id}&format=pdf&perPage=4`, { token });
+
+      expect(status).toBe(200);
+      expect(headers.get('content-type')).toBe('application/pdf');
+    });
+
+    test('needs vouchers to print and a known layout', async () => {
+      expect((await api.request('GET', '/api/admin/vouchers/sheet', { token })).status).toBe(400);
+      expect((await api.request('GET', '/api/admin/vouchers/sheet?batchId=b1&perPage=7', { token })).status).toBe(400);
+      expect((await api.request('GET', '/api/admin/vouchers/sheet?batchId=b1&format=doc', { token })).status).toBe(400);
+      expect((await api.request('GET', '/api/admin/vouchers/sheet?batchId=none', { token })).status).toBe(404);
+    });
+  });
+
+  describe('PUT /vouchers/:id', () => {
+    test('moves the shelf life and redemption deadline without touching access time', async () => {
+      const voucher = await db.createVoucher({ duration: 6, price: 5000 });
+
+      const { status, body } = await api.request('PUT', `/api/admin/vouchers/${voucher.id}`, {
+        token,
+        body: { duration: 12, saleExpiresAt: '2030-01-01T00:00:00.000Z', redeemBy: null }
+      });
+
+      expect(status).toBe(200);
+      expect(body.data).toMatchObject({ duration: 12, saleExpiresAt: '2030-01-01T00:00:00.000Z', redeemBy: null, expiresAt: null });
+      expect(await api.request('PUT', `/api/admin/vouchers/${voucher.id}`, { token, body: { redeemBy: 'soon' } }))
+        .toMatchObject({ status: 400, body: { message: 'redeemBy must be a date or null' } });
+    });
+  });
+
+  describe('audit log', () => {
+    test('records who changed a voucher and how', async () => {
+      const voucher = await db.createVoucher({ duration: 1, price: 1000, dataLimit: '500MB' });
+
+      const { status } = await api.request('PUT', `/api/admin/vouchers/${voucher.id}`, { token, body: { status: 'disabled' } });
+
+      expect(status).toBe(200);
+      const [entry] = await db.getAuditLogs({ action: 'voucher.update' });
+      expect(entry).toMatchObject({
+        entityType: 'vouchers',
+        entityId: voucher.id,
+        actorEmail: 'admin@example.com',
+        actorRole: 'admin',
+        changes: { status: { from: 'active', to: 'disabled' } }
+      });
+      expect(entry.ip).toEqual(expect.any(String));
+    });
+
+    test('is browsed page by page with filters', async () => {
+      for (const action of ['voucher.create', 'voucher.update', 'voucher.create']) {
+        await db.appendAuditLog({ action, entityType: 'vouchers', changes: {} });
+      }
+
+      const { body } = await get('/audit?action=voucher.create&limit=1');
+
+      expect(body.data).toHaveLength(1);
+      expect(body.pagination).toEqual({ page: 1, limit: 1, total: 2, pages: 2 });
+    });
+
+    test('is exported as CSV', async () => {
+      await db.appendAuditLog({ action: 'user.update', entityType: 'users', entityId: 'u1', changes: { role: { from: 'user', to: 'admin' } } });
+
+      const { headers, text } = await get('/audit?format=csv');
+
+      expect(headers.get('content-type')).toBe('text/csv; charset=utf-8');
+      const [header, line] = text.split('\r\n');
+      expect(header).toBe('createdAt,actorId,actorEmail,actorRole,ip,action,entityType,entityId,changes,details');
+      expect(line).toMatch(/,user\.update,users,u1,"{""role"":{""from"":""user"",""to"":""admin""}}",$/);
+    });
+  });
+
+  describe('PUT /payments/:id', () => {
+    test('marking a payment successful issues the voucher and texts it', async () => {
+      jest.spyOn(smsService, 'sendMockSMS').mockResolvedValue({ success: true });
+      const payment = await db.createPayment({ reference: 'MW-REF-1', amount: 5000, phoneNumber: '256770000001', metadata: { duration: 6 } });
+
+      const { status } = await api.request('PUT', `/api/admin/payments/${payment.id}`, { token, body: { status: 'success' } });
+
+      expect(status).toBe(200);
+      const { voucherId } = await db.getPaymentById(payment.id);
+      const voucher = await db.getVoucherById(voucherId);
+      expect(voucher).toMatchObject({ origin: 'purchase', paymentId: payment.id });
+      expect((await db.getSMSLogs({ type: 'voucher' })).map(log => log.message))
+        .toEqual([expect.stringContaining(voucher.code)]);
+      jest.restoreAllMocks();
+    });
+
+    test('reversing a successful payment revokes its voucher', async () => {
+      const payment = await db.createPayment({ reference: 'MW-REF-1', amount: 5000, metadata: { duration: 6 } });
+      await db.updatePayment(payment.id, { status: 'success' });
+      const voucher = await db.fulfilPayment(payment);
+
+      await api.request('PUT', `/api/admin/payments/${payment.id}`, { token, body: { status: 'failed' } });
+
+      expect((await db.getVoucherById(voucher.id)).status).toBe('revoked');
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const db = require('../src/models/database');
+const auditService = require('../src/services/auditService');
+const { resetSharedDatabase } = require('./helpers');
+
+describe('auditService', () => {
+  beforeEach(async () => {
+    await resetSharedDatabase();
+  });
+
+  test('diffs the fields that changed', () => {
+    const before = { id: 'v1', status: 'active', price: 1000, usedAt: null };
+    const after = { id: 'v1', status: 'disabled', price: 1000, usedAt: null, note: 'x' };
+
+    expect(auditService.diff(before, after)).toEqual({
+      status: { from: 'active', to: 'disabled' },
+      note: { from: null, to: 'x' }
+    });
+    expect(auditService.diff(null, { id: 'v1' })).toEqual({ id: { from: null, to: 'v1' } });
+    expect(auditService.diff({ id: 'v1' }, null)).toEqual({ id: { from: 'v1', to: null } });
+  });
+
+  test('records that a password changed, never the password', () => {
+    expect(auditService.diff({ password: 'old' }, { password: 'new' }))
+      .toEqual({ password: { from: '[redacted]', to: '[redacted]' } });
+    expect(auditService.diff({}, { password: 'new' }))
+      .toEqual({ password: { from: null, to: '[redacted]' } });
+  });
+
+  test('tells users, anonymous callers and the system apart', () => {
+    expect(auditService.actorFrom({ user: { userId: 'u1', email: 'a@example.com', role: 'admin' } }))
+      .toEqual({ actorId: 'u1', actorEmail: 'a@example.com', actorRole: 'admin' });
+    expect(auditService.actorFrom({})).toEqual({ actorId: null, actorEmail: null, actorRole: 'anonymous' });
+    expect(auditService.actorFrom(null)).toEqual({ actorId: null, actorEmail: null, actorRole: 'system' });
+  });
+
+  test('appends an entry for a write', async () => {
+    const req = { ip: '10.0.0.7', user: { userId: 'u1', email: 'a@example.com', role: 'admin' } };
+
+    const entry = await auditService.record(req, {
+      action: 'voucher.update',
+      entityType: 'vouchers',
+      entityId: 'v1',
+      before: { status: 'active' },
+      after: { status: 'disabled' }
+    });
+
+    expect(entry).toMatchObject({
+      action: 'voucher.update',
+      entityType: 'vouchers',
+      entityId: 'v1',
+      actorId: 'u1',
+      ip: '10.0.0.7',
+      changes: { status: { from: 'active', to: 'disabled' } },
+      details: null
+    });
+    expect(await db.getAuditLogs()).toEqual([entry]);
+  });
+
+  test('never fails the request when the entry cannot be written', async () => {
+    jest.spyOn(db, 'appendAuditLog').mockRejectedValueOnce(new Error('disk full'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await auditService.record(null, { action: 'voucher.create', entityType: 'vouchers' })).toBeNull();
+
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,151 @@
+const db = require('../src/models/database');
+const adminRoutes = require('../src/routes/admin');
+const { drivers, createDatabase, resetSharedDatabase, serveRouter, tokenFor } = require('./helpers');
+
+describe.each(drivers)('voucher batches on the %s store', driver => {
+  let database;
+  let batch;
+  let vouchers;
+
+  beforeEach(async () => {
+    database = await createDatabase(driver);
+    batch = await database.createBatch({ label: 'Kampala kiosk', reseller: 'r1' });
+    vouchers = [];
+    for (let i = 0; i < 4; i++) {
+      vouchers.push(await database.createVoucher({ duration: 6, price: 5000, batchId: batch.id }));
+    }
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  test('counts where its vouchers stand', async () => {
+    const payment = await database.createPayment({ reference: 'REF-1', amount: 5000 });
+    await database.sellVoucher(vouchers[0].id, payment);
+    await database.redeemVoucher(vouchers[1].code);
+    await database.updateVoucher(vouchers[2].id, { status: 'disabled' });
+
+    expect(await database.getBatchStats(batch.id)).toEqual({ total: 4, available: 1, sold: 1, used: 1, disabled: 1, expired: 0, revoked: 0 });
+  });
+
+  test('changes only the vouchers that qualify', async () => {
+    await database.redeemVoucher(vouchers[0].code);
+
+    const changed = await database.updateBatchVouchers(batch.id, v => !v.isUsed, v => ({ price: v.price * 2 }));
+
+    expect(changed.map(v => v.id).sort()).toEqual(vouchers.slice(1).map(v => v.id).sort());
+    expect((await database.getVoucherById(vouchers[0].id)).price).toBe(5000);
+    expect((await database.getVoucherById(vouchers[1].id)).price).toBe(10000);
+  });
+
+  test('lists batches by owner', async () => {
+    await database.createBatch({ reseller: 'r2' });
+
+    const { data } = await database.listBatches({ reseller: 'r1' });
+    expect(data.map(b => b.id)).toEqual([batch.id]);
+  });
+});
+
+describe('batch routes', () => {
+  let api;
+  const token = tokenFor({ userId: 'admin-1', email: 'admin@example.com', role: 'admin' });
+
+  beforeAll(async () => {
+    api = await serveRouter('/api/admin', adminRoutes);
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+  });
+
+  const createBatch = async () => {
+    const { body } = await api.request('POST', '/api/admin/bulk/vouchers', {
+      token,
+      body: { label: 'Kiosk', reseller: 'r1', vouchers: [{ duration: 6, price: 5000, dataLimit: '2GB', quantity: 3 }] }
+    });
+    return body;
+  };
+
+  test('POST /bulk/vouchers makes one batch of everything created', async () => {
+    const body = await createBatch();
+
+    expect(body.batch).toMatchObject({ label: 'Kiosk', reseller: 'r1', quantity: 3, createdBy: 'admin-1', status: 'active' });
+    expect(body.data.every(v => v.batchId === body.batch.id)).toBe(true);
+    expect(await db.getAuditLogs({ action: 'batch.create' })).toHaveLength(1);
+  });
+
+  test('POST /bulk/vouchers keeps no batch when nothing was created', async () => {
+    const { status, body } = await api.request('POST', '/api/admin/bulk/vouchers', {
+      token,
+      body: { vouchers: [{ duration: 6, price: 5000, dataLimit: '2GB', quantity: 0 }, { planId: 'missing' }] }
+    });
+
+    expect(status).toBe(201);
+    expect(body).toMatchObject({ batchId: null, data: [] });
+    expect(body.errors).toEqual(['Voucher 1: Quantity must be a whole number from 1 to 1000', 'Voucher 2: Plan not found']);
+    expect(await db.getAllBatches()).toEqual([]);
+  });
+
+  test('POST /vouchers takes a bounded whole quantity', async () => {
+    for (const quantity of [0, -1, 2.5, '3', 1001]) {
+      expect(await api.request('POST', '/api/admin/vouchers', { token, body: { duration: 6, price: 5000, dataLimit: '2GB', quantity } }))
+        .toMatchObject({ status: 400, body: { message: 'Quantity must be a whole number from 1 to 1000' } });
+    }
+    expect(await db.getAllVouchers()).toEqual([]);
+
+    const { status, body } = await api.request('POST', '/api/admin/vouchers', { token, body: { duration: 6, price: 5000, dataLimit: '2GB', quantity: 2 } });
+    expect(status).toBe(201);
+    expect(body.data).toHaveLength(2);
+  });
+
+  test('disables, enables and revokes the unused vouchers of a batch', async () => {
+    const { batch, data } = await createBatch();
+    await db.redeemVoucher(data[0].code);
+    const post = action => api.request('POST', `/api/admin/batches/${batch.id}/${action}`, { token });
+
+    expect(await post('disable')).toMatchObject({ status: 200, body: { message: '2 voucher(s) disabled', data: { status: 'disabled' } } });
+    expect(await post('enable')).toMatchObject({ status: 200, body: { data: { status: 'active', stats: { available: 2 } } } });
+    expect(await post('revoke')).toMatchObject({ status: 200, body: { data: { status: 'revoked', stats: { revoked: 2, used: 1 } } } });
+    expect(await post('enable')).toMatchObject({ status: 400, body: { message: 'A revoked batch cannot be enabled again' } });
+    expect(await db.getAuditLogs({ entityType: 'batches', entityId: batch.id })).toHaveLength(4);
+  });
+
+  test('extends the deadlines of the unused vouchers of a batch', async () => {
+    const { batch, data } = await createBatch();
+    const extend = days => api.request('POST', `/api/admin/batches/${batch.id}/extend`, { token, body: { days } });
+
+    expect((await extend(0)).status).toBe(400);
+    expect((await extend(10)).status).toBe(200);
+
+    const voucher = await db.getVoucherById(data[0].id);
+    expect(voucher.saleExpiresAt - new Date(data[0].saleExpiresAt)).toBe(10 * 24 * 60 * 60 * 1000);
+  });
+
+  test('brings back vouchers the sweeper expired when the new deadline is ahead', async () => {
+    const { batch, data } = await createBatch();
+    await db.updateVoucher(data[0].id, { saleExpiresAt: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+    await db.expireVouchers();
+
+    await api.request('POST', `/api/admin/batches/${batch.id}/extend`, { token, body: { days: 7 } });
+
+    expect((await db.getVoucherById(data[0].id)).status).toBe('active');
+  });
+
+  test('exports a batch as CSV and finds batches by owner', async () => {
+    const { batch, data } = await createBatch();
+
+    const csv = await api.request('GET', `/api/admin/batches/${batch.id}/export`, { token });
+    expect(csv.headers.get('content-disposition')).toContain('mowave-batch-Kiosk.csv');
+    expect(csv.text.split('\r\n')[0]).toMatch(/^code,status,isUsed/);
+    expect(csv.text).toContain(data[2].code);
+
+    const { body } = await api.request('GET', '/api/admin/batches?reseller=r1', { token });
+    expect(body.data.map(b => b.id)).toEqual([batch.id]);
+    expect((await api.request('GET', '/api/admin/batches/missing', { token })).status).toBe(404);
+  });
+});
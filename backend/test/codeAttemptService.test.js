@@ -0,0 +1,76 @@
+const db = require('../src/models/database');
+const codeAttemptService = require('../src/services/codeAttemptService');
+const { resetSharedDatabase } = require('./helpers');
+
+describe('codeAttemptService', () => {
+  const SECOND = 1000;
+  const MINUTE = 60 * SECOND;
+  const now = new Date('2024-05-01T10:00:00Z');
+  const at = ms => new Date(now.getTime() + ms);
+
+  // Fail n times in a row, a second apart, starting from the given record
+  const failTimes = (n, current = null, start = now) => {
+    let record = current;
+    for (let i = 0; i < n; i++) {
+      record = { ...record, ...codeAttemptService.afterFailure(record, new Date(start.getTime() + i * SECOND)) };
+    }
+    return record;
+  };
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+  });
+
+  test('counts clients by IP address and by normalised MAC address', () => {
+    expect(codeAttemptService.clientIds({ ip: '10.5.50.23', body: { macAddress: ' AA-BB-CC-DD-EE-FF ' } }))
+      .toEqual(['ip:10.5.50.23', 'mac:aa:bb:cc:dd:ee:ff']);
+    expect(codeAttemptService.clientIds({ ip: '10.5.50.23', body: { userInfo: { macAddress: 'not a mac' } } }))
+      .toEqual(['ip:10.5.50.23']);
+  });
+
+  test('lets a few attempts through, then doubles the wait after each one', () => {
+    expect(failTimes(3)).toMatchObject({ failures: 3, retryAt: null });
+    expect(failTimes(4).retryAt).toEqual(at(3 * SECOND + 2 * SECOND));
+    expect(failTimes(5).retryAt).toEqual(at(4 * SECOND + 4 * SECOND));
+  });
+
+  test('locks a client out, for longer when it comes back within a day', () => {
+    const locked = failTimes(10);
+    expect(locked).toMatchObject({ failures: 0, lockouts: 1, lockExpiresAt: at(9 * SECOND + 15 * MINUTE) });
+
+    const again = failTimes(10, locked, at(20 * MINUTE));
+    expect(again.lockouts).toBe(2);
+    expect(again.lockExpiresAt).toEqual(at(20 * MINUTE + 9 * SECOND + 30 * MINUTE));
+  });
+
+  test('forgets failures after a quiet hour', () => {
+    expect(failTimes(1, failTimes(3), at(2 * 60 * MINUTE)).failures).toBe(1);
+  });
+
+  test('blocks clients that have to wait and clears the count after a success', async () => {
+    const ids = ['ip:10.0.0.1', 'mac:aa:bb:cc:dd:ee:ff'];
+    for (let i = 0; i < 4; i++) await codeAttemptService.recordFailure(ids);
+
+    expect(await codeAttemptService.blockedUntil(ids)).toEqual(expect.any(Date));
+    expect(await codeAttemptService.blockedUntil(['ip:10.0.0.2'])).toBeNull();
+    expect((await codeAttemptService.listClients()).map(c => c.id).sort()).toEqual(ids.slice().sort());
+
+    await codeAttemptService.recordSuccess(ids);
+    expect(await codeAttemptService.blockedUntil(ids)).toBeNull();
+    expect(await codeAttemptService.listClients()).toEqual([]);
+    expect(await codeAttemptService.listClients({ all: true })).toHaveLength(2);
+  });
+
+  test('counts every failure when they arrive together', async () => {
+    await Promise.all([1, 2, 3].map(() => codeAttemptService.recordFailure(['ip:10.0.0.1'])));
+
+    expect((await db.getCodeAttempts(['ip:10.0.0.1']))[0]).toMatchObject({ failures: 3, version: 3 });
+  });
+
+  test('unblocks a client', async () => {
+    await codeAttemptService.recordFailure(['ip:10.0.0.1']);
+
+    expect(await codeAttemptService.unblock('ip:10.0.0.1')).toBe(true);
+    expect(await codeAttemptService.unblock('ip:10.0.0.1')).toBe(false);
+  });
+});
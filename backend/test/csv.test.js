@@ -0,0 +1,57 @@
+const { toCSV, parseCSV } = require('../src/utils/csv');
+
+describe('toCSV', () => {
+  test('writes a header and one line per row, in column order', () => {
+    expect(toCSV([{ b: 2, a: 1, c: 'ignored' }], ['a', 'b'])).toBe('a,b\r\n1,2\r\n');
+  });
+
+  test('leaves missing values empty and writes dates as ISO strings', () => {
+    const createdAt = new Date('2024-05-01T10:00:00Z');
+
+    expect(toCSV([{ a: null, createdAt }], ['a', 'b', 'createdAt']))
+      .toBe('a,b,createdAt\r\n,,2024-05-01T10:00:00.000Z\r\n');
+  });
+
+  test('quotes cells with separators, quotes and line breaks', () => {
+    expect(toCSV([{ a: 'x,y', b: 'say "hi"', c: 'two\nlines' }], ['a', 'b', 'c']))
+      .toBe('a,b,c\r\n"x,y","say ""hi""","two\nlines"\r\n');
+  });
+
+  test('keeps spreadsheet formulas from running', () => {
+    expect(toCSV([{ a: '=HYPERLINK("x")', b: '+256770000001', c: -5 }], ['a', 'b', 'c']))
+      .toBe('a,b,c\r\n"\'=HYPERLINK(""x"")",\'+256770000001,-5\r\n');
+  });
+
+  test('writes only the header when there are no rows', () => {
+    expect(toCSV([], ['a'])).toBe('a\r\n');
+  });
+});
+
+describe('parseCSV', () => {
+  test('reads records keyed by the header, with their line numbers', () => {
+    expect(parseCSV('code,price\r\nMW-1,5000\r\n\r\nMW-2, 1000 \r\n')).toEqual([
+      { line: 2, code: 'MW-1', price: '5000' },
+      { line: 4, code: 'MW-2', price: '1000' }
+    ]);
+  });
+
+  test('reads quoted fields with separators, quotes and line breaks', () => {
+    expect(parseCSV('﻿a,b\n"x,y","say ""hi"""\n"two\nlines",\nlast,row')).toEqual([
+      { line: 2, a: 'x,y', b: 'say "hi"' },
+      { line: 3, a: 'two\nlines', b: '' },
+      { line: 5, a: 'last', b: 'row' }
+    ]);
+  });
+
+  test('reads what toCSV writes', () => {
+    const rows = [{ code: 'MW-1', note: 'a, "b"' }];
+
+    expect(parseCSV(toCSV(rows, ['code', 'note']))).toEqual([{ line: 2, ...rows[0] }]);
+  });
+
+  test('gives nothing for an empty file and refuses an unterminated quote', () => {
+    expect(parseCSV('')).toEqual([]);
+    expect(parseCSV('code\n')).toEqual([]);
+    expect(() => parseCSV('code\n"MW-1')).toThrow('Unterminated quoted field starting on line 2');
+  });
+});
@@ -0,0 +1,104 @@
+const { drivers, createDatabase } = require('./helpers');
+
+describe.each(drivers)('Database on the %s store', driver => {
+  let db;
+
+  beforeEach(async () => {
+    db = await createDatabase(driver);
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('starts out empty, and init can run again', async () => {
+    await db.init();
+
+    expect(await db.getAllUsers()).toEqual([]);
+    expect(await db.getAllVouchers()).toEqual([]);
+  });
+
+  test('creates a voucher and finds it by code', async () => {
+    const voucher = await db.createVoucher({ duration: 6, price: 5000, dataLimit: '2GB' });
+
+    expect(voucher.code).toMatch(/^MW-[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]$/);
+    expect(voucher).toMatchObject({ status: 'active', isUsed: false, usedAt: null });
+    expect(await db.getVoucherByCode(voucher.code)).toEqual(voucher);
+  });
+
+  test('finds a code typed without its dashes or with them misplaced', async () => {
+    const voucher = await db.createVoucher({ duration: 6, price: 5000, dataLimit: '2GB' });
+    const key = voucher.code.replace(/-/g, '');
+
+    expect(voucher.codeKey).toBe(key);
+    expect((await db.getVoucherByCode(key)).id).toBe(voucher.id);
+    expect((await db.getVoucherByCode(`${key.slice(0, 5)}-${key.slice(5)}`)).id).toBe(voucher.id);
+    expect(await db.getVoucherByCode('MW-NOPE-NOPE-X')).toBeNull();
+  });
+
+  test('updates a payment and finds it by reference', async () => {
+    const payment = await db.createPayment({ reference: 'MW-REF-1', amount: 1000, phoneNumber: '256770000001' });
+    expect(payment.status).toBe('pending');
+
+    const updated = await db.updatePayment(payment.id, { status: 'success', completedAt: new Date() });
+
+    expect(updated.status).toBe('success');
+    expect((await db.getPaymentByReference('MW-REF-1')).status).toBe('success');
+  });
+
+  test('creates and ends a session', async () => {
+    const session = await db.createSession({ voucherId: 'v1', startTime: new Date() });
+    expect(session.isActive).toBe(true);
+
+    await db.updateSession(session.id, { isActive: false });
+
+    expect((await db.getSessionById(session.id)).isActive).toBe(false);
+  });
+
+  test('lists records page by page, newest first', async () => {
+    for (let i = 0; i < 5; i++) {
+      const payment = await db.createPayment({ reference: `MW-REF-${i}`, amount: (i + 1) * 1000, paymentMethod: i % 2 ? 'airtel_money' : 'mtn_momo' });
+      await db.updatePayment(payment.id, { createdAt: new Date(Date.UTC(2024, 4, 1 + i)) });
+    }
+
+    const { data, pagination } = await db.listPayments({}, { page: 2, limit: 2 });
+    expect(data.map(p => p.reference)).toEqual(['MW-REF-2', 'MW-REF-1']);
+    expect(pagination).toEqual({ page: 2, limit: 2, total: 5, pages: 3 });
+
+    const filtered = await db.listPayments({ paymentMethod: 'mtn_momo', minAmount: 2000, endDate: '2024-05-04' });
+    expect(filtered.data.map(p => p.reference)).toEqual(['MW-REF-2']);
+  });
+
+  test('lists users and vouchers by their filters', async () => {
+    await db.createUser({ email: 'admin@example.com', password: 'hash', role: 'admin' });
+    await db.createUser({ email: 'someone@example.com', password: 'hash', role: 'user' });
+    const voucher = await db.createVoucher({ duration: 1, price: 1000, dataLimit: '500MB' });
+    await db.createVoucher({ duration: 24, price: 10000, dataLimit: '5GB' });
+    await db.updateVoucher(voucher.id, { isUsed: true });
+
+    expect((await db.listUsers({ search: 'SOMEONE' })).data.map(u => u.email)).toEqual(['someone@example.com']);
+    expect((await db.listUsers({ role: 'admin' })).pagination.total).toBe(1);
+    expect((await db.listVouchers({ isUsed: true })).data.map(v => v.id)).toEqual([voucher.id]);
+    expect((await db.listVouchers({ duration: 24, status: 'active' })).pagination.total).toBe(1);
+  });
+
+  test('reports stats from the stored records', async () => {
+    const voucher = await db.createVoucher({ duration: 1, price: 1000, dataLimit: '500MB' });
+    await db.createVoucher({ duration: 1, price: 1000, dataLimit: '500MB' });
+    await db.updateVoucher(voucher.id, { isUsed: true });
+    await db.createUser({ email: 'admin@example.com', password: 'hash', role: 'admin' });
+    const paid = await db.createPayment({ reference: 'MW-REF-1', amount: 1000 });
+    await db.updatePayment(paid.id, { status: 'success' });
+    await db.createPayment({ reference: 'MW-REF-2', amount: 5000 });
+
+    expect(await db.getStats()).toEqual({
+      totalVouchers: 2,
+      usedVouchers: 1,
+      availableVouchers: 1,
+      totalPayments: 2,
+      successfulPayments: 1,
+      totalRevenue: 1000,
+      activeUsers: 1
+    });
+  });
+});
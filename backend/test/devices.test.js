@@ -0,0 +1,148 @@
+const db = require('../src/models/database');
+const voucherRoutes = require('../src/routes/vouchers');
+const adminRoutes = require('../src/routes/admin');
+const gatewayService = require('../src/services/gatewayService');
+const { drivers, createDatabase, resetSharedDatabase, serveRouter, tokenFor } = require('./helpers');
+
+const phone = { macAddress: 'aa:bb:cc:dd:ee:01', ipAddress: '10.5.50.1' };
+const laptop = { macAddress: 'aa:bb:cc:dd:ee:02', ipAddress: '10.5.50.2' };
+const tablet = { macAddress: 'aa:bb:cc:dd:ee:03', ipAddress: '10.5.50.3' };
+
+describe.each(drivers)('vouchers on several devices on the %s store', driver => {
+  let database;
+  let voucher;
+
+  beforeEach(async () => {
+    database = await createDatabase(driver);
+    voucher = await database.createVoucher({ duration: 6, price: 5000, dataLimit: '1MB', maxDevices: 2 });
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  // Redeem or join the way the redeem route does, and open the device's session
+  const connect = async device => {
+    let result = await database.redeemVoucher(voucher.code, null, device);
+    if (result.error === 'USED') result = await database.joinVoucher(voucher.code, device);
+    if (result.error || result.session) return result;
+    const session = await database.createSession({
+      id: result.sessionId,
+      voucherId: voucher.id,
+      dataLimitBytes: database.dataLimitBytes(result.voucher),
+      startTime: new Date(),
+      endTime: result.voucher.expiresAt,
+      ...device
+    });
+    return { ...result, session };
+  };
+
+  test('lets devices join up to maxDevices', async () => {
+    await connect(phone);
+    const joined = await connect(laptop);
+
+    expect(joined.voucher.devices.map(d => d.macAddress)).toEqual([phone.macAddress, laptop.macAddress]);
+    expect(await connect(tablet)).toEqual({ error: 'DEVICE_LIMIT' });
+  });
+
+  test('gives a device already on the voucher its running session back', async () => {
+    const { session } = await connect(phone);
+
+    expect((await connect(phone)).session).toEqual(session);
+    expect((await database.getVoucherById(voucher.id)).devices).toHaveLength(1);
+  });
+
+  test('shares one data allowance between the devices', async () => {
+    const first = await connect(phone);
+    const second = await connect(laptop);
+
+    await database.recordSessionUsage(first.session.id, { bytesIn: 600 * 1024, bytesOut: 0 });
+    const ended = await database.recordSessionUsage(second.session.id, { bytesIn: 500 * 1024, bytesOut: 0 });
+
+    expect(ended).toMatchObject({ isActive: false, endReason: 'quota_exhausted' });
+    expect(await database.getSessionQuota(first.session)).toMatchObject({ usedBytes: 1100 * 1024, exhausted: true });
+    expect(await connect(tablet)).toEqual({ error: 'DATA_USED' });
+  });
+
+  test('frees a place when a device is taken off', async () => {
+    const { session } = await connect(phone);
+    await connect(laptop);
+
+    const detached = await database.detachDevice(voucher.id, session.id);
+
+    expect(detached.session).toMatchObject({ id: session.id, isActive: false, endReason: 'detached' });
+    expect(detached.voucher.devices.map(d => d.macAddress)).toEqual([laptop.macAddress]);
+    expect((await connect(tablet)).voucher.devices).toHaveLength(2);
+    expect(await database.detachDevice(voucher.id, session.id)).toBeNull();
+  });
+
+  test('explains why a device cannot join', async () => {
+    const now = new Date();
+    const redeemed = { ...voucher, isUsed: true, devices: [], expiresAt: new Date(now.getTime() + 1000) };
+
+    expect(database.getJoinError(redeemed, 1, now)).toBeNull();
+    expect(database.getJoinError(redeemed, 2, now)).toBe('DEVICE_LIMIT');
+    expect(database.getJoinError({ ...redeemed, maxDevices: 1 }, 1, now)).toBe('USED');
+    expect(database.getJoinError({ ...redeemed, expiresAt: new Date(now - 1000) }, 0, now)).toBe('TIME_USED');
+    expect(database.getJoinError({ ...redeemed, status: 'disabled' }, 0, now)).toBe('INACTIVE');
+    expect(database.getJoinError({ ...redeemed, devices: undefined }, 0, now)).toBe('USED');
+  });
+});
+
+describe('device routes', () => {
+  let portal;
+  let admin;
+  let voucher;
+  const token = tokenFor({ userId: 'admin-1', email: 'admin@example.com', role: 'admin' });
+  const redeem = device => portal.request('POST', '/api/vouchers/redeem', { body: { code: voucher.code, macAddress: device.macAddress } });
+
+  beforeAll(async () => {
+    portal = await serveRouter('/api/vouchers', voucherRoutes);
+    admin = await serveRouter('/api/admin', adminRoutes);
+  });
+
+  afterAll(async () => {
+    await portal.close();
+    await admin.close();
+  });
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+    jest.spyOn(gatewayService, 'disconnect').mockResolvedValue(true);
+    voucher = await db.createVoucher({ duration: 6, price: 5000, dataLimit: '2GB', maxDevices: 2 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('POST /redeem adds another device until the voucher is full', async () => {
+    const first = await redeem(phone);
+    const second = await redeem(laptop);
+
+    expect(second).toMatchObject({ status: 200, body: { message: 'Device added to voucher successfully', data: { voucher: { maxDevices: 2, devices: 2 } } } });
+    expect(second.body.data.session.endTime).toEqual(first.body.data.session.endTime);
+    expect(await redeem(tablet)).toMatchObject({ status: 400, body: { message: 'Voucher is already in use on as many devices as it allows' } });
+  });
+
+  test('GET and DELETE /admin/vouchers/:id/devices list a voucher\'s devices and take one off', async () => {
+    const { body } = await redeem(phone);
+    await redeem(laptop);
+
+    const listed = await admin.request('GET', `/api/admin/vouchers/${voucher.id}/devices`, { token });
+    expect(listed.body.data).toMatchObject({ maxDevices: 2, quota: { usedBytes: 0 } });
+    expect(listed.body.data.devices.map(d => d.macAddress)).toEqual([phone.macAddress, laptop.macAddress]);
+
+    const removed = await admin.request('DELETE', `/api/admin/vouchers/${voucher.id}/devices/${body.data.session.id}`, { token });
+    expect(removed.status).toBe(200);
+    expect(gatewayService.disconnect).toHaveBeenCalledWith(expect.objectContaining({ id: body.data.session.id }));
+    expect((await admin.request('DELETE', `/api/admin/vouchers/${voucher.id}/devices/${body.data.session.id}`, { token })).status).toBe(404);
+  });
+
+  test('POST /admin/vouchers turns away a device count it cannot allow', async () => {
+    const create = maxDevices => admin.request('POST', '/api/admin/vouchers', { token, body: { duration: 6, price: 5000, dataLimit: '2GB', maxDevices } });
+
+    expect(await create(21)).toMatchObject({ status: 400, body: { message: 'maxDevices must be a whole number from 1 to 20' } });
+    expect((await create(3)).body.data[0].maxDevices).toBe(3);
+  });
+});
@@ -0,0 +1,127 @@
+// Shared test setup: a fresh store for every storage driver, so the same tests run against each
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { newDb, DataType } = require('pg-mem');
+const MemoryStore = require('../src/models/stores/memoryStore');
+const PostgresStore = require('../src/models/stores/postgresStore');
+const SqliteStore = require('../src/models/stores/sqliteStore');
+const db = require('../src/models/database');
+
+const Database = db.constructor;
+
+// pg-mem stands in for a PostgreSQL server. It cannot tell that CREATE TABLE IF NOT EXISTS
+// has nothing to do when the table is there, so it is told not to insist on reading all of it,
+// and it is taught the built-in functions the store uses that it does not ship with.
+function createPgMemPool() {
+  const pgMem = newDb({ noAstCoverageCheck: true });
+  pgMem.public.registerFunction({
+    name: 'substr',
+    args: [DataType.text, DataType.integer, DataType.integer],
+    returns: DataType.text,
+    implementation: (text, start, length) => text.substr(start - 1, length)
+  });
+  pgMem.public.registerFunction({
+    name: 'replace',
+    args: [DataType.text, DataType.text, DataType.text],
+    returns: DataType.text,
+    implementation: (text, from, to) => text.split(from).join(to)
+  });
+  pgMem.public.registerFunction({
+    name: 'to_jsonb',
+    args: [DataType.text],
+    returns: DataType.jsonb,
+    implementation: text => text
+  });
+  // Only the one-level paths the migrations use, e.g. '{codeKey}'
+  pgMem.public.registerFunction({
+    name: 'jsonb_set',
+    args: [DataType.jsonb, DataType.text, DataType.jsonb],
+    returns: DataType.jsonb,
+    implementation: (data, path, value) => ({ ...data, [path.replace(/^\{|\}$/g, '')]: value })
+  });
+
+  const { Pool } = pgMem.adapters.createPg();
+  return new Pool();
+}
+
+const stores = {
+  memory: () => new MemoryStore(),
+  sqlite: () => new SqliteStore({ filename: ':memory:' }),
+  postgres: () => new PostgresStore({ pool: createPgMemPool() })
+};
+
+const drivers = Object.keys(stores);
+
+// An empty store, connected but with no migrations applied
+async function openStore(driver) {
+  return stores[driver]().connect();
+}
+
+// An empty store, connected and with its schema in place
+async function createStore(driver) {
+  const store = await openStore(driver);
+  await store.migrate();
+  return store;
+}
+
+// A Database on an empty store, initialised the way the server does it
+async function createDatabase(driver) {
+  return new Database(stores[driver]()).init();
+}
+
+// Point the shared database, which the services and routes use, at a fresh store
+async function resetSharedDatabase(driver = 'memory') {
+  db.store = stores[driver]();
+  return db.init();
+}
+
+// A signed token for the given user, as the auth routes would hand out
+function tokenFor(user) {
+  return jwt.sign(user, process.env.JWT_SECRET || 'fallback_secret');
+}
+
+/**
+ * Serve a router on a free local port, the way server.js mounts it
+ * @param {string} mountPath - Where the router is mounted, e.g. '/api/admin'
+ * @param {Object} router - Express router
+ * @returns {Promise<Object>} { request(method, path, { body, token }), close() }, a string body is sent as CSV
+ */
+async function serveRouter(mountPath, router) {
+  const app = express();
+  app.use(express.text({ type: 'text/csv' }));
+  app.use(express.json());
+  app.use(mountPath, router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    async request(method, path, { body, token } = {}) {
+      const isText = typeof body === 'string';
+      const headers = { 'Content-Type': isText ? 'text/csv' : 'application/json' };
+      if (token) headers.Authorization = `Bearer ${token}`;
+
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body === undefined || isText ? body : JSON.stringify(body)
+      });
+      const text = await response.text();
+      const isJson = (response.headers.get('content-type') || '').includes('application/json');
+      return { status: response.status, headers: response.headers, text, body: isJson ? JSON.parse(text) : null };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  drivers,
+  openStore,
+  createStore,
+  createDatabase,
+  resetSharedDatabase,
+  tokenFor,
+  serveRouter
+};
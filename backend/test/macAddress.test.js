@@ -0,0 +1,22 @@
+const { normalizeMacAddress, requestMacAddress } = require('../src/utils/macAddress');
+
+describe('MAC addresses', () => {
+  test('come out lower case and colon separated', () => {
+    expect(normalizeMacAddress('AA-BB-CC-DD-EE-FF')).toBe('aa:bb:cc:dd:ee:ff');
+    expect(normalizeMacAddress(' aa:bb:cc:dd:ee:ff ')).toBe('aa:bb:cc:dd:ee:ff');
+  });
+
+  test('that are malformed are dropped', () => {
+    expect(normalizeMacAddress('aa:bb:cc:dd:ee')).toBeNull();
+    expect(normalizeMacAddress('gg:bb:cc:dd:ee:ff')).toBeNull();
+    expect(normalizeMacAddress(undefined)).toBeNull();
+    expect(normalizeMacAddress(42)).toBeNull();
+  });
+
+  test('are read from the request body or the user info the portal sends', () => {
+    expect(requestMacAddress({ body: { macAddress: 'AA-BB-CC-DD-EE-FF' } })).toBe('aa:bb:cc:dd:ee:ff');
+    expect(requestMacAddress({ body: { userInfo: { macAddress: 'aa:bb:cc:dd:ee:01' } } })).toBe('aa:bb:cc:dd:ee:01');
+    expect(requestMacAddress({ body: {} })).toBeNull();
+    expect(requestMacAddress({})).toBeNull();
+  });
+});
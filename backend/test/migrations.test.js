@@ -0,0 +1,110 @@
+const { openStore } = require('./helpers');
+
+const migrationsFor = {
+  sqlite: require('../src/models/migrations/sqlite'),
+  postgres: require('../src/models/migrations/postgres')
+};
+
+describe.each(Object.keys(migrationsFor))('%s migrations', driver => {
+  const migrations = migrationsFor[driver];
+  const versions = migrations.map(m => m.version);
+  let store;
+
+  beforeEach(async () => {
+    store = await openStore(driver);
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  test('are numbered in order and can all be rolled back', () => {
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(new Set(versions).size).toBe(versions.length);
+    for (const migration of migrations) {
+      expect(migration.name).toMatch(/^[a-z0-9_]+$/);
+      expect(migration.up).toEqual(expect.any(String));
+      expect(migration.down).toEqual(expect.any(String));
+    }
+  });
+
+  test('are all applied, once', async () => {
+    expect((await store.migrationStatus()).every(m => !m.applied)).toBe(true);
+
+    expect(await store.migrate()).toEqual(versions);
+    expect(await store.migrate()).toEqual([]);
+
+    const status = await store.migrationStatus();
+    expect(status.map(m => m.version)).toEqual(versions);
+    for (const m of status) {
+      expect(m.applied).toBe(true);
+      expect(m.appliedAt).toBeInstanceOf(Date);
+    }
+  });
+
+  test('stop at a chosen version', async () => {
+    expect(await store.migrate(versions[0])).toEqual([versions[0]]);
+    expect(await store.count('users')).toBe(0);
+
+    expect(await store.migrate()).toEqual(versions.slice(1));
+  });
+
+  test('give vouchers stored before code keys existed a key, and take it away again', async () => {
+    const { version } = migrations.find(m => m.name === 'add_voucher_code_key');
+    await store.migrate(version - 1);
+    await store.insert('vouchers', { id: 'v1', code: 'MW-K5SG-9EPY-V' });
+
+    await store.migrate(version);
+    expect((await store.findOne('vouchers', { codeKey: 'MWK5SG9EPYV' })).id).toBe('v1');
+
+    await store.rollback();
+    expect(await store.findById('vouchers', 'v1')).toEqual({ id: 'v1', code: 'MW-K5SG-9EPY-V' });
+  });
+
+  test('roll back the latest one', async () => {
+    await store.migrate();
+
+    expect(await store.rollback()).toEqual([versions[versions.length - 1]]);
+    expect((await store.migrationStatus()).filter(m => !m.applied).map(m => m.version))
+      .toEqual([versions[versions.length - 1]]);
+  });
+
+  test('roll back to an empty schema', async () => {
+    await store.migrate();
+
+    expect(await store.rollback(versions.length)).toEqual(versions.slice().reverse());
+    expect(await store.rollback()).toEqual([]);
+    await expect(store.count('users')).rejects.toMatchObject({ message: expect.stringMatching(/users/) });
+  });
+});
+
+// pg-mem keeps the names of dropped constraints around, so only SQLite can build the schema a second time
+describe('sqlite migrations', () => {
+  test('apply again after a rollback and keep earlier records', async () => {
+    const store = await openStore('sqlite');
+    await store.migrate();
+    await store.insert('users', { id: 'u1', email: 'a@example.com', role: 'admin' });
+
+    await store.rollback(migrationsFor.sqlite.length - 1);
+    await store.migrate();
+    const user = await store.findById('users', 'u1');
+
+    await store.rollback(migrationsFor.sqlite.length);
+    await store.migrate();
+    const count = await store.count('users');
+    await store.close();
+
+    expect(user).toEqual({ id: 'u1', email: 'a@example.com', role: 'admin' });
+    expect(count).toBe(0);
+  });
+});
+
+describe('memory store migrations', () => {
+  test('have nothing to do', async () => {
+    const store = await openStore('memory');
+
+    expect(await store.migrate()).toEqual([]);
+    expect(await store.rollback()).toEqual([]);
+    expect(await store.migrationStatus()).toEqual([]);
+  });
+});
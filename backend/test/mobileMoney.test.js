@@ -0,0 +1,26 @@
+const { PHONE_NUMBER, mobileMoneyError } = require('../src/utils/mobileMoney');
+
+describe('mobileMoneyError', () => {
+  test('accepts numbers on a network that takes the payment method', () => {
+    expect(mobileMoneyError('256077000001', 'mtn_momo')).toBeNull();
+    expect(mobileMoneyError('256075000001', 'airtel_money')).toBeNull();
+    expect(mobileMoneyError('256070000001', 'airtel_money')).toBeNull();
+  });
+
+  test('asks for numbers in international form', () => {
+    for (const bad of [undefined, '', '0770000001', '+256770000001', '25677000000']) {
+      expect(mobileMoneyError(bad, 'mtn_momo')).toBe('Invalid phone number format. Use 256XXXXXXXXX');
+    }
+    expect(PHONE_NUMBER.test('256770000001')).toBe(true);
+  });
+
+  test('names the provider a number cannot pay with', () => {
+    expect(mobileMoneyError('256075000001', 'mtn_momo')).toBe('Phone number is not compatible with MTN MoMo');
+    expect(mobileMoneyError('256077000001', 'airtel_money')).toBe('Phone number is not compatible with Airtel Money');
+  });
+
+  test('refuses other payment methods', () => {
+    expect(mobileMoneyError('256077000001', 'cash')).toBe('Payment method must be mtn_momo or airtel_money');
+    expect(mobileMoneyError('256077000001', undefined)).toBe('Payment method must be mtn_momo or airtel_money');
+  });
+});
@@ -0,0 +1,137 @@
+const db = require('../src/models/database');
+const voucherRoutes = require('../src/routes/vouchers');
+const sessionRoutes = require('../src/routes/sessions');
+const gatewayService = require('../src/services/gatewayService');
+const { drivers, createDatabase, resetSharedDatabase, serveRouter } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const phone = { macAddress: 'aa:bb:cc:dd:ee:01', ipAddress: '10.5.50.1' };
+const laptop = { macAddress: 'aa:bb:cc:dd:ee:02', ipAddress: '10.5.50.2' };
+
+describe.each(drivers)('pausing vouchers on the %s store', driver => {
+  let database;
+  let voucher;
+
+  beforeEach(async () => {
+    database = await createDatabase(driver);
+    voucher = await database.createVoucher({ duration: 6, price: 5000, dataLimit: '2GB' });
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  // Redeem the code and move first login back by the given time
+  const redeemedAgo = async ms => {
+    const { voucher: redeemed, sessionId } = await database.redeemVoucher(voucher.code, null, phone);
+    const usedAt = new Date(redeemed.usedAt.getTime() - ms);
+    await database.updateVoucher(voucher.id, { usedAt, expiresAt: new Date(usedAt.getTime() + 6 * HOUR) });
+    await database.createVoucherSession(await database.getVoucherById(voucher.id), sessionId, phone);
+    return sessionId;
+  };
+
+  test('stops the clock and ends every session on the voucher', async () => {
+    const sessionId = await redeemedAgo(2 * HOUR);
+
+    const { voucher: paused, sessions } = await database.pauseVoucher(voucher.id);
+
+    expect(sessions).toEqual([expect.objectContaining({ id: sessionId, isActive: false, endReason: 'paused' })]);
+    const time = database.voucherTime(paused);
+    expect(time.usedMs).toBeGreaterThanOrEqual(2 * HOUR);
+    expect(time.usedMs + time.remainingMs).toBeCloseTo(6 * HOUR, -3);
+    expect(time.resumeBy - paused.pausedAt).toBe(7 * DAY);
+    expect(await database.pauseVoucher(voucher.id)).toEqual({ error: 'PAUSED' });
+  });
+
+  test('gives the time left back on resume, in the resuming device\'s place', async () => {
+    await redeemedAgo(2 * HOUR);
+    const { voucher: paused } = await database.pauseVoucher(voucher.id);
+
+    const { voucher: resumed, sessionId } = await database.resumeVoucher(voucher.id, laptop);
+
+    expect(resumed).toMatchObject({ pausedAt: null, timeLeftMs: null });
+    expect(resumed.expiresAt - resumed.resumedAt).toBe(paused.timeLeftMs);
+    expect(resumed.devices).toEqual([expect.objectContaining({ sessionId, macAddress: laptop.macAddress })]);
+    expect(await database.resumeVoucher(voucher.id, laptop)).toEqual({ error: 'NOT_PAUSED' });
+  });
+
+  test('explains why a clock cannot be stopped or started', async () => {
+    const now = new Date();
+    const running = { ...voucher, isUsed: true, usedAt: now, expiresAt: new Date(now.getTime() + HOUR) };
+
+    expect(database.getPauseError(voucher, true, now)).toBe('NOT_REDEEMED');
+    expect(database.getPauseError(running, true, now)).toBeNull();
+    expect(database.getPauseError(running, false, now)).toBe('NOT_PAUSED');
+    expect(database.getPauseError({ ...running, pausedAt: now }, true, now)).toBe('PAUSED');
+    expect(database.getPauseError({ ...running, status: 'disabled' }, true, now)).toBe('INACTIVE');
+    expect(database.getPauseError({ ...running, expiresAt: new Date(now - 1000) }, true, now)).toBe('TIME_USED');
+  });
+
+  test('keeps other devices off a paused voucher until it is resumed', async () => {
+    await redeemedAgo(HOUR);
+    await database.pauseVoucher(voucher.id);
+
+    expect(await database.joinVoucher(voucher.code, laptop)).toEqual({ error: 'PAUSED' });
+  });
+});
+
+describe('pause routes', () => {
+  let portal;
+  let sessions;
+  let voucher;
+  const redeem = device => portal.request('POST', '/api/vouchers/redeem', { body: { code: voucher.code, macAddress: device.macAddress } });
+
+  beforeAll(async () => {
+    portal = await serveRouter('/api/vouchers', voucherRoutes);
+    sessions = await serveRouter('/api/sessions', sessionRoutes);
+  });
+
+  afterAll(async () => {
+    await portal.close();
+    await sessions.close();
+  });
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+    jest.spyOn(gatewayService, 'disconnect').mockResolvedValue(true);
+    voucher = await db.createVoucher({ duration: 6, price: 5000, dataLimit: '2GB' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('POST /sessions/:id/pause and /resume stop and start the clock', async () => {
+    const { body } = await redeem(phone);
+    const sessionId = body.data.session.id;
+
+    const paused = await sessions.request('POST', `/api/sessions/${sessionId}/pause`);
+    expect(paused).toMatchObject({ status: 200, body: { data: { sessionId, time: { pausedAt: expect.any(String) } } } });
+    expect(gatewayService.disconnect).toHaveBeenCalledWith(expect.objectContaining({ id: sessionId }));
+    expect(await sessions.request('POST', `/api/sessions/${sessionId}/pause`))
+      .toMatchObject({ status: 400, body: { message: 'Session has already ended' } });
+
+    const resumed = await sessions.request('POST', `/api/sessions/${sessionId}/resume`, { body: { macAddress: phone.macAddress } });
+    expect(resumed).toMatchObject({ status: 200, body: { data: { session: { isActive: true }, time: { pausedAt: null } } } });
+    expect(await sessions.request('POST', `/api/sessions/${sessionId}/resume`))
+      .toMatchObject({ status: 400, body: { message: 'Voucher is not paused' } });
+  });
+
+  test('POST /vouchers/redeem resumes a paused voucher', async () => {
+    const { body } = await redeem(phone);
+    await sessions.request('POST', `/api/sessions/${body.data.session.id}/pause`);
+
+    expect(await redeem(laptop)).toMatchObject({ status: 200, body: { message: 'Voucher resumed successfully' } });
+    expect(await db.getAuditLogs({ action: 'voucher.resume' })).toHaveLength(1);
+  });
+
+  test('GET /sessions/:id shows the voucher\'s clock', async () => {
+    const { body } = await redeem(phone);
+
+    const { body: shown } = await sessions.request('GET', `/api/sessions/${body.data.session.id}`);
+
+    expect(shown.data.time).toMatchObject({ remainingMs: expect.any(Number), pausedAt: null, resumeBy: null });
+    expect((await sessions.request('POST', '/api/sessions/missing/pause')).status).toBe(404);
+  });
+});
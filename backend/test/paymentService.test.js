@@ -0,0 +1,124 @@
+const db = require('../src/models/database');
+const paymentService = require('../src/services/paymentService');
+const smsService = require('../src/services/smsService');
+const { resetSharedDatabase } = require('./helpers');
+
+describe('paymentService', () => {
+  let plan;
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+    paymentService.mockDelay = 0;
+    paymentService.mtnSuccessRate = 1;
+    jest.spyOn(smsService, 'sendMockSMS').mockResolvedValue({ success: true });
+    plan = await db.createPlan({ name: '6 Hours', duration: 6, price: 5000, dataLimit: '2GB' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function startPayment(fields = {}) {
+    const payment = await db.createPayment({
+      reference: paymentService.generateReference(),
+      amount: plan.price,
+      phoneNumber: '256770000001',
+      paymentMethod: 'mtn_momo',
+      planId: plan.id,
+      metadata: { duration: plan.duration, dataLimit: plan.dataLimit, bandwidth: null },
+      ...fields
+    });
+    return {
+      payment,
+      paymentData: {
+        paymentId: payment.id,
+        reference: payment.reference,
+        amount: payment.amount,
+        phoneNumber: payment.phoneNumber,
+        paymentMethod: payment.paymentMethod
+      }
+    };
+  }
+
+  const textsSent = async type => (await db.getSMSLogs({ type })).map(log => log.message);
+
+  describe('processPayment', () => {
+    test('mints a voucher and texts its code when the provider takes the money', async () => {
+      const { payment, paymentData } = await startPayment();
+
+      const result = await paymentService.processPayment(paymentData);
+
+      expect(result.success).toBe(true);
+      expect(result.voucher).toMatchObject({ origin: 'purchase', planId: plan.id, paymentId: payment.id });
+      expect(await db.getPaymentById(payment.id)).toMatchObject({
+        status: 'success',
+        transactionId: result.transactionId,
+        voucherId: result.voucher.id
+      });
+      expect(await textsSent('voucher')).toEqual([expect.stringContaining(result.voucher.code)]);
+    });
+
+    test('issues nothing when the provider declines', async () => {
+      paymentService.mtnSuccessRate = 0;
+      const { payment, paymentData } = await startPayment();
+
+      const result = await paymentService.processPayment(paymentData);
+
+      expect(result.success).toBe(false);
+      expect(await db.getPaymentById(payment.id)).toMatchObject({ status: 'failed', errorCode: result.error });
+      expect(await db.getAllVouchers()).toEqual([]);
+    });
+
+    test('leaves a payment alone when it was cancelled while the provider worked', async () => {
+      const { payment, paymentData } = await startPayment();
+      await db.updatePayment(payment.id, { status: 'cancelled' });
+
+      await paymentService.processPayment(paymentData);
+
+      expect((await db.getPaymentById(payment.id)).status).toBe('cancelled');
+      expect(await db.getAllVouchers()).toEqual([]);
+    });
+
+    test('flags a refund when an old payment\'s stock voucher went to another buyer', async () => {
+      const stock = await db.createVoucher(db.planTerms(plan));
+      const { payment, paymentData } = await startPayment({ voucherId: stock.id });
+      await db.sellVoucher(stock.id, { id: 'other-payment' });
+
+      const result = await paymentService.processPayment(paymentData);
+
+      expect(result.voucher).toBeNull();
+      expect(await db.getPaymentById(payment.id)).toMatchObject({ status: 'success', requiresRefund: true });
+    });
+
+    test('issues a payment promo codes fully paid for without going to the provider', async () => {
+      paymentService.mtnSuccessRate = 0;
+      const { payment, paymentData } = await startPayment({ amount: 0, listPrice: plan.price, discount: plan.price });
+
+      const result = await paymentService.processPayment(paymentData);
+
+      expect(result).toMatchObject({ success: true, provider: 'PROMOTION', transactionId: null });
+      expect(await db.getPaymentById(payment.id)).toMatchObject({ status: 'success', voucherId: result.voucher.id });
+    });
+
+    test('fails the payment for an unknown method', async () => {
+      const { payment, paymentData } = await startPayment();
+
+      const result = await paymentService.processPayment({ ...paymentData, paymentMethod: 'cash' });
+
+      expect(result).toMatchObject({ success: false, error: 'PROCESSING_ERROR' });
+      expect((await db.getPaymentById(payment.id)).status).toBe('failed');
+    });
+  });
+
+  describe('fulfilAndNotify', () => {
+    test('keeps the voucher when the text cannot be sent', async () => {
+      smsService.sendMockSMS.mockRejectedValue(new Error('SMS gateway down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const { payment } = await startPayment();
+
+      const voucher = await paymentService.fulfilAndNotify(payment);
+
+      expect(await db.getVoucherById(voucher.id)).toMatchObject({ paymentId: payment.id });
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const db = require('../src/models/database');
+const paymentRoutes = require('../src/routes/payments');
+const paymentService = require('../src/services/paymentService');
+const smsService = require('../src/services/smsService');
+const { resetSharedDatabase, serveRouter, tokenFor } = require('./helpers');
+
+describe('payment routes', () => {
+  let api;
+  let plan;
+  const adminToken = tokenFor({ userId: 'admin-1', email: 'admin@example.com', role: 'admin' });
+  const customerToken = tokenFor({ userId: 'u1', email: 'user@example.com', role: 'user' });
+
+  beforeAll(async () => {
+    api = await serveRouter('/api/payments', paymentRoutes);
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+    jest.spyOn(smsService, 'sendMockSMS').mockResolvedValue({ success: true });
+    jest.spyOn(paymentService, 'processPayment').mockResolvedValue({ success: false, message: 'Declined' });
+    plan = await db.createPlan({ name: '6 Hours', duration: 6, price: 5000, dataLimit: '2GB' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const purchase = fields => ({ amount: 5000, phoneNumber: '256077000001', paymentMethod: 'mtn_momo', planId: plan.id, ...fields });
+
+  const pendingPayment = () => db.createPayment({
+    reference: 'MW-REF-1',
+    amount: 5000,
+    phoneNumber: '256770000001',
+    planId: plan.id,
+    metadata: { duration: 6, dataLimit: '2GB', bandwidth: null }
+  });
+
+  describe('POST /', () => {
+    test('starts a plan purchase without issuing a voucher yet', async () => {
+      const { status, body } = await api.request('POST', '/api/payments', { body: purchase() });
+
+      expect(status).toBe(201);
+      expect(await db.getPaymentById(body.data.paymentId)).toMatchObject({
+        status: 'pending',
+        planId: plan.id,
+        voucherId: null,
+        metadata: { planName: '6 Hours', duration: 6, dataLimit: '2GB' }
+      });
+      expect(await db.getAllVouchers()).toEqual([]);
+    });
+
+    test('refuses hidden plans and amounts that are not the plan price', async () => {
+      const hidden = await db.createPlan({ name: 'Staff', duration: 1, price: 100, dataLimit: '1GB', visibility: 'hidden' });
+
+      expect(await api.request('POST', '/api/payments', { body: purchase({ planId: hidden.id, amount: 100 }) }))
+        .toMatchObject({ status: 404, body: { message: 'Plan not found' } });
+      expect(await api.request('POST', '/api/payments', { body: purchase({ amount: 4000 }) }))
+        .toMatchObject({ status: 400, body: { message: 'Payment amount does not match plan price' } });
+      expect(await api.request('POST', '/api/payments', { body: purchase({ planId: undefined }) }))
+        .toMatchObject({ status: 400, body: { message: 'Plan ID is required' } });
+    });
+  });
+
+  describe.each([
+    ['GET', '/api/payments'],
+    ['GET', '/api/payments/stats/summary'],
+    ['PUT', '/api/payments/some-id'],
+    ['DELETE', '/api/payments/some-id']
+  ])('%s %s', (method, path) => {
+    test('is for admins only', async () => {
+      expect((await api.request(method, path)).status).toBe(401);
+      expect((await api.request(method, path, { token: customerToken })).status).toBe(403);
+    });
+  });
+
+  test('GET / lists payments for admins', async () => {
+    await pendingPayment();
+
+    const { status, body } = await api.request('GET', '/api/payments', { token: adminToken });
+
+    expect(status).toBe(200);
+    expect(body.data.map(p => p.reference)).toEqual(['MW-REF-1']);
+  });
+
+  test('PUT /:id marking a payment successful issues the voucher and texts it', async () => {
+    const payment = await pendingPayment();
+
+    const { status } = await api.request('PUT', `/api/payments/${payment.id}`, { token: adminToken, body: { status: 'success' } });
+
+    expect(status).toBe(200);
+    const voucher = await db.getVoucherById((await db.getPaymentById(payment.id)).voucherId);
+    expect(voucher).toMatchObject({ origin: 'purchase', paymentId: payment.id });
+    expect((await db.getSMSLogs({ type: 'voucher' })).map(log => log.message))
+      .toEqual([expect.stringContaining(voucher.code)]);
+    expect(await db.getAuditLogs({ action: 'voucher.mint' })).toHaveLength(1);
+  });
+
+  test('DELETE /:id cancels a pending payment only', async () => {
+    const payment = await pendingPayment();
+
+    expect((await api.request('DELETE', `/api/payments/${payment.id}`, { token: adminToken })).status).toBe(200);
+    expect((await db.getPaymentById(payment.id)).status).toBe('cancelled');
+    expect(await api.request('DELETE', `/api/payments/${payment.id}`, { token: adminToken }))
+      .toMatchObject({ status: 400, body: { message: 'Only pending payments can be cancelled' } });
+  });
+});
@@ -0,0 +1,111 @@
+const db = require('../src/models/database');
+const planRoutes = require('../src/routes/plans');
+const adminRoutes = require('../src/routes/admin');
+const { resetSharedDatabase, serveRouter, tokenFor } = require('./helpers');
+
+describe('plans', () => {
+  let publicApi;
+  let adminApi;
+  let token;
+
+  beforeAll(async () => {
+    publicApi = await serveRouter('/api/plans', planRoutes);
+    adminApi = await serveRouter('/api/admin', adminRoutes);
+  });
+
+  afterAll(async () => {
+    await publicApi.close();
+    await adminApi.close();
+  });
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+    token = tokenFor({ userId: 'admin-1', email: 'admin@example.com', role: 'admin' });
+  });
+
+  const plan = fields => db.createPlan({ name: 'Plan', duration: 1, price: 1000, dataLimit: '500MB', ...fields });
+  const admin = (method, path, body) => adminApi.request(method, `/api/admin${path}`, { token, body });
+
+  describe('GET /api/plans', () => {
+    test('lists the public catalog in sort order, cheapest first', async () => {
+      await plan({ name: 'Week', price: 50000, sortOrder: 2 });
+      await plan({ name: 'Day', price: 10000, sortOrder: 1 });
+      await plan({ name: 'Hour', price: 1000, sortOrder: 1 });
+      await plan({ name: 'Staff', price: 1, visibility: 'hidden' });
+
+      const { body } = await publicApi.request('GET', '/api/plans');
+
+      expect(body.data.map(p => p.name)).toEqual(['Hour', 'Day', 'Week']);
+      expect(Object.keys(body.data[0]).sort())
+        .toEqual(['accessHours', 'accessSchedule', 'bandwidth', 'dataLimit', 'duration', 'id', 'isFeatured', 'name', 'price', 'renewable']);
+    });
+
+    test('hides plans that are not public', async () => {
+      const hidden = await plan({ visibility: 'hidden' });
+      const visible = await plan({ name: 'Hour' });
+
+      expect((await publicApi.request('GET', `/api/plans/${hidden.id}`)).status).toBe(404);
+      expect((await publicApi.request('GET', `/api/plans/${visible.id}`)).body.data.name).toBe('Hour');
+    });
+  });
+
+  describe('/api/admin/plans', () => {
+    const valid = { name: '6 Hours', duration: 6, price: 5000, dataLimit: '2GB' };
+
+    test('creates a plan with defaults and records it', async () => {
+      const { status, body } = await admin('POST', '/plans', valid);
+
+      expect(status).toBe(201);
+      expect(body.data).toMatchObject({ ...valid, bandwidth: null, visibility: 'public', isFeatured: false, sortOrder: 0 });
+      expect(await db.getAuditLogs({ action: 'plan.create' })).toHaveLength(1);
+    });
+
+    test.each([
+      [{ ...valid, name: ' ' }, 'Plan name is required'],
+      [{ ...valid, duration: 0 }, 'Duration must be a positive number of hours'],
+      [{ ...valid, price: 10.5 }, 'Price must be a positive whole number of UGX'],
+      [{ ...valid, dataLimit: 'lots' }, 'Data limit must look like 500MB, 5GB or unlimited'],
+      [{ ...valid, bandwidth: { downloadKbps: 1024 } }, 'Bandwidth must be null or { downloadKbps, uploadKbps } in whole kbps'],
+      [{ ...valid, visibility: 'secret' }, 'Visibility must be public or hidden']
+    ])('refuses %j', async (body, message) => {
+      expect(await admin('POST', '/plans', body)).toMatchObject({ status: 400, body: { message } });
+    });
+
+    test('updates only the fields sent', async () => {
+      const existing = await plan({ name: 'Hour' });
+
+      const { body } = await admin('PUT', `/plans/${existing.id}`, { price: 1500, visibility: 'hidden' });
+
+      expect(body.data).toMatchObject({ name: 'Hour', price: 1500, visibility: 'hidden' });
+      expect((await admin('GET', '/plans')).body.data).toHaveLength(1);
+    });
+
+    test('deletes a plan only while nothing refers to it', async () => {
+      const unused = await plan();
+      const used = await plan();
+      await db.createVoucher(db.planTerms(used));
+
+      expect((await admin('DELETE', `/plans/${unused.id}`)).status).toBe(200);
+      expect(await admin('DELETE', `/plans/${used.id}`)).toMatchObject({
+        status: 409,
+        body: { data: { vouchers: 1, payments: 0 } }
+      });
+      expect(await db.getPlanById(used.id)).not.toBeNull();
+    });
+  });
+
+  test('vouchers keep the terms of the plan they were issued from', async () => {
+    const existing = await plan({ duration: 6, price: 5000, dataLimit: '2GB', bandwidth: { downloadKbps: 2048, uploadKbps: 512 } });
+    const voucher = await db.createVoucher(db.planTerms(existing));
+
+    await db.updatePlan(existing.id, { price: 6000 });
+
+    expect(await db.getVoucherById(voucher.id)).toMatchObject({
+      planId: existing.id,
+      duration: 6,
+      price: 5000,
+      dataLimit: '2GB',
+      bandwidth: { downloadKbps: 2048, uploadKbps: 512 }
+    });
+  });
+});
@@ -0,0 +1,240 @@
+const sharedDb = require('../src/models/database');
+const paymentRoutes = require('../src/routes/payments');
+const adminRoutes = require('../src/routes/admin');
+const paymentService = require('../src/services/paymentService');
+const promotionService = require('../src/services/promotionService');
+const smsService = require('../src/services/smsService');
+const { drivers, createDatabase, resetSharedDatabase, serveRouter, tokenFor } = require('./helpers');
+
+const PHONE = '256770000001';
+
+describe.each(drivers)('promotions on the %s store', driver => {
+  let db;
+  let promotion;
+
+  beforeEach(async () => {
+    db = await createDatabase(driver);
+    promotion = await db.createPromotion({ code: 'WEEKEND20', discountType: 'percent', discountValue: 20, maxUses: 2 });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  const claim = (reference, fields = {}) => db.claimPromotion(promotion, {
+    paymentReference: reference,
+    phoneNumber: PHONE,
+    planId: 'plan-1',
+    discount: 1000,
+    amount: 4000,
+    ...fields
+  });
+
+  test('finds a promotion by its code', async () => {
+    expect(await db.getPromotionByCode('WEEKEND20')).toMatchObject({ id: promotion.id, uses: 0, isActive: true });
+    expect(await db.getPromotionByCode('OTHER')).toBeNull();
+  });
+
+  test('explains why a promotion cannot be used', () => {
+    const now = new Date();
+    const later = new Date(now.getTime() + 1000);
+    const earlier = new Date(now.getTime() - 1000);
+
+    expect(db.getPromotionError(promotion, 'plan-1', now)).toBeNull();
+    expect(db.getPromotionError({ ...promotion, isActive: false }, 'plan-1', now)).toBe('INACTIVE');
+    expect(db.getPromotionError({ ...promotion, startsAt: later }, 'plan-1', now)).toBe('NOT_STARTED');
+    expect(db.getPromotionError({ ...promotion, endsAt: earlier }, 'plan-1', now)).toBe('ENDED');
+    expect(db.getPromotionError({ ...promotion, planIds: ['plan-2'] }, 'plan-1', now)).toBe('NOT_APPLICABLE');
+    expect(db.getPromotionError({ ...promotion, uses: 2 }, 'plan-1', now)).toBe('USED_UP');
+  });
+
+  test('holds a use per payment up to the total cap', async () => {
+    expect(await claim('REF-1')).toMatchObject({ redemption: { status: 'held', code: 'WEEKEND20', discount: 1000 } });
+    expect(await claim('REF-2', { phoneNumber: '256770000002' })).toHaveProperty('redemption');
+    expect(await claim('REF-3', { phoneNumber: '256770000003' })).toEqual({ error: 'USED_UP' });
+    expect((await db.getPromotionById(promotion.id)).uses).toBe(2);
+  });
+
+  test('keeps to the per-phone cap and first purchases', async () => {
+    promotion = await db.updatePromotion(promotion.id, { maxUses: null, maxUsesPerPhone: 1 });
+    await claim('REF-1');
+    expect(await claim('REF-2')).toEqual({ error: 'PHONE_LIMIT' });
+
+    promotion = await db.updatePromotion(promotion.id, { maxUsesPerPhone: null, firstPurchaseOnly: true });
+    const paid = await db.createPayment({ reference: 'REF-0', amount: 5000, phoneNumber: '256770000002' });
+    await db.updatePayment(paid.id, { status: 'success' });
+    expect(await claim('REF-3', { phoneNumber: '256770000002' })).toEqual({ error: 'NOT_FIRST_PURCHASE' });
+    expect((await db.getPromotionById(promotion.id)).uses).toBe(1);
+  });
+
+  test('gives a held use back once', async () => {
+    const { redemption } = await claim('REF-1');
+
+    expect(await db.releasePromoRedemption(redemption)).toMatchObject({ status: 'released' });
+    expect(await db.releasePromoRedemption(redemption)).toBeNull();
+    expect((await db.getPromotionById(promotion.id)).uses).toBe(0);
+  });
+
+  test('settles held uses with their payments', async () => {
+    promotion = await db.updatePromotion(promotion.id, { maxUses: null });
+    for (const [reference, status] of [['REF-1', 'success'], ['REF-2', 'failed'], ['REF-3', 'pending']]) {
+      const payment = await db.createPayment({ reference, amount: 4000 });
+      await db.updatePayment(payment.id, { status });
+      await claim(reference, { phoneNumber: null });
+    }
+
+    expect(await db.settlePromoRedemptions()).toEqual({ redeemed: 1, released: 1 });
+    expect((await db.getPromoRedemptions({ status: 'held' })).map(r => r.paymentReference)).toEqual(['REF-3']);
+    expect((await db.getPromotionById(promotion.id)).uses).toBe(2);
+  });
+});
+
+describe('promotionService.quote', () => {
+  let plan;
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+    plan = await sharedDb.createPlan({ name: '1 Day', duration: 24, price: 10000, dataLimit: '5GB' });
+  });
+
+  const promo = fields => sharedDb.createPromotion({ discountType: 'percent', discountValue: 10, ...fields });
+
+  test('takes percentages off first, then fixed amounts', async () => {
+    await promo({ code: 'TENOFF', stackable: true });
+    await promo({ code: 'MINUS2K', discountType: 'fixed', discountValue: 2000, stackable: true });
+
+    expect(await promotionService.quote(plan, ['minus2k', ' tenoff '])).toEqual({
+      listPrice: 10000,
+      discount: 3000,
+      amount: 7000,
+      promotions: [
+        expect.objectContaining({ code: 'TENOFF', discount: 1000 }),
+        expect.objectContaining({ code: 'MINUS2K', discount: 2000 })
+      ]
+    });
+  });
+
+  test('caps a percentage at its maximum discount and never goes below zero', async () => {
+    await promo({ code: 'HALF', discountValue: 50, maxDiscount: 3000 });
+    await promo({ code: 'FREE', discountType: 'fixed', discountValue: 50000 });
+
+    expect((await promotionService.quote(plan, ['HALF'])).amount).toBe(7000);
+    expect((await promotionService.quote(plan, ['FREE'])).amount).toBe(0);
+  });
+
+  test('leaves something to pay when a code is limited per phone or to a first purchase', async () => {
+    await promo({ code: 'WELCOME', discountValue: 100, firstPurchaseOnly: true });
+    await promo({ code: 'ONCE', discountType: 'fixed', discountValue: 50000, maxUsesPerPhone: 1 });
+    const cheap = await sharedDb.createPlan({ name: '30 Minutes', duration: 0.5, price: 300, dataLimit: '100MB' });
+
+    expect(await promotionService.quote(plan, ['WELCOME'])).toMatchObject({ amount: 500, discount: 9500 });
+    expect((await promotionService.quote(plan, ['ONCE'], PHONE)).amount).toBe(500);
+    expect(await promotionService.quote(cheap, ['ONCE'])).toMatchObject({ amount: 300, discount: 0 });
+  });
+
+  test('names the code that cannot be used', async () => {
+    await promo({ code: 'ALONE' });
+    await promo({ code: 'WITH', stackable: true });
+
+    expect(await promotionService.quote(plan, ['NOPE'])).toEqual({ error: 'NOT_FOUND', code: 'NOPE' });
+    expect(await promotionService.quote(plan, ['WITH', 'ALONE'])).toEqual({ error: 'NOT_STACKABLE', code: 'ALONE' });
+    expect(await promotionService.quote(plan, ['A', 'B', 'C', 'D'])).toEqual({ error: 'TOO_MANY', code: null });
+  });
+});
+
+describe('promotion routes', () => {
+  let payments;
+  let admin;
+  let plan;
+  const token = tokenFor({ userId: 'admin-1', email: 'admin@example.com', role: 'admin' });
+
+  beforeAll(async () => {
+    payments = await serveRouter('/api/payments', paymentRoutes);
+    admin = await serveRouter('/api/admin', adminRoutes);
+  });
+
+  afterAll(async () => {
+    await payments.close();
+    await admin.close();
+  });
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+    jest.spyOn(smsService, 'sendMockSMS').mockResolvedValue({ success: true });
+    jest.spyOn(paymentService, 'processPayment').mockResolvedValue({ success: false, message: 'Declined' });
+    plan = await sharedDb.createPlan({ name: '1 Day', duration: 24, price: 10000, dataLimit: '5GB' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createPromotion = body => admin.request('POST', '/api/admin/promotions', {
+    token,
+    body: { discountType: 'percent', discountValue: 20, ...body }
+  });
+
+  const pay = body => payments.request('POST', '/api/payments', {
+    body: { amount: 8000, phoneNumber: '256077000001', paymentMethod: 'mtn_momo', planId: plan.id, promoCodes: ['SAVE20'], ...body }
+  });
+
+  test('POST /admin/promotions checks the promotion and its code', async () => {
+    expect(await createPromotion({ code: 'save20' })).toMatchObject({ status: 201, body: { data: { code: 'SAVE20', uses: 0 } } });
+    expect((await createPromotion({ code: 'SAVE20' })).status).toBe(409);
+    expect((await createPromotion({ code: 'X' })).status).toBe(400);
+    expect(await createPromotion({ code: 'TOOMUCH', discountValue: 150 }))
+      .toMatchObject({ status: 400, body: { message: 'A percentage discount cannot be more than 100' } });
+    expect((await createPromotion({ code: 'NOPLAN', planIds: ['missing'] })).status).toBe(400);
+  });
+
+  test('PUT and DELETE /admin/promotions/:id keep used promotions', async () => {
+    const { body } = await createPromotion({ code: 'SAVE20' });
+    const path = `/api/admin/promotions/${body.data.id}`;
+
+    expect(await admin.request('PUT', path, { token, body: { isActive: false } }))
+      .toMatchObject({ status: 200, body: { data: { isActive: false } } });
+    await admin.request('PUT', path, { token, body: { isActive: true } });
+    await pay();
+
+    expect((await admin.request('DELETE', path, { token })).status).toBe(409);
+    expect(await admin.request('GET', path, { token })).toMatchObject({ status: 200, body: { data: { redemptions: { held: 1 } } } });
+    expect(await sharedDb.getAuditLogs({ entityType: 'promotions' })).toHaveLength(3);
+  });
+
+  test('POST /payments/quote prices a plan with promo codes', async () => {
+    await createPromotion({ code: 'SAVE20' });
+
+    expect(await payments.request('POST', '/api/payments/quote', { body: { planId: plan.id, promoCodes: ['save20'] } }))
+      .toMatchObject({ status: 200, body: { data: { listPrice: 10000, discount: 2000, amount: 8000 } } });
+    expect(await payments.request('POST', '/api/payments/quote', { body: { planId: plan.id, promoCodes: ['NOPE'] } }))
+      .toMatchObject({ status: 400, body: { message: 'Promo code NOPE is not a valid promo code' } });
+    expect((await payments.request('POST', '/api/payments/quote', { body: { planId: plan.id, promoCodes: 'SAVE20' } })).status).toBe(400);
+  });
+
+  test('POST /payments takes the discounted amount and holds a use of the code', async () => {
+    await createPromotion({ code: 'SAVE20', maxUses: 1 });
+
+    expect(await pay({ amount: 10000 }))
+      .toMatchObject({ status: 400, body: { message: 'Payment amount does not match the plan price after promo codes', data: { amount: 8000 } } });
+
+    const { status, body } = await pay();
+    expect(status).toBe(201);
+    expect(body.data).toMatchObject({ amount: 8000, listPrice: 10000, discount: 2000, promoCodes: ['SAVE20'] });
+    expect(await sharedDb.getPromoRedemptions({ paymentReference: body.data.reference }))
+      .toEqual([expect.objectContaining({ status: 'held' })]);
+
+    expect(await pay({ phoneNumber: '256077000002' }))
+      .toMatchObject({ status: 400, body: { message: 'Promo code SAVE20 has been used up' } });
+  });
+
+  test('GET /admin/analytics/promotions reports uses and discounts per code', async () => {
+    await createPromotion({ code: 'SAVE20' });
+    const { body } = await pay();
+    await sharedDb.updatePayment(body.data.paymentId, { status: 'success' });
+
+    const { body: analytics } = await admin.request('GET', '/api/admin/analytics/promotions', { token });
+
+    expect(analytics.data.summary).toEqual({ redeemed: 1, pending: 0, totalDiscounts: 2000, revenue: 8000 });
+    expect(analytics.data.promotions).toEqual([expect.objectContaining({ code: 'SAVE20', redeemed: 1, discountTotal: 2000 })]);
+  });
+});
@@ -0,0 +1,64 @@
+const { parseDataLimit, isValidDataLimit, formatDataLimit, addDataLimits, quotaStatus } = require('../src/utils/quota');
+
+describe('parseDataLimit', () => {
+  test('reads sizes in binary units', () => {
+    expect(parseDataLimit('500MB')).toBe(500 * 1024 ** 2);
+    expect(parseDataLimit('1.5GB')).toBe(1.5 * 1024 ** 3);
+    expect(parseDataLimit(' 2 gb ')).toBe(2 * 1024 ** 3);
+    expect(parseDataLimit('64KB')).toBe(64 * 1024);
+    expect(parseDataLimit('1TB')).toBe(1024 ** 4);
+  });
+
+  test('treats unlimited and a missing limit as no limit', () => {
+    expect(parseDataLimit('unlimited')).toBeNull();
+    expect(parseDataLimit('Unlimited')).toBeNull();
+    expect(parseDataLimit(null)).toBeNull();
+    expect(parseDataLimit(undefined)).toBeNull();
+  });
+
+  test('refuses text that is not a size', () => {
+    for (const bad of ['', '500', 'lots', '0MB', '-1GB', '5 PB']) {
+      expect(() => parseDataLimit(bad)).toThrow(/Invalid data limit/);
+    }
+  });
+});
+
+describe('isValidDataLimit', () => {
+  test('accepts sizes and unlimited, but not a missing limit', () => {
+    expect(isValidDataLimit('5GB')).toBe(true);
+    expect(isValidDataLimit('unlimited')).toBe(true);
+    expect(isValidDataLimit(null)).toBe(false);
+    expect(isValidDataLimit(undefined)).toBe(false);
+    expect(isValidDataLimit('5 gigs')).toBe(false);
+  });
+});
+
+describe('formatDataLimit and addDataLimits', () => {
+  test('write a size in the largest unit that holds it exactly', () => {
+    expect(formatDataLimit(2 * 1024 ** 3)).toBe('2GB');
+    expect(formatDataLimit(1536 * 1024 ** 2)).toBe('1536MB');
+    expect(formatDataLimit(1500)).toBe('1.465KB');
+    expect(formatDataLimit(null)).toBe('unlimited');
+  });
+
+  test('add a top-up to an allowance, unlimited winning', () => {
+    expect(addDataLimits('1GB', '1GB')).toBe('2GB');
+    expect(addDataLimits('1GB', '512MB')).toBe('1536MB');
+    expect(addDataLimits('1GB', 'unlimited')).toBe('unlimited');
+    expect(addDataLimits(null, '1GB')).toBe('unlimited');
+  });
+});
+
+describe('quotaStatus', () => {
+  test('counts traffic both ways against the limit', () => {
+    expect(quotaStatus({ dataLimitBytes: 1000, bytesIn: 600, bytesOut: 100 }))
+      .toEqual({ limitBytes: 1000, usedBytes: 700, remainingBytes: 300, exhausted: false });
+    expect(quotaStatus({ dataLimitBytes: 1000, bytesIn: 900, bytesOut: 200 }))
+      .toEqual({ limitBytes: 1000, usedBytes: 1100, remainingBytes: 0, exhausted: true });
+  });
+
+  test('never runs out without a limit', () => {
+    expect(quotaStatus({ bytesIn: 10 ** 12 }))
+      .toEqual({ limitBytes: null, usedBytes: 10 ** 12, remainingBytes: null, exhausted: false });
+  });
+});
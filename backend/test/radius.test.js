@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const sharedDb = require('../src/models/database');
+const radiusService = require('../src/services/radiusService');
+const radius = require('../src/utils/radius');
+const { drivers, createDatabase, resetSharedDatabase } = require('./helpers');
+
+const { CODES, ATTRIBUTES, ACCT_STATUS_TYPES, VENDORS } = radius;
+const SECRET = 'testing123';
+const GATEWAY = { address: '127.0.0.1', port: 50000 };
+const phone = { macAddress: 'aa:bb:cc:dd:ee:01', ipAddress: '10.5.50.1' };
+const laptop = { macAddress: 'aa:bb:cc:dd:ee:02', ipAddress: '10.5.50.2' };
+
+const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+
+function encodeAttributes(attributes) {
+  return Buffer.concat(attributes.map(([type, value]) => {
+    const bytes = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+    return Buffer.concat([Buffer.from([type, bytes.length + 2]), bytes]);
+  }));
+}
+
+function header(code, length, authenticator) {
+  const bytes = Buffer.alloc(20);
+  bytes[0] = code;
+  bytes[1] = 7;
+  bytes.writeUInt16BE(length, 2);
+  authenticator.copy(bytes, 4);
+  return bytes;
+}
+
+// User-Password hidden the way a gateway hides it (RFC 2865 section 5.2)
+function hidePassword(password, authenticator, secret) {
+  const padded = Buffer.alloc(Math.max(16, Math.ceil(Buffer.byteLength(password) / 16) * 16));
+  padded.write(password);
+  const hidden = Buffer.alloc(padded.length);
+  for (let offset = 0; offset < padded.length; offset += 16) {
+    const previous = offset ? hidden.subarray(offset - 16, offset) : authenticator;
+    const key = md5(Buffer.from(secret), previous);
+    for (let i = 0; i < 16; i++) hidden[offset + i] = padded[offset + i] ^ key[i];
+  }
+  return hidden;
+}
+
+const integer = value => {
+  const bytes = Buffer.alloc(4);
+  bytes.writeUInt32BE(value);
+  return bytes;
+};
+
+// An Access-Request as a gateway sends it, signed with a Message-Authenticator
+function accessRequest({ userName, password, device = phone, secret = SECRET, extra = [] }) {
+  const authenticator = crypto.randomBytes(16);
+  const attributes = [
+    [ATTRIBUTES.MESSAGE_AUTHENTICATOR, Buffer.alloc(16)],
+    ...(userName ? [[ATTRIBUTES.USER_NAME, userName]] : []),
+    ...(password !== undefined ? [[ATTRIBUTES.USER_PASSWORD, hidePassword(password, authenticator, secret)]] : []),
+    [ATTRIBUTES.CALLING_STATION_ID, device.macAddress.toUpperCase().replace(/:/g, '-')],
+    [ATTRIBUTES.NAS_IDENTIFIER, 'hotspot-1'],
+    ...extra
+  ];
+  const body = encodeAttributes(attributes);
+  const packet = Buffer.concat([header(CODES.ACCESS_REQUEST, 20 + body.length, authenticator), body]);
+  crypto.createHmac('md5', secret).update(packet).digest().copy(packet, 22);
+  return radius.decodePacket(packet);
+}
+
+// An Accounting-Request, its Request Authenticator made from the secret (RFC 2866 section 3)
+function accountingRequest(attributes, secret = SECRET) {
+  const body = encodeAttributes([[ATTRIBUTES.NAS_IDENTIFIER, 'hotspot-1'], ...attributes]);
+  const packet = Buffer.concat([header(CODES.ACCOUNTING_REQUEST, 20 + body.length, Buffer.alloc(16)), body]);
+  md5(packet, Buffer.from(secret)).copy(packet, 4);
+  return radius.decodePacket(packet);
+}
+
+const replyMessage = reply => radius.stringAttribute(radius.decodePacket(reply), ATTRIBUTES.REPLY_MESSAGE);
+
+describe('radius packets', () => {
+  test('reads attributes and refuses packets that run past their length', () => {
+    const packet = accessRequest({ userName: 'MW-K5SG-9EPY-V', password: '', extra: [[ATTRIBUTES.FRAMED_IP_ADDRESS, Buffer.from([10, 5, 50, 1])]] });
+
+    expect(packet).toMatchObject({ code: CODES.ACCESS_REQUEST, identifier: 7 });
+    expect(radius.stringAttribute(packet, ATTRIBUTES.USER_NAME)).toBe('MW-K5SG-9EPY-V');
+    expect(radius.ipAttribute(packet, ATTRIBUTES.FRAMED_IP_ADDRESS)).toBe('10.5.50.1');
+    expect(radius.stringAttribute(packet, ATTRIBUTES.CLASS)).toBeNull();
+
+    const truncated = Buffer.from(packet.raw);
+    truncated.writeUInt16BE(packet.raw.length + 10, 2);
+    expect(() => radius.decodePacket(truncated)).toThrow('does not fit');
+    expect(() => radius.decodePacket(Buffer.alloc(10))).toThrow('shorter than its header');
+  });
+
+  test('checks the Message-Authenticator against the shared secret', () => {
+    expect(radius.verifyMessageAuthenticator(accessRequest({ userName: 'X' }), SECRET)).toBe(true);
+    expect(radius.verifyMessageAuthenticator(accessRequest({ userName: 'X', secret: 'other' }), SECRET)).toBe(false);
+  });
+
+  test('recovers PAP passwords longer than one block', () => {
+    const password = 'a password of more than sixteen bytes';
+
+    expect(radius.decryptPassword(accessRequest({ userName: 'X', password }), SECRET)).toBe(password);
+    expect(radius.decryptPassword(accessRequest({ userName: 'X' }), SECRET)).toBeNull();
+  });
+
+  test('matches CHAP passwords against the Request Authenticator', () => {
+    const authenticator = crypto.randomBytes(16);
+    const chap = Buffer.concat([Buffer.from([1]), md5(Buffer.from([1]), Buffer.from('MWK5SG9EPYV'), authenticator)]);
+    const packet = { authenticator, attributes: [{ type: ATTRIBUTES.CHAP_PASSWORD, value: chap }] };
+
+    expect(radius.chapPasswordMatches(packet, 'MWK5SG9EPYV')).toBe(true);
+    expect(radius.chapPasswordMatches(packet, 'MW-K5SG-9EPY-V')).toBe(false);
+  });
+
+  test('checks Accounting-Request authenticators and adds up gigawords', () => {
+    const packet = accountingRequest([
+      [ATTRIBUTES.ACCT_INPUT_OCTETS, integer(5)],
+      [ATTRIBUTES.ACCT_INPUT_GIGAWORDS, integer(2)]
+    ]);
+
+    expect(radius.verifyAccountingRequest(packet, SECRET)).toBe(true);
+    expect(radius.verifyAccountingRequest(packet, 'other')).toBe(false);
+    expect(radius.octetsAttribute(packet, ATTRIBUTES.ACCT_INPUT_OCTETS, ATTRIBUTES.ACCT_INPUT_GIGAWORDS)).toBe(2 * 2 ** 32 + 5);
+    expect(radius.splitOctets(2 * 2 ** 32 + 5)).toEqual({ octets: 5, gigawords: 2 });
+  });
+
+  test('signs replies with a Response Authenticator and Message-Authenticator', () => {
+    const request = accessRequest({ userName: 'X' });
+    const reply = radius.encodeResponse(request, CODES.ACCESS_ACCEPT, [[ATTRIBUTES.SESSION_TIMEOUT, 3600]], SECRET);
+    const decoded = radius.decodePacket(reply);
+
+    const unsigned = Buffer.from(reply);
+    request.authenticator.copy(unsigned, 4);
+    expect(decoded.authenticator).toEqual(md5(unsigned, Buffer.from(SECRET)));
+    unsigned.fill(0, 22, 38);
+    expect(radius.attributeValue(decoded, ATTRIBUTES.MESSAGE_AUTHENTICATOR))
+      .toEqual(crypto.createHmac('md5', SECRET).update(unsigned).digest());
+    expect(radius.integerAttribute(decoded, ATTRIBUTES.SESSION_TIMEOUT)).toBe(3600);
+  });
+
+  test('puts vendor attributes in their vendor\'s envelope', () => {
+    const [type, value] = radius.vendorAttribute(VENDORS.MIKROTIK.id, VENDORS.MIKROTIK.RATE_LIMIT, '512k/2048k');
+
+    expect(type).toBe(ATTRIBUTES.VENDOR_SPECIFIC);
+    expect(value.readUInt32BE(0)).toBe(14988);
+    expect(value.subarray(4, 6)).toEqual(Buffer.from([VENDORS.MIKROTIK.RATE_LIMIT, 12]));
+    expect(value.subarray(6).toString()).toBe('512k/2048k');
+  });
+});
+
+describe.each(drivers)('signing in on the %s store', driver => {
+  let db;
+  let voucher;
+
+  beforeEach(async () => {
+    db = await createDatabase(driver);
+    voucher = await db.createVoucher({ duration: 6, price: 5000, dataLimit: '2GB', maxDevices: 2 });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('redeems, then adds devices, then gives a device its running session back', async () => {
+    const redeemed = await db.signInVoucher(voucher.code, null, phone);
+    expect(redeemed).toMatchObject({ action: 'voucher.redeem', sessionId: expect.any(String) });
+    const session = await db.createVoucherSession(redeemed.voucher, redeemed.sessionId, phone);
+
+    expect(await db.signInVoucher(voucher.code, null, laptop)).toMatchObject({ action: 'voucher.join' });
+    expect(await db.signInVoucher(voucher.code, null, phone)).toMatchObject({ session: { id: session.id } });
+  });
+
+  test('resumes a paused voucher', async () => {
+    const { voucher: redeemed, sessionId } = await db.signInVoucher(voucher.code, null, phone);
+    await db.createVoucherSession(redeemed, sessionId, phone);
+    await db.pauseVoucher(voucher.id);
+
+    const resumed = await db.signInVoucher(voucher.code, null, laptop);
+
+    expect(resumed).toMatchObject({ action: 'voucher.resume', voucher: { pausedAt: null } });
+  });
+
+  test('passes on why a code cannot be used', async () => {
+    expect(await db.signInVoucher('MW-NONE-NONE-X', null, phone)).toEqual({ error: 'NOT_FOUND' });
+
+    await db.updateVoucher(voucher.id, { status: 'revoked' });
+    expect(await db.signInVoucher(voucher.code, null, phone)).toEqual({ error: 'INACTIVE' });
+  });
+
+  test('finds the running session of a device by its MAC address', async () => {
+    const { voucher: redeemed, sessionId } = await db.signInVoucher(voucher.code, null, phone);
+    await db.createVoucherSession(redeemed, sessionId, phone);
+
+    expect(await db.getActiveSessionByMac(phone.macAddress)).toMatchObject({ id: sessionId });
+    expect(await db.getActiveSessionByMac(laptop.macAddress)).toBeNull();
+    expect(await db.getActiveSessionByMac(null)).toBeNull();
+
+    await db.endSessions({ id: sessionId }, 'user_request');
+    expect(await db.getActiveSessionByMac(phone.macAddress)).toBeNull();
+  });
+});
+
+describe('radiusService', () => {
+  let voucher;
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+    radiusService.secret = SECRET;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    voucher = await sharedDb.createVoucher({
+      duration: 6, price: 5000, dataLimit: '1GB', bandwidth: { downloadKbps: 2048, uploadKbps: 512 }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const login = async options => radius.decodePacket(await radiusService.authenticate(accessRequest(options), GATEWAY));
+
+  // Accept on the first login, returning the session the gateway names in accounting
+  async function signIn() {
+    const reply = await login({ userName: voucher.code, password: voucher.code });
+    return sharedDb.getSessionById(radius.stringAttribute(reply, ATTRIBUTES.CLASS));
+  }
+
+  test('accepts a code with the session\'s time, bandwidth and data as reply attributes', async () => {
+    const reply = await login({ userName: voucher.code, password: voucher.code });
+
+    expect(reply.code).toBe(CODES.ACCESS_ACCEPT);
+    const session = await sharedDb.getSessionById(radius.stringAttribute(reply, ATTRIBUTES.CLASS));
+    expect(session).toMatchObject({ isActive: true, macAddress: phone.macAddress, nasId: 'hotspot-1' });
+    expect(radius.integerAttribute(reply, ATTRIBUTES.SESSION_TIMEOUT)).toBeGreaterThan(6 * 3600 - 5);
+    expect(radius.integerAttribute(reply, ATTRIBUTES.ACCT_INTERIM_INTERVAL)).toBe(300);
+
+    const vendor = reply.attributes.filter(a => a.type === ATTRIBUTES.VENDOR_SPECIFIC).map(a => a.value);
+    expect(vendor).toContainEqual(radius.vendorAttribute(VENDORS.MIKROTIK.id, VENDORS.MIKROTIK.RATE_LIMIT, '512k/2048k')[1]);
+    expect(vendor).toContainEqual(radius.vendorAttribute(VENDORS.MIKROTIK.id, VENDORS.MIKROTIK.TOTAL_LIMIT, 2 ** 30)[1]);
+  });
+
+  test('accepts a code typed without its dashes, or with an empty password, on the device it runs on', async () => {
+    const key = voucher.code.replace(/-/g, '').toLowerCase();
+
+    expect((await login({ userName: key, password: key })).code).toBe(CODES.ACCESS_ACCEPT);
+    expect((await login({ userName: voucher.code, password: '' })).code).toBe(CODES.ACCESS_ACCEPT);
+    expect(replyMessage(await radiusService.authenticate(accessRequest({ userName: voucher.code, password: '', device: laptop }), GATEWAY)))
+      .toBe('Voucher has already been used');
+  });
+
+  test('rejects a wrong password or an unknown code as an invalid code', async () => {
+    const wrong = await radiusService.authenticate(accessRequest({ userName: voucher.code, password: 'guess' }), GATEWAY);
+    const unknown = await radiusService.authenticate(accessRequest({ userName: 'MW-NONE-NONE-X', password: '' }), GATEWAY);
+
+    expect(radius.decodePacket(wrong).code).toBe(CODES.ACCESS_REJECT);
+    expect(replyMessage(wrong)).toBe('Invalid voucher code');
+    expect(replyMessage(unknown)).toBe('Invalid voucher code');
+    expect(replyMessage(await radiusService.authenticate(accessRequest({ password: '' }), GATEWAY))).toBe('Voucher code is required');
+  });
+
+  test('has a Reply-Message for every reason a sign-in is refused', async () => {
+    const reasons = ['NOT_FOUND', 'USED', 'TIME_USED', 'INACTIVE', 'EXPIRED', 'DEVICE_LIMIT', 'DATA_USED', 'NOT_REDEEMED', 'PAUSED', 'NOT_PAUSED'];
+    const signIn = jest.spyOn(sharedDb, 'signInVoucher');
+
+    for (const error of reasons) {
+      signIn.mockResolvedValueOnce({ error });
+      const message = replyMessage(await radiusService.authenticate(accessRequest({ userName: voucher.code, password: '' }), GATEWAY));
+      expect(message).toMatch(/^(Voucher|Invalid voucher) /);
+    }
+  });
+
+  test('names the access hours when a code is used outside them', async () => {
+    await sharedDb.updateVoucher(voucher.id, { accessSchedule: { days: ['mon'], windows: [{ start: '00:00', end: '00:01' }] } });
+    jest.spyOn(sharedDb, 'signInVoucher').mockResolvedValueOnce({ error: 'OUTSIDE_HOURS' });
+
+    expect(replyMessage(await radiusService.authenticate(accessRequest({ userName: voucher.code, password: '' }), GATEWAY)))
+      .toBe('Voucher can only be used 00:00-00:01 Mon (Kampala time)');
+  });
+
+  test('drops Access-Requests signed with another secret and senders not in RADIUS_CLIENTS', async () => {
+    expect(await radiusService.authenticate(accessRequest({ userName: voucher.code, password: '', secret: 'other' }), GATEWAY)).toBeNull();
+
+    const socket = { send: jest.fn() };
+    const handle = jest.fn();
+    await radiusService.receive(socket, accessRequest({ userName: voucher.code }).raw, { address: '10.9.9.9', port: 1 }, handle);
+    expect(handle).not.toHaveBeenCalled();
+    expect(radiusService.isClient('::ffff:127.0.0.1')).toBe(true);
+  });
+
+  test('keeps usage up to date from interim updates and ends the session on stop', async () => {
+    const session = await signIn();
+    const classAttribute = [ATTRIBUTES.CLASS, session.id];
+
+    const started = await radiusService.account(accountingRequest([
+      [ATTRIBUTES.ACCT_STATUS_TYPE, integer(ACCT_STATUS_TYPES.START)], [ATTRIBUTES.ACCT_SESSION_ID, '80000001'], classAttribute
+    ]), GATEWAY);
+    expect(radius.decodePacket(started).code).toBe(CODES.ACCOUNTING_RESPONSE);
+    expect(await sharedDb.getSessionById(session.id)).toMatchObject({ radiusSessionId: '80000001' });
+
+    await radiusService.account(accountingRequest([
+      [ATTRIBUTES.ACCT_STATUS_TYPE, integer(ACCT_STATUS_TYPES.INTERIM_UPDATE)],
+      [ATTRIBUTES.ACCT_INPUT_OCTETS, integer(1000)], [ATTRIBUTES.ACCT_OUTPUT_OCTETS, integer(5000)], classAttribute
+    ]), GATEWAY);
+    expect(await sharedDb.getSessionById(session.id)).toMatchObject({ bytesIn: 5000, bytesOut: 1000, isActive: true });
+
+    // Found by the device when the gateway does not echo the Class back
+    await radiusService.account(accountingRequest([
+      [ATTRIBUTES.ACCT_STATUS_TYPE, integer(ACCT_STATUS_TYPES.STOP)], [ATTRIBUTES.ACCT_TERMINATE_CAUSE, integer(1)],
+      [ATTRIBUTES.CALLING_STATION_ID, phone.macAddress]
+    ]), GATEWAY);
+    expect(await sharedDb.getSessionById(session.id)).toMatchObject({ isActive: false, endReason: 'user_request' });
+  });
+
+  test('ends the voucher\'s sessions once an update uses up its data', async () => {
+    const session = await signIn();
+
+    await radiusService.account(accountingRequest([
+      [ATTRIBUTES.ACCT_STATUS_TYPE, integer(ACCT_STATUS_TYPES.INTERIM_UPDATE)],
+      [ATTRIBUTES.ACCT_OUTPUT_OCTETS, integer(2 ** 30)], [ATTRIBUTES.CLASS, session.id]
+    ]), GATEWAY);
+
+    expect(await sharedDb.getSessionById(session.id)).toMatchObject({ isActive: false });
+  });
+
+  test('ends a restarted gateway\'s sessions and acknowledges accounting it cannot place', async () => {
+    const session = await signIn();
+
+    await radiusService.account(accountingRequest([[ATTRIBUTES.ACCT_STATUS_TYPE, integer(ACCT_STATUS_TYPES.ACCOUNTING_ON)]]), GATEWAY);
+    expect(await sharedDb.getSessionById(session.id)).toMatchObject({ isActive: false, endReason: 'nas_restart' });
+
+    const unknown = await radiusService.account(accountingRequest([
+      [ATTRIBUTES.ACCT_STATUS_TYPE, integer(ACCT_STATUS_TYPES.INTERIM_UPDATE)], [ATTRIBUTES.CLASS, 'missing']
+    ]), GATEWAY);
+    expect(radius.decodePacket(unknown).code).toBe(CODES.ACCOUNTING_RESPONSE);
+    expect(await radiusService.account(accountingRequest([], 'other'), GATEWAY)).toBeNull();
+  });
+});
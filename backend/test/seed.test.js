@@ -0,0 +1,84 @@
+const bcrypt = require('bcryptjs');
+const { createDatabase } = require('./helpers');
+const { seedAdmin, seedDemoPlans, seedDemoVouchers, seedFromEnv } = require('../src/models/seed');
+
+describe('seed', () => {
+  let db;
+  const env = { ...process.env };
+
+  beforeEach(async () => {
+    db = await createDatabase('memory');
+  });
+
+  afterEach(async () => {
+    process.env = { ...env };
+    await db.close();
+  });
+
+  test('creates the first admin with a hashed password', async () => {
+    const { created, user } = await seedAdmin(db, { email: 'admin@example.com', password: 'a-strong-password' });
+
+    expect(created).toBe(true);
+    expect(user.role).toBe('admin');
+    expect(user.password).not.toBe('a-strong-password');
+    expect(await bcrypt.compare('a-strong-password', user.password)).toBe(true);
+  });
+
+  test('leaves an existing admin alone', async () => {
+    const first = await seedAdmin(db, { email: 'admin@example.com', password: 'a-strong-password' });
+    const again = await seedAdmin(db, { email: 'admin@example.com', password: 'another-password' });
+
+    expect(again).toEqual({ created: false, user: first.user });
+    expect(await db.getAllUsers()).toHaveLength(1);
+  });
+
+  test('refuses missing credentials and short passwords', async () => {
+    await expect(seedAdmin(db, { email: 'admin@example.com' })).rejects.toThrow('Admin email and password are required');
+    await expect(seedAdmin(db, { email: 'admin@example.com', password: 'short' })).rejects.toThrow('at least 8 characters');
+    expect(await db.getAllUsers()).toEqual([]);
+  });
+
+  test('creates the demo plan catalog once', async () => {
+    const plans = await seedDemoPlans(db);
+
+    expect(plans.map(p => p.name)).toEqual(['1 Hour', '6 Hours', '1 Day', '1 Week']);
+    expect(await seedDemoPlans(db)).toEqual(plans);
+  });
+
+  test('creates demo vouchers for every plan', async () => {
+    const vouchers = await seedDemoVouchers(db, 2);
+    const plans = await db.getAllPlans();
+
+    expect(vouchers).toHaveLength(8);
+    for (const plan of plans) {
+      expect(vouchers.filter(v => v.planId === plan.id)).toHaveLength(2);
+    }
+  });
+
+  test('seeds an empty store from the environment, once', async () => {
+    process.env.ADMIN_EMAIL = 'admin@example.com';
+    process.env.ADMIN_PASSWORD = 'a-strong-password';
+    process.env.SEED_DEMO_PLANS = 'true';
+    process.env.SEED_DEMO_VOUCHERS = 'true';
+
+    await seedFromEnv(db);
+    await seedFromEnv(db);
+
+    expect((await db.getAllUsers()).map(u => u.email)).toEqual(['admin@example.com']);
+    expect(await db.getAllPlans()).toHaveLength(4);
+    expect(await db.getAllVouchers()).toHaveLength(40);
+  });
+
+  test('seeds nothing without admin credentials in the environment', async () => {
+    delete process.env.ADMIN_EMAIL;
+    delete process.env.ADMIN_PASSWORD;
+    delete process.env.SEED_DEMO_PLANS;
+    delete process.env.SEED_DEMO_VOUCHERS;
+
+    await seedFromEnv(db);
+
+    expect(await db.getAllUsers()).toEqual([]);
+    expect(await db.getAllPlans()).toEqual([]);
+    expect(await db.getAllVouchers()).toEqual([]);
+  });
+});
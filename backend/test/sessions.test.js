@@ -0,0 +1,93 @@
+const db = require('../src/models/database');
+const sessionRoutes = require('../src/routes/sessions');
+const gatewayService = require('../src/services/gatewayService');
+const { drivers, createDatabase, resetSharedDatabase, serveRouter, tokenFor } = require('./helpers');
+
+describe.each(drivers)('session usage on the %s store', driver => {
+  let database;
+
+  beforeEach(async () => {
+    database = await createDatabase(driver);
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  test('ends a session once its quota is used up', async () => {
+    const session = await database.createSession({ voucherId: 'v1', dataLimitBytes: 1000 });
+
+    expect(await database.recordSessionUsage(session.id, { bytesIn: 400, bytesOut: 100 }))
+      .toMatchObject({ bytesIn: 400, bytesOut: 100, isActive: true, endReason: null });
+    expect(await database.recordSessionUsage(session.id, { bytesIn: 900, bytesOut: 100 }))
+      .toMatchObject({ isActive: false, endReason: 'quota_exhausted', endedAt: expect.any(Date) });
+    expect(await database.recordSessionUsage('missing', { bytesIn: 1, bytesOut: 1 })).toBeNull();
+  });
+
+  test('ignores counters that go backwards', async () => {
+    const session = await database.createSession({ voucherId: 'v1' });
+    await database.recordSessionUsage(session.id, { bytesIn: 500, bytesOut: 50 });
+
+    expect(await database.recordSessionUsage(session.id, { bytesIn: 200, bytesOut: 80 }))
+      .toMatchObject({ bytesIn: 500, bytesOut: 80, isActive: true });
+  });
+});
+
+describe('session routes', () => {
+  let api;
+  const adminToken = tokenFor({ userId: 'admin-1', email: 'admin@example.com', role: 'admin' });
+
+  beforeAll(async () => {
+    api = await serveRouter('/api/sessions', sessionRoutes);
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+  });
+
+  test('GET /:id shows the quota left', async () => {
+    const session = await db.createSession({ voucherId: 'v1', dataLimitBytes: 1000 });
+
+    const { status, body } = await api.request('GET', `/api/sessions/${session.id}`);
+
+    expect(status).toBe(200);
+    expect(body.data.quota).toEqual({ limitBytes: 1000, usedBytes: 0, remainingBytes: 1000, exhausted: false });
+    expect((await api.request('GET', '/api/sessions/missing')).status).toBe(404);
+  });
+
+  test('POST /:id/accounting tells the gateway to disconnect once the quota is gone', async () => {
+    const session = await db.createSession({ voucherId: 'v1', dataLimitBytes: 1000 });
+    const post = body => api.request('POST', `/api/sessions/${session.id}/accounting`, { token: adminToken, body });
+
+    expect(await post({ bytesIn: 500, bytesOut: 0 })).toMatchObject({ status: 200, body: { data: { disconnect: false } } });
+    expect(await post({ bytesIn: 1000, bytesOut: 10 })).toMatchObject({ status: 200, body: { data: { disconnect: true } } });
+    expect(await db.getAuditLogs({ action: 'session.end' })).toHaveLength(1);
+  });
+
+  test('POST /:id/accounting ends the other devices on the voucher with the one that used up the quota', async () => {
+    jest.spyOn(gatewayService, 'disconnect').mockResolvedValue(true);
+    const session = await db.createSession({ voucherId: 'v1', dataLimitBytes: 1000 });
+    const other = await db.createSession({ voucherId: 'v1', dataLimitBytes: 1000 });
+
+    await api.request('POST', `/api/sessions/${session.id}/accounting`, { token: adminToken, body: { bytesIn: 1000, bytesOut: 0 } });
+
+    expect(await db.getSessionById(other.id)).toMatchObject({ isActive: false, endReason: 'quota_exhausted' });
+    expect(gatewayService.disconnect).toHaveBeenCalledWith(expect.objectContaining({ id: other.id }));
+    jest.restoreAllMocks();
+  });
+
+  test('POST /:id/accounting takes whole byte counts from admins only', async () => {
+    const session = await db.createSession({ voucherId: 'v1' });
+    const path = `/api/sessions/${session.id}/accounting`;
+
+    expect((await api.request('POST', path, { body: { bytesIn: 1, bytesOut: 1 } })).status).toBe(401);
+    expect(await api.request('POST', path, { token: adminToken, body: { bytesIn: -1, bytesOut: 1.5 } }))
+      .toMatchObject({ status: 400, body: { message: 'bytesIn and bytesOut must be whole numbers of bytes' } });
+    expect((await api.request('POST', '/api/sessions/missing/accounting', { token: adminToken, body: { bytesIn: 1, bytesOut: 1 } })).status)
+      .toBe(404);
+  });
+});
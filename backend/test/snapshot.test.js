@@ -0,0 +1,160 @@
+const { drivers, createDatabase } = require('./helpers');
+const {
+  SNAPSHOT_FORMAT,
+  exportSnapshot,
+  serializeSnapshot,
+  parseSnapshot,
+  validateSnapshot,
+  restoreSnapshot
+} = require('../src/models/snapshot');
+
+async function fillDatabase(db) {
+  const admin = await db.createUser({ email: 'admin@example.com', password: 'hash', role: 'admin' });
+  const plan = await db.createPlan({ name: '6 Hours', duration: 6, price: 5000, dataLimit: '2GB' });
+  const batch = await db.createBatch({ label: 'Kiosk', planId: plan.id, quantity: 1 });
+  const voucher = await db.createVoucher({ ...db.planTerms(plan), batchId: batch.id });
+  const promotion = await db.createPromotion({ code: 'WELCOME', discountType: 'fixed', discountValue: 1000 });
+  const subscription = await db.createSubscription({ phoneNumber: '256770000001', planId: plan.id, paymentMethod: 'mtn_momo' });
+  await db.createPayment({ reference: 'MW-REF-1', amount: 5000, voucherId: voucher.id, userId: admin.id, subscriptionId: subscription.id });
+  await db.claimPromotion(promotion, { paymentReference: 'MW-REF-1', phoneNumber: '256770000001', planId: plan.id, discount: 1000, amount: 5000 });
+  await db.createSession({ voucherId: voucher.id, startTime: new Date('2024-05-01T10:00:00Z') });
+  await db.createSMSLog({ phoneNumber: '256770000001', message: 'Hello', type: 'test' });
+  await db.appendAuditLog({ action: 'voucher.create', entityType: 'vouchers', entityId: voucher.id, changes: {} });
+  return { admin, voucher };
+}
+
+const snapshotOf = (collections = {}) => ({ format: SNAPSHOT_FORMAT, version: 1, collections });
+
+describe.each(drivers)('snapshots on the %s store', driver => {
+  let source;
+  let target;
+
+  beforeEach(async () => {
+    source = await createDatabase(driver);
+    target = await createDatabase(driver);
+  });
+
+  afterEach(async () => {
+    await source.close();
+    await target.close();
+  });
+
+  test.each(['json', 'ndjson'])('carry every record over as %s', async format => {
+    await fillDatabase(source);
+    const snapshot = await exportSnapshot(source);
+
+    const result = await restoreSnapshot(target, parseSnapshot(serializeSnapshot(snapshot, format)));
+
+    const counts = {
+      users: 1, plans: 1, promotions: 1, batches: 1, vouchers: 1, subscriptions: 1, payments: 1, promoRedemptions: 1, sessions: 1, smsLogs: 1, auditLogs: 1
+    };
+    expect(snapshot.counts).toEqual(counts);
+    expect(result).toEqual({ dryRun: false, counts });
+    expect(await target.getAllUsers()).toEqual(await source.getAllUsers());
+    expect(await target.getAllPlans()).toEqual(await source.getAllPlans());
+    expect(await target.getAllPromotions()).toEqual(await source.getAllPromotions());
+    expect(await target.getAllBatches()).toEqual(await source.getAllBatches());
+    expect(await target.getAllVouchers()).toEqual(await source.getAllVouchers());
+    expect(await target.getAllSubscriptions()).toEqual(await source.getAllSubscriptions());
+    expect(await target.getAllPayments()).toEqual(await source.getAllPayments());
+    expect(await target.getAllPromoRedemptions()).toEqual(await source.getAllPromoRedemptions());
+    expect(await target.getAllSessions()).toEqual(await source.getAllSessions());
+    expect(await target.getSMSLogs()).toEqual(await source.getSMSLogs());
+    expect(await target.getAuditLogs()).toEqual(await source.getAuditLogs());
+  });
+
+  test('give vouchers from snapshots taken before code keys existed a key', async () => {
+    const { voucher } = await fillDatabase(source);
+    const snapshot = await exportSnapshot(source);
+    delete snapshot.collections.vouchers[0].codeKey;
+
+    await restoreSnapshot(target, snapshot);
+
+    expect((await target.getVoucherByCode(voucher.code.replace(/-/g, ''))).id).toBe(voucher.id);
+  });
+
+  test('write nothing on a dry run', async () => {
+    await fillDatabase(source);
+
+    const result = await restoreSnapshot(target, await exportSnapshot(source), { dryRun: true });
+
+    expect(result.dryRun).toBe(true);
+    expect(await target.getAllVouchers()).toEqual([]);
+  });
+
+  test('only go into an empty installation', async () => {
+    await fillDatabase(source);
+    await target.createVoucher({ duration: 1, price: 1000, dataLimit: '500MB' });
+
+    const { errors } = await restoreSnapshot(target, await exportSnapshot(source));
+
+    expect(errors).toEqual(['The store already has 1 vouchers, restore only into an empty installation']);
+  });
+
+  test('replace the admin who runs the restore on a fresh installation', async () => {
+    await fillDatabase(source);
+    const bootstrap = await target.createUser({ email: 'first@example.com', password: 'hash', role: 'admin' });
+
+    await restoreSnapshot(target, await exportSnapshot(source), { bootstrapAdminId: bootstrap.id });
+
+    expect((await target.getAllUsers()).map(u => u.email)).toEqual(['admin@example.com']);
+  });
+
+  test('keep the bootstrap admin when the snapshot has no admin to log in with', async () => {
+    const bootstrap = await target.createUser({ email: 'first@example.com', password: 'hash', role: 'admin' });
+    const snapshot = snapshotOf({ users: [{ id: 'u1', email: 'user@example.com', password: 'hash', role: 'user' }] });
+
+    const { errors } = await restoreSnapshot(target, snapshot, { bootstrapAdminId: bootstrap.id });
+
+    expect(errors).toEqual(['The snapshot has no active admin account, restoring it would lock you out']);
+    expect(await target.getUserById(bootstrap.id)).not.toBeNull();
+  });
+});
+
+describe('snapshot validation', () => {
+  test('accepts a well-formed snapshot', () => {
+    expect(validateSnapshot(snapshotOf({ vouchers: [{ id: 'v1', code: 'MW-A', createdAt: '2024-05-01T10:00:00Z' }] })))
+      .toEqual([]);
+  });
+
+  test('rejects other files and newer versions', () => {
+    expect(validateSnapshot(null)).toEqual(['Snapshot is not an object']);
+    expect(validateSnapshot({ format: 'other' })).toEqual([`Not a ${SNAPSHOT_FORMAT} file`]);
+    expect(validateSnapshot({ format: SNAPSHOT_FORMAT, version: 2 })[0]).toMatch(/^Unsupported snapshot version 2/);
+  });
+
+  test('lists every broken record', () => {
+    const errors = validateSnapshot({
+      ...snapshotOf({
+        vouchers: [
+          { id: 'v1', code: 'MW-A' },
+          { id: 'v2', code: 'MW-A', usedAt: 'not a date' },
+          { code: 'MW-B' }
+        ],
+        coupons: []
+      }),
+      counts: { vouchers: 2 }
+    });
+
+    expect(errors).toEqual([
+      'Unknown collection "coupons"',
+      'vouchers[1] repeats code "MW-A"',
+      'vouchers[1] has an invalid date in usedAt',
+      'vouchers[2] has no id',
+      'Collection "vouchers" has 3 records, the header says 2'
+    ]);
+  });
+
+  test('reads an ndjson file with no records', () => {
+    const contents = serializeSnapshot({ ...snapshotOf({
+      users: [], plans: [], promotions: [], batches: [], vouchers: [], subscriptions: [], payments: [], promoRedemptions: [], sessions: [], smsLogs: [], auditLogs: []
+    }) }, 'ndjson');
+
+    expect(parseSnapshot(contents)).toMatchObject({ format: SNAPSHOT_FORMAT, version: 1, collections: {} });
+  });
+
+  test('points at the line that is not JSON', () => {
+    expect(() => parseSnapshot('{"format":"mowave-snapshot"}\n{"collection":"users","record":{}}\nnot json'))
+      .toThrow('Line 3 is not valid JSON');
+  });
+});
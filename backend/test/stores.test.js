@@ -0,0 +1,245 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SqliteStore = require('../src/models/stores/sqliteStore');
+const { isUniqueViolation } = require('../src/models/stores/records');
+const { drivers, createStore } = require('./helpers');
+
+describe.each(drivers)('%s store', driver => {
+  let store;
+
+  beforeEach(async () => {
+    store = await createStore(driver);
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  const voucher = (id, fields = {}) => ({
+    id,
+    code: `MW-${id.toUpperCase()}`,
+    duration: 24,
+    isUsed: false,
+    status: 'active',
+    createdAt: new Date('2024-05-01T10:00:00Z'),
+    usedAt: null,
+    ...fields
+  });
+
+  test('inserts a record and finds it by id', async () => {
+    const inserted = await store.insert('vouchers', voucher('a1'));
+
+    expect(inserted).toEqual(voucher('a1'));
+    expect(await store.findById('vouchers', 'a1')).toEqual(voucher('a1'));
+    expect(await store.findById('vouchers', 'missing')).toBeNull();
+  });
+
+  test('refuses a second record with the same id', async () => {
+    await store.insert('vouchers', voucher('a1'));
+
+    const error = await store.insert('vouchers', voucher('a1', { status: 'other' })).catch(e => e);
+    expect(isUniqueViolation(error)).toBe(true);
+    expect((await store.findById('vouchers', 'a1')).status).toBe('active');
+  });
+
+  test('gives timestamps back as dates', async () => {
+    await store.insert('vouchers', voucher('a1'));
+
+    const found = await store.findById('vouchers', 'a1');
+    expect(found.createdAt).toBeInstanceOf(Date);
+    expect(found.createdAt.toISOString()).toBe('2024-05-01T10:00:00.000Z');
+  });
+
+  test('finds records by field equality', async () => {
+    await store.insert('vouchers', voucher('a1'));
+    await store.insert('vouchers', voucher('a2', { isUsed: true, usedAt: new Date() }));
+    await store.insert('vouchers', voucher('a3', { duration: 1 }));
+
+    expect((await store.findOne('vouchers', { code: 'MW-A2' })).id).toBe('a2');
+    expect(await store.findOne('vouchers', { code: 'MW-NONE' })).toBeNull();
+    expect((await store.findAll('vouchers', { isUsed: false })).map(v => v.id).sort()).toEqual(['a1', 'a3']);
+    expect((await store.findAll('vouchers', { isUsed: false, duration: 24 })).map(v => v.id)).toEqual(['a1']);
+    expect(await store.findAll('vouchers')).toHaveLength(3);
+  });
+
+  test('matches null against missing and null fields', async () => {
+    await store.insert('vouchers', voucher('a1'));
+    await store.insert('vouchers', voucher('a2', { usedAt: new Date() }));
+    const { usedAt, ...withoutUsedAt } = voucher('a3');
+    await store.insert('vouchers', withoutUsedAt);
+
+    expect((await store.findAll('vouchers', { usedAt: null })).map(v => v.id).sort()).toEqual(['a1', 'a3']);
+  });
+
+  test('counts records', async () => {
+    await store.insert('vouchers', voucher('a1'));
+    await store.insert('vouchers', voucher('a2', { isUsed: true }));
+
+    expect(await store.count('vouchers')).toBe(2);
+    expect(await store.count('vouchers', { isUsed: true })).toBe(1);
+    expect(await store.count('users')).toBe(0);
+  });
+
+  test('queries with operators, sorting and pagination', async () => {
+    for (const [i, fields] of [
+      { price: 1000, status: 'active' },
+      { price: 5000, status: 'disabled' },
+      { price: 10000, status: 'active', code: 'MW-SPECIAL' },
+      { price: 50000, status: 'expired' }
+    ].entries()) {
+      await store.insert('vouchers', voucher(`q${i}`, { ...fields, createdAt: new Date(Date.UTC(2024, 4, 1 + i)) }));
+    }
+    const ids = ({ rows }) => rows.map(v => v.id);
+
+    expect(ids(await store.query('vouchers', { where: { price: { $gte: 5000, $lt: 50000 } }, sort: { price: 'asc' } })))
+      .toEqual(['q1', 'q2']);
+    expect(ids(await store.query('vouchers', { where: { status: { $ne: 'active' } }, sort: { price: 'desc' } })))
+      .toEqual(['q3', 'q1']);
+    expect(ids(await store.query('vouchers', { where: { status: { $in: ['disabled', 'expired'] } }, sort: { price: 'asc' } })))
+      .toEqual(['q1', 'q3']);
+    expect(ids(await store.query('vouchers', { where: { code: { $contains: 'special' } } }))).toEqual(['q2']);
+    expect(ids(await store.query('vouchers', {
+      where: { $or: [{ price: 1000 }, { status: 'expired' }] },
+      sort: { price: 'asc' }
+    }))).toEqual(['q0', 'q3']);
+    expect(ids(await store.query('vouchers', { where: { createdAt: { $gt: new Date(Date.UTC(2024, 4, 2)) } }, sort: { createdAt: 'asc' } })))
+      .toEqual(['q2', 'q3']);
+
+    const page = await store.query('vouchers', { sort: { createdAt: 'desc' }, limit: 2, offset: 1 });
+    expect(ids(page)).toEqual(['q2', 'q1']);
+    expect(page.total).toBe(4);
+    expect(await store.sum('vouchers', 'price', { status: 'active' })).toBe(11000);
+    expect(await store.sum('vouchers', 'price', { status: 'none' })).toBe(0);
+  });
+
+  test('keeps lookups right after indexed fields change', async () => {
+    await store.insert('vouchers', voucher('a1'));
+    await store.update('vouchers', 'a1', { status: 'disabled' });
+
+    expect(await store.findAll('vouchers', { status: 'active' })).toEqual([]);
+    expect((await store.findOne('vouchers', { status: 'disabled' })).id).toBe('a1');
+
+    await store.remove('vouchers', 'a1');
+    expect(await store.findOne('vouchers', { status: 'disabled' })).toBeNull();
+  });
+
+  test('counts and totals records per group', async () => {
+    await store.insert('vouchers', voucher('a1', { price: 1000 }));
+    await store.insert('vouchers', voucher('a2', { price: 1000, isUsed: true, usedAt: new Date('2024-05-02T08:00:00Z') }));
+    await store.insert('vouchers', voucher('a3', { price: 5000, isUsed: true, usedAt: new Date('2024-05-02T23:00:00Z') }));
+    await store.insert('vouchers', voucher('a4', { duration: 1, price: 500, isUsed: true, usedAt: new Date('2024-05-03T01:00:00Z') }));
+    const byKey = rows => rows.slice().sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+
+    expect(byKey(await store.group('vouchers', { by: ['duration', 'isUsed'], sum: ['price'] }))).toEqual(byKey([
+      { duration: 24, isUsed: false, count: 1, price: 1000 },
+      { duration: 24, isUsed: true, count: 2, price: 6000 },
+      { duration: 1, isUsed: true, count: 1, price: 500 }
+    ]));
+    expect(byKey(await store.group('vouchers', { where: { isUsed: true }, day: 'usedAt', sum: ['price'] }))).toEqual(byKey([
+      { day: '2024-05-02', count: 2, price: 6000 },
+      { day: '2024-05-03', count: 1, price: 500 }
+    ]));
+    expect(await store.group('vouchers', { where: { duration: 1 }, sum: ['price'] })).toEqual([{ count: 1, price: 500 }]);
+    expect(await store.group('users', { by: ['role'] })).toEqual([]);
+  });
+
+  test('applies a batch of inserts and removals in order', async () => {
+    await store.insert('vouchers', voucher('a1'));
+
+    expect(await store.bulkWrite([
+      { collection: 'vouchers', remove: 'a1' },
+      { collection: 'vouchers', insert: voucher('a1', { status: 'restored' }) },
+      { collection: 'users', insert: { id: 'u1', email: 'a@example.com' } }
+    ])).toBe(3);
+
+    expect((await store.findById('vouchers', 'a1')).status).toBe('restored');
+    expect(await store.findById('users', 'u1')).toEqual({ id: 'u1', email: 'a@example.com' });
+  });
+
+  // Only SQLite shows it here: the memory store has no constraint to trip over and pg-mem ignores ROLLBACK
+  const transactionTest = driver === 'sqlite' ? test : test.skip;
+
+  transactionTest('applies none of a batch that fails halfway', async () => {
+    await store.insert('users', { id: 'u1', email: 'a@example.com' });
+
+    await expect(store.bulkWrite([
+      { collection: 'users', remove: 'u1' },
+      { collection: 'vouchers', insert: voucher('a1') },
+      { collection: 'vouchers', insert: voucher('a1') }
+    ])).rejects.toMatchObject({ message: expect.any(String) });
+
+    expect(await store.findById('users', 'u1')).not.toBeNull();
+    expect(await store.findById('vouchers', 'a1')).toBeNull();
+  });
+
+  test('merges updates into a record', async () => {
+    await store.insert('vouchers', voucher('a1'));
+    const usedAt = new Date('2024-05-02T08:00:00Z');
+
+    const updated = await store.update('vouchers', 'a1', { isUsed: true, usedAt });
+
+    expect(updated).toEqual(voucher('a1', { isUsed: true, usedAt }));
+    expect(await store.findById('vouchers', 'a1')).toEqual(updated);
+    expect(await store.update('vouchers', 'missing', { isUsed: true })).toBeNull();
+  });
+
+  test('updates a record only when it passes the condition', async () => {
+    await store.insert('vouchers', voucher('a1'));
+    const seen = [];
+
+    const skipped = await store.updateIf('vouchers', 'a1', current => {
+      seen.push(current);
+      return current.isUsed;
+    }, { status: 'skipped' });
+    const applied = await store.updateIf('vouchers', 'a1', current => !current.isUsed, { isUsed: true });
+
+    expect(skipped).toBeNull();
+    expect(seen[0]).toEqual(voucher('a1'));
+    expect(applied).toEqual(voucher('a1', { isUsed: true }));
+    expect(await store.findById('vouchers', 'a1')).toEqual(applied);
+    expect(await store.updateIf('vouchers', 'missing', () => true, { isUsed: true })).toBeNull();
+  });
+
+  test('keeps records apart from the copies it hands out', async () => {
+    const inserted = await store.insert('vouchers', voucher('a1'));
+    inserted.status = 'changed';
+    (await store.findById('vouchers', 'a1')).status = 'changed';
+
+    expect((await store.findById('vouchers', 'a1')).status).toBe('active');
+  });
+
+  test('removes a record', async () => {
+    await store.insert('vouchers', voucher('a1'));
+
+    expect(await store.remove('vouchers', 'a1')).toBe(true);
+    expect(await store.remove('vouchers', 'a1')).toBe(false);
+    expect(await store.findById('vouchers', 'a1')).toBeNull();
+  });
+});
+
+describe('sqlite store file', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mowave-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keeps records when the store is opened again', async () => {
+    const filename = path.join(dir, 'nested', 'mowave.db');
+    const store = await new SqliteStore({ filename }).connect();
+    await store.migrate();
+    await store.insert('vouchers', { id: 'a1', code: 'MW-A1', createdAt: new Date('2024-05-01T10:00:00Z') });
+    await store.close();
+
+    const reopened = await new SqliteStore({ filename }).connect();
+    const found = await reopened.findById('vouchers', 'a1');
+    await reopened.close();
+
+    expect(found).toEqual({ id: 'a1', code: 'MW-A1', createdAt: new Date('2024-05-01T10:00:00Z') });
+  });
+});
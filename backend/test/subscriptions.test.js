@@ -0,0 +1,249 @@
+const sharedDb = require('../src/models/database');
+const subscriptionRoutes = require('../src/routes/subscriptions');
+const adminRoutes = require('../src/routes/admin');
+const paymentService = require('../src/services/paymentService');
+const subscriptionService = require('../src/services/subscriptionService');
+const smsService = require('../src/services/smsService');
+const { drivers, createDatabase, resetSharedDatabase, serveRouter, tokenFor } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const PHONE = '256077000001';
+
+describe.each(drivers)('subscriptions on the %s store', driver => {
+  let db;
+
+  beforeEach(async () => {
+    db = await createDatabase(driver);
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  const subscribe = fields => db.createSubscription({ phoneNumber: PHONE, planId: 'plan-1', paymentMethod: 'mtn_momo', ...fields });
+
+  test('starts pending with nothing charged yet', async () => {
+    expect(await subscribe()).toMatchObject({ status: 'pending', renewals: 0, renewalAttempts: 0, pendingPaymentReference: null });
+  });
+
+  test('lists the subscriptions that still bill', async () => {
+    const live = await subscribe({ status: 'active' });
+    await subscribe({ status: 'lapsed' });
+    await subscribe({ status: 'cancelled', planId: 'plan-2' });
+
+    expect((await db.getLiveSubscriptions()).map(s => s.id)).toEqual([live.id]);
+    expect(await db.getLiveSubscriptions({ planId: 'plan-2' })).toEqual([]);
+    expect((await db.listSubscriptions({ status: 'lapsed' })).data).toHaveLength(1);
+  });
+
+  test('changes a subscription only while it is as the caller saw it', async () => {
+    const subscription = await subscribe();
+
+    expect(await db.updateSubscriptionIf(subscription.id, s => !s.pendingPaymentReference, { pendingPaymentReference: 'REF-1' }))
+      .toMatchObject({ pendingPaymentReference: 'REF-1' });
+    expect(await db.updateSubscriptionIf(subscription.id, s => !s.pendingPaymentReference, { pendingPaymentReference: 'REF-2' }))
+      .toBeNull();
+  });
+
+  test('lists the payments made for a subscription, newest first', async () => {
+    const subscription = await subscribe();
+    const first = await db.createPayment({ reference: 'REF-1', amount: 5000, subscriptionId: subscription.id });
+    const second = await db.createPayment({ reference: 'REF-2', amount: 5000, subscriptionId: subscription.id });
+    await db.updatePayment(first.id, { createdAt: new Date(Date.now() - HOUR) });
+    await db.createPayment({ reference: 'REF-3', amount: 5000 });
+
+    const ids = (await db.getSubscriptionPayments(subscription.id)).map(p => p.id);
+
+    expect([...ids].sort()).toEqual([first.id, second.id].sort());
+    // pg-mem does not order jsonb timestamps the way PostgreSQL does, so the order is checked on the other drivers
+    if (driver !== 'postgres') expect(ids).toEqual([second.id, first.id]);
+  });
+});
+
+describe('subscriptionService', () => {
+  let plan;
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+    paymentService.mockDelay = 0;
+    paymentService.mtnSuccessRate = 1;
+    jest.spyOn(smsService, 'sendMockSMS').mockResolvedValue({ success: true });
+    plan = await sharedDb.createPlan({ name: '1 Day', duration: 24, price: 10000, dataLimit: '5GB', renewable: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const texts = async type => (await sharedDb.getSMSLogs({ type })).map(log => log.message);
+
+  async function activeSubscription() {
+    const { payment } = await subscriptionService.subscribe(plan, { phoneNumber: PHONE, paymentMethod: 'mtn_momo' });
+    return subscriptionService.collect(payment);
+  }
+
+  // Charge the next renewal straight away and collect it
+  async function renew() {
+    const subscription = await sharedDb.getSubscriptionById((await sharedDb.getLiveSubscriptions())[0].id);
+    const payment = await subscriptionService.charge(subscription, plan);
+    return subscriptionService.collect(payment);
+  }
+
+  test('starts the first period once its payment goes through, texting the code once', async () => {
+    const subscription = await activeSubscription();
+
+    expect(subscription).toMatchObject({ status: 'active', renewals: 0, pendingPaymentReference: null });
+    expect(subscription.periodEndsAt - subscription.periodStartsAt).toBe(24 * HOUR);
+    expect(subscription.periodEndsAt - subscription.nextRenewalAt).toBe(6 * HOUR);
+    const voucher = await sharedDb.getVoucherById(subscription.voucherId);
+    expect(await texts('voucher')).toEqual([expect.stringContaining(voucher.code)]);
+    expect(await texts('subscription')).toEqual([expect.stringContaining('subscription paid (UGX 10000)')]);
+  });
+
+  test('tops the same voucher up on renewal, the new period starting where the last ends', async () => {
+    const first = await activeSubscription();
+
+    const renewed = await renew();
+
+    expect(renewed).toMatchObject({ status: 'active', renewals: 1, voucherId: first.voucherId });
+    expect(renewed.periodStartsAt).toEqual(first.periodEndsAt);
+    expect((await sharedDb.getVoucherById(first.voucherId)).duration).toBe(48);
+    expect(await texts('voucher')).toEqual([expect.any(String), expect.stringContaining('topped up')]);
+  });
+
+  test('mints a new voucher on renewal once the plan\'s access hours changed', async () => {
+    const first = await activeSubscription();
+    plan = await sharedDb.updatePlan(plan.id, { accessSchedule: { days: ['sat', 'sun'], windows: [{ start: '08:00', end: '20:00' }] } });
+
+    const renewed = await renew();
+
+    expect(renewed.voucherId).not.toBe(first.voucherId);
+    expect(await sharedDb.getVoucherById(renewed.voucherId)).toMatchObject({ accessSchedule: plan.accessSchedule, duration: 24 });
+  });
+
+  test('cancels a subscription whose first payment failed', async () => {
+    paymentService.mtnSuccessRate = 0;
+
+    expect(await activeSubscription()).toMatchObject({ status: 'cancelled', cancelReason: 'First payment failed' });
+    expect(await sharedDb.getAllVouchers()).toEqual([]);
+  });
+
+  test('retries a failed renewal within the grace period, then lets it lapse', async () => {
+    const first = await activeSubscription();
+    paymentService.mtnSuccessRate = 0;
+
+    const pastDue = await renew();
+    expect(pastDue).toMatchObject({ status: 'past_due', renewalAttempts: 1 });
+    expect(pastDue.graceEndsAt - first.periodEndsAt).toBe(48 * HOUR);
+    expect(await texts('subscription')).toContainEqual(expect.stringContaining('could not renew'));
+
+    await renew();
+    await renew();
+    expect(await renew()).toMatchObject({ status: 'lapsed', renewalAttempts: 4, nextAttemptAt: null });
+  });
+
+  test('run() starts renewals that are due and sends one notice ahead of each', async () => {
+    const subscription = await activeSubscription();
+    const collect = jest.spyOn(subscriptionService, 'collect').mockResolvedValue(null);
+
+    await sharedDb.updateSubscriptionIf(subscription.id, () => true, { nextRenewalAt: new Date(Date.now() + HOUR) });
+    expect(await subscriptionService.run()).toMatchObject({ notices: 1, charges: 0 });
+    expect(await subscriptionService.run()).toMatchObject({ notices: 0, charges: 0 });
+
+    await sharedDb.updateSubscriptionIf(subscription.id, () => true, { nextAttemptAt: new Date(Date.now() - 1000) });
+    expect(await subscriptionService.run()).toMatchObject({ charges: 1 });
+    expect(await subscriptionService.run()).toMatchObject({ charges: 0 });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(collect).toHaveBeenCalledTimes(1);
+  });
+
+  test('run() ends subscriptions to plans no longer offered', async () => {
+    await activeSubscription();
+    await sharedDb.updatePlan(plan.id, { renewable: false });
+
+    expect(await subscriptionService.run()).toMatchObject({ ended: 1 });
+    expect((await sharedDb.getAllSubscriptions())[0]).toMatchObject({ status: 'cancelled', nextRenewalAt: null });
+  });
+});
+
+describe('subscription routes', () => {
+  let api;
+  let admin;
+  let plan;
+  const token = tokenFor({ userId: 'admin-1', email: 'admin@example.com', role: 'admin' });
+
+  beforeAll(async () => {
+    api = await serveRouter('/api/subscriptions', subscriptionRoutes);
+    admin = await serveRouter('/api/admin', adminRoutes);
+  });
+
+  afterAll(async () => {
+    await api.close();
+    await admin.close();
+  });
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+    jest.spyOn(smsService, 'sendMockSMS').mockResolvedValue({ success: true });
+    jest.spyOn(subscriptionService, 'collect').mockResolvedValue(null);
+    plan = await sharedDb.createPlan({ name: '1 Day', duration: 24, price: 10000, dataLimit: '5GB', renewable: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const subscribe = body => api.request('POST', '/api/subscriptions', {
+    body: { planId: plan.id, phoneNumber: PHONE, paymentMethod: 'mtn_momo', ...body }
+  });
+
+  test('POST / subscribes a phone number and charges the first period', async () => {
+    const { status, body } = await subscribe();
+
+    expect(status).toBe(201);
+    expect(body.data.subscription).toMatchObject({ status: 'pending', plan: { id: plan.id, price: 10000 } });
+    expect(body.data.payment).toMatchObject({ status: 'pending', amount: 10000 });
+    expect(await subscribe()).toMatchObject({ status: 409, body: { data: { subscriptionId: body.data.subscription.id } } });
+  });
+
+  test('POST / refuses plans that do not renew and numbers that cannot pay', async () => {
+    const oneOff = await sharedDb.createPlan({ name: 'Hour', duration: 1, price: 1000, dataLimit: '500MB' });
+
+    expect(await subscribe({ planId: oneOff.id }))
+      .toMatchObject({ status: 400, body: { message: 'Plan is not available as a subscription' } });
+    expect(await subscribe({ phoneNumber: '256075000001' }))
+      .toMatchObject({ status: 400, body: { message: 'Phone number is not compatible with MTN MoMo' } });
+    expect((await subscribe({ planId: 'missing' })).status).toBe(404);
+  });
+
+  test('POST /:id/cancel needs the subscribed phone number', async () => {
+    const { body } = await subscribe();
+    const path = `/api/subscriptions/${body.data.subscription.id}`;
+
+    expect((await api.request('POST', `${path}/cancel`, { body: { phoneNumber: '256077000002' } })).status).toBe(404);
+    expect(await api.request('POST', `${path}/cancel`, { body: { phoneNumber: PHONE } }))
+      .toMatchObject({ status: 200, body: { data: { status: 'cancelled' } } });
+    expect((await api.request('POST', `${path}/cancel`, { body: { phoneNumber: PHONE } })).status).toBe(400);
+    expect((await api.request('GET', path)).body.data.cancelledAt).toEqual(expect.any(String));
+  });
+
+  test('admins list, inspect and cancel subscriptions', async () => {
+    const { body } = await subscribe();
+    const id = body.data.subscription.id;
+
+    expect((await admin.request('GET', '/api/admin/subscriptions?status=pending', { token })).body.data).toHaveLength(1);
+    expect((await admin.request('GET', `/api/admin/subscriptions/${id}`, { token })).body.data.payments).toHaveLength(1);
+    expect(await admin.request('POST', `/api/admin/subscriptions/${id}/cancel`, { token, body: { reason: 'Fraud' } }))
+      .toMatchObject({ status: 200, body: { data: { status: 'cancelled', cancelReason: 'Fraud' } } });
+    expect((await admin.request('GET', '/api/admin/subscriptions/scheduler', { token })).body.data)
+      .toMatchObject({ renewHoursBefore: 6, graceHours: 48, maxAttempts: 4 });
+  });
+
+  test('an admin confirming the first payment starts the subscription', async () => {
+    const { body } = await subscribe();
+
+    await admin.request('PUT', `/api/admin/payments/${body.data.payment.paymentId}`, { token, body: { status: 'success' } });
+
+    expect((await sharedDb.getSubscriptionById(body.data.subscription.id)).status).toBe('active');
+  });
+});
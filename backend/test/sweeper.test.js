@@ -0,0 +1,138 @@
+const db = require('../src/models/database');
+const adminRoutes = require('../src/routes/admin');
+const sweeperService = require('../src/services/sweeperService');
+const gatewayService = require('../src/services/gatewayService');
+const { drivers, createDatabase, resetSharedDatabase, serveRouter, tokenFor } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+describe.each(drivers)('sweeping on the %s store', driver => {
+  let database;
+  const now = new Date();
+  const ago = ms => new Date(now.getTime() - ms);
+
+  beforeEach(async () => {
+    database = await createDatabase(driver);
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  test('expires vouchers past their redemption deadline or access time', async () => {
+    const fresh = await database.createVoucher({ duration: 6, price: 5000 });
+    const stale = await database.createVoucher({ duration: 6, price: 5000, saleExpiresAt: ago(HOUR) });
+    const overdue = await database.createVoucher({ duration: 6, price: 5000, soldAt: ago(2 * HOUR), redeemBy: ago(HOUR) });
+    const usedUp = await database.createVoucher({ duration: 6, price: 5000 });
+    await database.updateVoucher(usedUp.id, { isUsed: true, usedAt: ago(7 * HOUR), expiresAt: ago(HOUR) });
+    const inUse = await database.createVoucher({ duration: 6, price: 5000 });
+    await database.redeemVoucher(inUse.code);
+
+    const expired = await database.expireVouchers(now);
+
+    expect(expired.map(v => v.id).sort()).toEqual([stale.id, overdue.id, usedUp.id].sort());
+    expect((await database.getVoucherById(stale.id)).status).toBe('expired');
+    expect((await database.getVoucherById(fresh.id)).status).toBe('active');
+    expect((await database.getVoucherById(inUse.id)).status).toBe('active');
+    expect(await database.expireVouchers(now)).toEqual([]);
+  });
+
+  test('closes sessions whose end time has passed', async () => {
+    const voucher = await database.createVoucher({ duration: 6, price: 5000 });
+    const finished = await database.createSession({ voucherId: voucher.id, startTime: ago(7 * HOUR), endTime: ago(HOUR) });
+    const running = await database.createSession({ voucherId: voucher.id, startTime: ago(HOUR), endTime: new Date(now.getTime() + HOUR) });
+
+    const closed = await database.closeFinishedSessions(now);
+
+    expect(closed).toEqual([expect.objectContaining({ id: finished.id, isActive: false, endReason: 'time_expired' })]);
+    expect((await database.getSessionById(running.id)).isActive).toBe(true);
+  });
+
+  test('fails payments left pending too long', async () => {
+    const old = await database.createPayment({ reference: 'REF-1', amount: 5000 });
+    await database.updatePayment(old.id, { createdAt: ago(2 * HOUR) });
+    const recent = await database.createPayment({ reference: 'REF-2', amount: 5000 });
+
+    const timedOut = await database.timeOutPendingPayments(ago(HOUR));
+
+    expect(timedOut).toEqual([{ before: expect.objectContaining({ id: old.id, status: 'pending' }), after: expect.objectContaining({ status: 'failed', errorCode: 'TIMEOUT' }) }]);
+    expect((await database.getPaymentById(recent.id)).status).toBe('pending');
+  });
+
+  test('keeps run records until they are old enough to prune', async () => {
+    await database.createSweeperRun({ trigger: 'schedule', createdAt: ago(10 * 24 * HOUR) });
+    const recent = await database.createSweeperRun({ trigger: 'manual', createdAt: now });
+
+    expect(await database.pruneSweeperRuns(ago(7 * 24 * HOUR))).toBe(1);
+    expect((await database.listSweeperRuns()).data).toEqual([recent]);
+  });
+});
+
+describe('sweeper service', () => {
+  beforeEach(async () => {
+    await resetSharedDatabase();
+    jest.spyOn(gatewayService, 'disconnect').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records what a run changed and disconnects ended sessions', async () => {
+    const voucher = await db.createVoucher({ duration: 6, price: 5000, saleExpiresAt: new Date(Date.now() - HOUR) });
+    const session = await db.createSession({ voucherId: voucher.id, startTime: new Date(Date.now() - 7 * HOUR), endTime: new Date(Date.now() - HOUR) });
+    const payment = await db.createPayment({ reference: 'REF-1', amount: 5000 });
+    await db.updatePayment(payment.id, { createdAt: new Date(Date.now() - 2 * HOUR) });
+    await db.changeCodeAttempt('ip:10.0.0.1', () => ({ failures: 1, lastFailureAt: new Date(Date.now() - 2 * 24 * HOUR) }));
+
+    const run = await sweeperService.run('manual');
+
+    expect(run).toMatchObject({ trigger: 'manual', vouchersExpired: 1, sessionsClosed: 1, paymentsTimedOut: 1, codeAttemptsPruned: 1, error: null });
+    expect(gatewayService.disconnect).toHaveBeenCalledWith(expect.objectContaining({ id: session.id }));
+    expect(await db.getAuditLogs({ action: 'payment.timeout', entityId: payment.id })).toHaveLength(1);
+    expect(await db.getCodeAttempts(['ip:10.0.0.1'])).toEqual([]);
+  });
+
+  test('shares a run already in progress', async () => {
+    const [first, second] = await Promise.all([sweeperService.run(), sweeperService.run()]);
+
+    expect(first).toBe(second);
+    expect((await db.listSweeperRuns()).data).toHaveLength(1);
+  });
+
+  test('records a failed run with its error', async () => {
+    jest.spyOn(db, 'expireVouchers').mockRejectedValue(new Error('store offline'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await sweeperService.run()).toMatchObject({ error: 'store offline' });
+  });
+});
+
+describe('sweeper routes', () => {
+  let api;
+  const token = tokenFor({ userId: 'admin-1', email: 'admin@example.com', role: 'admin' });
+
+  beforeAll(async () => {
+    api = await serveRouter('/api/admin', adminRoutes);
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+  });
+
+  test('POST /sweeper/run sweeps now and GET /sweeper lists the run', async () => {
+    await db.createVoucher({ duration: 6, price: 5000, saleExpiresAt: new Date(Date.now() - HOUR) });
+
+    const run = await api.request('POST', '/api/admin/sweeper/run', { token });
+    expect(run).toMatchObject({ status: 200, body: { data: { trigger: 'manual', vouchersExpired: 1 } } });
+
+    const { body } = await api.request('GET', '/api/admin/sweeper', { token });
+    expect(body.data).toMatchObject({ enabled: expect.any(Boolean), running: false });
+    expect(body.data.runs.map(r => r.id)).toEqual([run.body.data.id]);
+    expect(await db.getAuditLogs({ action: 'sweeper.run' })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,172 @@
+const db = require('../src/models/database');
+const paymentRoutes = require('../src/routes/payments');
+const adminRoutes = require('../src/routes/admin');
+const paymentService = require('../src/services/paymentService');
+const smsService = require('../src/services/smsService');
+const { drivers, createDatabase, resetSharedDatabase, serveRouter, tokenFor } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+describe.each(drivers)('voucher top-ups on the %s store', driver => {
+  let database;
+  let voucher;
+
+  beforeEach(async () => {
+    database = await createDatabase(driver);
+    voucher = await database.createVoucher({ duration: 6, price: 5000, dataLimit: '1GB' });
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  const topUp = async (reference = 'REF-1') => database.fulfilPayment(await database.createPayment({
+    reference,
+    amount: 5000,
+    phoneNumber: '256770000001',
+    topUpVoucherId: voucher.id,
+    metadata: { duration: 3, dataLimit: '512MB' }
+  }));
+
+  test('adds hours and data to a voucher nobody has used yet', async () => {
+    expect(await topUp()).toMatchObject({ duration: 9, dataLimit: '1536MB', expiresAt: null });
+  });
+
+  test('adds the time on top of what a running voucher has left, and moves its sessions along', async () => {
+    const { voucher: redeemed, sessionId } = await database.redeemVoucher(voucher.code);
+    await database.createVoucherSession(redeemed, sessionId, {});
+
+    const toppedUp = await topUp();
+
+    expect(toppedUp.expiresAt - redeemed.expiresAt).toBe(3 * HOUR);
+    expect(await database.getSessionById(sessionId)).toMatchObject({ endTime: toppedUp.expiresAt, dataLimitBytes: 1536 * 1024 ** 2 });
+  });
+
+  test('keeps the hours for a paused voucher until it resumes', async () => {
+    await database.redeemVoucher(voucher.code);
+    const { voucher: paused } = await database.pauseVoucher(voucher.id);
+
+    expect((await topUp()).timeLeftMs).toBe(paused.timeLeftMs + 3 * HOUR);
+  });
+
+  test('starts the clock again on a voucher whose time ran out', async () => {
+    await database.redeemVoucher(voucher.code);
+    const now = Date.now();
+    await database.updateVoucher(voucher.id, { usedAt: new Date(now - 8 * HOUR), expiresAt: new Date(now - 2 * HOUR) });
+    await database.expireVouchers();
+
+    const toppedUp = await topUp();
+
+    expect(toppedUp).toMatchObject({ status: 'active', resumedAt: expect.any(Date), timeUsedMs: 6 * HOUR });
+    expect(toppedUp.expiresAt - toppedUp.resumedAt).toBe(3 * HOUR);
+  });
+
+  test('adds a payment once', async () => {
+    const payment = await database.createPayment({ reference: 'REF-1', amount: 5000, topUpVoucherId: voucher.id, metadata: { duration: 3, dataLimit: '512MB' } });
+
+    await database.fulfilPayment(payment);
+    const again = await database.fulfilPayment(payment);
+
+    expect(again).toMatchObject({ duration: 9, topUps: [expect.objectContaining({ paymentId: payment.id })] });
+  });
+
+  test('turns away vouchers that cannot take a top-up', async () => {
+    expect(database.getTopUpError({ ...voucher, status: 'disabled' })).toBe('INACTIVE');
+    expect(database.getTopUpError({ ...voucher, status: 'expired' })).toBe('EXPIRED');
+    expect(database.getTopUpError({ ...voucher, status: 'expired', isUsed: true })).toBeNull();
+
+    await database.updateVoucher(voucher.id, { status: 'revoked' });
+    expect(await topUp()).toBeNull();
+  });
+
+  test('finds the latest voucher a phone number owns', async () => {
+    const bought = await database.fulfilPayment(await database.createPayment({
+      reference: 'REF-0', amount: 5000, phoneNumber: '256770000001', metadata: { duration: 6, dataLimit: '1GB' }
+    }));
+
+    expect((await database.findTopUpVoucher('256770000001')).id).toBe(bought.id);
+    expect(await database.findTopUpVoucher('256770000002')).toBeNull();
+  });
+});
+
+describe('top-up routes', () => {
+  let payments;
+  let admin;
+  let plan;
+  let voucher;
+  const token = tokenFor({ userId: 'admin-1', email: 'admin@example.com', role: 'admin' });
+
+  beforeAll(async () => {
+    payments = await serveRouter('/api/payments', paymentRoutes);
+    admin = await serveRouter('/api/admin', adminRoutes);
+  });
+
+  afterAll(async () => {
+    await payments.close();
+    await admin.close();
+  });
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+    jest.spyOn(smsService, 'sendMockSMS').mockResolvedValue({ success: true });
+    jest.spyOn(paymentService, 'processPayment').mockResolvedValue({ success: false, message: 'Declined' });
+    plan = await db.createPlan({ name: '3 Hours', duration: 3, price: 3000, dataLimit: '512MB' });
+    voucher = await db.createVoucher({ duration: 6, price: 5000, dataLimit: '1GB' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const buyTopUp = topUp => payments.request('POST', '/api/payments', {
+    body: { amount: 3000, phoneNumber: '256077000001', paymentMethod: 'mtn_momo', planId: plan.id, topUp }
+  });
+
+  test('POST /payments starts a top-up and shows only the end of the code', async () => {
+    const { status, body } = await buyTopUp({ code: voucher.code.toLowerCase() });
+
+    expect(status).toBe(201);
+    expect(body.data.topUp.code).toMatch(/^[*-]+[A-Z0-9-]{4,}$/);
+    expect(body.data.topUp.code.slice(-4)).toBe(voucher.code.slice(-4));
+    expect((await db.getPaymentById(body.data.paymentId)).topUpVoucherId).toBe(voucher.id);
+  });
+
+  test('POST /payments turns away top-ups for unknown or unusable vouchers', async () => {
+    expect(await buyTopUp({ code: 'MW-AB12-CD34-X' })).toMatchObject({ status: 404, body: { message: 'Invalid voucher code' } });
+    expect(await buyTopUp({ phoneNumber: '256770000009' }))
+      .toMatchObject({ status: 404, body: { message: 'No voucher bought with that phone number can be topped up' } });
+    expect((await buyTopUp({})).status).toBe(400);
+
+    await db.updateVoucher(voucher.id, { status: 'disabled' });
+    expect(await buyTopUp({ code: voucher.code }))
+      .toMatchObject({ status: 400, body: { message: 'Voucher is not active and cannot be topped up' } });
+  });
+
+  test('POST /payments only tops a voucher up with a plan for the same hours', async () => {
+    await db.updatePlan(plan.id, { accessSchedule: { days: ['sat', 'sun'], windows: [{ start: '08:00', end: '20:00' }] } });
+
+    expect(await buyTopUp({ code: voucher.code }))
+      .toMatchObject({ status: 400, body: { message: 'Voucher can only be topped up with a plan for the same access hours' } });
+  });
+
+  test('a confirmed top-up texts the payer a masked code and cannot be reversed', async () => {
+    const { body } = await buyTopUp({ code: voucher.code });
+    const id = body.data.paymentId;
+
+    expect((await admin.request('PUT', `/api/admin/payments/${id}`, { token, body: { status: 'success' } })).status).toBe(200);
+    expect((await db.getVoucherById(voucher.id)).duration).toBe(9);
+    const [sms] = await db.getSMSLogs({ type: 'voucher' });
+    expect(sms.message).toContain('topped up');
+    expect(sms.message).not.toContain(voucher.code);
+    expect(await db.getAuditLogs({ action: 'voucher.topup' })).toHaveLength(1);
+
+    const verified = await payments.request('GET', `/api/payments/${id}/verify`);
+    expect(verified.body.data.voucher.code).toBeNull();
+
+    for (const api of [[admin, '/api/admin/payments'], [payments, '/api/payments']]) {
+      expect(await api[0].request('PUT', `${api[1]}/${id}`, { token, body: { status: 'failed' } }))
+        .toMatchObject({ status: 409, body: { message: 'A successful top-up cannot be reversed' } });
+    }
+    expect((await db.getPaymentById(id)).status).toBe('success');
+  });
+});
@@ -0,0 +1,202 @@
+const db = require('../src/models/database');
+const voucherRoutes = require('../src/routes/vouchers');
+const paymentRoutes = require('../src/routes/payments');
+const transferService = require('../src/services/transferService');
+const smsService = require('../src/services/smsService');
+const { drivers, createDatabase, resetSharedDatabase, serveRouter, tokenFor } = require('./helpers');
+
+const OWNER = '256770000001';
+const FRIEND = '256770000002';
+
+// Texts sent to a number, whichever format the SMS service wrote it in
+const textsTo = async number => (await db.getSMSLogs())
+  .filter(log => log.phoneNumber.replace(/\D/g, '') === number)
+  .map(log => log.message);
+
+describe.each(drivers)('voucher ownership and transfers on the %s store', driver => {
+  let database;
+  let voucher;
+
+  beforeEach(async () => {
+    database = await createDatabase(driver);
+    voucher = await database.fulfilPayment(await database.createPayment({
+      reference: 'REF-1', amount: 5000, phoneNumber: OWNER, metadata: { duration: 6, dataLimit: '2GB' }
+    }));
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  const start = (otpHash = 'hash-1') => database.startVoucherTransfer(voucher.id, {
+    fromPhoneNumber: OWNER,
+    toPhoneNumber: FRIEND,
+    otpHash,
+    expiresAt: new Date(Date.now() + 60000)
+  });
+
+  test('a bought voucher belongs to the payer, a gift to its recipient', async () => {
+    const gift = await database.fulfilPayment(await database.createPayment({
+      reference: 'REF-2', amount: 5000, phoneNumber: OWNER, recipientPhoneNumber: FRIEND, metadata: { duration: 6 }
+    }));
+
+    expect(voucher.ownerPhoneNumber).toBe(OWNER);
+    expect(gift.ownerPhoneNumber).toBe(FRIEND);
+    expect((await database.listVouchers({ ownerPhoneNumber: FRIEND })).data.map(v => v.id)).toEqual([gift.id]);
+  });
+
+  test('only the owner can hand over an unused voucher', async () => {
+    const now = new Date();
+
+    expect(database.getTransferError(voucher, OWNER, now)).toBeNull();
+    expect(database.getTransferError(voucher, FRIEND, now)).toBe('NOT_OWNER');
+    expect(database.getTransferError({ ...voucher, isUsed: true }, OWNER, now)).toBe('USED');
+    expect(database.getTransferError({ ...voucher, status: 'disabled' }, OWNER, now)).toBe('INACTIVE');
+    expect(database.getTransferError({ ...voucher, redeemBy: new Date(now - 1000) }, OWNER, now)).toBe('EXPIRED');
+  });
+
+  test('moves the voucher to the new owner under a new code', async () => {
+    const { voucher: pending } = await start();
+
+    const { voucher: transferred } = await database.completeVoucherTransfer(pending);
+
+    expect(transferred).toMatchObject({ ownerPhoneNumber: FRIEND, transferTo: null, transferOtpHash: null, transferredAt: expect.any(Date) });
+    expect(transferred.code).not.toBe(voucher.code);
+    expect(await database.getVoucherByCode(voucher.code)).toBeNull();
+    expect((await database.getVoucherByCode(transferred.code.replace(/-/g, ''))).id).toBe(voucher.id);
+    expect(await database.completeVoucherTransfer(pending)).toEqual({ error: 'NOT_OWNER' });
+  });
+
+  test('drops a transfer after too many wrong codes', async () => {
+    let { voucher: pending } = await start();
+
+    pending = await database.failVoucherTransfer(pending, 2);
+    expect(pending).toMatchObject({ transferAttempts: 1, transferOtpHash: 'hash-1' });
+    expect(await database.failVoucherTransfer(pending, 2)).toMatchObject({ transferAttempts: 0, transferOtpHash: null });
+  });
+
+  test('cancels only the transfer it was asked to', async () => {
+    await start('hash-1');
+    await start('hash-2');
+
+    expect(await database.cancelVoucherTransfer(voucher.id, 'hash-1')).toBeNull();
+    expect(await database.cancelVoucherTransfer(voucher.id, 'hash-2')).toMatchObject({ transferTo: null, transferOtpHash: null });
+  });
+});
+
+describe('voucher transfer routes', () => {
+  let api;
+  let voucher;
+  const transfer = body => api.request('POST', '/api/vouchers/transfer', { body: { code: voucher.code, phoneNumber: OWNER, toPhoneNumber: FRIEND, ...body } });
+  const confirm = otp => api.request('POST', '/api/vouchers/transfer/confirm', { body: { code: voucher.code, otp } });
+  const sentOtp = async () => (await db.getSMSLogs({ type: 'otp' })).pop().message.match(/: (\d{6})\./)[1];
+
+  beforeAll(async () => {
+    api = await serveRouter('/api/vouchers', voucherRoutes);
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+    jest.spyOn(smsService, 'sendMockSMS').mockResolvedValue({ success: true });
+    voucher = await db.fulfilPayment(await db.createPayment({
+      reference: 'REF-1', amount: 5000, phoneNumber: OWNER, metadata: { duration: 6, dataLimit: '2GB' }
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('POST /transfer and /transfer/confirm hand the voucher over with a code texted to the owner', async () => {
+    expect((await transfer()).status).toBe(200);
+
+    const { status, body } = await confirm(await sentOtp());
+
+    expect(status).toBe(200);
+    expect(body.data.toPhoneNumber).toBe(FRIEND);
+    const transferred = await db.getVoucherById(voucher.id);
+    expect(await textsTo(FRIEND)).toEqual([expect.stringContaining(transferred.code)]);
+    expect(await db.getAuditLogs({ action: 'voucher.transfer' })).toEqual([
+      expect.objectContaining({ details: { from: OWNER, to: FRIEND } })
+    ]);
+  });
+
+  test('POST /transfer turns away anyone but the owner', async () => {
+    expect(await transfer({ phoneNumber: FRIEND, toPhoneNumber: '256770000003' }))
+      .toMatchObject({ status: 400, body: { message: 'Voucher does not belong to that phone number' } });
+    expect(await transfer({ toPhoneNumber: OWNER }))
+      .toMatchObject({ status: 400, body: { message: 'Voucher already belongs to that phone number' } });
+    expect((await transfer({ toPhoneNumber: '0770000002' })).status).toBe(400);
+  });
+
+  test('POST /transfer drops the transfer when the confirmation code cannot be texted', async () => {
+    smsService.sendMockSMS.mockRejectedValue(new Error('Gateway down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await transfer()).toMatchObject({ status: 503, body: { message: 'The confirmation code could not be sent, please try again later' } });
+    expect(await db.getVoucherById(voucher.id)).toMatchObject({ transferTo: null, transferOtpHash: null });
+    expect(await confirm('123456')).toMatchObject({ status: 400, body: { message: 'No transfer is waiting for confirmation, please start it again' } });
+  });
+
+  test('POST /transfer/confirm counts wrong codes', async () => {
+    await transfer();
+    const otp = await sentOtp();
+    const wrong = otp === '000000' ? '111111' : '000000';
+
+    expect(await confirm(wrong)).toMatchObject({ status: 400, body: { attemptsLeft: transferService.maxAttempts - 1 } });
+    expect((await confirm('12ab')).status).toBe(400);
+    expect((await db.getVoucherById(voucher.id)).ownerPhoneNumber).toBe(OWNER);
+  });
+});
+
+describe('gift purchases', () => {
+  let api;
+  const adminToken = tokenFor({ userId: 'admin-1', email: 'admin@example.com', role: 'admin' });
+
+  beforeAll(async () => {
+    api = await serveRouter('/api/payments', paymentRoutes);
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+    jest.spyOn(smsService, 'sendMockSMS').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('text the code to the recipient and a receipt to the payer, who never sees the code', async () => {
+    const payment = await db.createPayment({
+      reference: 'MW-REF-1', amount: 5000, phoneNumber: OWNER, recipientPhoneNumber: FRIEND, metadata: { duration: 6, dataLimit: '2GB' }
+    });
+
+    await api.request('PUT', `/api/payments/${payment.id}`, { token: adminToken, body: { status: 'success' } });
+
+    const voucher = await db.getVoucherById((await db.getPaymentById(payment.id)).voucherId);
+    expect(voucher.ownerPhoneNumber).toBe(FRIEND);
+    expect(await textsTo(FRIEND)).toEqual([expect.stringContaining(voucher.code)]);
+    const receipts = await textsTo(OWNER);
+    expect(receipts).toEqual([expect.stringContaining(FRIEND)]);
+    expect(receipts[0]).not.toContain(voucher.code);
+
+    const { body } = await api.request('GET', `/api/payments/${payment.id}/verify`);
+    expect(body.data.voucher.code).toBeNull();
+  });
+
+  test('cannot be top-ups', async () => {
+    const plan = await db.createPlan({ name: '6 Hours', duration: 6, price: 5000, dataLimit: '2GB' });
+
+    expect(await api.request('POST', '/api/payments', {
+      body: { amount: 5000, phoneNumber: '256077000001', paymentMethod: 'mtn_momo', planId: plan.id, recipientPhoneNumber: FRIEND, topUp: { phoneNumber: OWNER } }
+    })).toMatchObject({ status: 400, body: { message: 'A top-up cannot be bought as a gift' } });
+  });
+});
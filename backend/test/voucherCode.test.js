@@ -0,0 +1,59 @@
+const { SAFE_ALPHABET, validateFormat, generateCode, normalizeCode, codeKey, isWellFormed, maskCode } = require('../src/utils/voucherCode');
+
+describe('generateCode', () => {
+  test('writes the default format: prefix, groups of four and a check character', () => {
+    const code = generateCode();
+
+    expect(code).toMatch(/^MW-[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]$/);
+    expect([...code.replace(/^MW-|-/g, '')].every(c => SAFE_ALPHABET.includes(c))).toBe(true);
+    expect(isWellFormed(code)).toBe(true);
+  });
+
+  test('follows a format override', () => {
+    expect(generateCode({ prefix: 'CAFE', alphabet: '0123456789', length: 6, groupSize: 0 })).toMatch(/^CAFE-\d{6}[A-Z0-9]$/);
+    expect(generateCode({ prefix: '', groupSize: 3 })).toMatch(/^[A-Z0-9]{3}-[A-Z0-9]{3}-[A-Z0-9]{3}$/);
+  });
+
+  test('refuses a format it cannot use', () => {
+    expect(() => generateCode({ length: 2 })).toThrow(/Invalid voucher code format/);
+  });
+});
+
+describe('validateFormat', () => {
+  test('accepts a partial format and lists every problem with a bad one', () => {
+    expect(validateFormat({ length: 10 })).toEqual([]);
+    expect(validateFormat({ prefix: 'mw', alphabet: 'AAB', length: 40, groupSize: -1 })).toHaveLength(4);
+    expect(validateFormat(['MW'])).toEqual(['Code format must be an object']);
+  });
+});
+
+describe('isWellFormed', () => {
+  test('catches a mistyped character', () => {
+    const code = generateCode();
+    const last = code.slice(-1);
+    const typo = code.slice(0, -1) + SAFE_ALPHABET[(SAFE_ALPHABET.indexOf(last) + 1) % SAFE_ALPHABET.length];
+
+    expect(isWellFormed(typo)).toBe(false);
+  });
+
+  test('accepts codes from before check characters, with or without the dash', () => {
+    expect(isWellFormed('MW-AB12CD34')).toBe(true);
+    expect(isWellFormed('MWAB12CD34')).toBe(true);
+  });
+});
+
+describe('normalizeCode and codeKey', () => {
+  test('tidy up a code as typed', () => {
+    expect(normalizeCode(' mw-k5sg 9epy-v ')).toBe('MW-K5SG9EPY-V');
+    expect(codeKey(' mw-k5sg 9epy-v ')).toBe('MWK5SG9EPYV');
+    expect(codeKey('MW-K5SG-9EPY-V')).toBe(codeKey('MWK5-SG9E-PYV'));
+  });
+});
+
+describe('maskCode', () => {
+  test('shows only the last four characters and the dashes', () => {
+    expect(maskCode('MW-K5SG-9EPY-V')).toBe('**-****-*EPY-V');
+    expect(maskCode('OLD-0001')).toBe('***-0001');
+    expect(maskCode('AB')).toBe('AB');
+  });
+});
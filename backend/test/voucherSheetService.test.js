@@ -0,0 +1,38 @@
+const voucherSheetService = require('../src/services/voucherSheetService');
+
+describe('voucherSheetService', () => {
+  const voucher = { code: 'MW-K5SG-9EPY-V', duration: 6, price: 5000, dataLimit: '2GB' };
+
+  test('puts the plan, price, access, deadline and portal link on a card', () => {
+    const card = voucherSheetService.card(voucher, { name: '6 Hours' }, new Date('2030-01-31T12:00:00Z'));
+
+    expect(card).toEqual({
+      code: 'MW-K5SG-9EPY-V',
+      planName: '6 Hours',
+      price: 'UGX 5,000',
+      access: '6h access · 2GB',
+      redeemBy: 'Use by 2030-01-31',
+      ssid: voucherSheetService.ssid,
+      link: expect.stringContaining('code=MW-K5SG-9EPY-V')
+    });
+    expect(voucherSheetService.card({ ...voucher, duration: 1, dataLimit: null }, null, null))
+      .toMatchObject({ planName: '1 hour', access: '1h access', redeemBy: null });
+  });
+
+  test('renders one HTML page per full set of cards, with the text escaped', async () => {
+    const cards = Array.from({ length: 5 }, (_, i) => voucherSheetService.card({ ...voucher, code: `MW-${i}` }, { name: '<b>Day</b>' }, null));
+
+    const html = await voucherSheetService.renderHTML(cards, 4);
+
+    expect(html.match(/class="page"/g)).toHaveLength(2);
+    expect(html.match(/class="card"/g)).toHaveLength(5);
+    expect(html).toContain('&lt;b&gt;Day&lt;/b&gt;');
+    expect(html).toContain('<svg');
+  });
+
+  test('renders a PDF', async () => {
+    const pdf = await voucherSheetService.renderPDF([voucherSheetService.card(voucher, null, null)], 8);
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
@@ -0,0 +1,197 @@
+const sharedDb = require('../src/models/database');
+const voucherRoutes = require('../src/routes/vouchers');
+const { drivers, createDatabase, resetSharedDatabase, serveRouter } = require('./helpers');
+
+describe.each(drivers)('voucher sales and redemption on the %s store', driver => {
+  let db;
+  let voucher;
+
+  beforeEach(async () => {
+    db = await createDatabase(driver);
+    voucher = await db.createVoucher({ duration: 6, price: 5000, dataLimit: '2GB' });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  const payment = reference => db.createPayment({ reference, amount: 5000, voucherId: voucher.id });
+
+  test('sells a stock voucher once', async () => {
+    const first = await payment('REF-1');
+    const second = await payment('REF-2');
+
+    expect(await db.sellVoucher(voucher.id, first)).toMatchObject({ paymentId: first.id, soldAt: expect.any(Date) });
+    expect(await db.sellVoucher(voucher.id, second)).toBeNull();
+    expect(await db.getAvailableVouchers()).toEqual([]);
+  });
+
+  test('mints a voucher for a plan purchase, once', async () => {
+    const plan = await db.createPlan({ name: '1 Day', duration: 24, price: 10000, dataLimit: '5GB' });
+    const purchase = await db.createPayment({
+      reference: 'REF-1',
+      amount: 10000,
+      planId: plan.id,
+      userId: 'u1',
+      metadata: { duration: 24, dataLimit: '5GB', bandwidth: null }
+    });
+
+    const minted = await db.fulfilPayment(purchase);
+
+    expect(minted).toMatchObject({ origin: 'purchase', planId: plan.id, duration: 24, price: 10000, paymentId: purchase.id, userId: 'u1' });
+    expect((await db.getPaymentById(purchase.id)).voucherId).toBe(minted.id);
+    expect(await db.fulfilPayment(await db.getPaymentById(purchase.id))).toEqual(minted);
+    expect(await db.fulfilPayment(purchase)).toEqual(minted);
+    expect(await db.getAllVouchers()).toHaveLength(2);
+  });
+
+  test('sells an old payment the stock voucher it points at', async () => {
+    const old = await payment('REF-1');
+
+    expect(await db.fulfilPayment(old)).toMatchObject({ id: voucher.id, paymentId: old.id });
+  });
+
+  test('revokes a minted voucher when its sale is reversed and restores it when confirmed again', async () => {
+    const purchase = await db.createPayment({ reference: 'REF-1', amount: 5000, metadata: { duration: 6 } });
+    const minted = await db.fulfilPayment(purchase);
+
+    expect(await db.unsellVoucher(minted.id, purchase.id)).toMatchObject({ status: 'revoked' });
+    expect(await db.fulfilPayment(await db.getPaymentById(purchase.id))).toMatchObject({ id: minted.id, status: 'active' });
+  });
+
+  test('takes a sale back unless the code was redeemed', async () => {
+    const paid = await payment('REF-1');
+    await db.sellVoucher(voucher.id, paid);
+
+    expect(await db.unsellVoucher(voucher.id, paid.id)).toMatchObject({ soldAt: null, paymentId: null });
+
+    await db.sellVoucher(voucher.id, paid);
+    await db.redeemVoucher(voucher.code);
+    expect(await db.unsellVoucher(voucher.id, paid.id)).toBeNull();
+  });
+
+  test('redeems a code once', async () => {
+    const { voucher: redeemed } = await db.redeemVoucher(voucher.code, { userId: 'u1' });
+
+    expect(redeemed).toMatchObject({ isUsed: true, userId: 'u1', userInfo: { userId: 'u1' } });
+    expect(redeemed.usedAt).toBeInstanceOf(Date);
+    expect(await db.redeemVoucher(voucher.code)).toEqual({ error: 'USED' });
+    expect(await db.redeemVoucher('MW-UNKNOWN')).toEqual({ error: 'NOT_FOUND' });
+  });
+
+  // pg-mem runs transactions without row locks, so the race is only real on the other drivers
+  const racingTest = driver === 'postgres' ? test.skip : test;
+
+  racingTest('redeems a code once when two requests race for it', async () => {
+    const results = await Promise.all([db.redeemVoucher(voucher.code), db.redeemVoucher(voucher.code)]);
+
+    expect(results.filter(r => r.voucher)).toHaveLength(1);
+    expect(results.filter(r => r.error === 'USED')).toHaveLength(1);
+  });
+
+  test('explains why a code cannot be redeemed', async () => {
+    const now = new Date();
+
+    expect(db.getRedemptionError(voucher, now)).toBeNull();
+    expect(db.getRedemptionError({ ...voucher, status: 'disabled' }, now)).toBe('INACTIVE');
+    expect(db.getRedemptionError({ ...voucher, saleExpiresAt: new Date(now - 1000) }, now)).toBe('EXPIRED');
+    expect(db.getRedemptionError({ ...voucher, soldAt: now, redeemBy: new Date(now - 1000) }, now)).toBe('EXPIRED');
+    expect(db.getRedemptionError({ ...voucher, isUsed: true, expiresAt: new Date(now.getTime() + 1000) }, now)).toBe('USED');
+    expect(db.getRedemptionError({ ...voucher, isUsed: true, expiresAt: new Date(now - 1000) }, now)).toBe('TIME_USED');
+  });
+
+  test('keeps shelf life, redemption deadline and access time apart', async () => {
+    const days = n => n * 24 * 60 * 60 * 1000;
+    expect(voucher.saleExpiresAt - voucher.createdAt).toBe(days(90));
+    expect(voucher).toMatchObject({ redeemBy: null, expiresAt: null });
+
+    const sold = await db.sellVoucher(voucher.id, await payment('REF-1'));
+    expect(sold.redeemBy - sold.soldAt).toBe(days(30));
+    expect(db.redemptionDeadline(sold)).toEqual(sold.redeemBy);
+
+    const { voucher: redeemed } = await db.redeemVoucher(voucher.code);
+    expect(redeemed.expiresAt - redeemed.usedAt).toBe(6 * 60 * 60 * 1000);
+  });
+
+  test('takes stock off sale once its shelf life is over', async () => {
+    await db.updateVoucher(voucher.id, { saleExpiresAt: new Date(Date.now() - 1000) });
+
+    expect(await db.getAvailableVouchers()).toEqual([]);
+    expect(await db.sellVoucher(voucher.id, await payment('REF-1'))).toBeNull();
+    expect(await db.redeemVoucher(voucher.code)).toEqual({ error: 'EXPIRED' });
+  });
+
+  test('moves a payment on only from the expected states', async () => {
+    const pending = await payment('REF-1');
+
+    expect(await db.transitionPayment(pending.id, ['pending'], { status: 'success' })).toMatchObject({ status: 'success' });
+    expect(await db.transitionPayment(pending.id, ['pending'], { status: 'failed' })).toBeNull();
+    expect((await db.getPaymentById(pending.id)).status).toBe('success');
+  });
+});
+
+describe('voucher routes', () => {
+  let api;
+  let voucher;
+
+  beforeAll(async () => {
+    api = await serveRouter('/api/vouchers', voucherRoutes);
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(async () => {
+    await resetSharedDatabase();
+    voucher = await sharedDb.createVoucher({ duration: 6, price: 5000, dataLimit: '2GB' });
+  });
+
+  test('POST /validate takes a code typed in lower case without its dashes', async () => {
+    const typed = voucher.code.replace(/-/g, '').toLowerCase();
+
+    expect(await api.request('POST', '/api/vouchers/validate', { body: { code: typed } }))
+      .toMatchObject({ status: 200, body: { data: { code: voucher.code } } });
+  });
+
+  test('POST /validate turns a typo away before looking the code up', async () => {
+    const last = voucher.code.slice(-1);
+    const typo = voucher.code.slice(0, -1) + (last === 'A' ? 'B' : 'A');
+
+    expect(await api.request('POST', '/api/vouchers/validate', { body: { code: typo } }))
+      .toMatchObject({ status: 400, body: { message: 'Voucher code looks mistyped, please check it and try again' } });
+    expect((await api.request('POST', '/api/vouchers/validate', { body: {} })).status).toBe(400);
+  });
+
+  test('POST /validate takes imported codes that have no check character of ours', async () => {
+    await sharedDb.createVoucher({ code: 'OLD-0001', origin: 'import', duration: 6, price: 5000, dataLimit: '2GB' });
+
+    expect((await api.request('POST', '/api/vouchers/validate', { body: { code: 'old-0001' } })).status).toBe(200);
+    expect((await api.request('POST', '/api/vouchers/validate', { body: { code: 'OLD-0002' } })).status).toBe(400);
+  });
+
+  test('POST /validate and /redeem make a client that keeps guessing wait', async () => {
+    const guess = path => api.request('POST', path, { body: { code: 'MW-AB12CD34', macAddress: 'aa:bb:cc:dd:ee:ff' } });
+    for (let i = 0; i < 3; i++) {
+      expect((await guess('/api/vouchers/validate')).status).toBe(404);
+    }
+    expect((await guess('/api/vouchers/redeem')).status).toBe(404);
+
+    const { status, headers, body } = await guess('/api/vouchers/validate');
+    expect(status).toBe(429);
+    expect(Number(headers.get('retry-after'))).toBe(body.retryAfter);
+    expect((await api.request('POST', '/api/vouchers/redeem', { body: { code: voucher.code } })).status).toBe(429);
+  });
+
+  test('POST /redeem starts a session with the data quota and access time', async () => {
+    const { status, body } = await api.request('POST', '/api/vouchers/redeem', { body: { code: voucher.code } });
+
+    expect(status).toBe(200);
+    expect(body.data.session.quota).toMatchObject({ limitBytes: 2 * 1024 ** 3, usedBytes: 0 });
+    expect(body.data.voucher.expiresAt).toEqual(body.data.session.endTime);
+    expect(await api.request('POST', '/api/vouchers/redeem', { body: { code: voucher.code } }))
+      .toMatchObject({ status: 200, body: { message: 'Voucher is already active on this device', data: { session: { id: body.data.session.id } } } });
+    expect(await api.request('POST', '/api/vouchers/redeem', { body: { code: voucher.code, macAddress: 'aa:bb:cc:dd:ee:ff' } }))
+      .toMatchObject({ status: 400, body: { message: 'Voucher has already been used' } });
+  });
+});
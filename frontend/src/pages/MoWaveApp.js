@@ -21,6 +21,9 @@ import {
 
 const API_BASE = 'http://localhost:5000/api';
 
+// Payment method choices to the backend's provider names
+const paymentMethods = { mtn: 'mtn_momo', airtel: 'airtel_money' };
+
 const MoWaveApp = () => {
   const [currentView, setCurrentView] = useState('home');
   const [user, setUser] = useState(null);
@@ -57,9 +60,15 @@ const MoWaveApp = () => {
 
   // Voucher Entry Component
   const VoucherEntry = () => {
-    const [voucherCode, setVoucherCode] = useState('');
+    // Printed cards link here with ?code=... so scanning the QR code fills it in
+    const [voucherCode, setVoucherCode] = useState(() => new URLSearchParams(window.location.search).get('code') || '');
+    // The hotspot login page passes the device's ?mac=..., code guesses are throttled per device as well as per IP
+    const macAddress = new URLSearchParams(window.location.search).get('mac') || undefined;
     const [phoneNumber, setPhoneNumber] = useState('');
     const [voucherStatus, setVoucherStatus] = useState(null);
+    // The session from activating the voucher and its access clock, which can be paused
+    const [session, setSession] = useState(null);
+    const [voucherTime, setVoucherTime] = useState(null);
 
     const handleVoucherCheck = async (e) => {
       e.preventDefault();
@@ -69,7 +78,7 @@ const MoWaveApp = () => {
       try {
         const response = await apiCall(`/vouchers/validate`, {
           method: 'POST',
-          body: JSON.stringify({ voucher_code: voucherCode })
+          body: JSON.stringify({ code: voucherCode, macAddress })
         });
 
         setVoucherStatus(response.data);
@@ -92,11 +101,13 @@ const MoWaveApp = () => {
       try {
         const response = await apiCall(`/vouchers/redeem`, {
           method: 'POST',
-          body: JSON.stringify({ voucher_code: voucherCode })
+          body: JSON.stringify({ code: voucherCode, macAddress })
         });
 
         showMessage('success', 'Voucher activated successfully! You can now access the internet.');
         setVoucherStatus(response.data);
+        setSession(response.data.session);
+        setVoucherTime(response.data.voucher.time);
       } catch (error) {
         showMessage('error', 'Error activating voucher. Please try again.');
       } finally {
@@ -104,6 +115,32 @@ const MoWaveApp = () => {
       }
     };
 
+    // Pausing stops the clock on every device using the voucher, resuming starts a new session here
+    const handlePauseToggle = async () => {
+      const action = voucherTime?.pausedAt ? 'resume' : 'pause';
+
+      setLoading(true);
+      try {
+        const response = await apiCall(`/sessions/${session.id}/${action}`, {
+          method: 'POST',
+          body: JSON.stringify({ macAddress })
+        });
+
+        if (action === 'resume') setSession(response.data.session);
+        setVoucherTime(response.data.time);
+        showMessage('success', response.message);
+      } catch (error) {
+        showMessage('error', `Error trying to ${action} the voucher. Please try again.`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    const formatTimeLeft = (ms) => {
+      const minutes = Math.floor(ms / 60000);
+      return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    };
+
     return (
       <div className="max-w-md mx-auto">
         <div className="bg-white rounded-lg shadow-lg p-6">
@@ -174,6 +211,33 @@ const MoWaveApp = () => {
             </div>
           )}
 
+          {session && voucherTime && (
+            <div className="mt-4 p-4 rounded-lg bg-blue-50 border border-blue-200">
+              <div className="flex items-center gap-2">
+                <Clock className="w-5 h-5 text-blue-600" />
+                <div className="flex-1">
+                  <h3 className="font-medium text-blue-800">
+                    {voucherTime.pausedAt ? 'Voucher paused' : 'Connected'}
+                  </h3>
+                  <div className="text-sm text-blue-600 mt-1">
+                    <p>Time left: {formatTimeLeft(voucherTime.remainingMs)}</p>
+                    {voucherTime.pausedAt && (
+                      <p>Resume by {new Date(voucherTime.resumeBy).toLocaleString()}, or enter your code again</p>
+                    )}
+                  </div>
+                </div>
+                <button
+                  type="button"
+                  onClick={handlePauseToggle}
+                  disabled={loading}
+                  className="bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                >
+                  {voucherTime.pausedAt ? 'Resume' : 'Pause'}
+                </button>
+              </div>
+            </div>
+          )}
+
           <div className="mt-6 text-center">
             <button
               onClick={() => setCurrentView('buy')}
@@ -193,41 +257,94 @@ const MoWaveApp = () => {
     const [paymentMethod, setPaymentMethod] = useState('');
     const [phoneNumber, setPhoneNumber] = useState('');
     const [paymentStep, setPaymentStep] = useState('plans');
-
-    const pricingPlans = [
-      { id: 1, name: '1 Hour', duration: 1, price: 1000, popular: false },
-      { id: 2, name: '3 Hours', duration: 3, price: 2500, popular: true },
-      { id: 3, name: '6 Hours', duration: 6, price: 4000, popular: false },
-      { id: 4, name: '12 Hours', duration: 12, price: 7000, popular: false },
-      { id: 5, name: '24 Hours', duration: 24, price: 12000, popular: false }
-    ];
+    const [pricingPlans, setPricingPlans] = useState([]);
+    // A code here tops that voucher up with the plan instead of buying a new one
+    const [topUpCode, setTopUpCode] = useState('');
+    // A number here makes the voucher a gift: its code is texted there, not to the payer
+    const [recipientPhoneNumber, setRecipientPhoneNumber] = useState('');
+    // The price once a promo code is applied, null while none is
+    const [promoCode, setPromoCode] = useState('');
+    const [quote, setQuote] = useState(null);
+    // Renewable plans can be subscribed to instead, charged again before each period ends
+    const [autoRenew, setAutoRenew] = useState(false);
+
+    // Plans, prices and quotas come from the backend catalog
+    useEffect(() => {
+      apiCall('/plans')
+        .then((response) => setPricingPlans(response.data))
+        .catch(() => showMessage('error', 'Could not load plans. Please refresh the page.'));
+    }, []);
 
     const handlePlanSelect = (plan) => {
       setSelectedPlan(plan);
+      setQuote(null);
+      setAutoRenew(false);
       setPaymentStep('payment');
     };
 
+    const handleApplyPromo = async () => {
+      if (!promoCode.trim()) return;
+      try {
+        const response = await apiCall('/payments/quote', {
+          method: 'POST',
+          body: JSON.stringify({ planId: selectedPlan.id, promoCodes: [promoCode.trim()], phoneNumber })
+        });
+        setQuote(response.data);
+        showMessage('success', `Promo code applied, you save UGX ${response.data.discount.toLocaleString()}`);
+      } catch (error) {
+        setQuote(null);
+        showMessage('error', 'Promo code is not valid for this plan or phone number');
+      }
+    };
+
     const handlePayment = async (e) => {
       e.preventDefault();
       if (!selectedPlan || !paymentMethod || !phoneNumber) return;
 
       setLoading(true);
       try {
-        const response = await apiCall('/payments/process', {
+        // Subscriptions charge the plan price as it is, without promo codes, top ups or gifts
+        const response = await apiCall(autoRenew ? '/subscriptions' : '/payments', {
           method: 'POST',
-          body: JSON.stringify({
-            plan_id: selectedPlan.id,
-            payment_method: paymentMethod,
-            phone_number: phoneNumber,
-            amount: selectedPlan.price
+          body: JSON.stringify(autoRenew ? {
+            planId: selectedPlan.id,
+            paymentMethod: paymentMethods[paymentMethod],
+            phoneNumber
+          } : {
+            planId: selectedPlan.id,
+            paymentMethod: paymentMethods[paymentMethod],
+            phoneNumber,
+            amount: quote ? quote.amount : selectedPlan.price,
+            ...(quote && { promoCodes: quote.promotions.map(promotion => promotion.code) }),
+            ...(topUpCode.trim() && { topUp: { code: topUpCode.trim() } }),
+            ...(!topUpCode.trim() && recipientPhoneNumber.trim() && { recipientPhoneNumber: recipientPhoneNumber.trim() })
           })
         });
 
-        if (response.success) {
-          showMessage('success', `Payment successful! Your voucher code is: ${response.data.voucher_code}`);
+        // The voucher is issued once the mobile money payment completes
+        const paymentId = autoRenew ? response.data.payment.paymentId : response.data.paymentId;
+        let payment = { status: 'pending' };
+        for (let attempt = 0; attempt < 20 && payment.status === 'pending'; attempt++) {
+          await new Promise(resolve => setTimeout(resolve, 2000));
+          payment = (await apiCall(`/payments/${paymentId}/verify`)).data;
+        }
+
+        if (payment.status === 'success' && payment.voucher && autoRenew) {
+          showMessage('success', `Subscribed! Your voucher code is: ${payment.voucher.code}. It is topped up every ${selectedPlan.duration} hours until you cancel.`);
+          setPaymentStep('success');
+        } else if (payment.status === 'success' && payment.voucher && topUpCode.trim()) {
+          showMessage('success', `Payment successful! Voucher ${topUpCode.trim().toUpperCase()} has been topped up.`);
+          setPaymentStep('success');
+        } else if (payment.status === 'success' && payment.recipientPhoneNumber) {
+          showMessage('success', `Payment successful! The voucher code has been sent to ${payment.recipientPhoneNumber}.`);
           setPaymentStep('success');
+        } else if (payment.status === 'success' && payment.voucher) {
+          showMessage('success', `Payment successful! Your voucher code is: ${payment.voucher.code}`);
+          setPaymentStep('success');
+        } else if (payment.status === 'pending') {
+          showMessage('error', 'Payment is still processing. Your voucher code will be sent by SMS.');
         } else {
-          showMessage('error', 'Payment failed. Please try again.');
+          showMessage('error', payment.failureReason || 'Payment failed. Please try again.');
         }
       } catch (error) {
         showMessage('error', 'Payment processing error. Please try again.');
@@ -248,11 +365,11 @@ const MoWaveApp = () => {
             {pricingPlans.map((plan) => (
               <div
                 key={plan.id}
-                className={`relative bg-white rounded-lg shadow-lg p-6 cursor-pointer transition-all hover:shadow-xl ${plan.popular ? 'border-2 border-blue-500' : 'border border-gray-200'
+                className={`relative bg-white rounded-lg shadow-lg p-6 cursor-pointer transition-all hover:shadow-xl ${plan.isFeatured ? 'border-2 border-blue-500' : 'border border-gray-200'
                   }`}
                 onClick={() => handlePlanSelect(plan)}
               >
-                {plan.popular && (
+                {plan.isFeatured && (
                   <span className="absolute top-0 right-0 bg-blue-500 text-white px-3 py-1 text-sm font-medium rounded-bl-lg rounded-tr-lg">
                     Popular
                   </span>
@@ -263,7 +380,13 @@ const MoWaveApp = () => {
                   <div className="text-3xl font-bold text-blue-600 mb-2">
                     UGX {plan.price.toLocaleString()}
                   </div>
-                  <p className="text-gray-600 mb-4">{plan.duration} hour{plan.duration > 1 ? 's' : ''} access</p>
+                  <p className="text-gray-600 mb-4">
+                    {plan.duration} hour{plan.duration > 1 ? 's' : ''} access
+                    {plan.dataLimit && ` · ${plan.dataLimit}`}
+                  </p>
+                  {plan.accessSchedule && (
+                    <p className="text-sm text-amber-600 -mt-2 mb-4">Usable {plan.accessHours} (Kampala time)</p>
+                  )}
 
                   <div className="space-y-2 mb-6">
                     <div className="flex items-center justify-center gap-2">
@@ -299,7 +422,12 @@ const MoWaveApp = () => {
               <CreditCard className="w-12 h-12 text-blue-600 mx-auto mb-2" />
               <h2 className="text-2xl font-bold text-gray-800">Complete Payment</h2>
               <p className="text-gray-600">
-                {selectedPlan?.name} - UGX {selectedPlan?.price.toLocaleString()}
+                {selectedPlan?.name} - UGX {(quote ? quote.amount : selectedPlan?.price).toLocaleString()}
+                {quote && (
+                  <span className="ml-2 text-sm text-gray-400 line-through">
+                    UGX {quote.listPrice.toLocaleString()}
+                  </span>
+                )}
               </p>
             </div>
 
@@ -351,6 +479,69 @@ const MoWaveApp = () => {
                 />
               </div>
 
+              {selectedPlan.renewable && (
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={autoRenew}
+                    onChange={(e) => setAutoRenew(e.target.checked)}
+                    className="text-blue-600"
+                  />
+                  <span>Renew automatically every {selectedPlan.duration} hours (cancel any time)</span>
+                </label>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Promo code (optional)
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={promoCode}
+                    onChange={(e) => { setPromoCode(e.target.value); setQuote(null); }}
+                    placeholder="e.g. WEEKEND20"
+                    disabled={autoRenew}
+                    className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+                  />
+                  <button
+                    type="button"
+                    onClick={handleApplyPromo}
+                    className="bg-gray-100 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-200 transition-colors"
+                  >
+                    Apply
+                  </button>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Top up an existing voucher (optional)
+                </label>
+                <input
+                  type="text"
+                  value={topUpCode}
+                  onChange={(e) => setTopUpCode(e.target.value)}
+                  placeholder="Voucher code to add this plan to"
+                  disabled={autoRenew}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Buy as a gift for (optional)
+                </label>
+                <input
+                  type="tel"
+                  value={recipientPhoneNumber}
+                  onChange={(e) => setRecipientPhoneNumber(e.target.value)}
+                  placeholder="Recipient's number, e.g. 256700000000"
+                  disabled={autoRenew || !!topUpCode.trim()}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+                />
+              </div>
+
               <div className="flex gap-2">
                 <button
                   type="button"
@@ -475,10 +666,6 @@ const MoWaveApp = () => {
               {loading ? 'Logging in...' : 'Login'}
             </button>
           </form>
-
-          <div className="mt-4 text-center text-sm text-gray-600">
-            Demo credentials: admin@mowave.com / password
-          </div>
         </div>
       </div>
     );
@@ -488,17 +675,21 @@ const MoWaveApp = () => {
   const AdminDashboard = () => {
     const [stats, setStats] = useState(null);
     const [vouchers, setVouchers] = useState([]);
+    const [plans, setPlans] = useState([]);
+    const [printJob, setPrintJob] = useState({ planId: '', quantity: 20, perPage: 8, format: 'html' });
 
     useEffect(() => {
       const fetchDashboardData = async () => {
         try {
-          const [statsResponse, vouchersResponse] = await Promise.all([
+          const [statsResponse, vouchersResponse, plansResponse] = await Promise.all([
             apiCall('/admin/stats'),
-            apiCall('/admin/vouchers')
+            apiCall('/admin/vouchers'),
+            apiCall('/admin/plans')
           ]);
 
           setStats(statsResponse.data);
           setVouchers(vouchersResponse.data);
+          setPlans(plansResponse.data);
         } catch (error) {
           showMessage('error', 'Failed to load dashboard data');
         }
@@ -510,6 +701,36 @@ const MoWaveApp = () => {
     }, [user]);
 
 
+    // Create a batch of vouchers and open its printable sheet in a new tab
+    const handlePrintBatch = async (e) => {
+      e.preventDefault();
+      if (!printJob.planId) return;
+
+      // Open the tab straight away, browsers block popups opened after an await
+      const sheetWindow = window.open('', '_blank');
+      setLoading(true);
+      try {
+        const response = await apiCall('/admin/bulk/vouchers', {
+          method: 'POST',
+          body: JSON.stringify({ vouchers: [{ planId: printJob.planId, quantity: Number(printJob.quantity) }] })
+        });
+
+        const sheet = await fetch(
+          `${API_BASE}/admin/vouchers/sheet?batchId=${response.batchId}&perPage=${printJob.perPage}&format=${printJob.format}`,
+          { headers: { Authorization: `Bearer ${user.token}` } }
+        );
+        if (!sheet.ok) throw new Error(`HTTP ${sheet.status}`);
+
+        sheetWindow.location = URL.createObjectURL(await sheet.blob());
+        showMessage('success', `${response.data.length} vouchers ready to print`);
+      } catch (error) {
+        sheetWindow.close();
+        showMessage('error', 'Failed to create the voucher sheet');
+      } finally {
+        setLoading(false);
+      }
+    };
+
     const handleLogout = () => {
       setUser(null);
       setCurrentView('home');
@@ -573,6 +794,70 @@ const MoWaveApp = () => {
           </div>
         )}
 
+        <div className="bg-white rounded-lg shadow-sm border mb-6">
+          <div className="p-6 border-b">
+            <h3 className="text-lg font-semibold text-gray-800">Print Vouchers</h3>
+          </div>
+          <form onSubmit={handlePrintBatch} className="p-6 grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Plan</label>
+              <select
+                value={printJob.planId}
+                onChange={(e) => setPrintJob({ ...printJob, planId: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                required
+              >
+                <option value="">Choose a plan</option>
+                {plans.map((plan) => (
+                  <option key={plan.id} value={plan.id}>{plan.name} - UGX {plan.price.toLocaleString()}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Quantity</label>
+              <input
+                type="number"
+                min="1"
+                max="500"
+                value={printJob.quantity}
+                onChange={(e) => setPrintJob({ ...printJob, quantity: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Cards per page</label>
+              <select
+                value={printJob.perPage}
+                onChange={(e) => setPrintJob({ ...printJob, perPage: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+              >
+                {[4, 6, 8, 10, 12, 16, 20].map((n) => (
+                  <option key={n} value={n}>{n}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Format</label>
+              <select
+                value={printJob.format}
+                onChange={(e) => setPrintJob({ ...printJob, format: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+              >
+                <option value="html">Web page</option>
+                <option value="pdf">PDF</option>
+              </select>
+            </div>
+            <button
+              type="submit"
+              disabled={loading || !printJob.planId}
+              className="flex items-center justify-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              <FileText className="w-4 h-4" />
+              Create &amp; Print
+            </button>
+          </form>
+        </div>
+
         <div className="bg-white rounded-lg shadow-sm border">
           <div className="p-6 border-b">
             <h3 className="text-lg font-semibold text-gray-800">Recent Vouchers</h3>